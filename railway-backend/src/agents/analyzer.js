@@ -3,7 +3,20 @@
 
 import { ChatAnthropic } from "@langchain/anthropic";
 import { getProjectData, saveProjectData } from '../data/projectData.js';
-import { parseResponseContent } from './parseResponse.js';
+import { invokeWithSchema, AgentOutputError } from './parseResponse.js';
+import { analyzerOutputSchema } from './schemas.js';
+import { conversationForModel, withConversationSummary } from './memory.js';
+import { getExpenseEntries } from '../data/expenseStore.js';
+import { foldExpenses } from '../finance/expenseLedger.js';
+import { computeEarnedValue, workPercentComplete } from '../finance/earnedValue.js';
+import { scoreProjectHealth, healthTrend } from '../analysis/health.js';
+import { recordHealthScore, getLatestHealth } from '../data/healthStore.js';
+import { getSnapshotAsOf } from '../data/snapshotStore.js';
+import { diffProjects } from '../analysis/projectDiff.js';
+import { computeVariance, describeVariance } from '../analysis/variance.js';
+
+// How far back the "recent changes" comparison looks
+const TREND_WINDOW_DAYS = 7;
 
 const model = new ChatAnthropic({
   modelName: "claude-3-5-haiku-20241022",
@@ -24,12 +37,33 @@ export async function analyzerAgent(state) {
     };
   }
 
-  const systemPrompt = `You are a Project Analysis Agent that evaluates project completeness and identifies gaps.
+  try {
+    // Cost and schedule performance are computed here - the model only explains them
+    // Planned value follows the approved baseline, so a slip doesn't move its own plan
+    const transactions = foldExpenses(await getExpenseEntries(projectId, projectData.budget));
+    const earnedValue = computeEarnedValue(projectData, transactions, { baselineTasks: projectData.baseline?.tasks });
+    const completeness = earnedValue.percentComplete ?? workPercentComplete(projectData.tasks, projectData.calendar);
+
+    // Health scores are rule-based facts; each run is stored so health can be trended
+    const health = scoreProjectHealth(projectData, transactions);
+    const trend = healthTrend(health, await getLatestHealth(projectId));
+    await recordHealthScore(projectId, health);
+
+    // What changed since the version saved a week ago (tasks slipped, issues opened, ...)
+    const weekAgo = new Date(Date.now() - TREND_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const weekAgoSnapshot = await getSnapshotAsOf(projectId, weekAgo);
+    const recentChanges = weekAgoSnapshot ? diffProjects(weekAgoSnapshot.project, projectData) : null;
+
+    // Drift from the approved plan (dates, durations, line allocations, milestones)
+    const variance = computeVariance(projectData);
+
+    const systemPrompt = `You are a Project Analysis Agent that evaluates project completeness and identifies gaps.
 
 Your role:
 - Analyze project scope, tasks, budget, and timeline for completeness
 - Identify missing elements or potential issues
-- Assess project health and readiness
+- Explain the computed health scores and readiness
+- Explain cost and schedule performance from the earned value numbers
 - Provide recommendations for improvement
 
 Current project: ${projectData.name}
@@ -39,11 +73,35 @@ Project tasks: ${JSON.stringify(projectData.tasks, null, 2)}
 Project budget: ${JSON.stringify(projectData.budget, null, 2)}
 Project issues: ${JSON.stringify(projectData.issues, null, 2)}
 
-Analyze the project and respond with JSON:
+Earned value as of ${earnedValue.asOf} (computed - use these numbers, don't estimate your own):
+${JSON.stringify({ ...earnedValue, tasks: undefined }, null, 2)}
+Completion: ${completeness}%${earnedValue.percentComplete === null ? ' (by task duration - no cost allocations)' : ' (earned value / budget at completion)'}
+
+Reading the indices: CPI < 1 means over cost, SPI < 1 means behind schedule;
+EAC is the forecast total cost, ETC what is still to be spent.
+
+Health scores (computed, 0-100 - explain them, don't re-score):
+Overall ${health.overall}/100 (${health.rating}), readiness ${health.readiness}
+${Object.entries(health.dimensions).map(([name, dimension]) =>
+  `- ${name}: ${dimension.score ?? 'n/a'} (${dimension.rating})${dimension.findings.length ? ` - ${dimension.findings.join('; ')}` : ''}`
+).join('\n')}
+${trend ? `Change since ${trend.since}: ${JSON.stringify({ ...trend, since: undefined })}` : 'No earlier health record to compare with.'}
+
+${recentChanges
+  ? `Changes since last week (version ${recentChanges.fromVersion}, ${recentChanges.fromDate}):\n${recentChanges.summary.length ? recentChanges.summary.map(line => `- ${line}`).join('\n') : '- No changes'}`
+  : 'No version from a week ago to compare with.'}
+
+${variance
+  ? `Variance from approved baseline #${variance.baselineNumber} (${variance.approvedAt}):\n${describeVariance(variance).join('\n')}`
+  : 'No approved baseline to compare with.'}
+
+Base the gaps, risks and recommendations on these findings, and mention the
+trend (e.g. "3 tasks slipped since last week") and the drift from the baseline
+when there are changes.
+
+Analyze the project and report it by calling the report_analysis tool, for example:
 {
   "analysis": {
-    "completeness": "percentage complete",
-    "readiness": "high|medium|low",
     "gaps": [
       {
         "category": "scope|tasks|budget|timeline|team",
@@ -57,35 +115,39 @@ Analyze the project and respond with JSON:
     "recommendations": ["next steps"]
   },
   "reasoning": "analysis rationale"
-}
-
-CRITICAL: Respond with ONLY valid JSON. No explanatory text before or after.`;
-
-  const lastUserMessage = messages[messages.length - 1];
+}`;
 
-  try {
-    const response = await model.invoke([
-      { role: "system", content: systemPrompt },
-      { role: "user", content: lastUserMessage.content },
-    ]);
-
-    // Parse response
     let analysisData;
     try {
-      analysisData = parseResponseContent(response);
+      ({ data: analysisData } = await invokeWithSchema(model, [
+        { role: "system", content: withConversationSummary(systemPrompt, state.conversationSummary) },
+        ...conversationForModel(messages),
+      ], analyzerOutputSchema, 'analyzer', 'report_analysis'));
     } catch (e) {
+      if (!(e instanceof AgentOutputError)) throw e;
       console.error("Failed to parse analyzer response:", e);
       return {
         ...state,
         error: "Failed to parse analysis data",
-        rawResponse: response.content,
+        rawResponse: e.raw,
         next_agent: "end"
       };
     }
 
+    analysisData.analysis = {
+      ...analysisData.analysis,
+      completeness,
+      readiness: health.readiness,
+      health,
+      healthTrend: trend,
+      recentChanges,
+      variance,
+      earnedValue
+    };
+
     return {
       ...state,
-      messages: [...messages, { role: "assistant", content: response.content }],
+      messages: [...messages, { role: "assistant", content: analysisData.reasoning }],
       projectData: projectData,
       analysis: analysisData.analysis,
       reasoning: analysisData.reasoning,
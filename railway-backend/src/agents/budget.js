@@ -3,7 +3,17 @@
 
 import { ChatAnthropic } from "@langchain/anthropic";
 import { getProjectData, saveProjectData } from '../data/projectData.js';
-import { parseResponseContent } from './parseResponse.js';
+import { invokeWithSchema, AgentOutputError } from './parseResponse.js';
+import { budgetOutputSchema } from './schemas.js';
+import { conversationForModel, withConversationSummary } from './memory.js';
+import { applyBudgetIntents, describeBudgetChanges, recalculateBudget, syncBudgetIssues } from '../finance/budgetLedger.js';
+import { foldExpenses, describeTransaction, lastTransactionNumber } from '../finance/expenseLedger.js';
+import { DEFAULT_CURRENCY } from '../finance/currency.js';
+import { loadExpenseLedger, appendExpenseEntries, reserveTransactionIds } from '../data/expenseStore.js';
+import { addToRegister, filterRegister, describeEntry } from '../analysis/issueRegister.js';
+
+// Most recent transactions shown to the model (so it can correct or void them)
+const PROMPT_TRANSACTIONS = 20;
 
 const model = new ChatAnthropic({
   modelName: "claude-3-5-haiku-20241022",
@@ -24,98 +34,130 @@ export async function budgetAgent(state) {
     };
   }
 
+  // Spending comes from the expense ledger - budgets from before it get opening entries
+  const { entries, opening } = await loadExpenseLedger(projectId, projectData.budget);
+  const transactions = foldExpenses(entries);
+
   const systemPrompt = `You are a Budget Management Agent.
 
 Your role:
-- Track project budget vs actual spending
-- Update budget line items
-- Calculate remaining budget
-- Flag cost overruns as issues
+- Turn budget requests into budget changes (intents)
+- Record each expense as its own transaction (date, vendor, task, currency)
+- Maintain the project's exchange-rate table
+- Allocate line item budget to tasks (used for earned value tracking)
+- List, correct or void recorded expenses
+- Answer questions about budget vs actual spending
 - Provide budget status reports
 
+You never calculate totals yourself: spent and remaining amounts are computed
+from your intents, expenses against unknown categories are rejected, and
+overruns are flagged automatically.
+
 Current project: ${projectData.name}
-Current budget: ${JSON.stringify(projectData.budget, null, 2)}
-Current issues: ${JSON.stringify(projectData.issues, null, 2)}
+Current budget: ${JSON.stringify(recalculateBudget(projectData.budget || {}, transactions), null, 2)}
+Tasks: ${JSON.stringify((projectData.tasks || []).map(task => ({ id: task.id, title: task.title, status: task.status })))}
+Recent expenses (newest last):
+${transactions.slice(-PROMPT_TRANSACTIONS).map(transaction => describeTransaction(transaction)).join('\n') || '(none)'}
+Open issues and risks:
+${filterRegister(projectData.issues).map(describeEntry).join('\n') || '(none)'}
+
+The budget is kept in its base currency (${projectData.budget?.currency || DEFAULT_CURRENCY}). Expenses can be in any ISO
+currency - give the amount as paid with its currency and it is converted with
+the rate table (latest rate effective on the expense date) when recorded. Pass
+exchangeRate only when the user states the rate used.
+
+Intents:
+- {"type": "set_total", "amount": 100000}
+- {"type": "set_base_currency", "currency": "EUR"}
+- {"type": "set_exchange_rate", "currency": "GBP", "rate": 1.27, "effectiveDate": "2025-01-01"}
+- {"type": "add_line_item", "category": "Marketing", "allocated": 20000, "description": "..."}
+- {"type": "set_allocation", "category": "Marketing", "allocated": 25000}
+- {"type": "reallocate", "fromCategory": "Marketing", "toCategory": "Software", "amount": 5000}
+- {"type": "allocate_task_cost", "taskId": "task_3", "category": "Software", "amount": 8000}
+- {"type": "record_expense", "category": "Software", "amount": 15000, "currency": "EUR", "date": "2025-01-20", "vendor": "Acme", "taskId": "task_3", "description": "Inventory software"}
+- {"type": "correct_expense", "transactionId": "txn_4", "changes": {"amount": 1500}, "reason": "Typo"}
+- {"type": "void_expense", "transactionId": "txn_4", "reason": "Duplicate"}
+- {"type": "list_expenses", "category": "Software", "limit": 10, "view": "original"}
 
 Handle requests like:
-- "Set total budget to $100k"
-- "We spent $15k on inventory software"
-- "How much budget is left?"
-- "Add budget line item for marketing: $20k"
-
-Respond with JSON:
+- "Set total budget to $100k" → set_total
+- "We spent $15k on inventory software" → record_expense against the matching existing category
+- "How much budget is left?" → no intents, answer in analysis
+- "Add budget line item for marketing: $20k" → add_line_item
+- "Move $5k from marketing to software" → reallocate
+- "That $1,200 was actually $1,500" → correct_expense on the matching transaction
+- "Remove the duplicate Acme charge" → void_expense
+- "Show me the marketing expenses" → list_expenses (the list is added to your reply)
+- "We paid £2,000 to the Leeds venue" → record_expense with currency "GBP"
+- "Use 1.08 for EUR from March 1st" → set_exchange_rate
+- "Budget $8k of software for the inventory setup task" → allocate_task_cost
+
+Recorded expenses are never edited in place - corrections and voids are kept
+as history.
+
+If an expense doesn't fit any existing category, don't invent one - ask which
+category to use, or add a line item only if the user asked for one.
+
+Record the result by calling the update_budget tool, for example:
 {
-  "budget": {
-    "total": 100000,
-    "spent": 15000,
-    "remaining": 85000,
-    "currency": "USD",
-    "lineItems": [
-      {
-        "id": "budget_1",
-        "category": "Category",
-        "allocated": 30000,
-        "spent": 15000,
-        "description": "Description"
-      }
-    ]
-  },
-  "newIssues": [
-    {
-      "id": "issue_x",
-      "type": "budget_overrun",
-      "severity": "high",
-      "title": "Budget exceeded",
-      "description": "Category X is $5k over budget",
-      "flaggedBy": "budget_agent",
-      "flaggedAt": "2025-01-20T10:30:00Z",
-      "resolved": false,
-      "impact": "Overall project budget at risk"
-    }
+  "intents": [
+    { "type": "record_expense", "category": "Software", "amount": 15000, "description": "Inventory software" }
   ],
+  "newIssues": [],
   "analysis": "budget status summary"
-}
-
-CRITICAL: Respond with ONLY valid JSON. No text before or after.`;
-
-  const lastUserMessage = messages[messages.length - 1];
+}`;
 
   try {
-    const response = await model.invoke([
-      { role: "system", content: systemPrompt },
-      { role: "user", content: lastUserMessage.content },
-    ]);
-
-    // Parse response
     let budgetData;
     try {
-      budgetData = parseResponseContent(response);
+      ({ data: budgetData } = await invokeWithSchema(model, [
+        { role: "system", content: withConversationSummary(systemPrompt, state.conversationSummary) },
+        ...conversationForModel(messages),
+      ], budgetOutputSchema, 'budget', 'update_budget'));
     } catch (e) {
+      if (!(e instanceof AgentOutputError)) throw e;
       console.error("Failed to parse budget response:", e);
       return {
         ...state,
         error: "Failed to parse budget data",
-        rawResponse: response.content,
+        rawResponse: e.raw,
         next_agent: "end"
       };
     }
 
-    // Update project budget
-    if (budgetData.budget) {
-      projectData.budget = budgetData.budget;
-    }
-
-    // Add new issues if any
-    if (budgetData.newIssues && budgetData.newIssues.length > 0) {
-      projectData.issues = [...projectData.issues, ...budgetData.newIssues];
-    }
-
-    // Save updated project
+    // The ledger applies the intents and does the arithmetic. New expenses take
+    // IDs reserved up front, so a concurrent run can't record the same one
+    const sourceMessage = conversationForModel(messages).at(-1)?.content || null;
+    const expenseCount = budgetData.intents.filter(intent => intent.type === 'record_expense').length;
+    const transactionIds = await reserveTransactionIds(projectId, expenseCount, lastTransactionNumber(entries));
+    const ledger = applyBudgetIntents(projectData.budget || {}, budgetData.intents, {
+      entries,
+      meta: { recordedBy: userId, sourceMessage },
+      tasks: projectData.tasks || [],
+      transactionIds
+    });
+    projectData.budget = ledger.budget;
+    budgetData.budget = ledger.budget;
+    budgetData.applied = ledger.applied;
+    budgetData.rejected = ledger.rejected;
+    budgetData.transactions = ledger.listings.flatMap(listing => listing.transactions);
+    budgetData.analysis = `${budgetData.analysis}\n\n${describeBudgetChanges(ledger)}`;
+
+    console.log(`💰 Budget: ${ledger.applied.length} intent(s) applied, ${ledger.rejected.length} rejected`);
+
+    // Overruns come from the ledger's numbers, not the model; other concerns
+    // go through the register so a re-flagged one doesn't become a duplicate
+    const newIssues = (budgetData.newIssues || []).filter(issue => issue.type !== 'budget_overrun');
+    const register = addToRegister(projectData.issues || [], newIssues, { by: 'budget_agent' });
+    projectData.issues = syncBudgetIssues(register.issues, projectData.budget);
+
+    // Save updated project and the new ledger entries
+    await appendExpenseEntries(projectId, ledger.newEntries, { opening });
     await saveProjectData(projectId, projectData);
 
     return {
       ...state,
-      messages: [...messages, { role: "assistant", content: response.content }],
+      messages: [...messages, { role: "assistant", content: budgetData.analysis }],
       projectData: projectData,
       budgetData: budgetData,
       next_agent: "end"
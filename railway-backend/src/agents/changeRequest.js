@@ -0,0 +1,184 @@
+// railway-backend/src/agents/changeRequest.js
+// Change Request Agent - Proposes changes to an approved scope, presents their
+// computed impact for approval and applies them once approved; also sets a new
+// baseline on request
+
+import { ChatAnthropic } from "@langchain/anthropic";
+import { getProjectData, saveProjectData } from '../data/projectData.js';
+import { invokeWithSchema, AgentOutputError } from './parseResponse.js';
+import { changeRequestOutputSchema } from './schemas.js';
+import { conversationForModel, withConversationSummary } from './memory.js';
+import { getExpenseEntries } from '../data/expenseStore.js';
+import {
+  proposeChangeRequest,
+  decideChangeRequest,
+  describeImpact,
+  pendingChangeRequests,
+  ChangeRequestError
+} from '../analysis/changeControl.js';
+import { ensureBaseline, captureBaseline } from '../analysis/baseline.js';
+import { computeVariance, describeVariance } from '../analysis/variance.js';
+
+// Most recent change-log entries shown to the model
+const PROMPT_CHANGE_LOG = 5;
+
+const model = new ChatAnthropic({
+  modelName: "claude-3-5-haiku-20241022",
+  temperature: 0,
+  anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+});
+
+export async function changeRequestAgent(state) {
+  const { messages, projectId, userId } = state;
+
+  // Load current project data
+  let projectData = await getProjectData(projectId);
+  if (!projectData) {
+    console.error(`Project ${projectId} not found`);
+    return {
+      ...state,
+      error: "Project not found"
+    };
+  }
+
+  const hadBaseline = Boolean(projectData.baseline);
+  const baseline = ensureBaseline(projectData);
+  const pending = pendingChangeRequests(projectData);
+
+  const systemPrompt = `You are a Change Control Agent for a project whose scope is already approved.
+
+Your role:
+- Turn a requested change to scope, stages, tasks, milestones, budget or timeline into a change request
+- Approve, reject or withdraw a pending change request when the user decides
+- Set a new baseline when the user explicitly asks to re-baseline the current plan
+- Answer questions about pending requests, the change log and the approved baseline
+
+You never apply changes yourself. A proposed change is applied to a copy of the
+plan and its impact (stages, tasks, budget, end date, milestones, new issues) is
+computed and shown to the user, who must approve it before anything changes.
+On approval the changes are applied, logged, and become the new approved baseline.
+
+Current project: ${projectData.name}
+Scope: ${JSON.stringify(projectData.scope, null, 2)}
+Stages: ${JSON.stringify((projectData.stages || []).map(({ id, name, order, status }) => ({ id, name, order, status })))}
+Tasks: ${JSON.stringify((projectData.tasks || []).map(({ id, stageId, title, status, durationDays, dependencies, milestoneId }) => ({ id, stageId, title, status, durationDays, dependencies, milestoneId })))}
+Milestones: ${JSON.stringify((projectData.timeline?.milestones || []).map(({ id, name, targetDate, stageId }) => ({ id, name, targetDate, stageId })))}
+Budget: ${JSON.stringify({ total: projectData.budget?.total, currency: projectData.budget?.currency, lineItems: (projectData.budget?.lineItems || []).map(({ category, allocated, spent }) => ({ category, allocated, spent })) })}
+Forecast end: ${projectData.schedule?.projectEnd || 'not scheduled'}
+Approved baseline: ${baseline ? `#${baseline.number} from ${baseline.approvedAt}${baseline.changeRequestId ? ` (${baseline.changeRequestId})` : ''}` : 'none yet'}
+Variance from baseline:
+${describeVariance(computeVariance(projectData)).join('\n')}
+Pending change requests:
+${pending.map(request => `${request.id} "${request.title}" (requested ${request.requestedAt})\n${describeImpact(request.impact)}`).join('\n\n') || '(none)'}
+Recent changes:
+${(projectData.changeLog || []).slice(-PROMPT_CHANGE_LOG).map(entry => `${entry.id} ${entry.appliedAt}: ${entry.title}`).join('\n') || '(none)'}
+
+Changes you can propose (only include what changes):
+- scope: { description, objectives, deliverables, outOfScope, successCriteria } - full new lists
+- targetEndDate, budgetTotal
+- lineItems: [{ category, allocated }] - new allocations (unknown categories are added)
+- addStages: [{ name, afterStageId }], removeStageIds (stages without started work)
+- addTasks: [{ stageId, title, durationDays, dependencies, role, milestoneId }]
+- removeTaskIds (not-started tasks), taskChanges: [{ id, durationDays, title, dependencies, ... }]
+- addMilestones: [{ name, targetDate, stageId }], milestoneChanges: [{ id, targetDate, name }]
+
+Handle requests like:
+- "Add a mobile app to the deliverables" → propose: new deliverables list, a stage or tasks for the work, extra budget if the user gave one
+- "Push the launch to March 15" → propose: targetEndDate (and the matching milestone's targetDate)
+- "Cut the marketing stage" → propose: removeStageIds
+- "Yes, approve it" / "approve CR 2" with a pending request → approve that changeRequestId
+- "No, drop that change" → reject (withdraw when the requester takes it back)
+- "Set a new baseline" / "re-baseline the plan as it is now" → set_baseline with the reason
+- "What changed since the original plan?" → none, answer from the change log and the variance
+
+Record the result by calling the change_request tool, for example:
+{
+  "request": {
+    "action": "propose",
+    "title": "Add mobile app",
+    "description": "Customer asked for an iOS/Android companion app",
+    "changes": {
+      "scope": { "deliverables": ["Website", "Online store", "Mobile app"] },
+      "addTasks": [{ "stageId": "stage_3", "title": "Build mobile app", "durationDays": 15, "dependencies": ["task_8"] }],
+      "budgetTotal": 55000
+    }
+  },
+  "reply": "Here's the impact of adding the mobile app - reply 'approve' to apply it."
+}`;
+
+  try {
+    let changeData;
+    try {
+      ({ data: changeData } = await invokeWithSchema(model, [
+        { role: "system", content: withConversationSummary(systemPrompt, state.conversationSummary) },
+        ...conversationForModel(messages),
+      ], changeRequestOutputSchema, 'changeRequest', 'change_request'));
+    } catch (e) {
+      if (!(e instanceof AgentOutputError)) throw e;
+      console.error("Failed to parse change request response:", e);
+      return {
+        ...state,
+        error: "Failed to parse change request",
+        rawResponse: e.raw,
+        next_agent: "end"
+      };
+    }
+
+    // Impact and application are computed here - the model only describes the change
+    const { request } = changeData;
+    const entries = await getExpenseEntries(projectId, projectData.budget);
+    try {
+      if (request.action === 'propose') {
+        changeData.changeRequest = proposeChangeRequest(projectData, request, { requestedBy: userId, entries });
+        changeData.reply = `${changeData.reply}\n\n**${changeData.changeRequest.id}: ${request.title}**\n${describeImpact(changeData.changeRequest.impact)}\n\nReply "approve" to apply this change or "reject" to drop it.`;
+      } else if (request.action === 'set_baseline') {
+        if (!projectData.scope?.description) {
+          throw new ChangeRequestError('the scope is not approved yet, so there is no plan to baseline');
+        }
+        const previous = projectData.baseline?.number;
+        captureBaseline(projectData, { approvedBy: userId, reason: request.reason || 'Re-baselined on request' });
+        changeData.reply = `${changeData.reply}\n\nBaseline #${projectData.baseline.number} set from the current plan${previous ? ` (replaces #${previous})` : ''}.`;
+      } else if (request.action !== 'none') {
+        changeData.changeRequest = decideChangeRequest(projectData, request.changeRequestId, request.action, {
+          decidedBy: userId,
+          note: request.note,
+          entries
+        });
+        if (changeData.changeRequest.status === 'approved') {
+          const logged = projectData.changeLog.at(-1);
+          changeData.reply = `${changeData.reply}\n\n${changeData.changeRequest.id} applied - baseline #${projectData.baseline.number} is now the approved plan.\n${logged.summary}`;
+        }
+      }
+    } catch (e) {
+      if (!(e instanceof ChangeRequestError)) throw e;
+      console.error("Change request rejected:", e.message);
+      const reply = `I couldn't do that: ${e.message}${e.errors?.length ? `\n${e.errors.map(error => `- ${error}`).join('\n')}` : ''}`;
+      return {
+        ...state,
+        messages: [...messages, { role: "assistant", content: reply }],
+        changeRequestData: { ...changeData, reply },
+        next_agent: "end"
+      };
+    }
+
+    if (request.action !== 'none' || !hadBaseline) {
+      await saveProjectData(projectId, projectData);
+    }
+
+    return {
+      ...state,
+      messages: [...messages, { role: "assistant", content: changeData.reply }],
+      projectData: projectData,
+      changeRequestData: changeData,
+      next_agent: "end"
+    };
+
+  } catch (error) {
+    console.error("Change request agent error:", error);
+    return {
+      ...state,
+      error: error.message,
+      next_agent: "end"
+    };
+  }
+}
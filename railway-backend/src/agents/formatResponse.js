@@ -0,0 +1,91 @@
+// railway-backend/src/agents/formatResponse.js
+// Turns the final workflow state into the assistant reply shown in chat
+// Used by the job processors, the streaming route and conversation memory
+
+// Format AI response based on workflow results
+export function formatAiResponse(result) {
+  let aiResponse = "I've analyzed your request and processed it.";
+  
+  console.log(`🔍 Formatting AI response from result:`, {
+    hasScopeData: !!result.scopeData,
+    hasScope: !!result.scopeData?.scope,
+    hasResponseText: !!result.scopeData?.responseText,
+    hasStages: !!result.scopeData?.stages,
+    hasAnalysis: !!result.analysis,
+    hasDirectAnswer: !!result.direct_answer,
+    hasPlanReply: !!result.planReply,
+    hasAgentData: !!(result.schedulerData || result.updateData || result.budgetData || result.riskData || result.changeRequestData),
+    hasMessages: !!result.messages
+  });
+  
+  if (result.planReply) {
+    // Multi-step plan - one section per step that ran
+    aiResponse = result.planReply;
+  } else if (result.scopeData) {
+    // Check if we have a complete scope or just stages created
+    if (result.scopeData.scope) {
+      // Format a comprehensive response when scope is fully defined
+      const scope = result.scopeData.scope;
+      aiResponse = `✅ **Project Scope Defined**\n\n`;
+      
+      if (scope?.description) {
+        aiResponse += `**Overview:** ${scope.description}\n\n`;
+      }
+      
+      if (scope?.objectives && scope.objectives.length > 0) {
+        aiResponse += `**Objectives:**\n${scope.objectives.map(obj => `• ${obj}`).join('\n')}\n\n`;
+      }
+      
+      if (scope?.deliverables && scope.deliverables.length > 0) {
+        aiResponse += `**Key Deliverables:**\n${scope.deliverables.map(del => `• ${del}`).join('\n')}\n\n`;
+      }
+      
+      if (scope?.budget) {
+        aiResponse += `**Budget:** ${scope.budget}\n\n`;
+      }
+      
+      if (scope?.timeline) {
+        aiResponse += `**Timeline:** ${scope.timeline.startDate} to ${scope.timeline.targetEndDate}\n\n`;
+      }
+      
+      if (result.scopeData.stages && result.scopeData.stages.length > 0) {
+        aiResponse += `**Project Stages:**\n${result.scopeData.stages.map((stage, idx) => 
+          `${idx + 1}. ${stage.name} (${stage.status})`
+        ).join('\n')}`;
+      }
+    } else if (result.scopeData.responseText) {
+      // Use the responseText when stages are created but scope not finalized
+      aiResponse = result.scopeData.responseText;
+    } else if (result.scopeData.stages && result.scopeData.stages.length > 0) {
+      // Fallback: format stages if no responseText
+      aiResponse = `**Project Stages Created:**\n${result.scopeData.stages.map((stage, idx) => 
+        `${idx + 1}. ${stage.name} (${stage.status})`
+      ).join('\n')}`;
+    }
+  } else if (result.analysis) {
+    aiResponse = result.analysis.summary || result.reasoning || "Project analysis completed.";
+  } else if (result.direct_answer) {
+    aiResponse = result.direct_answer;
+  } else if (result.budgetData?.analysis) {
+    aiResponse = result.budgetData.analysis;
+  } else if (result.riskData?.reply) {
+    aiResponse = result.riskData.reply;
+  } else if (result.changeRequestData?.reply) {
+    aiResponse = result.changeRequestData.reply;
+  } else if (result.updateData?.reasoning) {
+    aiResponse = result.updateData.reasoning;
+  } else if (result.schedulerData?.reasoning) {
+    aiResponse = result.schedulerData.reasoning;
+  } else if (result.reasoning) {
+    aiResponse = result.reasoning;
+  } else if (result.messages && result.messages.length > 0) {
+    const lastMsg = result.messages[result.messages.length - 1];
+    if (lastMsg.role === 'assistant' && typeof lastMsg.content === 'string' && lastMsg.content) {
+      aiResponse = lastMsg.content;
+    }
+  }
+  
+  console.log(`🎯 Final formatted aiResponse (${aiResponse.length} chars):`, aiResponse.substring(0, 100) + '...');
+  
+  return aiResponse;
+}
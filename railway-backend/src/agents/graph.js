@@ -7,6 +7,9 @@ import { scopeAgent } from "./scope.js";
 import { schedulerAgent } from "./scheduler.js";
 import { taskUpdaterAgent } from "./taskUpdater.js";
 import { budgetAgent } from "./budget.js";
+import { riskAgent } from "./risk.js";
+import { changeRequestAgent } from "./changeRequest.js";
+import { loadConversation, recordConversationTurn } from "./memory.js";
 
 // Define the state structure
 const graphState = {
@@ -50,10 +53,40 @@ const graphState = {
     value: (x, y) => y ?? x,
     default: () => null,
   },
+  riskData: {
+    value: (x, y) => y ?? x,
+    default: () => null,
+  },
+  changeRequestData: {
+    value: (x, y) => y ?? x,
+    default: () => null,
+  },
+  // Multi-step plan { steps, dropped, current, results, done } and its combined reply
+  plan: {
+    value: (x, y) => y ?? x,
+    default: () => null,
+  },
+  planReply: {
+    value: (x, y) => y ?? x,
+    default: () => null,
+  },
+  // Agent hops taken this run - capped by the supervisor
+  hops: {
+    value: (x, y) => y ?? x,
+    default: () => 0,
+  },
   reasoning: {
     value: (x, y) => y ?? x,
     default: () => "",
   },
+  direct_answer: {
+    value: (x, y) => y ?? x,
+    default: () => null,
+  },
+  conversationSummary: {
+    value: (x, y) => y ?? x,
+    default: () => null,
+  },
   error: {
     value: (x, y) => y ?? x,
     default: () => null,
@@ -72,6 +105,8 @@ workflow.addNode("scope", scopeAgent);
 workflow.addNode("scheduler", schedulerAgent);
 workflow.addNode("taskUpdater", taskUpdaterAgent);
 workflow.addNode("budget", budgetAgent);
+workflow.addNode("risk", riskAgent);
+workflow.addNode("changeRequest", changeRequestAgent);
 
 // Add end node that preserves state
 workflow.addNode("end", (state) => {
@@ -99,7 +134,7 @@ function routeFromSupervisor(state) {
   }
   
   // Validate it's a known agent
-  const validAgents = ["analyzer", "scope", "scheduler", "taskUpdater", "budget"];
+  const validAgents = ["analyzer", "scope", "scheduler", "taskUpdater", "budget", "risk", "changeRequest"];
   if (!validAgents.includes(nextAgent)) {
     console.log(`⚠️ Unknown agent: ${nextAgent}, ending workflow`);
     return "end";
@@ -113,6 +148,12 @@ function routeFromAgent(state) {
   const nextAgent = state.next_agent;
   
   console.log(`🔀 Routing from agent, next_agent: ${nextAgent}`);
+
+  // Steps of a plan always hand back to the supervisor, which runs the next one
+  if (state.plan && !state.plan.done) {
+    console.log(`🗺️ Plan step done, returning to supervisor`);
+    return "supervisor";
+  }
   
   // If agent says to end, end immediately
   if (!nextAgent || nextAgent === "end") {
@@ -146,6 +187,14 @@ workflow.addConditionalEdges("budget", routeFromAgent, {
   supervisor: "supervisor",
   end: "end",
 });
+workflow.addConditionalEdges("risk", routeFromAgent, {
+  supervisor: "supervisor",
+  end: "end",
+});
+workflow.addConditionalEdges("changeRequest", routeFromAgent, {
+  supervisor: "supervisor",
+  end: "end",
+});
 
 // Supervisor routes to agents or ends
 workflow.addConditionalEdges("supervisor", routeFromSupervisor, [
@@ -154,6 +203,8 @@ workflow.addConditionalEdges("supervisor", routeFromSupervisor, [
   "scheduler",
   "taskUpdater",
   "budget",
+  "risk",
+  "changeRequest",
   "end",
 ]);
 
@@ -164,18 +215,45 @@ workflow.setEntryPoint("supervisor");
 export const pmGraph = workflow.compile();
 
 // Helper function to run the graph
-export async function runPMWorkflow(userQuery, projectId, userId) {
+// options.onNodeComplete(nodeName, update) is called as each node finishes
+// Recent chat history and the summary of older turns are passed in,
+// and the turn is saved back once the run ends
+export async function runPMWorkflow(userQuery, projectId, userId, options = {}) {
+  const { onNodeComplete } = options;
+
   console.log(`🚀 Starting workflow for project: ${projectId}, user: ${userId}`);
   
+  const { messages, conversationSummary } = await loadConversation(userId, projectId, userQuery);
+
   const initialState = {
-    messages: [{ role: "user", content: userQuery }],
+    messages,
+    conversationSummary,
     projectId: projectId,
     userId: userId,
   };
 
-  const result = await pmGraph.invoke(initialState);
+  let result = initialState;
+
+  const stream = await pmGraph.stream(initialState, {
+    streamMode: ["updates", "values"],
+  });
+
+  for await (const [mode, chunk] of stream) {
+    if (mode === "values") {
+      result = chunk;
+      continue;
+    }
+
+    if (onNodeComplete) {
+      for (const [nodeName, update] of Object.entries(chunk)) {
+        await onNodeComplete(nodeName, update);
+      }
+    }
+  }
   
   console.log(`✅ Workflow complete`);
+
+  await recordConversationTurn(userId, projectId, userQuery, result);
   
   return result;
 }
\ No newline at end of file
@@ -0,0 +1,207 @@
+// railway-backend/src/agents/memory.js
+// Conversation memory - feeds recent chat history into each workflow run
+// and records the user turn plus the final assistant reply afterwards.
+// Older turns are compacted into a running summary once the raw history
+// outgrows its token budget.
+
+import { ChatAnthropic } from "@langchain/anthropic";
+import {
+  getChatHistory,
+  saveChatHistory,
+  getChatSummary,
+  saveChatSummary
+} from '../data/projectData.js';
+import { formatAiResponse } from './formatResponse.js';
+
+const summaryModel = new ChatAnthropic({
+  modelName: "claude-3-5-haiku-20241022",
+  temperature: 0,
+  anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+});
+
+// Raw history above this many (estimated) tokens is compacted into the summary
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET) || 4000;
+
+// Most recent messages always kept verbatim (user + assistant pairs)
+const KEEP_RAW_MESSAGES = parseInt(process.env.CHAT_HISTORY_KEEP_MESSAGES) || 8;
+
+const MAX_CONTEXT_MESSAGE_CHARS = 1500;
+
+// Safety cap on stored raw history if summarization keeps failing
+const MAX_STORED_MESSAGES = 200;
+
+const SUMMARY_PROMPT = `You maintain the running summary of a conversation between a user and a project management assistant about a single project.
+
+You will receive the current summary (possibly empty) and older conversation turns that are being removed from the verbatim history. Return an updated summary that merges both.
+
+KEEP:
+- What the user asked for and what the assistant did or proposed
+- Decisions, approvals and rejections
+- Dates, amounts, names, task and stage titles
+- Numbered or listed options the assistant offered, with their numbers, so follow-ups like "the second one" still resolve
+- Open questions still waiting on the user
+
+DROP small talk and anything already superseded by a later decision.
+
+Write plain text, at most 300 words. Return ONLY the summary.`;
+
+// Rough token estimate - about 4 characters per token for English text
+function estimateTokens(messages) {
+  const chars = messages.reduce((total, entry) => total + (entry.content?.length || 0), 0);
+  return Math.ceil(chars / 4);
+}
+
+// Shorten long turns (e.g. a full scope write-up) to their opening
+function clipContent(content) {
+  if (content.length <= MAX_CONTEXT_MESSAGE_CHARS) {
+    return content;
+  }
+  return `${content.substring(0, MAX_CONTEXT_MESSAGE_CHARS)}… [truncated]`;
+}
+
+// The model expects the conversation to open with a user turn
+function dropLeadingAssistantTurns(messages) {
+  const trimmed = [...messages];
+  while (trimmed.length > 0 && trimmed[0].role !== 'user') {
+    trimmed.shift();
+  }
+  return trimmed;
+}
+
+/**
+ * Load the conversation for a new workflow run
+ * Returns the graph's initial messages (bounded, clipped history followed by
+ * the new user turn) and the running summary of older turns
+ */
+export async function loadConversation(userId, projectId, userQuery) {
+  let history = [];
+  let chatSummary = null;
+  try {
+    [history, chatSummary] = await Promise.all([
+      getChatHistory(userId, projectId),
+      getChatSummary(userId, projectId)
+    ]);
+  } catch (error) {
+    console.error(`⚠️ Could not load chat history for ${projectId}:`, error.message);
+  }
+
+  const clipped = history
+    .filter(entry => (entry.role === 'user' || entry.role === 'assistant') && typeof entry.content === 'string')
+    .map(entry => ({ role: entry.role, content: clipContent(entry.content) }));
+
+  // Newest first until the budget is spent - normally the whole compacted history fits
+  const recent = [];
+  let tokens = 0;
+  for (let i = clipped.length - 1; i >= 0; i--) {
+    tokens += estimateTokens([clipped[i]]);
+    if (tokens > HISTORY_TOKEN_BUDGET && recent.length >= KEEP_RAW_MESSAGES) break;
+    recent.unshift(clipped[i]);
+  }
+
+  const messages = dropLeadingAssistantTurns(recent);
+
+  console.log(`🧠 Loaded ${messages.length} history message(s) for ${projectId}${chatSummary ? ' + summary' : ''}`);
+
+  return {
+    messages: [...messages, { role: "user", content: userQuery }],
+    conversationSummary: chatSummary?.summary || null
+  };
+}
+
+/**
+ * Fold older turns into the running summary once the raw history is over budget
+ * Returns the history to store (the last KEEP_RAW_MESSAGES messages on success)
+ */
+async function compactHistory(userId, projectId, history) {
+  if (history.length <= KEEP_RAW_MESSAGES || estimateTokens(history) <= HISTORY_TOKEN_BUDGET) {
+    return history;
+  }
+
+  const recent = dropLeadingAssistantTurns(history.slice(-KEEP_RAW_MESSAGES));
+  const older = history.slice(0, history.length - recent.length);
+
+  try {
+    const previous = await getChatSummary(userId, projectId);
+    const transcript = older
+      .map(entry => `${entry.role.toUpperCase()}: ${clipContent(entry.content)}`)
+      .join('\n\n');
+
+    const response = await summaryModel.invoke([
+      { role: "system", content: SUMMARY_PROMPT },
+      {
+        role: "user",
+        content: `CURRENT SUMMARY:\n${previous?.summary || '(none yet)'}\n\nOLDER TURNS:\n${transcript}`
+      }
+    ]);
+
+    const summary = typeof response.content === 'string'
+      ? response.content
+      : response.content.map(block => block.text || '').join('');
+
+    await saveChatSummary(userId, projectId, {
+      summary: summary.trim(),
+      summarizedMessages: (previous?.summarizedMessages || 0) + older.length,
+      updatedAt: new Date().toISOString()
+    });
+
+    console.log(`🗜️ Summarized ${older.length} older message(s) for ${projectId}, keeping ${recent.length} verbatim`);
+    return recent;
+
+  } catch (error) {
+    console.error(`⚠️ Could not summarize chat history for ${projectId}:`, error.message);
+    return history.slice(-MAX_STORED_MESSAGES);
+  }
+}
+
+/**
+ * Append the user turn and the final assistant reply to stored history,
+ * compacting older turns into the summary when over budget
+ * Returns the assistant reply text
+ */
+export async function recordConversationTurn(userId, projectId, userQuery, result) {
+  const reply = formatAiResponse(result);
+
+  try {
+    const history = await getChatHistory(userId, projectId);
+    const timestamp = new Date().toISOString();
+
+    history.push(
+      { role: 'user', content: userQuery, timestamp },
+      { role: 'assistant', content: reply, timestamp }
+    );
+
+    const stored = await compactHistory(userId, projectId, history);
+    await saveChatHistory(userId, projectId, stored);
+    console.log(`🧠 Saved conversation turn for ${projectId} (${stored.length} messages)`);
+  } catch (error) {
+    console.error(`⚠️ Could not save chat history for ${projectId}:`, error.message);
+  }
+
+  return reply;
+}
+
+/**
+ * Add the running conversation summary to an agent's system prompt
+ */
+export function withConversationSummary(systemPrompt, conversationSummary) {
+  if (!conversationSummary) {
+    return systemPrompt;
+  }
+
+  return `${systemPrompt}
+
+EARLIER CONVERSATION (summary of turns no longer shown verbatim):
+${conversationSummary}`;
+}
+
+/**
+ * Conversation to send to a model: everything up to and including the latest
+ * user turn, so replies from agents earlier in this run aren't sent as a prefill
+ */
+export function conversationForModel(messages) {
+  let end = messages.length;
+  while (end > 0 && messages[end - 1].role !== 'user') {
+    end--;
+  }
+  return messages.slice(0, end);
+}
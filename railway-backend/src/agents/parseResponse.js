@@ -1,92 +1,80 @@
-// Helper function to parse LangChain response content
-// Handles both string and array content types
+// Helper functions to get validated structured output from the agents' models
+// Each agent declares its output as a zod schema; the model returns it as the
+// arguments of a forced tool call (withStructuredOutput) instead of free text
 
-export function parseResponseContent(response) {
-  try {
-    // Handle content as string or array
-    let contentText;
-    
-    if (typeof response.content === 'string') {
-      contentText = response.content;
-    } else if (Array.isArray(response.content)) {
-      if (response.content.length === 0) {
-        console.error("❌ Response content is empty array!");
-        throw new Error("Response content is empty array");
-      }
-      // Extract text from content blocks
-      contentText = response.content
-        .map(block => block.text || block.content || '')
-        .join('');
-      
-      if (!contentText) {
-        console.error("❌ Could not extract text from content blocks:", response.content);
-        throw new Error("Could not extract text from content array");
+import { ToolMessage } from "@langchain/core/messages";
+
+// How many times a reply that fails validation is sent back for repair
+const MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Thrown when a model reply still fails its schema after all repair attempts
+ * issues are the last validation errors, raw the last tool arguments (JSON)
+ */
+export class AgentOutputError extends Error {
+  constructor(agent, issues, raw) {
+    super(`${agent} output failed validation: ${issues.join('; ')}`);
+    this.name = 'AgentOutputError';
+    this.agent = agent;
+    this.issues = issues;
+    this.raw = raw;
+  }
+}
+
+// Turn zod issues into short lines the model can act on
+function describeIssues(error) {
+  return error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+}
+
+/**
+ * Invoke a model for structured output and validate it against a zod schema
+ * On failure the validation errors go back to the model as the tool result
+ * (up to MAX_REPAIR_ATTEMPTS times) before giving up with AgentOutputError
+ * Returns { data, response } - data is the schema's parsed output,
+ * response the raw AIMessage holding the tool call
+ */
+export async function invokeWithSchema(model, messages, schema, agent, toolName) {
+  const structuredModel = model.withStructuredOutput(schema, {
+    name: toolName,
+    includeRaw: true
+  });
+
+  let conversation = messages;
+  let problems = [];
+  let raw = '';
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const { raw: response, parsed } = await structuredModel.invoke(conversation);
+    const toolCall = response.tool_calls?.[0];
+
+    if (parsed) {
+      if (attempt > 0) {
+        console.log(`🔧 ${agent} output repaired after ${attempt} attempt(s)`);
       }
+      return { data: parsed, response };
+    }
+
+    // Re-run the schema to find out what was wrong
+    if (toolCall) {
+      raw = JSON.stringify(toolCall.args);
+      const result = schema.safeParse(toolCall.args);
+      problems = result.success ? ['Arguments could not be parsed'] : describeIssues(result.error);
     } else {
-      console.error("❌ Unexpected content type:", typeof response.content);
-      contentText = JSON.stringify(response.content);
+      problems = [`No ${toolName} tool call in the reply`];
     }
-    
-    console.log(`📦 Extracted content (${contentText.length} chars):`, contentText.substring(0, 200));
-    
-    // Remove markdown code blocks
-    let cleanContent = contentText
-      .replace(/```json\n?/g, "")
-      .replace(/```\n?/g, "")
-      .trim();
-    
-    // Fix common JavaScript object notation issues
-    cleanContent = fixJavaScriptObjectNotation(cleanContent);
-    
-    return JSON.parse(cleanContent);
-  } catch (error) {
-    console.error("Failed to parse response content:", error);
-    console.error("Response content type:", typeof response.content);
-    console.error("Response content:", response.content);
-    throw error;
-  }
-}
 
-function fixJavaScriptObjectNotation(content) {
-  // Fix JavaScript string concatenation in responseText
-  // Convert: responseText: "text" + '\n' + "more text"
-  // To: responseText: "text\nmore text"
-  
-  let fixed = content;
-  
-  // Handle responseText field with string concatenation
-  const responseTextMatch = fixed.match(/"responseText":\s*"([^"]*)"\s*\+\s*['"`]([^'"`]*)['"`]\s*\+\s*"([^"]*)"/);
-  if (responseTextMatch) {
-    const [, part1, part2, part3] = responseTextMatch;
-    const concatenatedText = part1 + part2 + part3;
-    fixed = fixed.replace(responseTextMatch[0], `"responseText": "${concatenatedText}"`);
-  }
-  
-  // Handle multiple string concatenations in responseText
-  const multiConcatenationMatch = fixed.match(/"responseText":\s*"([^"]*)"\s*\+\s*['"`]([^'"`]*)['"`]\s*\+\s*"([^"]*)"\s*\+\s*['"`]([^'"`]*)['"`]\s*\+\s*"([^"]*)"/);
-  if (multiConcatenationMatch) {
-    const [, part1, part2, part3, part4, part5] = multiConcatenationMatch;
-    const concatenatedText = part1 + part2 + part3 + part4 + part5;
-    fixed = fixed.replace(multiConcatenationMatch[0], `"responseText": "${concatenatedText}"`);
-  }
-  
-  // Handle even more complex concatenations (up to 8 parts)
-  const complexMatch = fixed.match(/"responseText":\s*"([^"]*)"\s*\+\s*['"`]([^'"`]*)['"`]\s*\+\s*"([^"]*)"\s*\+\s*['"`]([^'"`]*)['"`]\s*\+\s*"([^"]*)"\s*\+\s*['"`]([^'"`]*)['"`]\s*\+\s*"([^"]*)"\s*\+\s*['"`]([^'"`]*)['"`]\s*\+\s*"([^"]*)"/);
-  if (complexMatch) {
-    const [, part1, part2, part3, part4, part5, part6, part7, part8] = complexMatch;
-    const concatenatedText = part1 + part2 + part3 + part4 + part5 + part6 + part7 + part8;
-    fixed = fixed.replace(complexMatch[0], `"responseText": "${concatenatedText}"`);
+    console.warn(`⚠️ ${agent} output invalid (attempt ${attempt + 1}):`, problems);
+
+    const feedback = `The ${toolName} arguments were rejected:\n${problems.map(p => `- ${p}`).join('\n')}\n\nCall ${toolName} again with corrected arguments. Keep everything else the same.`;
+
+    conversation = [
+      ...messages,
+      response,
+      toolCall
+        ? new ToolMessage({ tool_call_id: toolCall.id, content: feedback })
+        : { role: "user", content: feedback }
+    ];
   }
-  
-  // Fix single quotes to double quotes in JSON
-  fixed = fixed.replace(/'/g, '"');
-  
-  // Fix unquoted property names
-  fixed = fixed.replace(/(\w+):/g, '"$1":');
-  
-  // Fix trailing commas before closing braces/brackets
-  fixed = fixed.replace(/,(\s*[}\]])/g, '$1');
-  
-  return fixed;
-}
 
+  throw new AgentOutputError(agent, problems, raw);
+}
@@ -0,0 +1,151 @@
+// railway-backend/src/agents/risk.js
+// Risk Agent - Manages the risk and issue register (raise, assign, mitigate, resolve)
+
+import { ChatAnthropic } from "@langchain/anthropic";
+import { getProjectData, saveProjectData } from '../data/projectData.js';
+import { invokeWithSchema, AgentOutputError } from './parseResponse.js';
+import { riskOutputSchema } from './schemas.js';
+import { conversationForModel, withConversationSummary } from './memory.js';
+import {
+  applyRegisterActions,
+  describeRegisterChanges,
+  describeEntry,
+  filterRegister,
+  normalizeRegister,
+  summarizeRegister
+} from '../analysis/issueRegister.js';
+import { today } from '../scheduling/calendar.js';
+
+// Closed entries shown to the model (so it can reopen them)
+const RECENTLY_CLOSED = 10;
+
+const model = new ChatAnthropic({
+  modelName: "claude-3-5-haiku-20241022",
+  temperature: 0,
+  anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+});
+
+export async function riskAgent(state) {
+  const { messages, projectId, userId } = state;
+
+  // Load current project data
+  let projectData = await getProjectData(projectId);
+  if (!projectData) {
+    console.error(`Project ${projectId} not found`);
+    return {
+      ...state,
+      error: "Project not found"
+    };
+  }
+
+  const register = normalizeRegister(projectData.issues || []);
+  const summary = summarizeRegister(register);
+
+  const systemPrompt = `You are a Risk & Issue Management Agent.
+
+Your role:
+- Raise new risks (might happen) and issues (have happened)
+- Score risks by probability and impact (1-5 each)
+- Assign owners, due dates and mitigation plans
+- Move entries through open → mitigating → resolved / accepted, or reopen them
+- Escalate entries and merge duplicates
+- Answer questions about the register
+
+You never change the register directly: emit actions and they are applied in
+order. Unknown IDs and invalid status moves are rejected. Severity of a scored
+risk is computed (score = probability × impact: 15+ critical, 10+ high, 5+ medium).
+Schedule overruns, delays, over-allocation and budget overruns are raised and
+resolved by the engines - you can still assign, mitigate, escalate or accept them.
+
+Current project: ${projectData.name}
+Today: ${today()}
+Team: ${JSON.stringify((projectData.team || []).map(member => ({ name: member.name, role: member.role })))}
+Tasks: ${JSON.stringify((projectData.tasks || []).map(task => ({ id: task.id, title: task.title, status: task.status })))}
+Register: ${summary.openIssues} open issue(s), ${summary.openRisks} open risk(s), ${summary.overdue} overdue, ${summary.unowned} without an owner
+Open entries:
+${filterRegister(register).map(describeEntry).join('\n') || '(none)'}
+Recently closed:
+${register.filter(entry => entry.resolved).sort((a, b) => (b.resolvedAt || '').localeCompare(a.resolvedAt || '')).slice(0, RECENTLY_CLOSED).map(describeEntry).join('\n') || '(none)'}
+
+Actions:
+- {"type": "add", "kind": "risk", "entryType": "vendor", "title": "Supplier may miss delivery", "description": "...", "probability": 3, "impactScore": 4, "owner": "Sarah", "dueDate": "2025-03-01", "mitigation": "Line up a second supplier"}
+- {"type": "add", "kind": "issue", "entryType": "blocker", "title": "Test server down", "severity": "high", "taskId": "task_7"}
+- {"type": "update", "id": "risk_2", "changes": {"owner": "Mike", "mitigation": "Weekly check-in with vendor"}}
+- {"type": "set_status", "id": "risk_2", "status": "mitigating", "note": "Backup supplier contacted"}
+- {"type": "set_status", "id": "issue_4", "status": "resolved", "note": "Server restored"}
+- {"type": "set_status", "id": "risk_3", "status": "accepted", "note": "Low impact, not worth mitigating"}
+- {"type": "escalate", "id": "issue_4", "note": "Blocking two tasks now"}
+- {"type": "merge", "id": "issue_6", "duplicateOf": "issue_4"}
+- {"type": "list", "kind": "risk", "overdue": true}
+
+Handle requests like:
+- "There's a risk the venue cancels" → add a risk, estimate probability and impact
+- "Sarah owns the supplier risk" → update owner
+- "We're working on the server problem" → set_status mitigating
+- "The hosting issue is fixed" → set_status resolved
+- "We'll live with the currency risk" → set_status accepted
+- "What risks are overdue?" → list with overdue true
+- "Issue 6 is the same as issue 4" → merge
+
+Record the result by calling the update_register tool, for example:
+{
+  "actions": [
+    { "type": "set_status", "id": "issue_4", "status": "resolved", "note": "Server restored" }
+  ],
+  "reply": "Marked the test server issue as resolved."
+}`;
+
+  try {
+    let riskData;
+    try {
+      ({ data: riskData } = await invokeWithSchema(model, [
+        { role: "system", content: withConversationSummary(systemPrompt, state.conversationSummary) },
+        ...conversationForModel(messages),
+      ], riskOutputSchema, 'risk', 'update_register'));
+    } catch (e) {
+      if (!(e instanceof AgentOutputError)) throw e;
+      console.error("Failed to parse risk response:", e);
+      return {
+        ...state,
+        error: "Failed to parse register actions",
+        rawResponse: e.raw,
+        next_agent: "end"
+      };
+    }
+
+    // Apply the actions deterministically - the model never edits entries itself
+    const result = applyRegisterActions(register, riskData.actions, { by: userId || 'risk_agent' });
+    projectData.issues = result.issues;
+    riskData.applied = result.applied;
+    riskData.rejected = result.rejected;
+    riskData.entries = result.listings.flat();
+    riskData.summary = summarizeRegister(result.issues);
+
+    const changes = describeRegisterChanges(result);
+    if (changes) {
+      riskData.reply = `${riskData.reply}\n\n${changes}`;
+    }
+
+    console.log(`🗂️ Register: ${result.applied.length} action(s) applied, ${result.rejected.length} rejected`);
+
+    if (result.applied.some(entry => entry.action.type !== 'list')) {
+      await saveProjectData(projectId, projectData);
+    }
+
+    return {
+      ...state,
+      messages: [...messages, { role: "assistant", content: riskData.reply }],
+      projectData: projectData,
+      riskData: riskData,
+      next_agent: "end"
+    };
+
+  } catch (error) {
+    console.error("Risk agent error:", error);
+    return {
+      ...state,
+      error: error.message,
+      next_agent: "end"
+    };
+  }
+}
@@ -3,7 +3,14 @@
 
 import { ChatAnthropic } from "@langchain/anthropic";
 import { getProjectData, saveProjectData } from '../data/projectData.js';
-import { parseResponseContent } from './parseResponse.js';
+import { invokeWithSchema, AgentOutputError } from './parseResponse.js';
+import { createSchedulerOutputSchema } from './schemas.js';
+import { applySchedule } from '../scheduling/schedule.js';
+import { mergeTaskPlan, describeTaskChanges } from '../scheduling/taskPlan.js';
+import { levelResources, describeLeveling } from '../scheduling/leveling.js';
+import { describeMilestones } from '../scheduling/milestones.js';
+import { completeBaselinePlan } from '../analysis/baseline.js';
+import { conversationForModel, withConversationSummary } from './memory.js';
 
 const model = new ChatAnthropic({
   modelName: "claude-3-5-haiku-20241022",
@@ -28,76 +35,124 @@ export async function schedulerAgent(state) {
 
 Your role:
 - Create concrete, actionable tasks under each project stage
-- Set realistic start and end dates
+- Add to or regenerate part of an existing plan without losing progress
+- Estimate a realistic duration in days for each task
 - Identify task dependencies (which tasks must complete before others)
 - Assign appropriate status to each task
+- Name the team role each task needs
 
 Current project: ${projectData.name}
-Project timeline: ${JSON.stringify(projectData.timeline, null, 2)}
+Project timeline: ${JSON.stringify(projectData.scope?.timeline || projectData.timeline, null, 2)}
 Project stages: ${JSON.stringify(projectData.stages, null, 2)}
 Current tasks: ${JSON.stringify(projectData.tasks, null, 2)}
+Team: ${JSON.stringify(projectData.team || [], null, 2)}
+Milestones: ${JSON.stringify((projectData.timeline?.milestones || []).map(({ id, name, targetDate, stageId }) => ({ id, name, targetDate, stageId })), null, 2)}
 
 Guidelines:
 - Break stages into 3-8 tasks each
 - Keep task durations realistic (few days to few weeks)
 - Use dependencies to show critical path
-- Task IDs: "task_1", "task_2", etc. (increment from existing)
+- Start and end dates are computed from durations and dependencies - don't set them
 - Status: "not_started", "in_progress", "completed", "blocked"
-
-Respond with JSON only:
+- Set "role" to one of the team's roles - unassigned tasks go to the least busy member with it
+- Set "assignedTo" only when the user names a person
+- Set "milestoneId" on the tasks that must be finished to reach a milestone
+  (its gating tasks), and size and order them so the milestone's target date holds.
+  Milestones without tagged tasks are gated by every task in their stage
+- Set "levelResources": true when the user asks to balance or level the workload
+  (non-critical tasks are delayed within their float, the end date doesn't move)
+
+Pick a mode:
+- "full": no tasks yet, or the user wants the whole plan redone
+- "stage": generate or regenerate the tasks of one stage (set stageId)
+- "append": add specific tasks (e.g. "add testing tasks to stage 3") and keep everything else
+In "full" and "stage" mode, not-started tasks you leave out are removed.
+Completed and in-progress tasks are always kept - don't repeat them.
+
+Task IDs:
+- New tasks: temporary IDs "new_1", "new_2", ... (real IDs are assigned for you)
+- Existing tasks: include one with its real ID only to keep or change it
+- Dependencies may point at existing task IDs or at temporary IDs
+
+Save the breakdown by calling the save_tasks tool, for example:
 {
+  "mode": "stage",
+  "stageId": "stage_1",
   "tasks": [
     {
-      "id": "task_1",
+      "id": "new_1",
       "stageId": "stage_1",
       "title": "Task title",
       "description": "What needs to be done",
       "status": "not_started",
-      "startDate": "2025-01-15",
-      "endDate": "2025-01-22",
+      "durationDays": 5,
       "dependencies": [],
       "assignedTo": null,
+      "role": "developer",
+      "milestoneId": "milestone_1",
       "completedAt": null
     }
   ],
+  "levelResources": false,
   "reasoning": "task breakdown logic"
-}
-
-CRITICAL: Respond with ONLY valid JSON. No text before or after.`;
-
-  const lastUserMessage = messages[messages.length - 1];
+}`;
 
   try {
-    const response = await model.invoke([
-      { role: "system", content: systemPrompt },
-      { role: "user", content: lastUserMessage.content },
-    ]);
-
-    // Parse response
     let schedulerData;
     try {
-      schedulerData = parseResponseContent(response);
+      ({ data: schedulerData } = await invokeWithSchema(model, [
+        { role: "system", content: withConversationSummary(systemPrompt, state.conversationSummary) },
+        ...conversationForModel(messages),
+      ], createSchedulerOutputSchema(projectData), 'scheduler', 'save_tasks'));
     } catch (e) {
+      if (!(e instanceof AgentOutputError)) throw e;
       console.error("Failed to parse scheduler response:", e);
       return {
         ...state,
         error: "Failed to parse scheduler data",
-        rawResponse: response.content,
+        rawResponse: e.raw,
         next_agent: "end"
       };
     }
 
-    // Update project tasks (append or replace based on context)
-    if (schedulerData.tasks) {
-      projectData.tasks = schedulerData.tasks;
+    // Merge into the existing tasks - progress outside the regenerated part is kept
+    const { tasks, added, changed, removed } = mergeTaskPlan(projectData.tasks || [], schedulerData);
+    projectData.tasks = tasks;
+    schedulerData.changes = { added, changed, removed };
+    schedulerData.reasoning = `${schedulerData.reasoning}\n\n${describeTaskChanges(schedulerData.changes)}`;
+
+    console.log(`📅 Scheduler (${schedulerData.mode}): +${added.length} ~${changed.length} -${removed.length} tasks`);
+
+    // Dates, float and the critical path come from the schedule engine, not the model
+    let schedule = applySchedule(projectData);
+
+    if (schedulerData.levelResources) {
+      const leveling = levelResources(projectData);
+      schedule = leveling.schedule;
+      schedulerData.leveling = { shiftedTasks: leveling.shiftedTasks, remaining: leveling.remaining };
+      schedulerData.reasoning = `${schedulerData.reasoning}\n\n${describeLeveling(leveling)}`;
+    } else if (schedule.overallocations.length > 0) {
+      const names = [...new Set(schedule.overallocations.map(entry => entry.name))];
+      schedulerData.reasoning = `${schedulerData.reasoning}\n\nOver-allocated: ${names.join(', ')} - ask me to level the workload or reassign tasks.`;
     }
 
+    const lateMilestones = schedule.milestones.filter(milestone => milestone.status === 'late');
+    if (lateMilestones.length > 0) {
+      schedulerData.reasoning = `${schedulerData.reasoning}\n\nMilestones at risk of slipping:\n${describeMilestones(lateMilestones)}`;
+    }
+
+    schedulerData.schedule = projectData.schedule;
+    schedulerData.tasks = schedule.tasks;
+
+    // The first task plan becomes part of the approved baseline
+    completeBaselinePlan(projectData);
+
     // Save updated project
     await saveProjectData(projectId, projectData);
 
     return {
       ...state,
-      messages: [...messages, { role: "assistant", content: response.content }],
+      messages: [...messages, { role: "assistant", content: schedulerData.reasoning }],
       projectData: projectData,
       schedulerData: schedulerData,
       next_agent: "end"
@@ -0,0 +1,476 @@
+// railway-backend/src/agents/schemas.js
+// Output schemas for each agent - sent to the model as the input schema of a
+// forced tool call, and every reply is validated against its agent's schema
+// before anything is written to the project
+
+import { z } from 'zod';
+import { findDependencyProblems } from '../scheduling/schedule.js';
+import { mergeTaskPlan, PLAN_MODES } from '../scheduling/taskPlan.js';
+import { ENTRY_KINDS, ENTRY_STATUSES } from '../analysis/issueRegister.js';
+
+// ============================================================================
+// SHARED PIECES
+// ============================================================================
+
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}/, 'must be an ISO date (YYYY-MM-DD)');
+
+export const WORK_STATUSES = ['not_started', 'in_progress', 'completed', 'blocked'];
+export const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+export const stageSchema = z.object({
+  id: z.string().min(1),
+  name: z.string().min(1),
+  order: z.number().int(),
+  status: z.enum(WORK_STATUSES)
+}).passthrough();
+
+export const taskSchema = z.object({
+  id: z.string().min(1),
+  stageId: z.string().min(1),
+  title: z.string().min(1),
+  description: z.string().default(''),
+  status: z.enum(WORK_STATUSES),
+  durationDays: z.number().int().positive().describe('Working time in days'),
+  // Dates are computed by the schedule engine from durations and dependencies
+  startDate: isoDate.optional(),
+  endDate: isoDate.optional(),
+  dependencies: z.array(z.string()).default([])
+    .describe('IDs of tasks that must finish before this one starts'),
+  assignedTo: z.string().nullable().default(null),
+  role: z.string().nullable().optional()
+    .describe('Team role the task needs - unassigned tasks are given to a member with this role'),
+  milestoneId: z.string().nullable().optional()
+    .describe('Milestone this task must finish for (a gating task)'),
+  completedAt: z.string().nullable().default(null)
+}).passthrough();
+
+// Tasks in scheduler output - no defaults, so an existing task echoed back only
+// changes the fields the model sent (mergeTaskPlan fills them in for new tasks)
+const plannedTaskSchema = taskSchema.extend({
+  description: z.string().optional(),
+  dependencies: z.array(z.string()).optional()
+    .describe('IDs of tasks that must finish before this one starts'),
+  assignedTo: z.string().nullable().optional(),
+  completedAt: z.string().nullable().optional()
+});
+
+// IDs, status and history are assigned by the issue register
+export const issueSchema = z.object({
+  id: z.string().optional(),
+  kind: z.enum(ENTRY_KINDS).default('issue').describe('issue = has happened, risk = might happen'),
+  type: z.string().min(1),
+  severity: z.enum(SEVERITIES),
+  title: z.string().min(1),
+  description: z.string(),
+  flaggedBy: z.string().optional(),
+  flaggedAt: z.string().optional(),
+  resolved: z.boolean().default(false),
+  impact: z.string().optional(),
+  taskId: z.string().optional().describe('Task the entry is about, if any')
+}).passthrough();
+
+// ============================================================================
+// AGENT OUTPUTS
+// ============================================================================
+
+export const ROUTABLE_AGENTS = ['scope', 'scheduler', 'taskUpdater', 'budget', 'risk', 'changeRequest', 'analyzer'];
+
+export const supervisorOutputSchema = z.object({
+  next_agent: z.enum([...ROUTABLE_AGENTS, 'end']),
+  reasoning: z.string().describe('Why this agent should handle the request'),
+  direct_answer: z.string().nullable().optional()
+    .describe('Answer for general questions routed to end'),
+  plan: z.array(z.object({
+    agent: z.enum(ROUTABLE_AGENTS),
+    instruction: z.string().min(1).describe('The part of the request this agent handles')
+  })).optional()
+    .describe('Only for requests needing several agents: the steps in order - next_agent is the first step')
+}).describe('Route the request to the agent that should handle it');
+
+export const scopeOutputSchema = z.object({
+  needsMoreInfo: z.boolean()
+    .describe('true while asking for info or approval, false once the user approved the stages'),
+  responseText: z.string().min(1).describe('Message shown to the user'),
+  reasoning: z.string().default(''),
+  parsedInfo: z.object({
+    projectType: z.string(),
+    timeline: z.string(),
+    budget: z.string()
+  }).optional(),
+  stages: z.array(stageSchema).optional(),
+  projectName: z.string().optional(),
+  scope: z.object({
+    description: z.string().min(1),
+    objectives: z.array(z.string()).default([]),
+    deliverables: z.array(z.string()).default([]),
+    outOfScope: z.array(z.string()).default([]),
+    successCriteria: z.array(z.string()).default([]),
+    budget: z.union([z.string(), z.number()]).optional()
+      .describe('Total budget with its ISO currency code, e.g. "USD 40,000" or "EUR 25,000"'),
+    timeline: z.object({
+      startDate: isoDate,
+      targetEndDate: isoDate
+    }).passthrough().optional()
+  }).passthrough().optional(),
+  milestones: z.array(z.object({
+    name: z.string().min(1),
+    targetDate: isoDate,
+    stageId: z.string().nullable().optional().describe('Stage the milestone closes'),
+    description: z.string().optional()
+  })).optional().describe('Key checkpoints with target dates, set when the scope is approved')
+}).superRefine((output, ctx) => {
+  // An approved scope must come with the scope itself and its stages
+  if (output.needsMoreInfo === false && !output.scope) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['scope'], message: 'required when needsMoreInfo is false' });
+  }
+  if (output.needsMoreInfo === false && !output.stages?.length) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['stages'], message: 'required when needsMoreInfo is false' });
+  }
+
+  // Milestones must close a proposed stage and fall inside the timeline
+  const stageIds = new Set((output.stages || []).map(stage => stage.id));
+  const timeline = output.scope?.timeline;
+  (output.milestones || []).forEach((milestone, index) => {
+    if (milestone.stageId && !stageIds.has(milestone.stageId)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['milestones', index, 'stageId'], message: `unknown stage ${milestone.stageId}` });
+    }
+    if (timeline && (milestone.targetDate < timeline.startDate || milestone.targetDate > timeline.targetEndDate)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['milestones', index, 'targetDate'],
+        message: `must be between ${timeline.startDate} and ${timeline.targetEndDate}`
+      });
+    }
+  });
+}).describe('Record the parsed project info, proposed stages or the approved scope');
+
+/**
+ * Scheduler output for a specific project - validated against the task list it
+ * would produce once merged into the project's existing tasks
+ */
+export function createSchedulerOutputSchema(projectData) {
+  const existingTasks = projectData.tasks || [];
+  const stageIds = new Set((projectData.stages || []).map(stage => stage.id));
+  const existingIds = new Set(existingTasks.map(task => task.id));
+  const roles = new Set((projectData.team || []).map(member => member.role.toLowerCase()));
+  const milestoneIds = new Set((projectData.timeline?.milestones || []).map(milestone => milestone.id));
+
+  return z.object({
+    mode: z.enum(PLAN_MODES).describe(
+      'append: add tasks and keep all existing ones; stage: (re)generate the tasks of stageId; full: (re)generate every stage'
+    ),
+    stageId: z.string().nullable().optional().describe('Stage being generated (required for stage mode)'),
+    tasks: z.array(plannedTaskSchema).describe('New tasks (temporary IDs like "new_1") and existing tasks to keep or change (their real IDs)'),
+    levelResources: z.boolean().default(false)
+      .describe('Shift non-critical tasks within their float so nobody has more work than their capacity'),
+    reasoning: z.string().describe('Task breakdown logic, shown to the user')
+  }).superRefine((output, ctx) => {
+    if (output.mode === 'stage' && !stageIds.has(output.stageId)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['stageId'], message: `must be one of: ${[...stageIds].join(', ')}` });
+    }
+
+    output.tasks.forEach((task, index) => {
+      if (stageIds.size > 0 && !stageIds.has(task.stageId)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['tasks', index, 'stageId'], message: `unknown stage ${task.stageId}` });
+      }
+      if (output.mode === 'stage' && !existingIds.has(task.id) && task.stageId !== output.stageId) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['tasks', index, 'stageId'], message: `new tasks must belong to ${output.stageId} in stage mode` });
+      }
+      if (task.role && roles.size > 0 && !roles.has(task.role.toLowerCase())) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['tasks', index, 'role'], message: `unknown role ${task.role} - team roles: ${[...roles].join(', ')}` });
+      }
+      if (task.milestoneId && !milestoneIds.has(task.milestoneId)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['tasks', index, 'milestoneId'], message: `unknown milestone ${task.milestoneId}` });
+      }
+    });
+
+    // The merged dependency graph must be schedulable
+    const { tasks, newIds } = mergeTaskPlan(existingTasks, output);
+    const { cycles, danglingDependencies } = findDependencyProblems(tasks);
+
+    // Report new tasks by the temporary IDs the model used
+    const temporaryIds = Object.fromEntries(Object.entries(newIds).map(([temporary, real]) => [real, temporary]));
+    const label = (id) => temporaryIds[id] || id;
+
+    for (const cycle of cycles) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['tasks'], message: `dependency cycle: ${cycle.map(label).join(' → ')}` });
+    }
+    for (const { taskId, dependencyId } of danglingDependencies) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['tasks'], message: `${label(taskId)} depends on unknown or removed task ${dependencyId}` });
+    }
+  }).describe('Save the task breakdown for the project stages');
+}
+
+// The budget agent only describes changes - amounts are applied by the budget ledger
+export const budgetIntentSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('set_total'),
+    amount: z.number().nonnegative()
+  }),
+  z.object({
+    type: z.literal('set_base_currency'),
+    currency: z.string().min(1).describe('ISO 4217 code - only before any expense is recorded')
+  }),
+  z.object({
+    type: z.literal('set_exchange_rate'),
+    currency: z.string().min(1).describe('ISO 4217 code'),
+    rate: z.number().positive().describe('Base-currency units per 1 unit of this currency'),
+    effectiveDate: isoDate.optional().describe('First day the rate applies (defaults to today)')
+  }),
+  z.object({
+    type: z.literal('add_line_item'),
+    category: z.string().min(1),
+    allocated: z.number().nonnegative(),
+    description: z.string().optional()
+  }),
+  z.object({
+    type: z.literal('set_allocation'),
+    category: z.string().min(1).describe('Existing line item category or id'),
+    allocated: z.number().nonnegative()
+  }),
+  z.object({
+    type: z.literal('reallocate'),
+    fromCategory: z.string().min(1),
+    toCategory: z.string().min(1),
+    amount: z.number().positive()
+  }),
+  z.object({
+    type: z.literal('allocate_task_cost'),
+    taskId: z.string().min(1),
+    category: z.string().min(1).describe('Line item the task is paid from'),
+    amount: z.number().nonnegative().describe('Budgeted cost of the task from this line item (0 removes it)')
+  }),
+  z.object({
+    type: z.literal('record_expense'),
+    category: z.string().min(1).describe('Existing line item category or id'),
+    amount: z.number().positive().describe('Amount as paid, in `currency`'),
+    currency: z.string().optional().describe('ISO 4217 code of the payment (defaults to the base currency)'),
+    exchangeRate: z.number().positive().optional().describe('Manual rate override - only when the user gives one'),
+    date: isoDate.optional().describe('When the money was spent (defaults to today)'),
+    vendor: z.string().optional(),
+    taskId: z.string().optional().describe('Task the expense belongs to'),
+    description: z.string().optional()
+  }),
+  z.object({
+    type: z.literal('correct_expense'),
+    transactionId: z.string().min(1),
+    changes: z.object({
+      amount: z.number().positive().optional().describe('Corrected amount as paid'),
+      currency: z.string().optional(),
+      exchangeRate: z.number().positive().optional(),
+      category: z.string().min(1).optional(),
+      date: isoDate.optional(),
+      vendor: z.string().optional(),
+      taskId: z.string().optional(),
+      description: z.string().optional()
+    }),
+    reason: z.string().optional()
+  }),
+  z.object({
+    type: z.literal('void_expense'),
+    transactionId: z.string().min(1),
+    reason: z.string().optional()
+  }),
+  z.object({
+    type: z.literal('list_expenses'),
+    category: z.string().optional(),
+    taskId: z.string().optional(),
+    includeVoided: z.boolean().optional(),
+    limit: z.number().int().positive().optional(),
+    view: z.enum(['base', 'original']).optional().describe('Show amounts in the base currency or as paid')
+  })
+]);
+
+export const budgetOutputSchema = z.object({
+  intents: z.array(budgetIntentSchema).default([])
+    .describe('Budget changes to apply, in order - empty for questions'),
+  newIssues: z.array(issueSchema).default([])
+    .describe('Other budget concerns - overruns are flagged automatically'),
+  analysis: z.string().describe('Budget status summary, shown to the user')
+}).describe('Apply budget changes and flag budget concerns');
+
+export const taskUpdaterOutputSchema = z.object({
+  updatedTasks: z.array(
+    // Only the id is required - the other fields are merged into the existing task
+    z.object({
+      id: z.string().min(1),
+      stageId: z.string().min(1).optional(),
+      title: z.string().min(1).optional(),
+      description: z.string().optional(),
+      status: z.enum(WORK_STATUSES).optional(),
+      durationDays: z.number().int().positive().optional(),
+      startDate: isoDate.optional(),
+      endDate: isoDate.optional(),
+      dependencies: z.array(z.string()).optional(),
+      assignedTo: z.string().nullable().optional(),
+      role: z.string().nullable().optional(),
+      milestoneId: z.string().nullable().optional(),
+      percentComplete: z.number().min(0).max(100).optional().describe('Progress of an in-progress task'),
+      completedAt: z.string().nullable().optional()
+    }).passthrough()
+  ).default([]),
+  newIssues: z.array(issueSchema).default([]),
+  reasoning: z.string().describe('What changed and why, shown to the user')
+}).describe('Apply task updates and flag scheduling issues');
+
+const probabilityScore = z.number().int().min(1).max(5);
+
+// Field changes to one register entry - shared by the risk agent and the API
+export const registerChangesSchema = z.object({
+  title: z.string().min(1).optional(),
+  description: z.string().optional(),
+  owner: z.string().nullable().optional(),
+  dueDate: isoDate.nullable().optional(),
+  mitigation: z.string().nullable().optional(),
+  severity: z.enum(SEVERITIES).optional(),
+  probability: probabilityScore.optional(),
+  impactScore: probabilityScore.optional()
+});
+
+// One change to the risk/issue register - applied in order by the register
+export const registerActionSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('add'),
+    kind: z.enum(ENTRY_KINDS),
+    entryType: z.string().optional().describe('Category such as vendor, staffing, technical, delay'),
+    title: z.string().min(1),
+    description: z.string().default(''),
+    severity: z.enum(SEVERITIES).optional().describe('For risks with probability and impact it is computed'),
+    probability: probabilityScore.optional().describe('Risks: 1 (rare) - 5 (almost certain)'),
+    impactScore: probabilityScore.optional().describe('Risks: 1 (minor) - 5 (severe)'),
+    owner: z.string().optional(),
+    dueDate: isoDate.optional(),
+    mitigation: z.string().optional(),
+    taskId: z.string().optional()
+  }),
+  z.object({
+    type: z.literal('update'),
+    id: z.string().min(1),
+    changes: registerChangesSchema,
+    note: z.string().optional()
+  }),
+  z.object({
+    type: z.literal('set_status'),
+    id: z.string().min(1),
+    status: z.enum(ENTRY_STATUSES),
+    note: z.string().optional().describe('Why - e.g. how it was resolved or why the risk is accepted')
+  }),
+  z.object({
+    type: z.literal('escalate'),
+    id: z.string().min(1),
+    severity: z.enum(SEVERITIES).optional().describe('Defaults to one level up'),
+    note: z.string().optional()
+  }),
+  z.object({
+    type: z.literal('merge'),
+    id: z.string().min(1).describe('The duplicate entry, closed by the merge'),
+    duplicateOf: z.string().min(1)
+  }),
+  z.object({
+    type: z.literal('list'),
+    kind: z.enum(ENTRY_KINDS).optional(),
+    status: z.enum(ENTRY_STATUSES).optional(),
+    owner: z.string().optional(),
+    overdue: z.boolean().optional(),
+    includeClosed: z.boolean().optional()
+  })
+]);
+
+export const riskOutputSchema = z.object({
+  actions: z.array(registerActionSchema).default([])
+    .describe('Register changes to apply, in order - empty for questions'),
+  reply: z.string().describe('Answer or summary, shown to the user')
+}).describe('Update the risk and issue register');
+
+// What a change request changes - applied to a copy of the project for the
+// impact, and to the project itself once approved
+export const changeSetSchema = z.object({
+  scope: z.object({
+    description: z.string().min(1).optional(),
+    objectives: z.array(z.string()).optional(),
+    deliverables: z.array(z.string()).optional(),
+    outOfScope: z.array(z.string()).optional(),
+    successCriteria: z.array(z.string()).optional()
+  }).optional().describe('Scope fields to replace (give the full new list)'),
+  targetEndDate: isoDate.optional(),
+  budgetTotal: z.number().nonnegative().optional(),
+  lineItems: z.array(z.object({
+    category: z.string().min(1),
+    allocated: z.number().nonnegative()
+  })).optional().describe('New allocation per budget category (new categories are added)'),
+  addStages: z.array(z.object({
+    name: z.string().min(1),
+    afterStageId: z.string().optional().describe('Defaults to the end')
+  })).optional(),
+  removeStageIds: z.array(z.string()).optional(),
+  addTasks: z.array(z.object({
+    id: z.string().optional().describe('Temporary ID ("new_1") if other new tasks depend on it'),
+    stageId: z.string().min(1),
+    title: z.string().min(1),
+    description: z.string().optional(),
+    durationDays: z.number().int().positive(),
+    dependencies: z.array(z.string()).optional(),
+    role: z.string().optional(),
+    milestoneId: z.string().optional()
+  }).passthrough()).optional(),
+  removeTaskIds: z.array(z.string()).optional(),
+  taskChanges: z.array(z.object({
+    id: z.string().min(1),
+    title: z.string().min(1).optional(),
+    durationDays: z.number().int().positive().optional(),
+    dependencies: z.array(z.string()).optional(),
+    stageId: z.string().optional(),
+    role: z.string().optional(),
+    milestoneId: z.string().nullable().optional()
+  })).optional(),
+  milestoneChanges: z.array(z.object({
+    id: z.string().min(1),
+    name: z.string().min(1).optional(),
+    targetDate: isoDate.optional()
+  })).optional(),
+  addMilestones: z.array(z.object({
+    name: z.string().min(1),
+    targetDate: isoDate,
+    stageId: z.string().optional()
+  })).optional()
+});
+
+export const changeRequestOutputSchema = z.object({
+  request: z.discriminatedUnion('action', [
+    z.object({
+      action: z.literal('propose'),
+      title: z.string().min(1).describe('Short name for the change'),
+      description: z.string().default(''),
+      changes: changeSetSchema
+    }),
+    z.object({
+      action: z.enum(['approve', 'reject', 'withdraw']),
+      changeRequestId: z.string().min(1),
+      note: z.string().optional()
+    }),
+    z.object({
+      action: z.literal('set_baseline').describe('Freeze the current plan as the new approved baseline'),
+      reason: z.string().optional()
+    }),
+    z.object({
+      action: z.literal('none').describe('Questions about change requests or the baseline')
+    })
+  ]),
+  reply: z.string().describe('Message shown to the user - the computed impact is added to it')
+}).describe('Propose, approve, reject or withdraw a change to the approved scope, or set a new baseline');
+
+export const analyzerOutputSchema = z.object({
+  analysis: z.object({
+    // completeness, readiness, health, variance and earnedValue are computed, not asked of the model
+    gaps: z.array(z.object({
+      category: z.string(),
+      description: z.string(),
+      severity: z.enum(SEVERITIES),
+      recommendation: z.string()
+    }).passthrough()).default([]),
+    strengths: z.array(z.string()).default([]),
+    risks: z.array(z.string()).default([]),
+    recommendations: z.array(z.string()).default([])
+  }).passthrough(),
+  reasoning: z.string().describe('Analysis rationale, shown to the user')
+}).describe('Report the project assessment');
@@ -3,7 +3,12 @@
 
 import { ChatAnthropic } from "@langchain/anthropic";
 import { getProjectData, saveProjectData } from '../data/projectData.js';
-import { parseResponseContent } from './parseResponse.js';
+import { invokeWithSchema, AgentOutputError } from './parseResponse.js';
+import { scopeOutputSchema } from './schemas.js';
+import { withConversationSummary } from './memory.js';
+import { parseMoneyText } from '../finance/currency.js';
+import { initialMilestones } from '../scheduling/milestones.js';
+import { captureBaseline } from '../analysis/baseline.js';
 
 const model = new ChatAnthropic({
   modelName: "claude-3-5-haiku-20241022",
@@ -16,6 +21,8 @@ const PARSE_AND_VALIDATE_PROMPT = `You are a Project Scope Definition Agent.
 
 Current mode: PARSE CONVERSATION AND VALIDATE INFO
 
+Always reply by calling the record_scope tool. The user sees responseText.
+
 EXTRACTION RULES:
 - Project Type: Look for "toy store", "restaurant", "website", "app", "event", "construction", "marketing", etc.
 - Timeline: Look for "ready by [date]", "deadline [date]", "finish by [date]", "need by [date]"
@@ -24,9 +31,10 @@ EXTRACTION RULES:
 EXAMPLES:
 - "toy store in mall" → projectType: "retail store opening"
 - "ready by December 1st" → timeline: "2024-12-01"
-- "budget of 30000 dollars" → budget: "$30,000"
+- "budget of 30000 dollars" → budget: "USD 30,000"
+- "about €25k" → budget: "EUR 25,000" (always write the ISO currency code)
 
-RESPONSE FORMAT 1 - Missing timeline or budget:
+ARGUMENTS 1 - Missing timeline or budget:
 {
   "needsMoreInfo": true,
   "responseText": "I'll create your [project type] project plan. I need:\\n\\n1. Target completion date?\\n2. Total budget?",
@@ -34,11 +42,11 @@ RESPONSE FORMAT 1 - Missing timeline or budget:
   "parsedInfo": {
     "projectType": "retail store opening" | "NOT FOUND",
     "timeline": "2024-12-01" | "NOT FOUND", 
-    "budget": "$30,000" | "NOT FOUND"
+    "budget": "USD 30,000" | "NOT FOUND"
   }
 }
 
-RESPONSE FORMAT 2 - Have timeline AND budget (create stages):
+ARGUMENTS 2 - Have timeline AND budget (create stages):
 {
   "needsMoreInfo": true,
   "responseText": "I've created [X] stages for your [project type]:\\n\\n1. Stage Name - description\\n2. Stage Name - description\\n...\\n\\nReply 'yes' to proceed with detailed tasks and budget allocation.",
@@ -46,7 +54,7 @@ RESPONSE FORMAT 2 - Have timeline AND budget (create stages):
   "parsedInfo": {
     "projectType": "retail store opening",
     "timeline": "2024-12-01", 
-    "budget": "$30,000"
+    "budget": "USD 30,000"
   },
   "stages": [
     {
@@ -64,18 +72,9 @@ RESPONSE FORMAT 2 - Have timeline AND budget (create stages):
   ]
 }
 
-CRITICAL JSON RULES:
-- Each stage object MUST have ALL 4 fields: id, name, order, status
-- No trailing commas after the last field in objects
-- All field names must be in double quotes
-- All string values must be in double quotes
-- NEVER use JavaScript string concatenation (like "text" + '\n' + "more text")
-- Use actual newlines (\n) in string values, not concatenation
-- Return ONLY valid JSON, not JavaScript object notation
-
 RULES:
-- If missing timeline OR budget → use Format 1
-- If you have timeline AND budget → use Format 2 (include stages array)
+- If missing timeline OR budget → use ARGUMENTS 1
+- If you have timeline AND budget → use ARGUMENTS 2 (include stages array)
 - Always fill parsedInfo to show what you extracted
 - Use "NOT FOUND" for missing information
 - Create 3-6 stages appropriate for the project type
@@ -84,18 +83,18 @@ STAGE GUIDELINES:
 - Retail stores: Planning, Location Selection, Store Design, Inventory, Setup, Launch
 - Software projects: Planning, Development, Testing, Deployment, Launch
 - Events: Planning, Logistics, Marketing, Setup, Execution
-- Construction: Planning, Permits, Construction, Inspection, Completion
-
-IMPORTANT: Return ONLY valid JSON. Do not use JavaScript object notation or string concatenation.`;
+- Construction: Planning, Permits, Construction, Inspection, Completion`;
 
 // PROMPT 2: Create stages (info already validated)
 const GATHER_AND_CREATE_PROMPT = `You are a Project Scope Definition Agent.
 
 Current mode: CREATE STAGES (info already validated)
 
+Always reply by calling the record_scope tool. The user sees responseText.
+
 You have confirmed project type, timeline, and budget. Create appropriate stages.
 
-RESPONSE FORMAT:
+ARGUMENTS:
 {
   "needsMoreInfo": true,
   "responseText": "I've created [X] stages for your [project type]:\\n\\n1. Stage Name - description\\n2. Stage Name - description\\n...\\n\\nReply 'yes' to proceed with detailed tasks and budget allocation.",
@@ -116,15 +115,15 @@ STAGE GUIDELINES:
 - Events: Planning, Logistics, Marketing, Setup, Execution
 - Construction: Planning, Permits, Construction, Inspection, Completion
 
-Create 3-6 stages appropriate for the project type. Use \\n for newlines in strings. 
-
-IMPORTANT: Return ONLY valid JSON. Do not use JavaScript object notation or string concatenation.`;
+Create 3-6 stages appropriate for the project type.`;
 
 // PROMPT 3: Modify stages or finalize scope
 const MODIFY_AND_APPROVE_PROMPT = `You are a Project Scope Definition Agent.
 
 Current mode: MODIFY STAGES OR FINALIZE SCOPE
 
+Always reply by calling the record_scope tool. The user sees responseText.
+
 Stages already exist. The user is either:
 1. Requesting modifications to stages
 2. Approving the stages
@@ -133,7 +132,7 @@ Your job:
 - If user wants changes, modify the stages and ask for approval again
 - If user approves, create the complete scope and finish
 
-RESPONSE FORMAT - Modify Stages:
+ARGUMENTS - Modify Stages:
 {
   "needsMoreInfo": true,
   "responseText": "I've updated the stages:\\n\\n1. Stage Name\\n2. Stage Name\\n...\\n\\nReply 'yes' to proceed with detailed tasks and budget allocation.",
@@ -148,9 +147,10 @@ RESPONSE FORMAT - Modify Stages:
   ]
 }
 
-RESPONSE FORMAT - User Approved:
+ARGUMENTS - User Approved:
 {
   "needsMoreInfo": false,
+  "responseText": "Scope approved! Here's the summary:\\n\\n...\\n\\nNext I'll break the stages into detailed tasks.",
   "projectName": "Professional Project Name",
   "scope": {
     "description": "clear project description",
@@ -172,6 +172,13 @@ RESPONSE FORMAT - User Approved:
       "status": "not_started"
     }
   ],
+  "milestones": [
+    {
+      "name": "Design signed off",
+      "targetDate": "2025-12-01",
+      "stageId": "stage_1"
+    }
+  ],
   "reasoning": "user approved, scope complete"
 }
 
@@ -184,11 +191,9 @@ Look for: "change", "modify", "update", "different", "add", "remove", "no", "not
 GUIDELINES:
 - If user wants modifications, update stages and set needsMoreInfo: true
 - If user approves, create complete scope and set needsMoreInfo: false
-- Always ask for confirmation after modifications
-
-Use \\n for newlines in strings. 
-
-IMPORTANT: Return ONLY valid JSON. Do not use JavaScript object notation or string concatenation.`;
+- On approval, add 2-5 milestones: key checkpoints (usually the end of a major
+  stage) with target dates between the start date and the target end date
+- Always ask for confirmation after modifications`;
 
 export async function scopeAgent(state) {
   const { messages, projectId, userId } = state;
@@ -225,13 +230,13 @@ export async function scopeAgent(state) {
     console.log(`📋 Scope Agent Mode: MODIFY_AND_APPROVE`);
     systemPrompt = MODIFY_AND_APPROVE_PROMPT;
   } else {
-    // Scope is complete - shouldn't be here
+    // Scope is complete - changes go through a change request
     console.log(`⚠️ Scope Agent: Scope already complete`);
     return {
       ...state,
       messages: [...messages, { 
         role: "assistant", 
-        content: "The project scope is already defined. How can I help you further?" 
+        content: "The project scope is already approved. To change it, describe the change (e.g. \"add a mobile app to the deliverables\") and I'll raise a change request showing its impact for your approval." 
       }],
       next_agent: "end"
     };
@@ -251,87 +256,26 @@ Current Scope: ${JSON.stringify(projectData.scope, null, 2)}`;
     console.log(`📨 Scope agent invoking Claude with ${messages.length} messages`);
     console.log(`📨 Messages:`, messages.map(m => ({ role: m.role, contentLength: m.content?.length || 0 })));
     
-    const response = await model.invoke([
-      { role: "system", content: contextualPrompt },
-      ...messages, // Pass full conversation history
-    ]);
-
-    // Parse response
     let scopeData;
     try {
-      console.log(`📨 Scope agent raw response:`, typeof response.content, response.content);
-      scopeData = parseResponseContent(response);
-      
-      // Validate the parsed JSON structure
-      if (!scopeData || typeof scopeData !== 'object') {
-        throw new Error("Parsed response is not an object");
-      }
-      
-      // Validate required fields
-      if (typeof scopeData.needsMoreInfo !== 'boolean') {
-        throw new Error("Missing or invalid needsMoreInfo field");
-      }
-      
-      if (!scopeData.responseText || typeof scopeData.responseText !== 'string') {
-        throw new Error("Missing or invalid responseText field");
-      }
-      
-      // Validate stages if present
-      if (scopeData.stages && Array.isArray(scopeData.stages)) {
-        for (const stage of scopeData.stages) {
-          if (!stage.id || !stage.name || typeof stage.order !== 'number' || !stage.status) {
-            throw new Error(`Invalid stage structure: ${JSON.stringify(stage)}`);
-          }
-        }
-      }
-      
+      ({ data: scopeData } = await invokeWithSchema(model, [
+        { role: "system", content: withConversationSummary(contextualPrompt, state.conversationSummary) },
+        ...messages, // Pass full conversation history
+      ], scopeOutputSchema, 'scope', 'record_scope'));
+
       console.log(`✅ Scope agent parsed response:`, scopeData);
     } catch (e) {
-      console.error("❌ SCOPE AGENT JSON PARSE ERROR");
-      console.error("Parse error:", e.message);
-      console.error("Raw AI response type:", typeof response.content);
-      console.error("Raw AI response:", response.content);
-      
-      // Handle empty array response from Claude API
-      if (Array.isArray(response.content) && response.content.length === 0) {
-        console.error("❌ Claude API returned empty response - possible rate limit or API error");
-        return {
-          ...state,
-          messages: [...messages, { 
-            role: "assistant", 
-            content: "I encountered an API error. Please try again." 
-          }],
-          next_agent: "supervisor",
-          error: "Claude API returned empty response"
-        };
-      }
-      
-      const contentStr = typeof response.content === 'string' 
-        ? response.content 
-        : JSON.stringify(response.content);
-      
-      // Log the problematic content for debugging
-      console.error("❌ Problematic content (first 500 chars):", contentStr.substring(0, 500));
-      console.error("❌ Content length:", contentStr.length);
-      
-      // Try to provide a more helpful error message
-      let errorMessage = "I encountered an issue processing your request. ";
-      if (contentStr.includes('+') && contentStr.includes("'")) {
-        errorMessage += "There was a formatting error in my response. Please try again.";
-      } else if (contentStr.includes('undefined') || contentStr.includes('null')) {
-        errorMessage += "I received incomplete information. Please try again.";
-      } else {
-        errorMessage += "Please try rephrasing your request.";
-      }
-      
+      if (!(e instanceof AgentOutputError)) throw e;
+
+      console.error("❌ Scope agent output invalid:", e.issues, e.raw);
       return {
         ...state,
         messages: [...messages, { 
           role: "assistant", 
-          content: errorMessage 
+          content: "I encountered an issue processing your request. Please try rephrasing it." 
         }],
         next_agent: "supervisor",
-        error: `JSON parse error: ${e.message}`
+        error: e.message
       };
     }
 
@@ -369,46 +313,53 @@ Current Scope: ${JSON.stringify(projectData.scope, null, 2)}`;
       };
     }
 
-    // CASE 2: User approved - scope complete
-    if (scopeData.needsMoreInfo === false && scopeData.scope) {
-      console.log(`✅ Scope agent: ${scopeData.reasoning}`);
-      
-      // Update project data with complete scope
-      projectData.scope = scopeData.scope;
-      projectData.stages = scopeData.stages;
-      projectData.status = 'active';
-      
-      // Update project name if it's still generic
-      if (scopeData.projectName && 
-          (projectData.name === 'New Project' || projectData.name === 'Untitled Project')) {
-        projectData.name = scopeData.projectName;
-        console.log(`📝 Project renamed to: ${projectData.name}`);
-      }
-
-      // Save updated project
-      await saveProjectData(projectId, projectData);
+    // CASE 2: User approved - scope complete (the schema guarantees scope and stages)
+    console.log(`✅ Scope agent: ${scopeData.reasoning}`);
+    
+    // Update project data with complete scope
+    projectData.scope = scopeData.scope;
+    projectData.stages = scopeData.stages;
+    projectData.status = 'active';
+
+    // Milestones from the approved scope; tasks are linked to them once scheduled
+    if (scopeData.milestones?.length || !projectData.timeline?.milestones?.length) {
+      projectData.timeline = {
+        ...projectData.timeline,
+        milestones: initialMilestones(scopeData.milestones, scopeData.stages, scopeData.scope.timeline)
+      };
+      console.log(`🚩 Milestones set: ${projectData.timeline.milestones.map(m => `${m.name} (${m.targetDate})`).join(', ')}`);
+    }
 
-      return {
-        ...state,
-        messages: [...messages, { role: "assistant", content: scopeData.responseText }],
-        projectData: projectData,
-        scopeData: scopeData,
-        next_agent: "supervisor"
+    // Seed an empty budget with the approved total and its currency as the base
+    const scopeBudget = parseMoneyText(scopeData.scope.budget);
+    if (scopeBudget && !projectData.budget?.total && !projectData.budget?.lineItems?.length) {
+      projectData.budget = {
+        ...projectData.budget,
+        total: scopeBudget.amount,
+        currency: scopeBudget.currency || projectData.budget?.currency
       };
+      console.log(`💰 Budget seeded from scope: ${projectData.budget.currency} ${scopeBudget.amount}`);
+    }
+    
+    // Update project name if it's still generic
+    if (scopeData.projectName && 
+        (projectData.name === 'New Project' || projectData.name === 'Untitled Project')) {
+      projectData.name = scopeData.projectName;
+      console.log(`📝 Project renamed to: ${projectData.name}`);
     }
 
+    // The approved scope is the first baseline - completed with the task plan once scheduled
+    captureBaseline(projectData, { approvedBy: userId || null, reason: 'Scope approved' });
+
+    // Save updated project
+    await saveProjectData(projectId, projectData);
 
-    // CASE 3: Unexpected format
-    console.error("❌ Unexpected scope response format:", scopeData);
-    console.error("❌ Type:", typeof scopeData);
-    console.error("❌ Is Array:", Array.isArray(scopeData));
-    console.error("❌ Raw AI response:", response.content);
-    console.error("❌ Full scopeData:", JSON.stringify(scopeData, null, 2));
-    
     return {
       ...state,
-      error: "Unexpected response format from scope agent",
-      next_agent: "end"
+      messages: [...messages, { role: "assistant", content: scopeData.responseText }],
+      projectData: projectData,
+      scopeData: scopeData,
+      next_agent: "supervisor"
     };
 
   } catch (error) {
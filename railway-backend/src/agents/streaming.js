@@ -1,303 +1,294 @@
 // railway-backend/src/agents/streaming.js
-// Streaming workflow that emits events with real AI reasoning
+// Streaming workflow that emits events as the graph actually runs
 
 import { pmGraph } from './graph.js';
+import { loadConversation, recordConversationTurn } from './memory.js';
+import { STREAMED_TEXT_FIELDS, chunkText, extractVisibleText } from './tokenStream.js';
+
+// Tokens are batched so a long reply doesn't become hundreds of stored events
+const TOKEN_FLUSH_MS = 150;
+
+/**
+ * Display info for each graph node, plus where its AI reasoning and
+ * result data live in the node's output state
+ */
+const AGENT_INFO = {
+  supervisor: {
+    icon: '🎯',
+    start: '🎯 Supervisor: Analyzing request and determining routing...',
+    complete: () => '🎯 Supervisor decided on routing',
+    reasoning: (output) => output.reasoning,
+    data: () => undefined
+  },
+  scope: {
+    icon: '📋',
+    start: '📋 Scope Agent: Analyzing project requirements...',
+    complete: (output) => output.scopeData?.needsMoreInfo === true
+      ? '💬 Scope Agent responded - awaiting more information'
+      : '✅ Scope Agent completed - Project scope and stages defined',
+    reasoning: (output) => output.scopeData?.reasoning,
+    data: (output) => output.scopeData
+  },
+  scheduler: {
+    icon: '📅',
+    start: '📅 Scheduler Agent: Creating task breakdown...',
+    complete: () => '✅ Scheduler Agent completed - Tasks and timeline created',
+    reasoning: (output) => output.schedulerData?.reasoning,
+    data: (output) => output.schedulerData
+  },
+  taskUpdater: {
+    icon: '✏️',
+    start: '✏️ Task Updater: Processing task modifications...',
+    complete: () => '✅ Task Updater completed - Task updates processed',
+    reasoning: (output) => output.updateData?.reasoning,
+    data: (output) => output.updateData
+  },
+  budget: {
+    icon: '💰',
+    start: '💰 Budget Agent: Analyzing financial requirements...',
+    complete: () => '✅ Budget Agent completed - Budget analyzed and updated',
+    reasoning: (output) => output.budgetData?.analysis,
+    data: (output) => output.budgetData
+  },
+  risk: {
+    icon: '🗂️',
+    start: '🗂️ Risk Agent: Reviewing the risk & issue register...',
+    complete: () => '✅ Risk Agent completed - Register updated',
+    reasoning: (output) => output.riskData?.reply,
+    data: (output) => output.riskData
+  },
+  changeRequest: {
+    icon: '📝',
+    start: '📝 Change Control: Assessing the requested change...',
+    complete: () => '✅ Change Control completed - Change request updated',
+    reasoning: (output) => output.changeRequestData?.reply,
+    data: (output) => output.changeRequestData
+  },
+  analyzer: {
+    icon: '🔍',
+    start: '🔍 Analyzer: Performing project assessment...',
+    complete: () => '✅ Analysis Agent completed - Project assessment done',
+    reasoning: (output) => output.reasoning,
+    data: (output) => output.analysis
+  }
+};
 
 /**
  * Run workflow with streaming events
- * Emits events as each agent processes the request
- * Now uses REAL AI reasoning from agents instead of hardcoded messages
+ * Emits each event the moment the supervisor routes or an agent node starts/finishes,
+ * using LangGraph's streamEvents instead of replaying the final state
  */
 export async function runStreamingWorkflow(userQuery, projectId, userId, onEvent) {
   console.log(`🌊 Starting STREAMING workflow for project: ${projectId}`);
-  
+
+  const { messages, conversationSummary } = await loadConversation(userId, projectId, userQuery);
+
   const initialState = {
-    messages: [{ role: "user", content: userQuery }],
+    messages,
+    conversationSummary,
     projectId: projectId,
     userId: userId,
   };
 
+  const workflowStartedAt = Date.now();
+  const runningNodes = new Map(); // run_id -> { agent, startedAt }
+  const modelRuns = new Map(); // model run_id -> token stream state
+  const agentsRun = [];
+  let finalState = null;
+
   try {
-    // Emit start event
-    onEvent({
+    await onEvent({
       type: 'workflow_start',
       message: '🤔 Analyzing your request...',
-      timestamp: new Date().toISOString()
-    });
-
-    // Small delay to let event be stored
-    await new Promise(resolve => setTimeout(resolve, 100));
-
-    // Emit supervisor start - still hardcoded as supervisor doesn't have reasoning field
-    onEvent({
-      type: 'agent_start',
-      agent: 'supervisor',
-      message: '🎯 Supervisor: Analyzing request and determining routing...',
-      icon: '🎯',
-      timestamp: new Date().toISOString()
+      timestamp: new Date(workflowStartedAt).toISOString()
     });
 
-    await new Promise(resolve => setTimeout(resolve, 200));
-
-    // Run the workflow (invoke returns final state after all agents complete)
-    const finalState = await pmGraph.invoke(initialState);
-
-    // Use REAL reasoning from supervisor if available
-    if (finalState.reasoning) {
-      onEvent({
-        type: 'agent_thinking',
-        agent: 'supervisor',
-        message: finalState.reasoning,
-        timestamp: new Date().toISOString()
-      });
-      await new Promise(resolve => setTimeout(resolve, 300));
-    }
+    const events = pmGraph.streamEvents(initialState, { version: 'v2' });
 
-    // Extract which agents ran from the final state and emit events with REAL AI reasoning
-    if (finalState.scopeData) {
-      onEvent({
-        type: 'agent_start',
-        agent: 'scope',
-        message: '📋 Scope Agent: Analyzing project requirements...',
-        icon: '📋',
-        timestamp: new Date().toISOString()
-      });
-
-      await new Promise(resolve => setTimeout(resolve, 500));
-
-      // Use REAL AI reasoning from scope agent
-      if (finalState.scopeData.reasoning) {
-        onEvent({
-          type: 'agent_thinking',
-          agent: 'scope',
-          message: finalState.scopeData.reasoning,
-          timestamp: new Date().toISOString()
-        });
+    for await (const event of events) {
+      // Top-level graph finished - its output is the final state
+      if (event.event === 'on_chain_end' && event.name === 'LangGraph' && !event.metadata?.langgraph_node) {
+        finalState = event.data.output;
+        continue;
       }
 
-      await new Promise(resolve => setTimeout(resolve, 500));
-
-      // Determine message based on whether scope is complete or asking for info
-      const scopeCompleteMsg = finalState.scopeData.needsMoreInfo === true
-        ? '💬 Scope Agent responded - awaiting more information'
-        : '✅ Scope Agent completed - Project scope and stages defined';
-      
-      onEvent({
-        type: 'agent_complete',
-        agent: 'scope',
-        message: scopeCompleteMsg,
-        data: finalState.scopeData,
-        timestamp: new Date().toISOString()
-      });
-
-      await new Promise(resolve => setTimeout(resolve, 300));
-    }
+      const nodeName = event.metadata?.langgraph_node;
 
-    if (finalState.schedulerData) {
-      onEvent({
-        type: 'agent_start',
-        agent: 'scheduler',
-        message: '📅 Scheduler Agent: Creating task breakdown...',
-        icon: '📅',
-        timestamp: new Date().toISOString()
-      });
-
-      await new Promise(resolve => setTimeout(resolve, 500));
-
-      // Use REAL AI reasoning from scheduler agent
-      if (finalState.schedulerData.reasoning) {
-        onEvent({
-          type: 'agent_thinking',
-          agent: 'scheduler',
-          message: finalState.schedulerData.reasoning,
-          timestamp: new Date().toISOString()
-        });
+      // Model output inside an agent node - stream the visible text token by token
+      if (STREAMED_TEXT_FIELDS[nodeName] && event.event.startsWith('on_chat_model_')) {
+        await handleModelEvent(event, nodeName, modelRuns, onEvent);
+        continue;
       }
 
-      await new Promise(resolve => setTimeout(resolve, 500));
-
-      onEvent({
-        type: 'agent_complete',
-        agent: 'scheduler',
-        message: '✅ Scheduler Agent completed - Tasks and timeline created',
-        data: finalState.schedulerData,
-        timestamp: new Date().toISOString()
-      });
-
-      await new Promise(resolve => setTimeout(resolve, 300));
-    }
-
-    if (finalState.updateData) {
-      onEvent({
-        type: 'agent_start',
-        agent: 'taskUpdater',
-        message: '✏️ Task Updater: Processing task modifications...',
-        icon: '✏️',
-        timestamp: new Date().toISOString()
-      });
-
-      await new Promise(resolve => setTimeout(resolve, 500));
-
-      // Use REAL AI reasoning from task updater agent
-      if (finalState.updateData.reasoning) {
-        onEvent({
-          type: 'agent_thinking',
-          agent: 'taskUpdater',
-          message: finalState.updateData.reasoning,
-          timestamp: new Date().toISOString()
+      // Only graph nodes themselves (not the writers/branches running inside them)
+      const info = AGENT_INFO[nodeName];
+      if (!info || event.name !== nodeName) continue;
+
+      if (event.event === 'on_chain_start') {
+        const startedAt = Date.now();
+        runningNodes.set(event.run_id, { agent: nodeName, startedAt });
+
+        await onEvent({
+          type: 'agent_start',
+          agent: nodeName,
+          message: info.start,
+          icon: info.icon,
+          step: agentsRun.length + 1,
+          timestamp: new Date(startedAt).toISOString()
         });
+      } else if (event.event === 'on_chain_end') {
+        await emitNodeComplete(event, info, runningNodes, agentsRun, onEvent);
       }
-
-      await new Promise(resolve => setTimeout(resolve, 500));
-
-      onEvent({
-        type: 'agent_complete',
-        agent: 'taskUpdater',
-        message: '✅ Task Updater completed - Task updates processed',
-        data: finalState.updateData,
-        timestamp: new Date().toISOString()
-      });
-
-      await new Promise(resolve => setTimeout(resolve, 300));
-    }
-
-    if (finalState.budgetData) {
-      onEvent({
-        type: 'agent_start',
-        agent: 'budget',
-        message: '💰 Budget Agent: Analyzing financial requirements...',
-        icon: '💰',
-        timestamp: new Date().toISOString()
-      });
-
-      await new Promise(resolve => setTimeout(resolve, 500));
-
-      // Use REAL AI reasoning from budget agent
-      if (finalState.budgetData.analysis) {
-        onEvent({
-          type: 'agent_thinking',
-          agent: 'budget',
-          message: finalState.budgetData.analysis,
-          timestamp: new Date().toISOString()
-        });
-      }
-
-      await new Promise(resolve => setTimeout(resolve, 500));
-
-      onEvent({
-        type: 'agent_complete',
-        agent: 'budget',
-        message: '✅ Budget Agent completed - Budget analyzed and updated',
-        data: finalState.budgetData,
-        timestamp: new Date().toISOString()
-      });
-
-      await new Promise(resolve => setTimeout(resolve, 300));
     }
 
-    if (finalState.analysis) {
-      onEvent({
-        type: 'agent_start',
-        agent: 'analyzer',
-        message: '🔍 Analyzer: Performing project assessment...',
-        icon: '🔍',
-        timestamp: new Date().toISOString()
-      });
-
-      await new Promise(resolve => setTimeout(resolve, 500));
-
-      // Use REAL AI reasoning from analyzer agent
-      if (finalState.analysis.reasoning) {
-        onEvent({
-          type: 'agent_thinking',
-          agent: 'analyzer',
-          message: finalState.analysis.reasoning,
-          timestamp: new Date().toISOString()
-        });
-      }
-
-      await new Promise(resolve => setTimeout(resolve, 500));
-
-      onEvent({
-        type: 'agent_complete',
-        agent: 'analyzer',
-        message: '✅ Analysis Agent completed - Project assessment done',
-        data: finalState.analysis,
-        timestamp: new Date().toISOString()
-      });
-
-      await new Promise(resolve => setTimeout(resolve, 300));
+    if (!finalState) {
+      throw new Error('Workflow finished without a final state');
     }
 
-    // Emit completion event
-    onEvent({
+    await onEvent({
       type: 'workflow_complete',
       message: '✨ All done!',
+      agentsRun: agentsRun,
+      durationMs: Date.now() - workflowStartedAt,
       timestamp: new Date().toISOString()
     });
 
-    console.log(`✅ Streaming workflow complete`);
-    
+    console.log(`✅ Streaming workflow complete (${agentsRun.map(a => a.agent).join(' → ')})`);
+
+    // After workflow_complete so a summarization pass doesn't delay the UI
+    await recordConversationTurn(userId, projectId, userQuery, finalState);
+
     return finalState;
 
   } catch (error) {
     console.error('❌ Streaming workflow error:', error);
-    
-    onEvent({
+
+    await onEvent({
       type: 'workflow_error',
       message: '❌ Something went wrong',
       error: error.message,
+      agentsRun: agentsRun,
+      durationMs: Date.now() - workflowStartedAt,
       timestamp: new Date().toISOString()
     });
-    
+
     throw error;
   }
 }
 
 /**
- * Get friendly messages for each agent (kept for reference but less used now)
+ * Track one model call's raw output and emit agent_token events with the newly
+ * visible text. Each model call gets its own runId so a retry restarts the text.
  */
-function getAgentMessage(agentName) {
-  const messages = {
-    supervisor: {
-      icon: '🎯',
-      start: '🎯 Supervisor: Analyzing request and determining routing...'
-    },
-    scope: {
-      icon: '📋',
-      start: '📋 Scope Agent: Analyzing project requirements...'
-    },
-    scheduler: {
-      icon: '📅',
-      start: '📅 Scheduler Agent: Creating task breakdown...'
-    },
-    taskUpdater: {
-      icon: '✏️',
-      start: '✏️ Task Updater: Processing task modifications...'
-    },
-    budget: {
-      icon: '💰',
-      start: '💰 Budget Agent: Analyzing financial requirements...'
-    },
-    analyzer: {
-      icon: '🔍',
-      start: '🔍 Analyzer: Performing project assessment...'
+async function handleModelEvent(event, agent, modelRuns, onEvent) {
+  if (event.event === 'on_chat_model_start') {
+    modelRuns.set(event.run_id, { raw: '', emitted: 0, lastFlush: 0 });
+    return;
+  }
+
+  const run = modelRuns.get(event.run_id);
+  if (!run) return;
+
+  if (event.event === 'on_chat_model_stream') {
+    run.raw += chunkText(event.data.chunk);
+    if (Date.now() - run.lastFlush >= TOKEN_FLUSH_MS) {
+      await flushTokens(run, event.run_id, agent, onEvent);
     }
-  };
+  } else if (event.event === 'on_chat_model_end') {
+    await flushTokens(run, event.run_id, agent, onEvent);
+    modelRuns.delete(event.run_id);
+  }
+}
 
-  return messages[agentName] || {
-    icon: '⚙️',
-    start: `⚙️ ${agentName}: Starting processing...`
-  };
+async function flushTokens(run, runId, agent, onEvent) {
+  const visible = extractVisibleText(run.raw, STREAMED_TEXT_FIELDS[agent]);
+  run.lastFlush = Date.now();
+
+  if (visible.length <= run.emitted) return;
+
+  const token = visible.slice(run.emitted);
+  run.emitted = visible.length;
+
+  await onEvent({
+    type: 'agent_token',
+    agent,
+    runId,
+    token,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Emit the thinking/routing/complete events for a node that just finished
+ */
+async function emitNodeComplete(event, info, runningNodes, agentsRun, onEvent) {
+  const agent = event.metadata.langgraph_node;
+  const output = event.data.output || {};
+  const completedAt = Date.now();
+  const started = runningNodes.get(event.run_id);
+  runningNodes.delete(event.run_id);
+
+  const startedAt = started?.startedAt ?? completedAt;
+  const durationMs = completedAt - startedAt;
+
+  agentsRun.push({
+    agent,
+    startedAt: new Date(startedAt).toISOString(),
+    completedAt: new Date(completedAt).toISOString(),
+    durationMs
+  });
+
+  // Real AI reasoning from the node's output
+  const reasoning = info.reasoning(output);
+  if (reasoning) {
+    await onEvent({
+      type: 'agent_thinking',
+      agent,
+      message: reasoning,
+      timestamp: new Date(completedAt).toISOString()
+    });
+  }
+
+  if (agent === 'supervisor') {
+    const nextAgent = output.next_agent || 'end';
+    await onEvent({
+      type: 'agent_routing',
+      agent,
+      from: 'supervisor',
+      to: nextAgent,
+      message: nextAgent === 'end'
+        ? '🏁 Supervisor: Wrapping up'
+        : `🔀 Routing to ${AGENT_INFO[nextAgent]?.icon || '⚙️'} ${nextAgent}`,
+      planStep: output.plan && !output.plan.done
+        ? { step: output.plan.current + 1, of: output.plan.steps.length }
+        : null,
+      durationMs,
+      timestamp: new Date(completedAt).toISOString()
+    });
+    return;
+  }
+
+  await onEvent({
+    type: 'agent_complete',
+    agent,
+    message: output.error ? `⚠️ ${agent} finished with an error` : info.complete(output),
+    data: info.data(output),
+    error: output.error || null,
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs,
+    timestamp: new Date(completedAt).toISOString()
+  });
 }
 
 /**
  * Event types that can be emitted:
- * 
+ *
  * - workflow_start: Workflow begins
- * - agent_start: An agent starts processing
- * - agent_thinking: Agent's actual AI reasoning (NEW - uses real reasoning from agent)
- * - agent_complete: An agent finishes with results
- * - workflow_complete: Entire workflow finished
+ * - agent_start: A graph node starts processing (step = order in this run)
+ * - agent_token: Newly streamed text of an agent's reply (append to earlier tokens with the same runId)
+ * - agent_thinking: Agent's actual AI reasoning, emitted when the node finishes
+ * - agent_routing: Supervisor picked the next agent (from/to, planStep { step, of } inside a multi-step plan)
+ * - agent_complete: An agent finishes with results (startedAt, durationMs)
+ * - workflow_complete: Entire workflow finished (agentsRun in order with durations)
  * - workflow_error: An error occurred
  */
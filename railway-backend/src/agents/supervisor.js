@@ -1,4 +1,21 @@
 import { ChatAnthropic } from "@langchain/anthropic";
+import { withConversationSummary } from "./memory.js";
+import { invokeWithSchema, AgentOutputError } from "./parseResponse.js";
+import { supervisorOutputSchema } from "./schemas.js";
+
+// Most agent hops one message can take - longer plans are cut and the rest reported
+export const MAX_HOPS = 4;
+
+// Section headings for each step of a combined reply
+const STEP_LABELS = {
+  scope: 'Scope',
+  scheduler: 'Schedule',
+  taskUpdater: 'Task updates',
+  budget: 'Budget',
+  risk: 'Risks & issues',
+  changeRequest: 'Change control',
+  analyzer: 'Analysis'
+};
 
 const model = new ChatAnthropic({
   modelName: "claude-3-5-haiku-20241022",
@@ -6,13 +23,100 @@ const model = new ChatAnthropic({
   anthropicApiKey: process.env.ANTHROPIC_API_KEY,
 });
 
+// ============================================================================
+// MULTI-STEP PLANS
+// ============================================================================
+
+// Hands one step of the plan to its agent as a user turn, after the original
+// message and the replies of the steps before it
+function stepMessage(plan, index) {
+  return {
+    role: "user",
+    content: `(Step ${index + 1} of ${plan.steps.length} of my request - handle only this part) ${plan.steps[index].instruction}`
+  };
+}
+
+/**
+ * One reply covering every step that ran, plus the steps that didn't
+ */
+export function composePlanReply(plan) {
+  const sections = plan.results.map((result, index) =>
+    `**${index + 1}. ${STEP_LABELS[result.agent] || result.agent}**\n${result.reply || `⚠️ This step failed${result.error ? `: ${result.error}` : ''}`}`
+  );
+
+  const skipped = plan.steps.slice(plan.results.length);
+  if (skipped.length > 0) {
+    sections.push(`**Not done** (stopped after the failed step): ${skipped.map(step => step.instruction).join('; ')}`);
+  }
+  if (plan.dropped.length > 0) {
+    sections.push(`**Not done** (one message can run at most ${MAX_HOPS} steps - ask again for these): ${plan.dropped.map(step => step.instruction).join('; ')}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+// Record the step that just finished and dispatch the next one, or end with
+// the combined reply once every step ran or one failed
+function advancePlan(state) {
+  const { messages, plan } = state;
+  const step = plan.steps[plan.current];
+  const last = messages[messages.length - 1];
+  const result = {
+    agent: step.agent,
+    instruction: step.instruction,
+    reply: last?.role === 'assistant' ? last.content : null,
+    error: state.error || null
+  };
+  const results = [...plan.results, result];
+  const next = plan.current + 1;
+
+  if (result.error || !result.reply || next >= plan.steps.length) {
+    const finished = { ...plan, current: next, results, done: true };
+    console.log(`🗺️ Supervisor: Plan finished after ${results.length}/${plan.steps.length} step(s)`);
+    return {
+      ...state,
+      plan: finished,
+      planReply: composePlanReply(finished),
+      next_agent: "end",
+      reasoning: `Plan finished after ${results.length} of ${plan.steps.length} step(s)`
+    };
+  }
+
+  const nextStep = plan.steps[next];
+  console.log(`🗺️ Supervisor: Step ${next + 1}/${plan.steps.length} → ${nextStep.agent}`);
+  return {
+    ...state,
+    messages: [...messages, stepMessage(plan, next)],
+    plan: { ...plan, current: next, results },
+    hops: (state.hops || 0) + 1,
+    next_agent: nextStep.agent,
+    reasoning: `Step ${next + 1} of ${plan.steps.length}: ${nextStep.instruction}`
+  };
+}
+
 export async function supervisorAgent(state) {
   const { messages, projectData } = state;
 
+  // A plan in progress runs its next step without asking the model again
+  if (state.plan && !state.plan.done) {
+    return advancePlan(state);
+  }
+
+  // Anything that keeps bouncing back here ends once the hop cap is reached
+  if ((state.hops || 0) >= MAX_HOPS) {
+    console.log(`⚠️ Supervisor: Hop limit (${MAX_HOPS}) reached, ending workflow`);
+    return {
+      ...state,
+      next_agent: "end",
+      reasoning: `Stopped after ${MAX_HOPS} agent hops`
+    };
+  }
+
   // Determine workflow state
   const hasStages = projectData?.stages && projectData.stages.length > 0;
   const hasScope = projectData?.scope && projectData.scope.description;
   const hasTasks = projectData?.tasks && projectData.tasks.length > 0;
+  const pendingChanges = (projectData?.changeRequests || []).filter(request => request.status === 'proposed');
   
   // Check if scope agent just completed work (has stages but no scope yet)
   const scopeWorkComplete = hasStages && !hasScope && state.scopeData;
@@ -53,9 +157,11 @@ Your role:
 
 Available agents:
 - 'scope': Define project scope, objectives, deliverables, create stages
-- 'scheduler': Create detailed tasks under stages with timelines and dependencies
+- 'scheduler': Create detailed tasks under stages with timelines and dependencies, add tasks or regenerate a stage's tasks
 - 'taskUpdater': Update existing tasks, mark complete, handle delays
 - 'budget': Track costs, manage budget, flag overruns
+- 'risk': Manage the risk & issue register - raise risks, assign owners, mitigation, resolve/accept/escalate issues
+- 'changeRequest': Change control once the scope is approved - propose changes to scope, deliverables, stages, target date or budget total with their impact, approve/reject pending change requests, set a new baseline
 - 'analyzer': Analyze project completeness, identify gaps
 - 'end': Finish workflow (use for general questions or when done)
 
@@ -70,56 +176,67 @@ Current project state:
 - Has scope: ${hasScope}
 - Has tasks: ${hasTasks}
 - Scope work complete: ${scopeWorkComplete}
+- Pending change requests: ${pendingChanges.map(request => `${request.id} "${request.title}"`).join(', ') || 'none'}
 Project data: ${JSON.stringify(projectData || {}, null, 2)}
 
 ROUTING LOGIC:
 - If NEEDS_SCOPE or SCOPE_IN_PROGRESS → route to 'scope' (unless explicit budget/task request)
 - If NEEDS_TASKS → route to 'scheduler'
+- If ACTIVE and user wants to change the approved scope, deliverables, stages, target end date or total budget → 'changeRequest' (never 'scope')
+- If user approves, rejects or asks about a pending change request, or asks to set/re-set the baseline → 'changeRequest'
+- If user asks how the plan compares with the baseline (variance, drift) → 'analyzer'
 - If user mentions budget/costs → 'budget'
+- If user raises a risk or manages existing issues/risks (owner, mitigation, resolve, accept, escalate) → 'risk'
 - If user asks for analysis/gaps → 'analyzer'
 - If task updates → 'taskUpdater'
 - If general question → 'end' with direct_answer
 
+MULTI-STEP REQUESTS:
+- When one message asks for work that belongs to different agents, also return "plan":
+  the steps in the order they should run, each with the agent and the part of the
+  request it handles. next_agent is the first step's agent
+- Each step sees the project as the previous steps left it, so put steps others
+  depend on first (e.g. add tasks before recording costs against them)
+- At most ${MAX_HOPS} steps; leave "plan" out when one agent can handle the whole message
+
 Examples:
 - State: NEEDS_SCOPE, Message: "Create toy store" → 'scope'
 - State: NEEDS_SCOPE, Message: "Target date is Nov 30" → 'scope' (continuing scope definition)
 - State: NEEDS_TASKS, Message: "Add development tasks" → 'scheduler'
+- State: ACTIVE, Message: "Add testing tasks to stage 3" → 'scheduler'
 - State: ACTIVE, Message: "Mark task complete" → 'taskUpdater'
 - State: ACTIVE, Message: "We spent $5k" → 'budget'
+- State: ACTIVE, Message: "There's a risk our supplier goes bust" → 'risk'
+- State: ACTIVE, Message: "The server outage is resolved" → 'risk'
+- State: ACTIVE, Message: "Add a mobile app to the deliverables" → 'changeRequest'
+- State: ACTIVE, Message: "Move the launch back two weeks" → 'changeRequest'
+- State: ACTIVE, pending cr_2, Message: "Looks good, approve it" → 'changeRequest'
+- State: ACTIVE, Message: "Re-baseline the plan" → 'changeRequest'
+- State: ACTIVE, Message: "How far are we off the baseline?" → 'analyzer'
 - Any state, Message: "What is PRINCE2?" → 'end' (general question)
+- State: ACTIVE, Message: "We spent $5k on fixtures and mark the fit-out task done" → 'budget' with
+  plan [budget: "Record $5,000 spent on fixtures", taskUpdater: "Mark the fit-out task as done"]
 
 For general questions not requiring project modification, answer directly and route to 'end'.
 
-Respond with JSON only:
+Report your decision by calling the route_request tool:
 {
-  "next_agent": "scope|scheduler|taskUpdater|budget|analyzer|end",
+  "next_agent": "scope|scheduler|taskUpdater|budget|risk|changeRequest|analyzer|end",
   "reasoning": "why this agent should handle it",
-  "direct_answer": "optional: answer if general question"
-}`;
-
-  const response = await model.invoke([
-    { role: "system", content: systemPrompt },
-    ...messages,
-  ]);
+  "direct_answer": "optional: answer if general question",
+  "plan": [{ "agent": "budget", "instruction": "..." }, { "agent": "taskUpdater", "instruction": "..." }]
+}
+("plan" only for multi-step requests)`;
 
   let decision;
   try {
-    // Handle content as string or array
-    let contentText = typeof response.content === 'string' 
-      ? response.content 
-      : (Array.isArray(response.content) && response.content.length > 0)
-        ? response.content[0].text || JSON.stringify(response.content)
-        : JSON.stringify(response.content);
-    
-    const cleanContent = contentText
-      .replace(/```json\n?/g, "")
-      .replace(/```\n?/g, "")
-      .trim();
-    decision = JSON.parse(cleanContent);
+    ({ data: decision } = await invokeWithSchema(model, [
+      { role: "system", content: withConversationSummary(systemPrompt, state.conversationSummary) },
+      ...messages,
+    ], supervisorOutputSchema, 'supervisor', 'route_request'));
   } catch (e) {
+    if (!(e instanceof AgentOutputError)) throw e;
     console.error("Failed to parse supervisor decision:", e);
-    console.error("Response content type:", typeof response.content);
-    console.error("Response content:", response.content);
     decision = { 
       next_agent: "end", 
       reasoning: "Failed to parse decision",
@@ -127,10 +244,33 @@ Respond with JSON only:
     };
   }
 
+  // Several agents needed - run them in order, each step handed over as its own turn
+  const steps = decision.next_agent === 'end' ? [] : decision.plan || [];
+  if (steps.length > 1) {
+    const plan = {
+      steps: steps.slice(0, MAX_HOPS),
+      dropped: steps.slice(MAX_HOPS),
+      current: 0,
+      results: [],
+      done: false
+    };
+    console.log(`🗺️ Supervisor plan: ${plan.steps.map(step => step.agent).join(' → ')}${plan.dropped.length ? ` (${plan.dropped.length} step(s) over the cap)` : ''}`);
+    return {
+      ...state,
+      messages: [...messages, stepMessage(plan, 0)],
+      plan,
+      hops: (state.hops || 0) + 1,
+      next_agent: plan.steps[0].agent,
+      reasoning: decision.reasoning,
+      direct_answer: null
+    };
+  }
+
   return {
     ...state,
     // Don't add supervisor routing to messages - it's internal routing, not conversation
     messages: messages,
+    hops: decision.next_agent === 'end' ? state.hops : (state.hops || 0) + 1,
     next_agent: decision.next_agent,
     reasoning: decision.reasoning,
     direct_answer: decision.direct_answer || null,
@@ -3,7 +3,14 @@
 
 import { ChatAnthropic } from "@langchain/anthropic";
 import { getProjectData, saveProjectData } from '../data/projectData.js';
-import { parseResponseContent } from './parseResponse.js';
+import { invokeWithSchema, AgentOutputError } from './parseResponse.js';
+import { taskUpdaterOutputSchema } from './schemas.js';
+import { applyTaskUpdates } from '../scheduling/cascade.js';
+import { ScheduleError } from '../scheduling/schedule.js';
+import { DEFAULT_CALENDAR } from '../scheduling/calendar.js';
+import { describeMilestones } from '../scheduling/milestones.js';
+import { conversationForModel, withConversationSummary } from './memory.js';
+import { addToRegister, filterRegister, describeEntry } from '../analysis/issueRegister.js';
 
 const model = new ChatAnthropic({
   modelName: "claude-3-5-haiku-20241022",
@@ -28,20 +35,31 @@ export async function taskUpdaterAgent(state) {
 
 Your role:
 - Update task status, dates, assignments based on user input
-- Detect delays and flag them as issues
-- Recalculate dependent task impacts when dates change
+- Flag blockers and other problems as issues
 - Mark tasks as completed and record completion date
 
+Only change the tasks the user talks about. Dependent tasks are rescheduled
+automatically (skipping weekends and holidays) and any delay to the project end
+date or milestones is computed and flagged for you - don't report delays yourself.
+Team over-allocation is detected for you as well. Issue IDs are assigned by the
+register, and flagging something that is already open updates that entry.
+
 Current project: ${projectData.name}
 All tasks: ${JSON.stringify(projectData.tasks, null, 2)}
-Current issues: ${JSON.stringify(projectData.issues, null, 2)}
+Working calendar: ${JSON.stringify(projectData.calendar || DEFAULT_CALENDAR)}
+Team: ${JSON.stringify(projectData.team || [])}
+Milestones:
+${describeMilestones(projectData.schedule?.milestones || []) || '(none)'}
+Open issues and risks:
+${filterRegister(projectData.issues).map(describeEntry).join('\n') || '(none)'}
 
 Examples of updates:
 - "Mark homepage design complete" → find task, set status='completed', set completedAt
-- "Delay inventory setup by 2 weeks" → find task, adjust dates, check dependencies, flag if critical
-- "Assign website development to John" → find task, set assignedTo="John"
+- "Delay inventory setup by 2 weeks" → find task, move its endDate (and startDate if not started yet) by 2 weeks
+- "Assign website development to John" → find task, set assignedTo="John" (use the team member's name)
+- "Homepage design is about 60% done" → find task, set status='in_progress', percentComplete=60
 
-Respond with JSON:
+Record the changes by calling the update_tasks tool, for example:
 {
   "updatedTasks": [
     {
@@ -53,59 +71,64 @@ Respond with JSON:
   ],
   "newIssues": [
     {
-      "id": "issue_1",
-      "type": "delay",
+      "kind": "issue",
+      "type": "blocker",
       "severity": "high",
-      "title": "Critical task delayed",
-      "description": "Task X delayed by 2 weeks, impacts milestone Y",
+      "title": "Supplier not responding",
+      "description": "Inventory order for task X can't be placed until the supplier confirms",
       "flaggedBy": "task_updater",
-      "flaggedAt": "2025-01-20T10:30:00Z",
-      "resolved": false,
-      "impact": "Delays project by 1 week"
+      "impact": "Task X can't start",
+      "taskId": "task_3"
     }
   ],
   "reasoning": "what changed and why"
 }
 
-If no tasks match user's description, return empty arrays and explain in reasoning.
-
-CRITICAL: Respond with ONLY valid JSON. No text before or after.`;
-
-  const lastUserMessage = messages[messages.length - 1];
+If no tasks match user's description, return empty arrays and explain in reasoning.`;
 
   try {
-    const response = await model.invoke([
-      { role: "system", content: systemPrompt },
-      { role: "user", content: lastUserMessage.content },
-    ]);
-
-    // Parse response
     let updateData;
     try {
-      updateData = parseResponseContent(response);
+      ({ data: updateData } = await invokeWithSchema(model, [
+        { role: "system", content: withConversationSummary(systemPrompt, state.conversationSummary) },
+        ...conversationForModel(messages),
+      ], taskUpdaterOutputSchema, 'taskUpdater', 'update_tasks'));
     } catch (e) {
+      if (!(e instanceof AgentOutputError)) throw e;
       console.error("Failed to parse task updater response:", e);
       return {
         ...state,
         error: "Failed to parse update data",
-        rawResponse: response.content,
+        rawResponse: e.raw,
+        next_agent: "end"
+      };
+    }
+
+    // Apply task updates and cascade date changes to dependent tasks -
+    // delay impact is computed here, not taken from the model
+    try {
+      updateData.cascade = applyTaskUpdates(projectData, updateData.updatedTasks);
+    } catch (e) {
+      if (!(e instanceof ScheduleError)) throw e;
+      console.error("Task updates rejected:", e.message);
+      return {
+        ...state,
+        messages: [...messages, { role: "assistant", content: `I couldn't apply that change: ${e.message}` }],
+        error: e.message,
         next_agent: "end"
       };
     }
 
-    // Apply task updates
-    if (updateData.updatedTasks && updateData.updatedTasks.length > 0) {
-      updateData.updatedTasks.forEach(updatedTask => {
-        const index = projectData.tasks.findIndex(t => t.id === updatedTask.id);
-        if (index !== -1) {
-          projectData.tasks[index] = { ...projectData.tasks[index], ...updatedTask };
-        }
-      });
+    if (updateData.cascade.delayIssue) {
+      updateData.reasoning += `\n\nSchedule impact: ${updateData.cascade.delayIssue.impact}.`;
     }
 
-    // Add new issues
-    if (updateData.newIssues && updateData.newIssues.length > 0) {
-      projectData.issues = [...projectData.issues, ...updateData.newIssues];
+    // Add new issues (delays are flagged by the cascade) - re-flagged ones update the existing entry
+    const newIssues = updateData.newIssues.filter(issue => issue.type !== 'delay');
+    if (newIssues.length > 0) {
+      const register = addToRegister(projectData.issues, newIssues, { by: 'task_updater' });
+      projectData.issues = register.issues;
+      updateData.newIssues = register.added;
     }
 
     // Save updated project
@@ -113,7 +136,7 @@ CRITICAL: Respond with ONLY valid JSON. No text before or after.`;
 
     return {
       ...state,
-      messages: [...messages, { role: "assistant", content: response.content }],
+      messages: [...messages, { role: "assistant", content: updateData.reasoning }],
       projectData: projectData,
       updateData: updateData,
       next_agent: "end"
@@ -0,0 +1,103 @@
+// railway-backend/src/agents/tokenStream.js
+// Helpers for token-level streaming of agent replies
+// Agents reply through a structured-output tool call whose arguments stream in as
+// partial JSON - only the human-readable field is shown while tokens arrive,
+// the structured part stays hidden until the complete reply validates
+
+// Field holding each agent's user-facing text
+export const STREAMED_TEXT_FIELDS = {
+  scope: 'responseText',
+  scheduler: 'reasoning',
+  taskUpdater: 'reasoning',
+  budget: 'analysis',
+  risk: 'reply',
+  changeRequest: 'reply',
+  analyzer: 'reasoning'
+};
+
+const SIMPLE_ESCAPES = {
+  '"': '"',
+  '\\': '\\',
+  '/': '/',
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t'
+};
+
+// Extract text from a LangChain message chunk (tool call arguments, string or content blocks)
+export function chunkText(chunk) {
+  if (!chunk) return '';
+
+  if (chunk.tool_call_chunks?.length) {
+    return chunk.tool_call_chunks.map(toolChunk => toolChunk.args || '').join('');
+  }
+
+  if (typeof chunk.content === 'string' && chunk.content) {
+    return chunk.content;
+  }
+
+  if (Array.isArray(chunk.content)) {
+    return chunk.content
+      .map(block => (typeof block === 'string' ? block : block.text || ''))
+      .join('');
+  }
+
+  return '';
+}
+
+// Decode a JSON string body that may be cut off mid-token.
+// Stops before an incomplete escape sequence rather than emitting half of it.
+function decodePartialJsonString(raw, start) {
+  let text = '';
+  let i = start;
+
+  while (i < raw.length) {
+    const char = raw[i];
+
+    if (char === '"') {
+      return { text, complete: true };
+    }
+
+    if (char !== '\\') {
+      text += char;
+      i++;
+      continue;
+    }
+
+    const escape = raw[i + 1];
+    if (escape === undefined) break;
+
+    if (escape === 'u') {
+      const hex = raw.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      text += String.fromCharCode(parseInt(hex, 16));
+      i += 6;
+      continue;
+    }
+
+    text += SIMPLE_ESCAPES[escape] ?? escape;
+    i += 2;
+  }
+
+  return { text, complete: false };
+}
+
+/**
+ * Get the user-facing text from a (possibly partial) raw model reply.
+ * JSON replies expose only the value of `field` decoded so far; replies that
+ * aren't JSON at all are shown as-is.
+ */
+export function extractVisibleText(raw, field) {
+  // Drop a leading code fence, including one that is still arriving ("`", "``", "```js")
+  const body = raw.trimStart().replace(/^`{1,3}(?:j(?:s(?:o(?:n)?)?)?)?\s*/, '');
+
+  if (!body) return '';
+  if (!body.startsWith('{')) return body;
+
+  const match = new RegExp(`"${field}"\\s*:\\s*"`).exec(body);
+  if (!match) return '';
+
+  return decodePartialJsonString(body, match.index + match[0].length).text;
+}
@@ -0,0 +1,129 @@
+// railway-backend/src/analysis/baseline.js
+// Approved baseline - a frozen copy of the plan as last approved (scope,
+// stages, planned tasks, budget, timeline and milestones), kept in
+// projectData.baseline apart from the current plan
+//
+// The first baseline is taken when the scope is approved and completed with
+// the task plan the first time tasks are scheduled. After that it only moves
+// when a change request is approved (the previous baseline plus that
+// request's changes) or when re-baselined on request, so the current plan can
+// be compared with what was agreed
+
+// Task fields frozen into the baseline
+const BASELINE_TASK_FIELDS = ['id', 'stageId', 'title', 'durationDays', 'startDate', 'endDate', 'dependencies', 'milestoneId'];
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function baselineTask(task) {
+  return Object.fromEntries(BASELINE_TASK_FIELDS.filter(field => task[field] !== undefined).map(field => [field, clone(task[field])]));
+}
+
+function baselineBudget(budget = {}) {
+  return {
+    total: budget.total || 0,
+    currency: budget.currency,
+    lineItems: (budget.lineItems || []).map(({ id, category, allocated }) => ({ id, category, allocated })),
+    taskAllocations: clone(budget.taskAllocations || [])
+  };
+}
+
+/**
+ * Freeze a plan as the project's new baseline - the current plan unless
+ * another one (e.g. the previous baseline with approved changes) is given
+ * `meta`: { approvedBy, changeRequestId, reason }
+ */
+export function captureBaseline(projectData, meta = {}, plan = projectData) {
+  projectData.baseline = freezePlan(plan, (projectData.baseline?.number || 0) + 1, meta);
+  console.log(`📌 Baseline ${projectData.baseline.number} captured${meta.changeRequestId ? ` (${meta.changeRequestId})` : ''}`);
+  return projectData.baseline;
+}
+
+// The baseline record for a plan
+function freezePlan(plan, number, { approvedBy = null, changeRequestId = null, reason = null } = {}) {
+  return {
+    number,
+    approvedAt: new Date().toISOString(),
+    approvedBy,
+    changeRequestId,
+    reason,
+    scope: clone(plan.scope),
+    stages: clone(plan.stages || []),
+    tasks: (plan.tasks || []).map(baselineTask),
+    budget: baselineBudget(plan.budget),
+    timeline: {
+      startDate: plan.schedule?.projectStart || plan.scope?.timeline?.startDate || null,
+      endDate: plan.schedule?.projectEnd || null,
+      targetEndDate: plan.scope?.timeline?.targetEndDate || null,
+      milestones: clone(plan.timeline?.milestones || [])
+    }
+  };
+}
+
+/**
+ * Complete a baseline taken before any tasks existed with the first task plan
+ * (and the budget as it stands then). No-op once the baseline has tasks
+ */
+export function completeBaselinePlan(projectData) {
+  const baseline = projectData.baseline;
+  if (!baseline || baseline.tasks.length > 0 || !(projectData.tasks || []).length) return false;
+
+  baseline.tasks = projectData.tasks.map(baselineTask);
+  baseline.budget = baselineBudget(projectData.budget);
+  baseline.timeline = {
+    ...baseline.timeline,
+    startDate: projectData.schedule?.projectStart || baseline.timeline.startDate,
+    endDate: projectData.schedule?.projectEnd || null,
+    milestones: clone(projectData.timeline?.milestones || [])
+  };
+  console.log(`📌 Baseline ${baseline.number} completed with ${baseline.tasks.length} planned task(s)`);
+  return true;
+}
+
+/**
+ * The baseline as a schedulable project, so changes can be applied to the
+ * agreed plan rather than the current one. Each task is held at its baseline
+ * start, so only the changes (and what they push) move dates
+ */
+export function baselineAsProject(projectData) {
+  const baseline = projectData.baseline;
+  return {
+    ...clone(projectData),
+    scope: clone(baseline.scope),
+    stages: clone(baseline.stages),
+    tasks: baseline.tasks.map(task => ({ ...clone(task), status: 'not_started', startNoEarlierThan: task.startDate })),
+    budget: {
+      ...clone(projectData.budget || {}),
+      total: baseline.budget.total,
+      lineItems: baseline.budget.lineItems.map(item => ({ ...item, spent: 0 })),
+      taskAllocations: clone(baseline.budget.taskAllocations)
+    },
+    timeline: { ...clone(projectData.timeline || {}), milestones: clone(baseline.timeline.milestones) },
+    schedule: { projectStart: baseline.timeline.startDate },
+    team: [],
+    issues: []
+  };
+}
+
+/**
+ * The project's baseline, capturing one from the current plan for projects
+ * approved before baselines existed
+ */
+export function ensureBaseline(projectData) {
+  if (!projectData.baseline && projectData.scope?.description) {
+    captureBaseline(projectData, { reason: 'Captured from the current plan' });
+  }
+  return projectData.baseline || null;
+}
+
+/**
+ * The project's baseline for reading - a projectData.baseline-shaped copy of
+ * the current plan for projects approved before baselines existed, without
+ * storing it. Null until the scope is approved
+ */
+export function baselineForReport(projectData) {
+  if (projectData.baseline) return projectData.baseline;
+  if (!projectData.scope?.description) return null;
+  return freezePlan(projectData, 1, { reason: 'Current plan - no baseline captured yet' });
+}
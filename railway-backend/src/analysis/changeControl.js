@@ -0,0 +1,420 @@
+// railway-backend/src/analysis/changeControl.js
+// Change control for an approved scope - a change request describes changes
+// to scope, stages, tasks, milestones, budget and timeline; its impact is
+// computed by applying it to a copy of the project (schedule engine, budget
+// ledger) and comparing with the current plan. Nothing changes until the
+// request is approved; then the changes are applied, a change-log entry is
+// written and the approved baseline moves to the previous baseline plus these
+// changes - drift nobody approved stays visible as variance
+//
+// Lifecycle: proposed → approved | rejected | withdrawn
+
+import { applySchedule, ScheduleError } from '../scheduling/schedule.js';
+import { mergeTaskPlan } from '../scheduling/taskPlan.js';
+import { milestonesSchema } from '../scheduling/milestones.js';
+import { createCalendar } from '../scheduling/calendar.js';
+import { applyBudgetIntents, findLineItem, syncBudgetIssues } from '../finance/budgetLedger.js';
+import { formatMoney } from '../finance/money.js';
+import { diffProjects } from './projectDiff.js';
+import { captureBaseline, ensureBaseline, baselineAsProject } from './baseline.js';
+
+export const CHANGE_REQUEST_STATUSES = ['proposed', 'approved', 'rejected', 'withdrawn'];
+
+// Scope fields a change request may replace
+const SCOPE_FIELDS = ['description', 'objectives', 'deliverables', 'outOfScope', 'successCriteria'];
+
+/**
+ * Thrown when a change request can't be proposed or decided (unknown ID,
+ * already decided, changes that no longer apply)
+ */
+export class ChangeRequestError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ChangeRequestError';
+    this.errors = errors;
+  }
+}
+
+function isStarted(task) {
+  return task.status === 'in_progress' || task.status === 'completed';
+}
+
+function nextId(items = [], prefix) {
+  const pattern = new RegExp(`^${prefix}_(\\d+)$`);
+  const highest = items.reduce((max, item) => {
+    const match = pattern.exec(item.id || '');
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+  return `${prefix}_${highest + 1}`;
+}
+
+// ============================================================================
+// APPLYING CHANGES
+// ============================================================================
+
+function applyScopeChanges(project, changes) {
+  for (const field of SCOPE_FIELDS) {
+    if (changes.scope?.[field] !== undefined) {
+      project.scope[field] = changes.scope[field];
+    }
+  }
+  if (changes.targetEndDate) {
+    project.scope.timeline = { ...project.scope.timeline, targetEndDate: changes.targetEndDate };
+  }
+}
+
+function applyStageChanges(project, changes, errors) {
+  for (const stageId of changes.removeStageIds || []) {
+    if (!project.stages.some(stage => stage.id === stageId)) {
+      errors.push(`Unknown stage ${stageId}`);
+      continue;
+    }
+    const started = project.tasks.filter(task => task.stageId === stageId && isStarted(task));
+    if (started.length > 0) {
+      errors.push(`Stage ${stageId} has started work (${started.map(task => task.id).join(', ')}) and can't be removed`);
+      continue;
+    }
+    project.stages = project.stages.filter(stage => stage.id !== stageId);
+    const removedTaskIds = project.tasks.filter(task => task.stageId === stageId).map(task => task.id);
+    removeTasks(project, removedTaskIds);
+  }
+
+  for (const addition of changes.addStages || []) {
+    const sorted = [...project.stages].sort((a, b) => a.order - b.order);
+    const after = addition.afterStageId ? sorted.findIndex(stage => stage.id === addition.afterStageId) : sorted.length - 1;
+    if (addition.afterStageId && after === -1) {
+      errors.push(`Unknown stage ${addition.afterStageId} to add "${addition.name}" after`);
+      continue;
+    }
+    sorted.splice(after + 1, 0, { id: nextId(project.stages, 'stage'), name: addition.name, order: 0, status: 'not_started' });
+    project.stages = sorted.map((stage, index) => ({ ...stage, order: index + 1 }));
+  }
+}
+
+function removeTasks(project, taskIds) {
+  const removed = new Set(taskIds);
+  project.tasks = project.tasks
+    .filter(task => !removed.has(task.id))
+    .map(task => ({ ...task, dependencies: (task.dependencies || []).filter(id => !removed.has(id)) }));
+}
+
+function applyTaskChanges(project, changes, errors) {
+  const stageIds = new Set(project.stages.map(stage => stage.id));
+
+  const removable = [];
+  for (const taskId of changes.removeTaskIds || []) {
+    const task = project.tasks.find(existing => existing.id === taskId);
+    if (!task) {
+      errors.push(`Unknown task ${taskId}`);
+    } else if (isStarted(task)) {
+      errors.push(`Task ${taskId} "${task.title}" has started and can't be removed`);
+    } else {
+      removable.push(taskId);
+    }
+  }
+  removeTasks(project, removable);
+
+  for (const change of changes.taskChanges || []) {
+    const task = project.tasks.find(existing => existing.id === change.id);
+    if (!task) {
+      errors.push(`Unknown task ${change.id}`);
+    } else if (task.status === 'completed') {
+      errors.push(`Task ${change.id} "${task.title}" is completed and can't be changed`);
+    } else if (change.stageId && !stageIds.has(change.stageId)) {
+      errors.push(`Unknown stage ${change.stageId} for task ${change.id}`);
+    } else {
+      const { id, ...fields } = change;
+      project.tasks = project.tasks.map(existing => existing.id === id ? { ...existing, ...fields } : existing);
+    }
+  }
+
+  const additions = (changes.addTasks || []).filter(task => {
+    if (stageIds.has(task.stageId)) return true;
+    errors.push(`Unknown stage ${task.stageId} for new task "${task.title}"`);
+    return false;
+  });
+  if (additions.length > 0) {
+    const tasks = additions.map((task, index) => ({
+      status: 'not_started',
+      description: '',
+      dependencies: [],
+      assignedTo: null,
+      completedAt: null,
+      ...task,
+      id: task.id || `new_${index + 1}`
+    }));
+    project.tasks = mergeTaskPlan(project.tasks, { mode: 'append', tasks }).tasks;
+  }
+}
+
+function applyMilestoneChanges(project, changes, errors) {
+  const milestones = [...(project.timeline?.milestones || [])];
+
+  for (const change of changes.milestoneChanges || []) {
+    const index = milestones.findIndex(milestone => milestone.id === change.id);
+    if (index === -1) {
+      errors.push(`Unknown milestone ${change.id}`);
+      continue;
+    }
+    const { id, ...fields } = change;
+    milestones[index] = { ...milestones[index], ...fields };
+  }
+
+  const parsed = milestonesSchema.safeParse([...milestones, ...(changes.addMilestones || [])]);
+  if (!parsed.success) {
+    errors.push(...parsed.error.issues.map(issue => `milestones.${issue.path.join('.')}: ${issue.message}`));
+    return;
+  }
+  project.timeline = { ...project.timeline, milestones: parsed.data };
+}
+
+function applyBudgetChanges(project, changes, errors, entries) {
+  const intents = [];
+  if (changes.budgetTotal !== undefined) {
+    intents.push({ type: 'set_total', amount: changes.budgetTotal });
+  }
+  for (const item of changes.lineItems || []) {
+    intents.push(findLineItem(project.budget || {}, item.category)
+      ? { type: 'set_allocation', category: item.category, allocated: item.allocated }
+      : { type: 'add_line_item', category: item.category, allocated: item.allocated });
+  }
+  if (intents.length === 0) return;
+
+  const ledger = applyBudgetIntents(project.budget || {}, intents, { entries, tasks: project.tasks });
+  errors.push(...ledger.rejected.map(entry => entry.reason));
+  project.budget = ledger.budget;
+  project.issues = syncBudgetIssues(project.issues || [], project.budget);
+}
+
+/**
+ * Apply changes to a copy of the project and reschedule it
+ * Returns { project, errors } - errors list every change that can't be applied
+ */
+export function applyChanges(projectData, changes = {}, { entries = [] } = {}) {
+  const project = JSON.parse(JSON.stringify(projectData));
+  project.scope = project.scope || {};
+  project.stages = project.stages || [];
+  project.tasks = project.tasks || [];
+  const errors = [];
+
+  applyScopeChanges(project, changes);
+  applyStageChanges(project, changes, errors);
+  applyTaskChanges(project, changes, errors);
+  applyMilestoneChanges(project, changes, errors);
+  applyBudgetChanges(project, changes, errors, entries);
+
+  try {
+    applySchedule(project);
+  } catch (error) {
+    if (!(error instanceof ScheduleError)) throw error;
+    errors.push(error.message);
+  }
+
+  return { project, errors };
+}
+
+// ============================================================================
+// IMPACT
+// ============================================================================
+
+/**
+ * Impact of changes on the current plan - stages, tasks, budget, timeline,
+ * milestones and the issues the new plan would raise
+ */
+export function changeImpact(before, after) {
+  const calendar = createCalendar(after.calendar);
+  const diff = diffProjects(before, after);
+  const endBefore = before.schedule?.projectEnd || null;
+  const endAfter = after.schedule?.projectEnd || null;
+  const allocated = (budget = {}) => (budget.lineItems || []).reduce((sum, item) => sum + (item.allocated || 0), 0);
+  const milestonesBefore = new Map((before.schedule?.milestones || []).map(milestone => [milestone.milestoneId, milestone]));
+  const openBefore = new Set((before.issues || []).filter(issue => !issue.resolved).map(issue => issue.id));
+
+  return {
+    scope: diff.scope,
+    stages: diff.stages,
+    tasks: {
+      added: diff.tasks.added,
+      removed: diff.tasks.removed,
+      changed: diff.tasks.changed.filter(task => Object.keys(task.changes).some(field => !['startDate', 'endDate'].includes(field))),
+      rescheduled: diff.tasks.changed.filter(task => task.changes.startDate || task.changes.endDate).length
+    },
+    timeline: {
+      targetEndDateBefore: before.scope?.timeline?.targetEndDate || null,
+      targetEndDateAfter: after.scope?.timeline?.targetEndDate || null,
+      projectEndBefore: endBefore,
+      projectEndAfter: endAfter,
+      endShiftDays: endBefore && endAfter ? calendar.workingDaysBetween(endBefore, endAfter) : 0,
+      fitsTimeline: after.schedule?.fitsTimeline ?? null,
+      overrunDays: after.schedule?.overrunDays || 0
+    },
+    budget: {
+      currency: after.budget?.currency,
+      totalBefore: before.budget?.total || 0,
+      totalAfter: after.budget?.total || 0,
+      allocatedBefore: allocated(before.budget),
+      allocatedAfter: allocated(after.budget),
+      unallocatedAfter: after.budget?.unallocated ?? null
+    },
+    milestones: (after.schedule?.milestones || []).map(milestone => ({
+      milestoneId: milestone.milestoneId,
+      name: milestone.name,
+      targetDate: milestone.targetDate,
+      forecastBefore: milestonesBefore.get(milestone.milestoneId)?.forecastDate || null,
+      forecastAfter: milestone.forecastDate,
+      status: milestone.status
+    })).filter(milestone => milestone.forecastBefore !== milestone.forecastAfter || milestone.status === 'late'),
+    newIssues: (after.issues || [])
+      .filter(issue => !issue.resolved && !openBefore.has(issue.id))
+      .map(({ id, type, severity, title }) => ({ id, type, severity, title }))
+  };
+}
+
+/**
+ * Readable summary of a change request's impact for the approval prompt
+ */
+export function describeImpact(impact) {
+  const lines = [];
+  const money = (amount) => formatMoney(amount, impact.budget.currency);
+
+  if (Object.keys(impact.scope).length > 0) {
+    lines.push(`Scope: ${Object.keys(impact.scope).join(', ')} changed`);
+  }
+  const { stages, tasks, timeline, budget } = impact;
+  if (stages.added.length || stages.removed.length) {
+    lines.push(`Stages: ${[
+      ...stages.added.map(stage => `+ ${stage.name}`),
+      ...stages.removed.map(stage => `- ${stage.name}`)
+    ].join(', ')}`);
+  }
+  if (tasks.added.length || tasks.removed.length || tasks.changed.length) {
+    lines.push(`Tasks: ${tasks.added.length} added, ${tasks.removed.length} removed, ${tasks.changed.length} changed, ${tasks.rescheduled} rescheduled`);
+  }
+  if (timeline.targetEndDateBefore !== timeline.targetEndDateAfter) {
+    lines.push(`Target end date: ${timeline.targetEndDateBefore} → ${timeline.targetEndDateAfter}`);
+  }
+  if (timeline.projectEndBefore !== timeline.projectEndAfter) {
+    lines.push(`Forecast end: ${timeline.projectEndBefore || 'n/a'} → ${timeline.projectEndAfter} (${timeline.endShiftDays >= 0 ? '+' : ''}${timeline.endShiftDays} working day(s))`);
+  }
+  if (timeline.fitsTimeline === false) {
+    lines.push(`⚠️ Plan would end ${timeline.overrunDays} working day(s) after the target end date`);
+  }
+  if (budget.totalBefore !== budget.totalAfter) {
+    lines.push(`Budget: ${money(budget.totalBefore)} → ${money(budget.totalAfter)}`);
+  }
+  if (budget.allocatedBefore !== budget.allocatedAfter) {
+    lines.push(`Allocated: ${money(budget.allocatedBefore)} → ${money(budget.allocatedAfter)}`);
+  }
+  for (const milestone of impact.milestones) {
+    lines.push(`Milestone "${milestone.name}" (target ${milestone.targetDate}): forecast ${milestone.forecastBefore || 'n/a'} → ${milestone.forecastAfter || 'n/a'}${milestone.status === 'late' ? ' - late' : ''}`);
+  }
+  if (impact.newIssues.length > 0) {
+    lines.push(`New issues: ${impact.newIssues.map(issue => issue.title).join('; ')}`);
+  }
+
+  return lines.length > 0 ? lines.join('\n') : 'No effect on the plan.';
+}
+
+// ============================================================================
+// CHANGE REQUESTS
+// ============================================================================
+
+export function findChangeRequest(projectData, changeRequestId) {
+  return (projectData.changeRequests || []).find(request => request.id === changeRequestId) || null;
+}
+
+export function pendingChangeRequests(projectData) {
+  return (projectData.changeRequests || []).filter(request => request.status === 'proposed');
+}
+
+/**
+ * Record a proposed change with its computed impact - the plan itself is not
+ * touched. Throws ChangeRequestError when any change can't be applied
+ */
+export function proposeChangeRequest(projectData, { title, description = '', changes }, { requestedBy = null, entries = [] } = {}) {
+  ensureBaseline(projectData);
+
+  const { project, errors } = applyChanges(projectData, changes, { entries });
+  if (errors.length > 0) {
+    throw new ChangeRequestError(`Change can't be applied: ${errors.join('; ')}`, errors);
+  }
+
+  const request = {
+    id: nextId(projectData.changeRequests, 'cr'),
+    title,
+    description,
+    status: 'proposed',
+    changes,
+    impact: changeImpact(projectData, project),
+    requestedBy,
+    requestedAt: new Date().toISOString(),
+    basedOnVersion: projectData.version ?? null
+  };
+  projectData.changeRequests = [...(projectData.changeRequests || []), request];
+  console.log(`📝 Change request ${request.id} proposed: ${title}`);
+  return request;
+}
+
+/**
+ * Approve, reject or withdraw a proposed change request. Approval re-applies
+ * the changes to the current plan (it may have moved since the proposal),
+ * writes a change-log entry and captures a new baseline
+ * Returns the updated request; throws ChangeRequestError
+ */
+export function decideChangeRequest(projectData, changeRequestId, decision, { decidedBy = null, note = null, entries = [] } = {}) {
+  const request = findChangeRequest(projectData, changeRequestId);
+  if (!request) {
+    throw new ChangeRequestError(`No change request ${changeRequestId}`);
+  }
+  if (request.status !== 'proposed') {
+    throw new ChangeRequestError(`${request.id} is already ${request.status}`);
+  }
+
+  const status = { approve: 'approved', reject: 'rejected', withdraw: 'withdrawn' }[decision];
+  if (!status) {
+    throw new ChangeRequestError(`Unknown decision "${decision}"`);
+  }
+
+  const decided = { ...request, status, decidedBy, decidedAt: new Date().toISOString(), decisionNote: note };
+
+  if (status === 'approved') {
+    const { project, errors } = applyChanges(projectData, request.changes, { entries });
+    if (errors.length > 0) {
+      throw new ChangeRequestError(`${request.id} no longer applies to the current plan: ${errors.join('; ')}`, errors);
+    }
+    decided.impact = changeImpact(projectData, project);
+
+    for (const field of ['scope', 'stages', 'tasks', 'budget', 'timeline', 'schedule', 'issues']) {
+      projectData[field] = project[field];
+    }
+
+    // The new baseline is the agreed plan plus this request - not the current
+    // plan, which may carry slips and reallocations nobody approved. When the
+    // changes only make sense on the current plan, that plan is taken instead
+    const rebased = projectData.baseline ? applyChanges(baselineAsProject(projectData), request.changes) : null;
+    const fromBaseline = rebased && rebased.errors.length === 0;
+    const baseline = captureBaseline(
+      projectData,
+      { approvedBy: decidedBy, changeRequestId: request.id, reason: request.title },
+      fromBaseline ? rebased.project : projectData
+    );
+    const summary = fromBaseline || !rebased
+      ? describeImpact(decided.impact)
+      : `${describeImpact(decided.impact)}\n⚠️ Baseline taken from the current plan, including changes made since baseline #${baseline.number - 1} without a change request`;
+
+    projectData.changeLog = [...(projectData.changeLog || []), {
+      id: nextId(projectData.changeLog, 'change'),
+      changeRequestId: request.id,
+      title: request.title,
+      summary,
+      baselineSource: fromBaseline ? 'baseline' : 'current_plan',
+      appliedBy: decidedBy,
+      appliedAt: decided.decidedAt,
+      baselineNumber: baseline.number
+    }];
+  }
+
+  projectData.changeRequests = projectData.changeRequests.map(existing => existing.id === request.id ? decided : existing);
+  console.log(`📝 Change request ${request.id} ${status}`);
+  return decided;
+}
@@ -0,0 +1,215 @@
+// railway-backend/src/analysis/health.js
+// Rule-based project health scoring - scope completeness, schedule health,
+// budget health and open issue severity, each 0-100 from fixed rules over
+// projectData, so the same project always scores the same
+//
+// A dimension that can't be scored yet (no tasks, no budget) is null and left
+// out of the overall score. Every deduction is listed in `findings`
+
+import { today } from '../scheduling/calendar.js';
+import { computeEarnedValue } from '../finance/earnedValue.js';
+import { recalculateBudget } from '../finance/budgetLedger.js';
+
+export const HEALTH_DIMENSIONS = ['scope', 'schedule', 'budget', 'issues'];
+
+// Overall weight of each dimension
+const DIMENSION_WEIGHTS = { scope: 1, schedule: 1.5, budget: 1.5, issues: 1 };
+
+// Points an open issue takes off the issue score
+const ISSUE_PENALTIES = { critical: 25, high: 15, medium: 5, low: 2 };
+
+// Overall score needed for each readiness level
+const READINESS_THRESHOLDS = { high: 75, medium: 50 };
+
+// Scope checks and their weights
+const SCOPE_CHECKS = [
+  { key: 'description', weight: 2, label: 'project description', test: p => Boolean(p.scope?.description) },
+  { key: 'objectives', weight: 2, label: 'objectives', test: p => p.scope?.objectives?.length > 0 },
+  { key: 'deliverables', weight: 2, label: 'deliverables', test: p => p.scope?.deliverables?.length > 0 },
+  { key: 'successCriteria', weight: 1, label: 'success criteria', test: p => p.scope?.successCriteria?.length > 0 },
+  { key: 'outOfScope', weight: 1, label: 'out-of-scope list', test: p => p.scope?.outOfScope?.length > 0 },
+  { key: 'timeline', weight: 2, label: 'start and target end dates', test: p => Boolean(p.scope?.timeline?.startDate && p.scope?.timeline?.targetEndDate) },
+  { key: 'budget', weight: 2, label: 'total budget', test: p => p.budget?.total > 0 },
+  { key: 'stages', weight: 2, label: 'stages', test: p => p.stages?.length > 0 },
+  { key: 'tasks', weight: 2, label: 'tasks', test: p => p.tasks?.length > 0 },
+  {
+    key: 'stageTasks',
+    weight: 1,
+    label: 'tasks for every stage',
+    test: p => p.stages?.length > 0 && p.stages.every(stage => (p.tasks || []).some(task => task.stageId === stage.id))
+  }
+];
+
+function clampScore(value) {
+  return Math.max(0, Math.min(100, Math.round(value)));
+}
+
+function rating(score) {
+  if (score === null) return 'unknown';
+  if (score >= 75) return 'good';
+  if (score >= 50) return 'fair';
+  return 'poor';
+}
+
+// ============================================================================
+// DIMENSIONS
+// ============================================================================
+
+function scoreScope(projectData) {
+  const total = SCOPE_CHECKS.reduce((sum, check) => sum + check.weight, 0);
+  const missing = SCOPE_CHECKS.filter(check => !check.test(projectData));
+  const lost = missing.reduce((sum, check) => sum + check.weight, 0);
+
+  return {
+    score: clampScore((total - lost) / total * 100),
+    findings: missing.map(check => `Missing ${check.label}`)
+  };
+}
+
+function scoreSchedule(projectData, earnedValue, asOf) {
+  const tasks = projectData.tasks || [];
+  if (tasks.length === 0) {
+    return { score: null, findings: ['No tasks to schedule yet'] };
+  }
+
+  const findings = [];
+  let penalty = 0;
+
+  const overrunDays = projectData.schedule?.overrunDays || 0;
+  if (overrunDays > 0) {
+    penalty += Math.min(40, overrunDays * 2);
+    findings.push(`Plan ends ${overrunDays} working day(s) after the target end date`);
+  }
+
+  const overdue = tasks.filter(task => task.status !== 'completed' && task.endDate && task.endDate < asOf);
+  if (overdue.length > 0) {
+    penalty += Math.min(30, overdue.length * 5);
+    findings.push(`${overdue.length} task(s) past their end date: ${overdue.map(task => task.id).join(', ')}`);
+  }
+
+  const blocked = tasks.filter(task => task.status === 'blocked');
+  if (blocked.length > 0) {
+    penalty += Math.min(15, blocked.length * 5);
+    findings.push(`${blocked.length} blocked task(s)`);
+  }
+
+  if (earnedValue.spi !== null && earnedValue.spi < 1) {
+    penalty += Math.min(30, (1 - earnedValue.spi) * 100);
+    findings.push(`SPI ${earnedValue.spi} - behind the planned schedule`);
+  }
+
+  const lateMilestones = (projectData.schedule?.milestones || []).filter(milestone => milestone.status === 'late');
+  if (lateMilestones.length > 0) {
+    penalty += Math.min(20, lateMilestones.length * 10);
+    findings.push(`${lateMilestones.length} milestone(s) forecast past target: ${lateMilestones.map(milestone => milestone.name).join(', ')}`);
+  }
+
+  const overallocated = projectData.schedule?.overallocations?.length || 0;
+  if (overallocated > 0) {
+    penalty += Math.min(10, overallocated * 2);
+    findings.push(`${overallocated} team over-allocation period(s)`);
+  }
+
+  return { score: clampScore(100 - penalty), findings };
+}
+
+function scoreBudget(budget, earnedValue) {
+  if (!(budget.total > 0)) {
+    return { score: null, findings: ['No budget set yet'] };
+  }
+
+  const findings = [];
+  let penalty = 0;
+
+  if (budget.spent > budget.total) {
+    penalty += 40;
+    findings.push(`Spending ${budget.spent} exceeds the total budget ${budget.total}`);
+  }
+
+  const overspent = (budget.lineItems || []).filter(item => item.spent > item.allocated);
+  if (overspent.length > 0) {
+    penalty += Math.min(45, overspent.length * 15);
+    findings.push(`Over budget: ${overspent.map(item => item.category).join(', ')}`);
+  }
+
+  if (budget.unallocated < 0) {
+    penalty += 10;
+    findings.push(`Line items allocate ${-budget.unallocated} more than the total budget`);
+  }
+
+  if (earnedValue.cpi !== null && earnedValue.cpi < 1) {
+    penalty += Math.min(30, (1 - earnedValue.cpi) * 100);
+    findings.push(`CPI ${earnedValue.cpi} - getting less work per unit of cost than planned`);
+  }
+
+  return { score: clampScore(100 - penalty), findings };
+}
+
+function scoreIssues(projectData) {
+  const open = (projectData.issues || []).filter(issue => !issue.resolved);
+  const bySeverity = Object.fromEntries(Object.keys(ISSUE_PENALTIES).map(severity => [severity, 0]));
+  for (const issue of open) {
+    bySeverity[issue.severity] = (bySeverity[issue.severity] || 0) + 1;
+  }
+
+  const penalty = open.reduce((sum, issue) => sum + (ISSUE_PENALTIES[issue.severity] || 0), 0);
+  const findings = Object.entries(bySeverity)
+    .filter(([, count]) => count > 0)
+    .map(([severity, count]) => `${count} open ${severity} issue(s)`);
+
+  return { score: clampScore(100 - penalty), findings, openIssues: open.length, bySeverity };
+}
+
+// ============================================================================
+// HEALTH SCORE
+// ============================================================================
+
+/**
+ * Score a project's health. `transactions` is the folded expense ledger (for
+ * CPI/SPI). Returns { computedAt, asOf, overall, readiness, dimensions:
+ * { scope, schedule, budget, issues: { score, rating, findings } } }
+ */
+export function scoreProjectHealth(projectData, transactions = [], { asOf = today() } = {}) {
+  const earnedValue = computeEarnedValue(projectData, transactions, { asOf, baselineTasks: projectData.baseline?.tasks });
+
+  const dimensions = {
+    scope: scoreScope(projectData),
+    schedule: scoreSchedule(projectData, earnedValue, asOf),
+    // Spending from the expense ledger
+    budget: scoreBudget(recalculateBudget(projectData.budget || {}, transactions), earnedValue),
+    issues: scoreIssues(projectData)
+  };
+  for (const dimension of Object.values(dimensions)) {
+    dimension.rating = rating(dimension.score);
+  }
+
+  const scored = HEALTH_DIMENSIONS.filter(name => dimensions[name].score !== null);
+  const weight = scored.reduce((sum, name) => sum + DIMENSION_WEIGHTS[name], 0);
+  const overall = clampScore(scored.reduce((sum, name) => sum + dimensions[name].score * DIMENSION_WEIGHTS[name], 0) / weight);
+
+  return {
+    computedAt: new Date().toISOString(),
+    asOf,
+    overall,
+    rating: rating(overall),
+    readiness: overall >= READINESS_THRESHOLDS.high ? 'high' : overall >= READINESS_THRESHOLDS.medium ? 'medium' : 'low',
+    dimensions,
+    earnedValue: { cpi: earnedValue.cpi, spi: earnedValue.spi, percentComplete: earnedValue.percentComplete }
+  };
+}
+
+/**
+ * Change per score since an earlier health record: { overall, scope, ... } (null when not comparable)
+ */
+export function healthTrend(current, previous) {
+  if (!previous) return null;
+  const delta = (a, b) => (a === null || a === undefined || b === null || b === undefined ? null : a - b);
+  return {
+    since: previous.computedAt,
+    overall: delta(current.overall, previous.overall),
+    ...Object.fromEntries(HEALTH_DIMENSIONS.map(name => [
+      name,
+      delta(current.dimensions[name]?.score, previous.dimensions?.[name]?.score)
+    ]))
+  };
+}
@@ -0,0 +1,471 @@
+// railway-backend/src/analysis/issueRegister.js
+// Risk and issue register - projectData.issues holds both issues (things that
+// have happened) and risks (things that might). Each entry has a unique ID, an
+// owner, a due date, a mitigation plan and a status workflow:
+//
+//   open → mitigating → resolved | accepted   (closed entries can be reopened)
+//
+// `resolved: true` is kept on every closed entry (resolved or accepted) so the
+// engines, health scoring and diffs that only look at open entries still work.
+// Risks are scored probability × impact (1-5 each) and their severity follows
+// the score. New entries from agents are checked against the open register
+// first - a re-flagged problem updates the existing entry instead of adding a
+// duplicate. The risk agent only emits actions; this module applies them
+
+import { today } from '../scheduling/calendar.js';
+
+export const ENTRY_KINDS = ['issue', 'risk'];
+export const ENTRY_STATUSES = ['open', 'mitigating', 'resolved', 'accepted'];
+export const CLOSED_STATUSES = ['resolved', 'accepted'];
+export const REGISTER_ACTION_TYPES = ['add', 'update', 'set_status', 'escalate', 'merge', 'list'];
+
+// Allowed status moves
+const STATUS_TRANSITIONS = {
+  open: ['mitigating', 'resolved', 'accepted'],
+  mitigating: ['open', 'resolved', 'accepted'],
+  resolved: ['open'],
+  accepted: ['open', 'mitigating']
+};
+
+// Highest severity first - escalation moves one step left
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+// Title word overlap (Jaccard) above which two entries of the same type are duplicates
+const DUPLICATE_TITLE_SIMILARITY = 0.6;
+
+// Fields that identify what an engine-raised entry is about
+const SUBJECT_KEYS = ['budgetKey', 'memberId', 'taskId', 'milestoneId'];
+
+// Fields an update action may change
+const EDITABLE_FIELDS = ['title', 'description', 'type', 'owner', 'dueDate', 'mitigation', 'impact', 'probability', 'impactScore', 'severity'];
+
+/**
+ * Thrown for a register action that can't be applied (unknown ID, bad status move, ...)
+ */
+export class RegisterError extends Error {
+  constructor(message, action) {
+    super(message);
+    this.name = 'RegisterError';
+    this.action = action;
+  }
+}
+
+export function isClosed(entry) {
+  return CLOSED_STATUSES.includes(entry.status) || (!entry.status && entry.resolved === true);
+}
+
+/**
+ * Severity for a risk score (probability × impact, 1-25)
+ */
+export function severityForScore(score) {
+  if (score >= 15) return 'critical';
+  if (score >= 10) return 'high';
+  if (score >= 5) return 'medium';
+  return 'low';
+}
+
+function withRiskScore(entry) {
+  if (entry.kind !== 'risk' || !entry.probability || !entry.impactScore) return entry;
+  const riskScore = entry.probability * entry.impactScore;
+  return { ...entry, riskScore, severity: severityForScore(riskScore) };
+}
+
+function historyEntry(action, by, note, extra = {}) {
+  return { action, by: by || 'system', at: new Date().toISOString(), ...(note ? { note } : {}), ...extra };
+}
+
+function titleWords(title = '') {
+  return new Set(title.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(word => word.length > 2));
+}
+
+function titleSimilarity(a, b) {
+  const wordsA = titleWords(a);
+  const wordsB = titleWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// ============================================================================
+// ENTRIES
+// ============================================================================
+
+/**
+ * Next free register ID for a kind: issue_1, issue_2, ... / risk_1, ...
+ */
+export function nextRegisterId(issues = [], kind = 'issue') {
+  const pattern = new RegExp(`^${kind}_(\\d+)$`);
+  const highest = issues.reduce((max, entry) => {
+    const match = pattern.exec(entry.id || '');
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+  return `${kind}_${highest + 1}`;
+}
+
+/**
+ * Fill in the register fields an entry is missing (kind, status, owner, ...)
+ * Entries from before the register get a status from their `resolved` flag
+ */
+export function registerEntry(entry) {
+  const kind = ENTRY_KINDS.includes(entry.kind) ? entry.kind : 'issue';
+  const status = ENTRY_STATUSES.includes(entry.status) ? entry.status : (entry.resolved ? 'resolved' : 'open');
+  return withRiskScore({
+    ...entry,
+    kind,
+    status,
+    resolved: CLOSED_STATUSES.includes(status),
+    severity: entry.severity || 'medium',
+    owner: entry.owner ?? null,
+    dueDate: entry.dueDate ?? null,
+    mitigation: entry.mitigation ?? null,
+    history: entry.history || []
+  });
+}
+
+/**
+ * Normalize a whole register - fills register fields and renames entries whose
+ * ID is already taken (agents used to hand out colliding IDs like issue_1)
+ */
+export function normalizeRegister(issues = []) {
+  const seen = new Set();
+  const normalized = [];
+  for (const entry of issues) {
+    let current = registerEntry(entry);
+    if (!current.id || seen.has(current.id)) {
+      current = { ...current, id: nextRegisterId([...normalized, ...issues], current.kind) };
+    }
+    seen.add(current.id);
+    normalized.push(current);
+  }
+  return normalized;
+}
+
+/**
+ * Close an entry (resolved by default) and record who closed it
+ */
+export function closeEntry(entry, { status = 'resolved', by, note } = {}) {
+  return {
+    ...registerEntry(entry),
+    status,
+    resolved: true,
+    resolvedAt: new Date().toISOString(),
+    history: [...(entry.history || []), historyEntry(status, by, note)]
+  };
+}
+
+/**
+ * Sync one condition an engine detected (an overrun, an over-allocation, a
+ * slip) into the register. `matches(entry)` picks the entries about the same
+ * subject: the open one is refreshed; otherwise an accepted one stays closed
+ * with refreshed details, and is reopened only when the severity goes up;
+ * otherwise a new entry is raised
+ * Returns { issues, raised } - raised is the new or reopened entry, if any
+ */
+export function syncEngineEntry(issues = [], issue, matches, { by } = {}) {
+  const rank = (severity) => SEVERITY_ORDER.length - SEVERITY_ORDER.indexOf(severity);
+  const replace = (target, updated) => issues.map(existing => existing === target ? updated : existing);
+
+  const open = issues.find(existing => matches(existing) && !isClosed(existing));
+  if (open) {
+    // Keep the original flag time so the entry's age stays meaningful
+    return { issues: replace(open, { ...open, ...issue, flaggedAt: open.flaggedAt }), raised: null };
+  }
+
+  const accepted = issues.filter(existing => matches(existing) && existing.status === 'accepted').at(-1);
+  if (accepted && rank(issue.severity) > rank(accepted.severity)) {
+    const reopened = {
+      ...accepted,
+      ...issue,
+      flaggedAt: accepted.flaggedAt,
+      status: 'open',
+      resolved: false,
+      resolvedAt: null,
+      history: [...(accepted.history || []), historyEntry('reopened', by, `Severity rose from ${accepted.severity} to ${issue.severity}`)]
+    };
+    return { issues: replace(accepted, reopened), raised: reopened };
+  }
+  if (accepted) {
+    const refreshed = { ...accepted, ...issue, flaggedAt: accepted.flaggedAt, status: 'accepted', resolved: true, resolvedAt: accepted.resolvedAt };
+    return { issues: replace(accepted, refreshed), raised: null };
+  }
+
+  const entry = registerEntry({ id: nextRegisterId(issues), ...issue });
+  return { issues: [...issues, entry], raised: entry };
+}
+
+/**
+ * The open entry a new one duplicates, or null - same type and the same
+ * subject (budget line, member, task, milestone) or a near-identical title
+ */
+export function findDuplicate(issues = [], candidate) {
+  return issues.find(existing => {
+    if (isClosed(existing) || existing.type !== candidate.type) return false;
+    const subjects = SUBJECT_KEYS.filter(key => candidate[key] && existing[key]);
+    if (subjects.length > 0) {
+      return subjects.every(key => candidate[key] === existing[key]);
+    }
+    return titleSimilarity(existing.title, candidate.title) >= DUPLICATE_TITLE_SIMILARITY;
+  }) || null;
+}
+
+/**
+ * Add newly flagged entries (from agents or engines) to the register
+ * A duplicate of an open entry updates it instead: the description is
+ * refreshed, the severity only goes up, and the re-flag is counted
+ * Returns { issues, added, duplicates: [{ entry, duplicateOf }] }
+ */
+export function addToRegister(issues = [], candidates = [], { by } = {}) {
+  let register = normalizeRegister(issues);
+  const added = [];
+  const duplicates = [];
+
+  for (const candidate of candidates) {
+    const flaggedBy = candidate.flaggedBy || by || 'system';
+    const duplicate = findDuplicate(register, candidate);
+
+    if (duplicate) {
+      const severity = SEVERITY_ORDER.indexOf(candidate.severity) !== -1 &&
+        SEVERITY_ORDER.indexOf(candidate.severity) < SEVERITY_ORDER.indexOf(duplicate.severity)
+        ? candidate.severity
+        : duplicate.severity;
+      const updated = {
+        ...duplicate,
+        severity,
+        description: candidate.description || duplicate.description,
+        occurrences: (duplicate.occurrences || 1) + 1,
+        lastFlaggedAt: new Date().toISOString(),
+        history: [...duplicate.history, historyEntry('reflagged', flaggedBy, candidate.title)]
+      };
+      register = register.map(entry => entry.id === duplicate.id ? updated : entry);
+      duplicates.push({ entry: candidate, duplicateOf: duplicate.id });
+      continue;
+    }
+
+    const kind = ENTRY_KINDS.includes(candidate.kind) ? candidate.kind : 'issue';
+    const entry = registerEntry({
+      ...candidate,
+      id: nextRegisterId(register, kind),
+      kind,
+      status: 'open',
+      flaggedBy,
+      flaggedAt: candidate.flaggedAt || new Date().toISOString(),
+      history: [historyEntry('opened', flaggedBy)]
+    });
+    register.push(entry);
+    added.push(entry);
+  }
+
+  if (duplicates.length > 0) {
+    console.log(`🗂️ Register: ${duplicates.length} re-flagged entr${duplicates.length === 1 ? 'y' : 'ies'} merged into ${duplicates.map(d => d.duplicateOf).join(', ')}`);
+  }
+
+  return { issues: register, added, duplicates };
+}
+
+// ============================================================================
+// REGISTER ACTIONS
+// ============================================================================
+
+function requireEntry(register, action, id = action.id) {
+  const entry = register.find(existing => existing.id === id);
+  if (!entry) {
+    throw new RegisterError(`No register entry ${id}`, action);
+  }
+  return entry;
+}
+
+function describeEntryRef(entry) {
+  return `${entry.id} "${entry.title}"`;
+}
+
+/**
+ * Entries matching a filter, most severe first
+ */
+export function filterRegister(issues = [], { kind, status, owner, overdue = false, includeClosed = false } = {}) {
+  const asOf = today();
+  return issues
+    .filter(entry => !kind || entry.kind === kind)
+    .filter(entry => status ? entry.status === status : includeClosed || !isClosed(entry))
+    .filter(entry => !owner || entry.owner?.toLowerCase() === owner.toLowerCase())
+    .filter(entry => !overdue || (entry.dueDate && entry.dueDate < asOf && !isClosed(entry)))
+    .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+}
+
+function applyAction(register, action, by) {
+  switch (action.type) {
+    case 'add': {
+      const { type, entryType, ...fields } = action;
+      const result = addToRegister(register, [{ ...fields, type: action.entryType || (action.kind === 'risk' ? 'risk' : 'issue') }], { by });
+      const entry = result.added[0];
+      return {
+        issues: result.issues,
+        summary: entry
+          ? `Added ${describeEntryRef(entry)} (${entry.severity}${entry.riskScore ? `, score ${entry.riskScore}` : ''})`
+          : `Already tracked as ${result.duplicates[0].duplicateOf} - updated it instead`
+      };
+    }
+
+    case 'update': {
+      const entry = requireEntry(register, action);
+      const changes = Object.fromEntries(Object.entries(action.changes || {}).filter(([field]) => EDITABLE_FIELDS.includes(field)));
+      if (Object.keys(changes).length === 0) {
+        throw new RegisterError(`Update of ${entry.id} changes nothing`, action);
+      }
+      const updated = withRiskScore({
+        ...entry,
+        ...changes,
+        history: [...entry.history, historyEntry('updated', by, action.note, { changes })]
+      });
+      return {
+        issues: register.map(existing => existing.id === entry.id ? updated : existing),
+        summary: `Updated ${describeEntryRef(entry)}: ${Object.entries(changes).map(([field, value]) => `${field} ${value}`).join(', ')}`
+      };
+    }
+
+    case 'set_status': {
+      const entry = requireEntry(register, action);
+      if (!(STATUS_TRANSITIONS[entry.status] || []).includes(action.status)) {
+        throw new RegisterError(`${entry.id} can't move from ${entry.status} to ${action.status}`, action);
+      }
+      const closing = CLOSED_STATUSES.includes(action.status);
+      const updated = closing
+        ? closeEntry(entry, { status: action.status, by, note: action.note })
+        : {
+          ...entry,
+          status: action.status,
+          resolved: false,
+          resolvedAt: null,
+          history: [...entry.history, historyEntry(action.status === 'open' ? 'reopened' : action.status, by, action.note)]
+        };
+      return {
+        issues: register.map(existing => existing.id === entry.id ? updated : existing),
+        summary: `${describeEntryRef(entry)}: ${entry.status} → ${action.status}`
+      };
+    }
+
+    case 'escalate': {
+      const entry = requireEntry(register, action);
+      const current = SEVERITY_ORDER.indexOf(entry.severity);
+      const severity = action.severity || SEVERITY_ORDER[Math.max(0, current - 1)];
+      if (SEVERITY_ORDER.indexOf(severity) >= current) {
+        throw new RegisterError(`${entry.id} is already ${entry.severity}`, action);
+      }
+      const updated = {
+        ...entry,
+        severity,
+        escalatedAt: new Date().toISOString(),
+        history: [...entry.history, historyEntry('escalated', by, action.note, { from: entry.severity, to: severity })]
+      };
+      return {
+        issues: register.map(existing => existing.id === entry.id ? updated : existing),
+        summary: `Escalated ${describeEntryRef(entry)}: ${entry.severity} → ${severity}`
+      };
+    }
+
+    case 'merge': {
+      const entry = requireEntry(register, action);
+      const target = requireEntry(register, action, action.duplicateOf);
+      if (entry.id === target.id) {
+        throw new RegisterError(`${entry.id} can't be merged into itself`, action);
+      }
+      const closed = { ...closeEntry(entry, { by, note: `Duplicate of ${target.id}` }), duplicateOf: target.id };
+      const merged = {
+        ...target,
+        occurrences: (target.occurrences || 1) + (entry.occurrences || 1),
+        history: [...target.history, historyEntry('merged', by, `Merged ${entry.id}`)]
+      };
+      return {
+        issues: register.map(existing => existing.id === entry.id ? closed : existing.id === target.id ? merged : existing),
+        summary: `Merged ${describeEntryRef(entry)} into ${target.id}`
+      };
+    }
+
+    case 'list': {
+      const listing = filterRegister(register, action);
+      return { issues: register, listing, summary: `Listed ${listing.length} entr${listing.length === 1 ? 'y' : 'ies'}` };
+    }
+
+    default:
+      throw new RegisterError(`Unknown register action "${action.type}"`, action);
+  }
+}
+
+/**
+ * Apply register actions in order. An action that can't be applied is
+ * rejected on its own; the others still go through. `by` is recorded in
+ * each entry's history
+ * Returns { issues, applied: [{ action, summary }], rejected: [{ action, reason }], listings }
+ */
+export function applyRegisterActions(issues = [], actions = [], { by } = {}) {
+  let register = normalizeRegister(issues);
+  const applied = [];
+  const rejected = [];
+  const listings = [];
+
+  for (const action of actions) {
+    try {
+      const result = applyAction(register, action, by);
+      register = result.issues;
+      if (result.listing) listings.push(result.listing);
+      applied.push({ action, summary: result.summary });
+    } catch (error) {
+      if (!(error instanceof RegisterError)) throw error;
+      rejected.push({ action, reason: error.message });
+    }
+  }
+
+  if (rejected.length > 0) {
+    console.warn(`🗂️ Rejected ${rejected.length} register action(s): ${rejected.map(r => r.reason).join('; ')}`);
+  }
+
+  return { issues: register, applied, rejected, listings };
+}
+
+// ============================================================================
+// SUMMARIES
+// ============================================================================
+
+/**
+ * One line per entry for prompts and listings
+ */
+export function describeEntry(entry) {
+  const details = [entry.kind, entry.status, entry.severity];
+  if (entry.riskScore) details.push(`P${entry.probability}×I${entry.impactScore}=${entry.riskScore}`);
+  if (entry.owner) details.push(`owner ${entry.owner}`);
+  if (entry.dueDate) details.push(`due ${entry.dueDate}${!isClosed(entry) && entry.dueDate < today() ? ' (overdue)' : ''}`);
+  if (entry.occurrences > 1) details.push(`flagged ${entry.occurrences}×`);
+  return `${entry.id} "${entry.title}" [${details.join(', ')}]${entry.mitigation ? ` - mitigation: ${entry.mitigation}` : ''}`;
+}
+
+/**
+ * Counts of open entries by kind and severity, plus overdue and unowned ones
+ */
+export function summarizeRegister(issues = []) {
+  const open = issues.filter(entry => !isClosed(entry));
+  const count = (predicate) => open.filter(predicate).length;
+  return {
+    openIssues: count(entry => entry.kind !== 'risk'),
+    openRisks: count(entry => entry.kind === 'risk'),
+    mitigating: count(entry => entry.status === 'mitigating'),
+    bySeverity: Object.fromEntries(SEVERITY_ORDER.map(severity => [severity, count(entry => entry.severity === severity)])),
+    overdue: count(entry => entry.dueDate && entry.dueDate < today()),
+    unowned: count(entry => !entry.owner)
+  };
+}
+
+/**
+ * Short summary of applied/rejected actions and listings for the chat reply
+ */
+export function describeRegisterChanges({ applied, rejected, listings = [] }) {
+  const lines = [];
+  if (applied.length > 0) {
+    lines.push(`Applied: ${applied.map(entry => entry.summary).join('; ')}`);
+  }
+  if (rejected.length > 0) {
+    lines.push(`Not applied: ${rejected.map(entry => entry.reason).join('; ')}`);
+  }
+  for (const listing of listings) {
+    lines.push(listing.length > 0 ? listing.map(describeEntry).join('\n') : 'No matching entries.');
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,142 @@
+// railway-backend/src/analysis/projectDiff.js
+// Differences between two versions of a project - scope fields, stages, tasks
+// (with slips and completions), budget and issues - plus a readable summary
+// for trend reporting ("3 tasks slipped since last week")
+
+import { createCalendar } from '../scheduling/calendar.js';
+
+const SCOPE_FIELDS = ['description', 'objectives', 'deliverables', 'outOfScope', 'successCriteria', 'budget', 'timeline'];
+const STAGE_FIELDS = ['name', 'order', 'status'];
+const TASK_FIELDS = ['stageId', 'title', 'status', 'durationDays', 'startDate', 'endDate', 'dependencies', 'assignedTo', 'percentComplete'];
+const LINE_ITEM_FIELDS = ['category', 'allocated', 'spent'];
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// { field: { from, to } } for the fields that differ
+function fieldChanges(before, after, fields) {
+  const changes = {};
+  for (const field of fields) {
+    if (!same(before?.[field], after?.[field])) {
+      changes[field] = { from: before?.[field] ?? null, to: after?.[field] ?? null };
+    }
+  }
+  return changes;
+}
+
+// Added / removed / changed items of two lists keyed by id
+function diffById(before = [], after = [], fields, describe) {
+  const beforeById = new Map(before.map(item => [item.id, item]));
+  const afterById = new Map(after.map(item => [item.id, item]));
+
+  const added = after.filter(item => !beforeById.has(item.id)).map(describe);
+  const removed = before.filter(item => !afterById.has(item.id)).map(describe);
+  const changed = [];
+  for (const item of after) {
+    if (!beforeById.has(item.id)) continue;
+    const changes = fieldChanges(beforeById.get(item.id), item, fields);
+    if (Object.keys(changes).length > 0) {
+      changed.push({ ...describe(item), changes });
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+function delta(before, after) {
+  return { from: before ?? 0, to: after ?? 0, change: Math.round(((after ?? 0) - (before ?? 0)) * 100) / 100 };
+}
+
+/**
+ * Diff two project versions (older first). Returns
+ * { scope, stages, tasks: { added, removed, changed, slipped, completed },
+ *   budget: { total, spent, remaining, lineItems }, issues: { opened, resolved }, summary }
+ */
+export function diffProjects(before = {}, after = {}) {
+  const calendar = createCalendar(after.calendar || before.calendar);
+
+  const tasks = diffById(before.tasks, after.tasks, TASK_FIELDS, task => ({ id: task.id, title: task.title }));
+
+  tasks.slipped = tasks.changed
+    .filter(task => task.changes.endDate?.from && task.changes.endDate?.to && task.changes.endDate.to > task.changes.endDate.from)
+    .map(task => ({
+      id: task.id,
+      title: task.title,
+      from: task.changes.endDate.from,
+      to: task.changes.endDate.to,
+      slipDays: calendar.workingDaysBetween(task.changes.endDate.from, task.changes.endDate.to)
+    }));
+  tasks.completed = tasks.changed
+    .filter(task => task.changes.status?.to === 'completed')
+    .map(({ id, title }) => ({ id, title }));
+
+  const beforeIssues = new Map((before.issues || []).map(issue => [issue.id, issue]));
+  const issues = {
+    opened: (after.issues || [])
+      .filter(issue => !issue.resolved && (!beforeIssues.has(issue.id) || beforeIssues.get(issue.id).resolved))
+      .map(({ id, type, severity, title }) => ({ id, type, severity, title })),
+    resolved: (after.issues || [])
+      .filter(issue => issue.resolved && beforeIssues.has(issue.id) && !beforeIssues.get(issue.id).resolved)
+      .map(({ id, type, severity, title }) => ({ id, type, severity, title }))
+  };
+
+  const diff = {
+    fromVersion: before.version ?? null,
+    toVersion: after.version ?? null,
+    fromDate: before.updatedAt ?? null,
+    toDate: after.updatedAt ?? null,
+    scope: fieldChanges(before.scope, after.scope, SCOPE_FIELDS),
+    stages: diffById(before.stages, after.stages, STAGE_FIELDS, stage => ({ id: stage.id, name: stage.name })),
+    tasks,
+    budget: {
+      currency: after.budget?.currency || before.budget?.currency,
+      total: delta(before.budget?.total, after.budget?.total),
+      spent: delta(before.budget?.spent, after.budget?.spent),
+      remaining: delta(before.budget?.remaining, after.budget?.remaining),
+      lineItems: diffById(before.budget?.lineItems, after.budget?.lineItems, LINE_ITEM_FIELDS, item => ({ id: item.id, category: item.category }))
+    },
+    issues
+  };
+
+  diff.summary = summarizeDiff(diff);
+  return diff;
+}
+
+/**
+ * One line per kind of change, empty when nothing changed
+ */
+export function summarizeDiff(diff) {
+  const lines = [];
+  const { tasks, stages, budget, issues } = diff;
+
+  if (Object.keys(diff.scope).length > 0) {
+    lines.push(`Scope changed: ${Object.keys(diff.scope).join(', ')}`);
+  }
+  if (stages.added.length || stages.removed.length || stages.changed.length) {
+    lines.push(`Stages: +${stages.added.length} added, -${stages.removed.length} removed, ${stages.changed.length} changed`);
+  }
+  if (tasks.added.length || tasks.removed.length) {
+    lines.push(`Tasks: +${tasks.added.length} added, -${tasks.removed.length} removed`);
+  }
+  if (tasks.completed.length > 0) {
+    lines.push(`${tasks.completed.length} task(s) completed: ${tasks.completed.map(task => task.title).join(', ')}`);
+  }
+  if (tasks.slipped.length > 0) {
+    lines.push(`${tasks.slipped.length} task(s) slipped: ${tasks.slipped.map(task => `${task.title} (+${task.slipDays})`).join(', ')}`);
+  }
+  if (budget.total.change !== 0) {
+    lines.push(`Budget total ${budget.total.from} → ${budget.total.to} ${budget.currency || ''}`.trim());
+  }
+  if (budget.spent.change !== 0) {
+    lines.push(`Spent ${budget.spent.change > 0 ? '+' : ''}${budget.spent.change} ${budget.currency || ''} (now ${budget.spent.to})`.trim());
+  }
+  if (issues.opened.length > 0) {
+    lines.push(`${issues.opened.length} issue(s) opened: ${issues.opened.map(issue => issue.title).join(', ')}`);
+  }
+  if (issues.resolved.length > 0) {
+    lines.push(`${issues.resolved.length} issue(s) resolved`);
+  }
+
+  return lines;
+}
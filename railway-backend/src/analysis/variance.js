@@ -0,0 +1,186 @@
+// railway-backend/src/analysis/variance.js
+// Baseline variance - the approved baseline (projectData.baseline) against the
+// current plan, per task, per budget line item and per milestone
+//
+// Date variances are in working days and positive when the current plan is
+// later than the baseline; money variances are positive when the current
+// figure is higher. Tasks and line items that exist on one side only are
+// reported as added or removed
+
+import { createCalendar } from '../scheduling/calendar.js';
+import { roundMoney } from '../finance/money.js';
+
+// Signed working days from one date to another, null when either is missing
+function dayVariance(calendar, from, to) {
+  return from && to ? calendar.workingDaysBetween(from.substring(0, 10), to.substring(0, 10)) : null;
+}
+
+function changeKind(baseline, current, differs) {
+  if (!baseline) return 'added';
+  if (!current) return 'removed';
+  return differs ? 'changed' : 'unchanged';
+}
+
+function taskVariance(baselineTask, currentTask, calendar) {
+  const planned = baselineTask
+    ? { startDate: baselineTask.startDate || null, endDate: baselineTask.endDate || null, durationDays: baselineTask.durationDays ?? null }
+    : null;
+  const current = currentTask
+    ? { startDate: currentTask.startDate || null, endDate: currentTask.endDate || null, durationDays: currentTask.durationDays ?? null }
+    : null;
+
+  const startVarianceDays = dayVariance(calendar, planned?.startDate, current?.startDate);
+  const finishVarianceDays = dayVariance(calendar, planned?.endDate, current?.endDate);
+  const durationVarianceDays = planned?.durationDays != null && current?.durationDays != null
+    ? current.durationDays - planned.durationDays
+    : null;
+
+  return {
+    taskId: (currentTask || baselineTask).id,
+    title: (currentTask || baselineTask).title,
+    stageId: (currentTask || baselineTask).stageId,
+    status: currentTask?.status || null,
+    change: changeKind(planned, current, Boolean(startVarianceDays || finishVarianceDays || durationVarianceDays)),
+    baseline: planned,
+    current,
+    startVarianceDays,
+    finishVarianceDays,
+    durationVarianceDays
+  };
+}
+
+// Line items match by id, then by category (items re-created under a new id)
+function lineItemVariances(baselineItems = [], currentItems = []) {
+  const unmatched = [...currentItems];
+  const take = (item) => {
+    const index = unmatched.findIndex(candidate =>
+      (item.id && candidate.id === item.id) || candidate.category?.toLowerCase() === item.category?.toLowerCase());
+    return index === -1 ? null : unmatched.splice(index, 1)[0];
+  };
+
+  const rows = baselineItems.map(item => [item, take(item)]);
+  rows.push(...unmatched.map(item => [null, item]));
+
+  return rows.map(([planned, current]) => {
+    const baselineAllocated = planned ? roundMoney(planned.allocated || 0) : null;
+    const currentAllocated = current ? roundMoney(current.allocated || 0) : null;
+    const spent = roundMoney(current?.spent || 0);
+    return {
+      lineItemId: (current || planned).id,
+      category: (current || planned).category,
+      change: changeKind(planned, current, baselineAllocated !== currentAllocated),
+      baselineAllocated,
+      currentAllocated,
+      allocationVariance: roundMoney((currentAllocated || 0) - (baselineAllocated || 0)),
+      spent,
+      // Spend against what was agreed - positive means over the baseline allocation
+      spentVsBaseline: roundMoney(spent - (baselineAllocated || 0))
+    };
+  });
+}
+
+function milestoneVariances(baselineMilestones = [], projectData, calendar) {
+  const current = projectData.timeline?.milestones || [];
+  const tracking = new Map((projectData.schedule?.milestones || []).map(entry => [entry.milestoneId, entry]));
+  const ids = [...new Set([...baselineMilestones, ...current].map(milestone => milestone.id))];
+
+  return ids.map(id => {
+    const planned = baselineMilestones.find(milestone => milestone.id === id) || null;
+    const milestone = current.find(candidate => candidate.id === id) || null;
+    const forecastDate = tracking.get(id)?.forecastDate || null;
+    const targetVarianceDays = dayVariance(calendar, planned?.targetDate, milestone?.targetDate);
+    return {
+      milestoneId: id,
+      name: (milestone || planned).name,
+      change: changeKind(planned, milestone, Boolean(targetVarianceDays)),
+      baselineDate: planned?.targetDate || null,
+      currentTarget: milestone?.targetDate || null,
+      forecastDate,
+      targetVarianceDays,
+      // Forecast against the baseline date - the slip from what was agreed
+      forecastVarianceDays: dayVariance(calendar, planned?.targetDate, forecastDate)
+    };
+  });
+}
+
+/**
+ * Variance of the current plan from the approved baseline
+ * Returns null without a baseline, otherwise { baselineNumber, approvedAt,
+ *   summary, tasks, lineItems, milestones }
+ */
+export function computeVariance(projectData) {
+  const baseline = projectData.baseline;
+  if (!baseline) return null;
+
+  const calendar = createCalendar(projectData.calendar);
+  const currentTasks = projectData.tasks || [];
+  const currentById = new Map(currentTasks.map(task => [task.id, task]));
+  const baselineIds = new Set((baseline.tasks || []).map(task => task.id));
+
+  const tasks = [
+    ...(baseline.tasks || []).map(task => taskVariance(task, currentById.get(task.id), calendar)),
+    ...currentTasks.filter(task => !baselineIds.has(task.id)).map(task => taskVariance(null, task, calendar))
+  ];
+  const lineItems = lineItemVariances(baseline.budget?.lineItems, projectData.budget?.lineItems);
+  const milestones = milestoneVariances(baseline.timeline?.milestones, projectData, calendar);
+
+  const baselineEnd = baseline.timeline?.endDate || null;
+  const currentEnd = projectData.schedule?.projectEnd || null;
+  const baselineTotal = roundMoney(baseline.budget?.total || 0);
+  const currentTotal = roundMoney(projectData.budget?.total || 0);
+
+  return {
+    baselineNumber: baseline.number,
+    approvedAt: baseline.approvedAt,
+    currency: projectData.budget?.currency || baseline.budget?.currency,
+    summary: {
+      projectEndBaseline: baselineEnd,
+      projectEndCurrent: currentEnd,
+      projectEndVarianceDays: dayVariance(calendar, baselineEnd, currentEnd),
+      budgetTotalBaseline: baselineTotal,
+      budgetTotalCurrent: currentTotal,
+      budgetTotalVariance: roundMoney(currentTotal - baselineTotal),
+      tasksLate: tasks.filter(task => task.finishVarianceDays > 0).length,
+      tasksEarly: tasks.filter(task => task.finishVarianceDays < 0).length,
+      tasksAdded: tasks.filter(task => task.change === 'added').length,
+      tasksRemoved: tasks.filter(task => task.change === 'removed').length,
+      lineItemsOverBaseline: lineItems.filter(item => item.spentVsBaseline > 0).length,
+      milestonesLate: milestones.filter(milestone => milestone.forecastVarianceDays > 0).length
+    },
+    tasks,
+    lineItems,
+    milestones
+  };
+}
+
+/**
+ * Short summary lines for prompts and replies - the largest variances first
+ */
+export function describeVariance(variance, { limit = 5 } = {}) {
+  if (!variance) return ['No approved baseline yet'];
+
+  const { summary, currency } = variance;
+  const lines = [];
+  if (summary.projectEndVarianceDays !== null) {
+    lines.push(`Project end: baseline ${summary.projectEndBaseline}, now ${summary.projectEndCurrent} (${summary.projectEndVarianceDays >= 0 ? '+' : ''}${summary.projectEndVarianceDays} working day(s))`);
+  }
+  lines.push(`Budget total: baseline ${currency} ${summary.budgetTotalBaseline}, now ${currency} ${summary.budgetTotalCurrent} (${summary.budgetTotalVariance >= 0 ? '+' : ''}${summary.budgetTotalVariance})`);
+  lines.push(`Tasks: ${summary.tasksLate} finishing later than baseline, ${summary.tasksEarly} earlier, ${summary.tasksAdded} added, ${summary.tasksRemoved} removed`);
+
+  const late = variance.tasks
+    .filter(task => task.finishVarianceDays > 0)
+    .sort((a, b) => b.finishVarianceDays - a.finishVarianceDays)
+    .slice(0, limit);
+  lines.push(...late.map(task => `- ${task.taskId} "${task.title}": finishes ${task.finishVarianceDays} working day(s) after baseline (${task.baseline.endDate} → ${task.current.endDate})`));
+
+  const overspent = variance.lineItems
+    .filter(item => item.spentVsBaseline > 0)
+    .sort((a, b) => b.spentVsBaseline - a.spentVsBaseline)
+    .slice(0, limit);
+  lines.push(...overspent.map(item => `- ${item.category}: spent ${currency} ${item.spent} against a baseline allocation of ${currency} ${item.baselineAllocated ?? 0}`));
+
+  const slipping = variance.milestones.filter(milestone => milestone.forecastVarianceDays > 0);
+  lines.push(...slipping.map(milestone => `- Milestone "${milestone.name}": forecast ${milestone.forecastDate}, ${milestone.forecastVarianceDays} working day(s) after its baseline date ${milestone.baselineDate}`));
+
+  return lines;
+}
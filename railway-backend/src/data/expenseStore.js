@@ -0,0 +1,80 @@
+// railway-backend/src/data/expenseStore.js
+// Expense ledger storage - one append-only Redis list of JSON entries per project,
+// plus a counter that hands out transaction IDs
+//
+// Budgets from before the ledger have spending but no entries. Readers get
+// opening-balance entries for those in place of the empty ledger, and the first
+// write stores them - once, however many writers race for it
+
+import { getRedisClient, REDIS_KEYS } from './projectData.js';
+import { openingBalanceEntries } from '../finance/expenseLedger.js';
+
+// Bump the project's transaction counter, seeding it first from the highest
+// number already in the ledger (ledgers from before the counter existed)
+// KEYS[1] = counter, ARGV[1] = count, ARGV[2] = seed
+const RESERVE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  redis.call('SET', KEYS[1], ARGV[2])
+end
+return redis.call('INCRBY', KEYS[1], ARGV[1])
+`;
+
+// Append entries, the opening ones only while the ledger is still empty
+// KEYS[1] = ledger list, ARGV[1] = number of opening entries, ARGV[2..] = entries
+// Returns the number of entries appended
+const APPEND_SCRIPT = `
+local first = 2
+if redis.call('LLEN', KEYS[1]) > 0 then
+  first = 2 + tonumber(ARGV[1])
+end
+for i = first, #ARGV do
+  redis.call('RPUSH', KEYS[1], ARGV[i])
+end
+return #ARGV - first + 1
+`;
+
+// Append ledger entries in order - existing entries are never rewritten.
+// `opening` are opening-balance entries read in place of an empty ledger; they
+// are written only if no other run stored them first
+export async function appendExpenseEntries(projectId, entries, { opening = [] } = {}) {
+  if (entries.length === 0 && opening.length === 0) return;
+  const client = await getRedisClient();
+  const appended = await client.eval(APPEND_SCRIPT, {
+    keys: [REDIS_KEYS.PROJECT_EXPENSES(projectId)],
+    arguments: [String(opening.length), ...[...opening, ...entries].map(entry => JSON.stringify(entry))]
+  });
+  if (appended > 0) {
+    console.log(`🧾 Appended ${appended} expense ledger entr${appended === 1 ? 'y' : 'ies'} for ${projectId}`);
+  }
+}
+
+/**
+ * A project's ledger, oldest first: { entries, opening }. With the budget given
+ * and nothing stored yet, `entries` are its opening balances and `opening`
+ * holds them too, for appendExpenseEntries to store with the first write
+ */
+export async function loadExpenseLedger(projectId, budget = null) {
+  const client = await getRedisClient();
+  const stored = (await client.lRange(REDIS_KEYS.PROJECT_EXPENSES(projectId), 0, -1)).map(entry => JSON.parse(entry));
+  const opening = stored.length === 0 && budget ? openingBalanceEntries(budget) : [];
+  return { entries: stored.length > 0 ? stored : opening, opening };
+}
+
+// Every ledger entry for a project, oldest first - opening balances for a
+// budget from before the ledger when the budget is given
+export async function getExpenseEntries(projectId, budget = null) {
+  return (await loadExpenseLedger(projectId, budget)).entries;
+}
+
+// Reserve `count` transaction IDs in one atomic step, so concurrent writers
+// never hand out the same ID - `lastNumber` is the highest txn number in the
+// ledger as read, used only to seed a missing counter
+export async function reserveTransactionIds(projectId, count, lastNumber = 0) {
+  if (count === 0) return [];
+  const client = await getRedisClient();
+  const last = await client.eval(RESERVE_SCRIPT, {
+    keys: [REDIS_KEYS.PROJECT_EXPENSE_SEQ(projectId)],
+    arguments: [String(count), String(lastNumber)]
+  });
+  return Array.from({ length: count }, (_, index) => `txn_${last - count + index + 1}`);
+}
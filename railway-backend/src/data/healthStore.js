@@ -0,0 +1,43 @@
+// railway-backend/src/data/healthStore.js
+// Health score history - one Redis sorted set per project, scored by the time
+// each health record was computed
+
+import { getRedisClient, REDIS_KEYS } from './projectData.js';
+
+// Health records kept per project (oldest are trimmed)
+export const MAX_HEALTH_RECORDS = parseInt(process.env.MAX_HEALTH_RECORDS || '500', 10);
+
+// Store a health record from scoreProjectHealth
+export async function recordHealthScore(projectId, health) {
+  const client = await getRedisClient();
+  const key = REDIS_KEYS.PROJECT_HEALTH(projectId);
+
+  await client.multi()
+    .zAdd(key, { score: Date.parse(health.computedAt), value: JSON.stringify(health) })
+    .zRemRangeByRank(key, 0, -(MAX_HEALTH_RECORDS + 1))
+    .exec();
+
+  console.log(`🩺 Health recorded for ${projectId}: ${health.overall}/100 (${health.rating})`);
+}
+
+/**
+ * Health records in time order, optionally between ISO timestamps from/to
+ * limit keeps the most recent N
+ */
+export async function getHealthHistory(projectId, { from, to, limit } = {}) {
+  const client = await getRedisClient();
+  const records = await client.zRangeByScore(
+    REDIS_KEYS.PROJECT_HEALTH(projectId),
+    from ? Date.parse(from) : '-inf',
+    to ? Date.parse(to) : '+inf'
+  );
+  const history = records.map(record => JSON.parse(record));
+  return limit ? history.slice(-limit) : history;
+}
+
+// Most recent health record, or null
+export async function getLatestHealth(projectId) {
+  const client = await getRedisClient();
+  const [latest] = await client.zRange(REDIS_KEYS.PROJECT_HEALTH(projectId), -1, -1);
+  return latest ? JSON.parse(latest) : null;
+}
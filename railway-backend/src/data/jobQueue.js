@@ -0,0 +1,330 @@
+// railway-backend/src/data/jobQueue.js
+// Redis-backed job queue - jobs, results and the queued-jobs index survive redeploys
+
+import { getRedisClient, REDIS_KEYS } from './projectData.js';
+
+// Jobs and their results expire a day after their last update
+export const JOB_TTL_SECONDS = 24 * 60 * 60;
+
+// Status workflow - a transition not listed here is rejected
+const ALLOWED_TRANSITIONS = {
+  queued: ['processing', 'failed'],
+  processing: ['processing', 'completed', 'failed', 'queued'],
+  completed: [],
+  failed: ['queued']
+};
+
+export const JOB_STATUSES = Object.keys(ALLOWED_TRANSITIONS);
+
+// Atomically move a job to a new status if its current status allows it.
+// Status lives in its own hash field so the check and the write happen in one
+// round trip - two workers can never both move the same job out of 'queued'.
+//
+// KEYS[1] = job hash, KEYS[2] = queued index, KEYS[3] = processing index,
+// KEYS[4] = job results
+// ARGV[1] = jobId, ARGV[2] = new status, ARGV[3] = space-separated allowed
+// current statuses, ARGV[4] = ttl seconds, ARGV[5] = now (processing index score),
+// ARGV[6] = queued index score (creation time), ARGV[7] = worker that must hold
+// the claim ('' for any), ARGV[8] = results JSON to store ('' for none),
+// ARGV[9..] = field/value pairs to set alongside the status
+// Returns 1 on success, 0 if the transition is not allowed (or the job is claimed
+// by another worker), -1 if the job is missing
+const TRANSITION_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], 'status')
+if not current then
+  return -1
+end
+local allowed = false
+for status in string.gmatch(ARGV[3], '%S+') do
+  if status == current then
+    allowed = true
+  end
+end
+if not allowed then
+  return 0
+end
+if ARGV[7] ~= '' and redis.call('HGET', KEYS[1], 'claimedBy') ~= ARGV[7] then
+  return 0
+end
+redis.call('HSET', KEYS[1], 'status', ARGV[2])
+for i = 9, #ARGV, 2 do
+  redis.call('HSET', KEYS[1], ARGV[i], ARGV[i + 1])
+end
+redis.call('EXPIRE', KEYS[1], tonumber(ARGV[4]))
+if ARGV[8] ~= '' then
+  redis.call('SET', KEYS[4], ARGV[8], 'EX', tonumber(ARGV[4]))
+end
+if ARGV[2] == 'queued' then
+  redis.call('ZADD', KEYS[2], tonumber(ARGV[6]), ARGV[1])
+else
+  redis.call('ZREM', KEYS[2], ARGV[1])
+end
+if ARGV[2] == 'processing' then
+  redis.call('ZADD', KEYS[3], tonumber(ARGV[5]), ARGV[1])
+else
+  redis.call('ZREM', KEYS[3], ARGV[1])
+end
+return 1
+`;
+
+// Error raised when a status change is not allowed from the job's current status
+export class JobTransitionError extends Error {
+  constructor(jobId, currentStatus, nextStatus) {
+    super(`Job ${jobId} cannot move from '${currentStatus}' to '${nextStatus}'`);
+    this.name = 'JobTransitionError';
+    this.jobId = jobId;
+    this.currentStatus = currentStatus;
+    this.nextStatus = nextStatus;
+  }
+}
+
+// ============================================================================
+// SERIALIZATION
+// ============================================================================
+
+// Mutable job fields are stored as separate hash fields, everything else as JSON
+function serializeJobFields(fields) {
+  const serialized = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    serialized[field] = value === null ? '' : String(value);
+  }
+  return serialized;
+}
+
+function deserializeJob(hash) {
+  if (!hash || !hash.data) {
+    return null;
+  }
+
+  const job = JSON.parse(hash.data);
+  job.status = hash.status;
+  job.progress = hash.progress ? Number(hash.progress) : 0;
+
+  for (const field of ['message', 'error', 'updatedAt', 'completedAt', 'claimedBy', 'claimedAt']) {
+    if (hash[field]) {
+      job[field] = hash[field];
+    }
+  }
+
+  return job;
+}
+
+function queueScore(job) {
+  const createdAt = Date.parse(job.createdAt);
+  return Number.isNaN(createdAt) ? Date.now() : createdAt;
+}
+
+// ============================================================================
+// JOB OPERATIONS
+// ============================================================================
+
+// Store a new job (or replace an existing one) and index it if queued
+export async function storeJob(job) {
+  const client = await getRedisClient();
+  const key = REDIS_KEYS.JOB(job.id);
+  const now = new Date().toISOString();
+
+  const { status = 'queued', progress = 0, message, ...data } = job;
+  if (!data.createdAt) {
+    data.createdAt = now;
+  }
+
+  const multi = client.multi()
+    .del(key)
+    .zRem(REDIS_KEYS.PROCESSING_JOBS, job.id)
+    .hSet(key, serializeJobFields({
+      data: JSON.stringify(data),
+      status,
+      progress,
+      message,
+      updatedAt: now
+    }))
+    .expire(key, JOB_TTL_SECONDS);
+
+  if (status === 'queued') {
+    multi.zAdd(REDIS_KEYS.QUEUED_JOBS, { score: queueScore(data), value: job.id });
+  } else {
+    multi.zRem(REDIS_KEYS.QUEUED_JOBS, job.id);
+  }
+
+  await multi.exec();
+  console.log(`💾 Stored job: ${job.id} (${status})`);
+
+  return getJob(job.id);
+}
+
+// Get a job by ID
+export async function getJob(jobId) {
+  const client = await getRedisClient();
+  const hash = await client.hGetAll(REDIS_KEYS.JOB(jobId));
+  return deserializeJob(hash);
+}
+
+// Atomically change a job's status, rejecting transitions the workflow doesn't allow.
+// Pass expectedStatus to additionally require the job to currently be in that status,
+// and ownedBy to require it to still be claimed by that worker. results, when given,
+// are stored in the same step, so they are only written if the transition is.
+// Returns the updated job, null if the job doesn't exist, or throws JobTransitionError.
+export async function updateJobStatus(jobId, status, { progress, message, error, claimedBy, expectedStatus, ownedBy, results } = {}) {
+  if (!ALLOWED_TRANSITIONS[status]) {
+    throw new Error(`Unknown job status: ${status}`);
+  }
+
+  const client = await getRedisClient();
+  const now = new Date().toISOString();
+  const allowedFrom = JOB_STATUSES.filter(from =>
+    ALLOWED_TRANSITIONS[from].includes(status) && (!expectedStatus || from === expectedStatus)
+  );
+
+  const fields = serializeJobFields({
+    progress,
+    message,
+    error,
+    claimedBy,
+    claimedAt: status === 'processing' && claimedBy ? now : undefined,
+    updatedAt: now,
+    completedAt: status === 'completed' ? now : undefined
+  });
+
+  // Jobs going back to the queue keep their original place in line
+  let score = Date.now();
+  if (status === 'queued') {
+    const job = await getJob(jobId);
+    if (job) {
+      score = queueScore(job);
+    }
+  }
+
+  const result = await client.eval(TRANSITION_SCRIPT, {
+    keys: [REDIS_KEYS.JOB(jobId), REDIS_KEYS.QUEUED_JOBS, REDIS_KEYS.PROCESSING_JOBS, REDIS_KEYS.JOB_RESULTS(jobId)],
+    arguments: [
+      jobId,
+      status,
+      allowedFrom.join(' '),
+      String(JOB_TTL_SECONDS),
+      String(Date.now()),
+      String(score),
+      ownedBy || '',
+      results === undefined ? '' : JSON.stringify(results ?? null),
+      ...Object.entries(fields).flat()
+    ]
+  });
+
+  if (result === -1) {
+    return null;
+  }
+
+  if (result === 0) {
+    const current = await getJob(jobId);
+    throw new JobTransitionError(jobId, current?.status, status);
+  }
+
+  console.log(`📊 Job ${jobId} status updated: ${status}${progress !== undefined ? ` (${progress}%)` : ''}`);
+  return getJob(jobId);
+}
+
+// Claim a queued job for processing. Only one caller can win the claim -
+// returns the job if this caller got it, null if it was already taken or is gone.
+export async function claimJob(jobId, workerId) {
+  try {
+    return await updateJobStatus(jobId, 'processing', {
+      progress: 10,
+      message: 'Starting processing...',
+      claimedBy: workerId,
+      expectedStatus: 'queued'
+    });
+  } catch (error) {
+    if (error instanceof JobTransitionError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Get queued jobs, oldest first
+export async function getQueuedJobs(limit = 5) {
+  const client = await getRedisClient();
+  const queuedJobs = [];
+  let offset = 0;
+
+  // Walk the index in pages, dropping entries whose job hash has expired
+  while (queuedJobs.length < limit) {
+    const jobIds = await client.zRange(REDIS_KEYS.QUEUED_JOBS, offset, offset + limit - 1);
+    if (jobIds.length === 0) break;
+
+    let removed = 0;
+    for (const jobId of jobIds) {
+      const job = await getJob(jobId);
+      if (!job || job.status !== 'queued') {
+        await client.zRem(REDIS_KEYS.QUEUED_JOBS, jobId);
+        removed++;
+        continue;
+      }
+      queuedJobs.push(job);
+      if (queuedJobs.length === limit) break;
+    }
+
+    offset += jobIds.length - removed;
+  }
+
+  return queuedJobs;
+}
+
+// Put jobs back in the queue whose worker stopped reporting progress (crash or redeploy).
+// Every status/progress update refreshes a job's score in the processing index.
+export async function requeueStaleJobs(staleAfterMs) {
+  const client = await getRedisClient();
+  const staleJobIds = await client.zRangeByScore(REDIS_KEYS.PROCESSING_JOBS, 0, Date.now() - staleAfterMs);
+  const requeued = [];
+
+  for (const jobId of staleJobIds) {
+    try {
+      const job = await updateJobStatus(jobId, 'queued', {
+        progress: 0,
+        message: 'Requeued after worker stopped responding',
+        expectedStatus: 'processing'
+      });
+      if (job) {
+        requeued.push(jobId);
+      } else {
+        await client.zRem(REDIS_KEYS.PROCESSING_JOBS, jobId);
+      }
+    } catch (error) {
+      if (!(error instanceof JobTransitionError)) throw error;
+      await client.zRem(REDIS_KEYS.PROCESSING_JOBS, jobId);
+    }
+  }
+
+  if (requeued.length > 0) {
+    console.warn(`♻️ Requeued ${requeued.length} stale job(s): ${requeued.join(', ')}`);
+  }
+
+  return requeued;
+}
+
+// Number of jobs currently waiting in the queue
+export async function countQueuedJobs() {
+  const client = await getRedisClient();
+  return client.zCard(REDIS_KEYS.QUEUED_JOBS);
+}
+
+// ============================================================================
+// JOB RESULTS
+// ============================================================================
+
+// Save job results
+export async function saveJobResults(jobId, results) {
+  const client = await getRedisClient();
+  await client.set(REDIS_KEYS.JOB_RESULTS(jobId), JSON.stringify(results ?? null), {
+    EX: JOB_TTL_SECONDS
+  });
+  console.log(`💾 Saved results for job: ${jobId}`);
+}
+
+// Get job results
+export async function getJobResults(jobId) {
+  const client = await getRedisClient();
+  const data = await client.get(REDIS_KEYS.JOB_RESULTS(jobId));
+  return data ? JSON.parse(data) : null;
+}
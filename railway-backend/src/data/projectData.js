@@ -2,6 +2,8 @@
 // Redis connection and operations for Railway backend
 
 import { createClient } from 'redis';
+import { DEFAULT_CURRENCY } from '../finance/currency.js';
+import { writeSnapshot } from './snapshotStore.js';
 
 // Redis client (singleton)
 let redisClient = null;
@@ -19,11 +21,40 @@ export async function getRedisClient() {
   return redisClient;
 }
 
+// Redis subscriber (singleton) - pub/sub needs its own connection
+let redisSubscriber = null;
+
+export async function getRedisSubscriber() {
+  if (!redisSubscriber) {
+    const client = await getRedisClient();
+    redisSubscriber = client.duplicate();
+    
+    redisSubscriber.on('error', (err) => console.error('Redis Subscriber Error', err));
+    await redisSubscriber.connect();
+    console.log('✅ Redis subscriber connected');
+  }
+  return redisSubscriber;
+}
+
 // Redis Key Structure
 export const REDIS_KEYS = {
   PROJECT: (projectId) => `project:${projectId}`,
   CHAT_HISTORY: (userId, projectId) => `chat:${userId}:${projectId}`,
-  USER_PROJECTS: (userId) => `user:${userId}:projects`
+  CHAT_SUMMARY: (userId, projectId) => `chat:${userId}:${projectId}:summary`,
+  PROJECT_EXPENSES: (projectId) => `project:${projectId}:expenses`,
+  PROJECT_EXPENSE_SEQ: (projectId) => `project:${projectId}:expenses:seq`,
+  PROJECT_HEALTH: (projectId) => `project:${projectId}:health`,
+  PROJECT_VERSION: (projectId) => `project:${projectId}:version`,
+  PROJECT_SNAPSHOTS: (projectId) => `project:${projectId}:snapshots`,
+  PROJECT_SNAPSHOT_DATA: (projectId) => `project:${projectId}:snapshot_data`,
+  USER_PROJECTS: (userId) => `user:${userId}:projects`,
+  JOB: (jobId) => `job:${jobId}`,
+  JOB_RESULTS: (jobId) => `job:${jobId}:results`,
+  QUEUED_JOBS: 'jobs:queued',
+  PROCESSING_JOBS: 'jobs:processing',
+  STREAM_META: (streamId) => `stream:${streamId}:meta`,
+  STREAM_EVENTS: (streamId) => `stream:${streamId}:events`,
+  STREAM_CHANNEL: (streamId) => `stream:${streamId}:live`
 };
 
 // ============================================================================
@@ -89,14 +120,24 @@ export async function createProjectData(projectId, userId, initialData = {}) {
     // Tasks (owned by Scheduler + Task Updater)
     tasks: initialData.tasks || [],
     
-    // Budget (owned by Budget Agent)
+    // Budget (owned by Budget Agent - totals are derived by the budget ledger)
     budget: initialData.budget || {
       total: 0,
       spent: 0,
-      currency: 'USD',
+      currency: initialData.currency || DEFAULT_CURRENCY, // base currency - expenses in others are converted
+      exchangeRates: [],
       lineItems: []
     },
     
+    // Team roster - [{ id, name, role, capacity, availability: { startDate, endDate, daysOff } }]
+    team: initialData.team || [],
+    
+    // Working calendar for scheduling (0 = Sunday ... 6 = Saturday)
+    calendar: initialData.calendar || {
+      workingDays: [1, 2, 3, 4, 5],
+      holidays: []
+    },
+    
     // Timeline
     timeline: initialData.timeline || {
       startDate: null,
@@ -106,18 +147,34 @@ export async function createProjectData(projectId, userId, initialData = {}) {
     
     // Issues (flagged by any agent)
     issues: initialData.issues || [],
-    
+
+    // Approved plan, frozen at scope approval and moved only by approved change requests
+    baseline: initialData.baseline || null,
+
+    // Change control - proposed/decided change requests and the log of applied changes
+    changeRequests: initialData.changeRequests || [],
+    changeLog: initialData.changeLog || [],
+
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
 }
 
-// Save project data
+// Save project data - every save becomes a new version with its own snapshot
 export async function saveProjectData(projectId, projectData) {
   const client = await getRedisClient();
   projectData.updatedAt = new Date().toISOString();
+  projectData.version = await client.incr(REDIS_KEYS.PROJECT_VERSION(projectId));
   await client.set(REDIS_KEYS.PROJECT(projectId), JSON.stringify(projectData));
-  console.log(`💾 Saved project: ${projectId}`);
+
+  // History is best effort - a failed snapshot doesn't fail the save
+  try {
+    await writeSnapshot(client, projectId, projectData);
+  } catch (error) {
+    console.error(`⚠️ Snapshot of ${projectId} v${projectData.version} failed:`, error);
+  }
+
+  console.log(`💾 Saved project: ${projectId} (v${projectData.version})`);
 }
 
 // Get project data
@@ -130,7 +187,15 @@ export async function getProjectData(projectId) {
 // Delete project
 export async function deleteProject(projectId) {
   const client = await getRedisClient();
-  await client.del(REDIS_KEYS.PROJECT(projectId));
+  await client.del([
+    REDIS_KEYS.PROJECT(projectId),
+    REDIS_KEYS.PROJECT_EXPENSES(projectId),
+    REDIS_KEYS.PROJECT_EXPENSE_SEQ(projectId),
+    REDIS_KEYS.PROJECT_HEALTH(projectId),
+    REDIS_KEYS.PROJECT_VERSION(projectId),
+    REDIS_KEYS.PROJECT_SNAPSHOTS(projectId),
+    REDIS_KEYS.PROJECT_SNAPSHOT_DATA(projectId)
+  ]);
   console.log(`🗑️  Deleted project: ${projectId}`);
 }
 
@@ -153,6 +218,22 @@ export async function getChatHistory(userId, projectId) {
   return data ? JSON.parse(data) : [];
 }
 
+// Save the running summary of older turns in a conversation
+// { summary, summarizedMessages, updatedAt }
+export async function saveChatSummary(userId, projectId, chatSummary) {
+  const client = await getRedisClient();
+  const key = REDIS_KEYS.CHAT_SUMMARY(userId, projectId);
+  await client.set(key, JSON.stringify(chatSummary));
+}
+
+// Get the running conversation summary, or null if nothing has been summarized yet
+export async function getChatSummary(userId, projectId) {
+  const client = await getRedisClient();
+  const key = REDIS_KEYS.CHAT_SUMMARY(userId, projectId);
+  const data = await client.get(key);
+  return data ? JSON.parse(data) : null;
+}
+
 // ============================================================================
 // USER PROJECT MAPPING
 // ============================================================================
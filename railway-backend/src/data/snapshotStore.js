@@ -0,0 +1,82 @@
+// railway-backend/src/data/snapshotStore.js
+// Versioned project snapshots - every saveProjectData writes a gzip-compressed
+// copy of the project under the next version number. A sorted set indexes the
+// versions by save time; only the newest MAX_SNAPSHOTS are kept
+
+import { gzipSync, gunzipSync } from 'zlib';
+import { getRedisClient, REDIS_KEYS } from './projectData.js';
+
+// Snapshots kept per project (oldest are dropped)
+export const MAX_SNAPSHOTS = parseInt(process.env.MAX_PROJECT_SNAPSHOTS || '200', 10);
+
+function encodeSnapshot(snapshot) {
+  return gzipSync(JSON.stringify(snapshot)).toString('base64');
+}
+
+function decodeSnapshot(encoded) {
+  return JSON.parse(gunzipSync(Buffer.from(encoded, 'base64')).toString('utf8'));
+}
+
+/**
+ * Store a snapshot of a just-saved project and trim old versions
+ * Called by saveProjectData with the project's new version number
+ */
+export async function writeSnapshot(client, projectId, projectData) {
+  const { version, updatedAt } = projectData;
+  const encoded = encodeSnapshot({ version, savedAt: updatedAt, project: projectData });
+  const indexKey = REDIS_KEYS.PROJECT_SNAPSHOTS(projectId);
+  const dataKey = REDIS_KEYS.PROJECT_SNAPSHOT_DATA(projectId);
+
+  await client.multi()
+    .hSet(dataKey, String(version), encoded)
+    .zAdd(indexKey, { score: Date.parse(updatedAt), value: String(version) })
+    .exec();
+
+  const count = await client.zCard(indexKey);
+  if (count > MAX_SNAPSHOTS) {
+    const expired = await client.zRange(indexKey, 0, count - MAX_SNAPSHOTS - 1);
+    await client.multi()
+      .zRem(indexKey, expired)
+      .hDel(dataKey, expired)
+      .exec();
+  }
+}
+
+// ============================================================================
+// READING SNAPSHOTS
+// ============================================================================
+
+/**
+ * Stored versions, newest first: [{ version, savedAt }]
+ */
+export async function listSnapshots(projectId, { limit } = {}) {
+  const client = await getRedisClient();
+  const entries = await client.zRangeWithScores(REDIS_KEYS.PROJECT_SNAPSHOTS(projectId), 0, -1);
+  const versions = entries
+    .map(entry => ({ version: Number(entry.value), savedAt: new Date(entry.score).toISOString() }))
+    .reverse();
+  return limit ? versions.slice(0, limit) : versions;
+}
+
+/**
+ * One version: { version, savedAt, project }, or null when it isn't stored
+ */
+export async function getSnapshot(projectId, version) {
+  const client = await getRedisClient();
+  const encoded = await client.hGet(REDIS_KEYS.PROJECT_SNAPSHOT_DATA(projectId), String(version));
+  return encoded ? decodeSnapshot(encoded) : null;
+}
+
+/**
+ * The project as it was at a point in time - the latest version saved at or
+ * before `timestamp` (ISO string), or null
+ */
+export async function getSnapshotAsOf(projectId, timestamp) {
+  const client = await getRedisClient();
+  const [version] = await client.zRange(REDIS_KEYS.PROJECT_SNAPSHOTS(projectId), Date.parse(timestamp), '-inf', {
+    BY: 'SCORE',
+    REV: true,
+    LIMIT: { offset: 0, count: 1 }
+  });
+  return version ? getSnapshot(projectId, version) : null;
+}
@@ -0,0 +1,119 @@
+// railway-backend/src/data/streamStore.js
+// Stream event storage - events appended to a per-stream Redis Stream (XADD),
+// status/finalResult kept in a separate hash, both expiring with a real TTL
+
+import { getRedisClient, REDIS_KEYS } from './projectData.js';
+
+// Streams expire 10 minutes after their last write
+export const STREAM_TTL_SECONDS = 600;
+
+/**
+ * Compare two Redis Stream entry IDs ("<ms>-<seq>")
+ * Returns a negative number, zero or a positive number like a sort comparator
+ */
+export function compareStreamIds(a, b) {
+  const [aMs, aSeq] = a.split('-').map(Number);
+  const [bMs, bSeq] = b.split('-').map(Number);
+  return aMs !== bMs ? aMs - bMs : aSeq - bSeq;
+}
+
+async function refreshTtl(client, streamId) {
+  await client.multi()
+    .expire(REDIS_KEYS.STREAM_META(streamId), STREAM_TTL_SECONDS)
+    .expire(REDIS_KEYS.STREAM_EVENTS(streamId), STREAM_TTL_SECONDS)
+    .exec();
+}
+
+/**
+ * Publish live stream messages for SSE subscribers
+ * { kind: 'event', id, event } for each stored event, { kind: 'complete', ... } at the end
+ */
+async function publishStreamMessage(client, streamId, message) {
+  await client.publish(REDIS_KEYS.STREAM_CHANNEL(streamId), JSON.stringify(message));
+}
+
+// ============================================================================
+// STREAM OPERATIONS
+// ============================================================================
+
+// Create the status hash for a new stream
+export async function initStream(streamId, { projectId, userId }) {
+  const client = await getRedisClient();
+  const metaKey = REDIS_KEYS.STREAM_META(streamId);
+
+  await client.multi()
+    .del(metaKey)
+    .del(REDIS_KEYS.STREAM_EVENTS(streamId))
+    .hSet(metaKey, {
+      complete: '0',
+      startedAt: String(Date.now()),
+      projectId,
+      userId
+    })
+    .expire(metaKey, STREAM_TTL_SECONDS)
+    .exec();
+}
+
+// Append one event and notify live subscribers - returns the entry ID
+export async function appendStreamEvent(streamId, event) {
+  const client = await getRedisClient();
+  const id = await client.xAdd(REDIS_KEYS.STREAM_EVENTS(streamId), '*', {
+    event: JSON.stringify(event)
+  });
+
+  await refreshTtl(client, streamId);
+  await publishStreamMessage(client, streamId, { kind: 'event', id, event });
+
+  return id;
+}
+
+// Mark a stream finished with its final result or error and notify live subscribers
+export async function completeStream(streamId, { finalResult = null, error = null }) {
+  const client = await getRedisClient();
+
+  await client.hSet(REDIS_KEYS.STREAM_META(streamId), {
+    complete: '1',
+    error: error || '',
+    finalResult: JSON.stringify(finalResult),
+    completedAt: String(Date.now())
+  });
+  await refreshTtl(client, streamId);
+  await publishStreamMessage(client, streamId, { kind: 'complete', error, finalResult });
+}
+
+// Get stream status, or null if the stream doesn't exist / has expired
+export async function getStreamMeta(streamId) {
+  const client = await getRedisClient();
+  const meta = await client.hGetAll(REDIS_KEYS.STREAM_META(streamId));
+
+  if (!meta || !meta.startedAt) {
+    return null;
+  }
+
+  return {
+    complete: meta.complete === '1',
+    error: meta.error || null,
+    finalResult: meta.finalResult ? JSON.parse(meta.finalResult) : null,
+    startedAt: Number(meta.startedAt),
+    projectId: meta.projectId,
+    userId: meta.userId
+  };
+}
+
+// Read events after an entry ID (exclusive), or from the start - [{ id, event }]
+export async function readStreamEvents(streamId, { afterId = null } = {}) {
+  const client = await getRedisClient();
+  const start = afterId ? `(${afterId}` : '-';
+  const entries = await client.xRange(REDIS_KEYS.STREAM_EVENTS(streamId), start, '+');
+
+  return entries.map(entry => ({
+    id: entry.id,
+    event: JSON.parse(entry.message.event)
+  }));
+}
+
+// Number of events stored for a stream
+export async function countStreamEvents(streamId) {
+  const client = await getRedisClient();
+  return client.xLen(REDIS_KEYS.STREAM_EVENTS(streamId));
+}
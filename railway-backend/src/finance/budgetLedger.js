@@ -0,0 +1,508 @@
+// railway-backend/src/finance/budgetLedger.js
+// Deterministic budget ledger - the budget agent only emits intents (set total,
+// add line item, record expense, ...); this module applies them, recomputes
+// spent/remaining and raises budget_overrun issues from actual numbers.
+// Expenses, corrections and voids go to the append-only expense ledger, which
+// line item spending is derived from. Foreign-currency expenses are converted
+// to the budget's base currency with the project's rate table when recorded
+
+import { roundMoney, formatMoney } from './money.js';
+import { convertToBase, upsertExchangeRate, normalizeCurrency, CurrencyError, DEFAULT_CURRENCY } from './currency.js';
+import {
+  createExpenseEntry,
+  createCorrectionEntry,
+  createVoidEntry,
+  foldExpenses,
+  spentByLineItem,
+  spentByCurrency,
+  filterTransactions,
+  describeTransaction
+} from './expenseLedger.js';
+import { closeEntry, syncEngineEntry } from '../analysis/issueRegister.js';
+
+export const BUDGET_INTENT_TYPES = [
+  'set_total', 'set_base_currency', 'set_exchange_rate', 'add_line_item', 'set_allocation', 'reallocate',
+  'allocate_task_cost', 'record_expense', 'correct_expense', 'void_expense', 'list_expenses'
+];
+
+// Share of an allocation spent before a line item is flagged as at risk
+export const BUDGET_WARNING_RATIO = 0.9;
+
+/**
+ * Thrown for an intent the ledger can't apply (unknown category, not enough allocation, ...)
+ */
+export class BudgetIntentError extends Error {
+  constructor(message, intent) {
+    super(message);
+    this.name = 'BudgetIntentError';
+    this.intent = intent;
+  }
+}
+
+// Find a line item by id or (case-insensitive) category
+export function findLineItem(budget, reference) {
+  if (!reference) return null;
+  const wanted = String(reference).toLowerCase();
+  return (budget.lineItems || []).find(item => item.id === reference || item.category.toLowerCase() === wanted) || null;
+}
+
+function nextLineItemId(lineItems) {
+  const max = lineItems.reduce((highest, item) => {
+    const match = /^budget_(\d+)$/.exec(item.id);
+    return match ? Math.max(highest, Number(match[1])) : highest;
+  }, 0);
+  return `budget_${max + 1}`;
+}
+
+function requireLineItem(budget, intent, reference = intent.category) {
+  const item = findLineItem(budget, reference);
+  if (!item) {
+    const known = (budget.lineItems || []).map(existing => existing.category).join(', ') || 'none';
+    throw new BudgetIntentError(`Unknown budget category "${reference}" (known: ${known})`, intent);
+  }
+  return item;
+}
+
+// ============================================================================
+// TOTALS
+// ============================================================================
+
+/**
+ * Recompute derived amounts: per line item spent (from the expense ledger's
+ * transactions, when given, with a breakdown by the currency paid) and
+ * remaining, and the budget's allocated, spent, remaining and unallocated totals
+ */
+export function recalculateBudget(budget, transactions = null) {
+  const ledgerSpent = transactions ? spentByLineItem(transactions) : null;
+  const ledgerByCurrency = transactions ? spentByCurrency(transactions) : null;
+
+  const lineItems = (budget.lineItems || []).map(item => {
+    const spent = roundMoney(ledgerSpent ? ledgerSpent[item.id] || 0 : item.spent || 0);
+    return {
+      ...item,
+      allocated: roundMoney(item.allocated || 0),
+      spent,
+      remaining: roundMoney((item.allocated || 0) - spent),
+      ...(ledgerByCurrency && { spentByCurrency: ledgerByCurrency[item.id] || {} })
+    };
+  });
+
+  const total = roundMoney(budget.total || 0);
+  const allocated = roundMoney(lineItems.reduce((sum, item) => sum + item.allocated, 0));
+  const spent = roundMoney(lineItems.reduce((sum, item) => sum + item.spent, 0));
+
+  return {
+    ...budget,
+    total,
+    currency: budget.currency || DEFAULT_CURRENCY,
+    exchangeRates: budget.exchangeRates || [],
+    taskAllocations: budget.taskAllocations || [],
+    lineItems,
+    allocated,
+    spent,
+    remaining: roundMoney(total - spent),
+    unallocated: roundMoney(total - allocated)
+  };
+}
+
+// ============================================================================
+// INTENTS
+// ============================================================================
+
+// Convert an expense amount to base, as a ledger-intent error when it can't be
+function toBase(budget, intent, amount, currency, date, overrideRate) {
+  try {
+    return convertToBase(amount, currency, date, {
+      baseCurrency: budget.currency,
+      rates: budget.exchangeRates,
+      overrideRate
+    });
+  } catch (error) {
+    if (!(error instanceof CurrencyError)) throw error;
+    throw new BudgetIntentError(error.message, intent);
+  }
+}
+
+function requireCurrency(intent, value) {
+  const currency = normalizeCurrency(value);
+  if (!currency) {
+    throw new BudgetIntentError(`"${value}" is not an ISO currency code`, intent);
+  }
+  return currency;
+}
+
+// Amount of a line item already allocated to tasks, optionally leaving one task out
+function committedToTasks(budget, lineItemId, exceptTaskId = null) {
+  return roundMoney(budget.taskAllocations
+    .filter(allocation => allocation.lineItemId === lineItemId && allocation.taskId !== exceptTaskId)
+    .reduce((sum, allocation) => sum + allocation.amount, 0));
+}
+
+// A line item's allocation can't drop below what is committed to its tasks
+function requireCoversTasks(budget, intent, item, allocated) {
+  const committed = committedToTasks(budget, item.id);
+  if (allocated < committed) {
+    throw new BudgetIntentError(`"${item.category}" has ${formatMoney(committed, budget.currency)} allocated to tasks - reduce those first`, intent);
+  }
+}
+
+function requireTransaction(transactions, intent) {
+  const transaction = transactions.find(existing => existing.transactionId === intent.transactionId);
+  if (!transaction) {
+    throw new BudgetIntentError(`Unknown expense transaction "${intent.transactionId}"`, intent);
+  }
+  if (transaction.voided) {
+    throw new BudgetIntentError(`Expense ${intent.transactionId} is already void`, intent);
+  }
+  return transaction;
+}
+
+/**
+ * Apply one intent to the current ledger state { budget, entries, transactions, tasks, transactionIds }
+ * Returns { budget?, entry?, listing?, summary } - a changed budget, a new
+ * expense ledger entry or a transaction listing, and a summary line
+ */
+function applyIntent({ budget, entries, transactions, tasks, transactionIds }, intent, meta) {
+  const money = (amount) => formatMoney(amount, budget.currency);
+
+  switch (intent.type) {
+    case 'set_total':
+      return { budget: { ...budget, total: intent.amount }, summary: `Total budget set to ${money(intent.amount)}` };
+
+    case 'set_base_currency': {
+      const currency = requireCurrency(intent, intent.currency);
+      if (transactions.some(transaction => !transaction.voided)) {
+        throw new BudgetIntentError(`Base currency can't change once expenses are recorded (currently ${budget.currency})`, intent);
+      }
+      return { budget: { ...budget, currency }, summary: `Base currency set to ${currency}` };
+    }
+
+    case 'set_exchange_rate': {
+      const currency = requireCurrency(intent, intent.currency);
+      if (currency === budget.currency) {
+        throw new BudgetIntentError(`${currency} is the base currency`, intent);
+      }
+      const effectiveDate = intent.effectiveDate || new Date().toISOString().substring(0, 10);
+      try {
+        return {
+          budget: { ...budget, exchangeRates: upsertExchangeRate(budget.exchangeRates, { currency, rate: intent.rate, effectiveDate }) },
+          summary: `1 ${currency} = ${intent.rate} ${budget.currency} from ${effectiveDate}`
+        };
+      } catch (error) {
+        if (!(error instanceof CurrencyError)) throw error;
+        throw new BudgetIntentError(error.message, intent);
+      }
+    }
+
+    case 'add_line_item': {
+      if (findLineItem(budget, intent.category)) {
+        throw new BudgetIntentError(`Budget category "${intent.category}" already exists`, intent);
+      }
+      const item = {
+        id: nextLineItemId(budget.lineItems),
+        category: intent.category,
+        allocated: intent.allocated,
+        spent: 0,
+        description: intent.description || ''
+      };
+      return {
+        budget: { ...budget, lineItems: [...budget.lineItems, item] },
+        summary: `Added "${item.category}" with ${money(item.allocated)}`
+      };
+    }
+
+    case 'set_allocation': {
+      const item = requireLineItem(budget, intent);
+      requireCoversTasks(budget, intent, item, intent.allocated);
+      return {
+        budget: { ...budget, lineItems: budget.lineItems.map(existing => existing === item ? { ...existing, allocated: intent.allocated } : existing) },
+        summary: `"${item.category}" allocation ${money(item.allocated)} → ${money(intent.allocated)}`
+      };
+    }
+
+    case 'reallocate': {
+      const from = requireLineItem(budget, intent, intent.fromCategory);
+      const to = requireLineItem(budget, intent, intent.toCategory);
+      if (from === to) {
+        throw new BudgetIntentError('Reallocation needs two different categories', intent);
+      }
+      if (intent.amount > from.allocated - from.spent) {
+        throw new BudgetIntentError(`"${from.category}" only has ${money(from.allocated - from.spent)} unspent to move`, intent);
+      }
+      requireCoversTasks(budget, intent, from, from.allocated - intent.amount);
+      return {
+        budget: {
+          ...budget,
+          lineItems: budget.lineItems.map(existing => {
+            if (existing === from) return { ...existing, allocated: existing.allocated - intent.amount };
+            if (existing === to) return { ...existing, allocated: existing.allocated + intent.amount };
+            return existing;
+          })
+        },
+        summary: `Moved ${money(intent.amount)} from "${from.category}" to "${to.category}"`
+      };
+    }
+
+    case 'allocate_task_cost': {
+      const item = requireLineItem(budget, intent);
+      const task = tasks?.find(existing => existing.id === intent.taskId);
+      if (tasks && !task) {
+        throw new BudgetIntentError(`Unknown task "${intent.taskId}"`, intent);
+      }
+
+      const others = budget.taskAllocations.filter(allocation =>
+        !(allocation.taskId === intent.taskId && allocation.lineItemId === item.id));
+      const committed = committedToTasks(budget, item.id, intent.taskId);
+      if (committed + intent.amount > item.allocated) {
+        throw new BudgetIntentError(`"${item.category}" has only ${money(item.allocated - committed)} left to allocate to tasks`, intent);
+      }
+
+      const label = task ? `"${task.title}"` : intent.taskId;
+      return {
+        budget: {
+          ...budget,
+          taskAllocations: intent.amount > 0
+            ? [...others, { taskId: intent.taskId, lineItemId: item.id, amount: roundMoney(intent.amount) }]
+            : others
+        },
+        summary: intent.amount > 0
+          ? `Allocated ${money(intent.amount)} of "${item.category}" to ${label}`
+          : `Removed the "${item.category}" allocation from ${label}`
+      };
+    }
+
+    case 'record_expense': {
+      const item = requireLineItem(budget, intent);
+      const date = intent.date || new Date().toISOString().substring(0, 10);
+      const originalCurrency = intent.currency ? requireCurrency(intent, intent.currency) : budget.currency;
+      const converted = toBase(budget, intent, intent.amount, originalCurrency, date, intent.exchangeRate);
+      const entry = createExpenseEntry(entries, {
+        ...intent,
+        date,
+        amount: converted.amount,
+        currency: budget.currency,
+        originalAmount: intent.amount,
+        originalCurrency,
+        exchangeRate: converted.exchangeRate,
+        rateDate: converted.rateDate,
+        rateSource: converted.rateSource,
+        lineItemId: item.id,
+        category: item.category
+      }, meta, transactionIds.shift());
+      return {
+        entry,
+        summary: `Recorded ${describeTransaction({ ...entry, history: [] }, 'original')}`
+      };
+    }
+
+    case 'correct_expense': {
+      const transaction = requireTransaction(transactions, intent);
+      const { amount, currency, exchangeRate, ...changes } = intent.changes;
+
+      // Amounts are corrected as paid; the base amount keeps the recorded rate
+      // unless the currency or the rate itself is corrected
+      if (amount !== undefined || currency !== undefined || exchangeRate !== undefined) {
+        const originalAmount = amount ?? transaction.originalAmount;
+        const originalCurrency = currency ? requireCurrency(intent, currency) : transaction.originalCurrency;
+        const converted = currency === undefined && exchangeRate === undefined
+          ? { amount: roundMoney(originalAmount * transaction.exchangeRate) }
+          : toBase(budget, intent, originalAmount, originalCurrency, changes.date || transaction.date, exchangeRate);
+        Object.assign(changes, { originalAmount, originalCurrency, ...converted });
+      }
+
+      if (changes.category) {
+        const item = requireLineItem(budget, intent, changes.category);
+        changes.lineItemId = item.id;
+        changes.category = item.category;
+      }
+      const entry = createCorrectionEntry(transaction.transactionId, changes, intent.reason, meta);
+      if (Object.keys(entry.changes).length === 0) {
+        throw new BudgetIntentError(`Correction of ${transaction.transactionId} changes nothing`, intent);
+      }
+      const fields = Object.entries(entry.changes)
+        .filter(([field]) => !['lineItemId', 'originalAmount', 'originalCurrency', 'rateDate', 'rateSource'].includes(field))
+        .map(([field, value]) => {
+          if (field !== 'amount') return `${field} ${value}`;
+          const { originalAmount, originalCurrency } = entry.changes;
+          return originalCurrency === budget.currency
+            ? `amount ${money(value)}`
+            : `amount ${formatMoney(originalAmount, originalCurrency)} (${money(value)})`;
+        });
+      return { entry, summary: `Corrected ${transaction.transactionId}: ${fields.join(', ')}` };
+    }
+
+    case 'void_expense': {
+      const transaction = requireTransaction(transactions, intent);
+      const entry = createVoidEntry(transaction.transactionId, intent.reason, meta);
+      return { entry, summary: `Voided ${transaction.transactionId} (${money(transaction.amount)} "${transaction.category}")` };
+    }
+
+    case 'list_expenses': {
+      const item = intent.category ? requireLineItem(budget, intent) : null;
+      const listing = filterTransactions(transactions, {
+        lineItemId: item?.id,
+        taskId: intent.taskId,
+        includeVoided: intent.includeVoided,
+        limit: intent.limit
+      });
+      return {
+        listing: { transactions: listing, view: intent.view || 'base' },
+        summary: `Listed ${listing.length} expense(s)${item ? ` for "${item.category}"` : ''}`
+      };
+    }
+
+    default:
+      throw new BudgetIntentError(`Unknown budget intent "${intent.type}"`, intent);
+  }
+}
+
+/**
+ * Apply budget intents in order. An intent that can't be applied is rejected
+ * on its own; the others still go through. Line item spending is derived from
+ * the expense ledger: `entries` are the project's existing ledger entries and
+ * `meta` ({ recordedBy, sourceMessage }) is stamped on the new ones. `tasks`,
+ * when given, is used to check the task IDs of task cost allocations.
+ * `transactionIds` are reserved IDs for new expenses, used in order
+ * Returns { budget, applied: [{ intent, summary }], rejected: [{ intent, reason }],
+ *   newEntries, transactions, listings }
+ */
+export function applyBudgetIntents(budget, intents = [], { entries = [], meta = {}, tasks = null, transactionIds = [] } = {}) {
+  const ledgerEntries = [...entries];
+  const unusedIds = [...transactionIds];
+  let transactions = foldExpenses(ledgerEntries);
+  let current = recalculateBudget({ total: 0, currency: DEFAULT_CURRENCY, lineItems: [], ...budget }, transactions);
+  const newEntries = [];
+  const listings = [];
+  const applied = [];
+  const rejected = [];
+
+  for (const intent of intents) {
+    try {
+      const result = applyIntent({ budget: current, entries: ledgerEntries, transactions, tasks, transactionIds: unusedIds }, intent, meta);
+      if (result.entry) {
+        ledgerEntries.push(result.entry);
+        newEntries.push(result.entry);
+        transactions = foldExpenses(ledgerEntries);
+      }
+      if (result.listing) {
+        listings.push(result.listing);
+      }
+      current = recalculateBudget(result.budget || current, transactions);
+      applied.push({ intent, summary: result.summary });
+    } catch (error) {
+      if (!(error instanceof BudgetIntentError)) throw error;
+      rejected.push({ intent, reason: error.message });
+    }
+  }
+
+  if (rejected.length > 0) {
+    console.warn(`💸 Rejected ${rejected.length} budget intent(s): ${rejected.map(r => r.reason).join('; ')}`);
+  }
+
+  return { budget: current, applied, rejected, newEntries, transactions, listings };
+}
+
+// ============================================================================
+// OVERRUN ISSUES
+// ============================================================================
+
+/**
+ * Threshold breaches for a budget - spending past an allocation or the total
+ * budget (high), or past BUDGET_WARNING_RATIO of an allocation (medium)
+ * Returns [{ key, lineItemId, category, allocated, spent, severity }]; the
+ * whole budget uses key "total"
+ */
+export function findBudgetOverruns(budget) {
+  const overruns = [];
+
+  for (const item of budget.lineItems || []) {
+    if (item.spent > item.allocated || (item.allocated > 0 && item.spent >= item.allocated * BUDGET_WARNING_RATIO)) {
+      overruns.push({
+        key: item.id,
+        lineItemId: item.id,
+        category: item.category,
+        allocated: item.allocated,
+        spent: item.spent,
+        severity: item.spent > item.allocated ? 'high' : 'medium'
+      });
+    }
+  }
+
+  if (budget.total > 0 && budget.spent > budget.total) {
+    overruns.push({ key: 'total', lineItemId: null, category: 'Total budget', allocated: budget.total, spent: budget.spent, severity: 'critical' });
+  }
+
+  return overruns;
+}
+
+function overrunIssue(overrun, currency) {
+  const money = (amount) => formatMoney(amount, currency);
+  const over = roundMoney(overrun.spent - overrun.allocated);
+  const exceeded = over > 0;
+
+  return {
+    type: 'budget_overrun',
+    severity: overrun.severity,
+    title: exceeded ? `${overrun.category} over budget` : `${overrun.category} close to budget`,
+    description: exceeded
+      ? `${overrun.category} has spent ${money(overrun.spent)} of ${money(overrun.allocated)} (${money(over)} over)`
+      : `${overrun.category} has spent ${money(overrun.spent)} of ${money(overrun.allocated)} (${Math.round(overrun.spent / overrun.allocated * 100)}%)`,
+    flaggedBy: 'budget_ledger',
+    flaggedAt: new Date().toISOString(),
+    resolved: false,
+    impact: overrun.key === 'total' ? 'Project costs exceed the approved budget' : 'Overall project budget at risk',
+    budgetKey: overrun.key
+  };
+}
+
+/**
+ * Keep one open budget_overrun issue per breached line item (and one for the
+ * total) in sync with the budget, resolving the ones no longer breached
+ */
+export function syncBudgetIssues(issues = [], budget) {
+  const overruns = new Map(findBudgetOverruns(budget).map(overrun => [overrun.key, overrun]));
+
+  const updated = issues.map(issue => {
+    if (issue.type !== 'budget_overrun' || issue.resolved || !issue.budgetKey || overruns.has(issue.budgetKey)) {
+      return issue;
+    }
+    return closeEntry(issue, { by: 'budget_ledger', note: 'Spending back within the allocation' });
+  });
+
+  let synced = updated;
+  for (const [key, overrun] of overruns) {
+    const issue = overrunIssue(overrun, budget.currency);
+    const result = syncEngineEntry(synced, issue,
+      existing => existing.type === 'budget_overrun' && existing.budgetKey === key,
+      { by: 'budget_ledger' });
+    synced = result.issues;
+    if (result.raised) {
+      console.log(`💸 Budget issue: ${issue.description}`);
+    }
+  }
+
+  return synced;
+}
+
+/**
+ * Short summary of applied/rejected intents and the resulting totals for the chat reply
+ */
+export function describeBudgetChanges({ budget, applied, rejected, listings = [] }) {
+  const money = (amount) => formatMoney(amount, budget.currency);
+  const lines = [];
+
+  if (applied.length > 0) {
+    lines.push(`Applied: ${applied.map(entry => entry.summary).join('; ')}`);
+  }
+  if (rejected.length > 0) {
+    lines.push(`Not applied: ${rejected.map(entry => entry.reason).join('; ')}`);
+  }
+  for (const { transactions, view } of listings) {
+    lines.push(transactions.length > 0
+      ? transactions.map(transaction => describeTransaction(transaction, view)).join('\n')
+      : 'No matching expenses.');
+  }
+  lines.push(`Budget: ${money(budget.spent)} spent of ${money(budget.total)}, ${money(budget.remaining)} remaining${budget.unallocated < 0 ? ` (line items over-allocate the total by ${money(-budget.unallocated)})` : ''}`);
+
+  return lines.join('\n');
+}
@@ -0,0 +1,149 @@
+// railway-backend/src/finance/currency.js
+// Currencies and the per-project exchange-rate table
+//
+// A budget has one base currency; expenses may be in any ISO 4217 currency and
+// are converted to base when recorded. Rates live in budget.exchangeRates:
+// [{ currency, rate, effectiveDate, source, recordedAt }] where rate is how many
+// base units one unit of `currency` is worth. The rate for a date is the entry
+// with the latest effectiveDate on or before it. A rate given with an expense
+// (manual override) wins over the table
+
+import { roundMoney } from './money.js';
+
+export const DEFAULT_CURRENCY = process.env.DEFAULT_BUDGET_CURRENCY || 'USD';
+
+// Decimal places kept for exchange rates
+const RATE_PRECISION = 1e6;
+
+// ISO 4217 codes known to the runtime
+const ISO_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+// Symbols and words people type instead of ISO codes
+const CURRENCY_ALIASES = {
+  '$': 'USD',
+  'US$': 'USD',
+  'DOLLAR': 'USD',
+  'DOLLARS': 'USD',
+  '€': 'EUR',
+  'EURO': 'EUR',
+  'EUROS': 'EUR',
+  '£': 'GBP',
+  'POUND': 'GBP',
+  'POUNDS': 'GBP',
+  '¥': 'JPY',
+  'YEN': 'JPY',
+  'C$': 'CAD',
+  'A$': 'AUD',
+  '₹': 'INR'
+};
+
+/**
+ * Thrown when an amount can't be converted (bad code, no rate for the date)
+ */
+export class CurrencyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CurrencyError';
+  }
+}
+
+// ISO code for a code/symbol/word, or null
+export function normalizeCurrency(value) {
+  if (!value) return null;
+  const upper = String(value).trim().toUpperCase();
+  if (CURRENCY_ALIASES[upper]) return CURRENCY_ALIASES[upper];
+  return ISO_CURRENCIES.has(upper) ? upper : null;
+}
+
+// Currency written next to an amount in free text - a symbol, an alias word,
+// or an ISO code typed in capitals (so words like "all" or "try" aren't codes)
+function currencyInText(token) {
+  if (!token) return null;
+  if (CURRENCY_ALIASES[token.toUpperCase()]) return CURRENCY_ALIASES[token.toUpperCase()];
+  return /^[A-Z]{3}$/.test(token) ? normalizeCurrency(token) : null;
+}
+
+/**
+ * Parse free-text amounts like "USD 40,000", "$30k", "€1.2m" or "40000 EUR"
+ * A currency is only taken right before or right after the amount
+ * Returns { amount, currency } (currency null when none is given) or null
+ */
+export function parseMoneyText(text) {
+  if (typeof text === 'number') return { amount: text, currency: null };
+  if (!text) return null;
+
+  const match = /(\b[A-Za-z]{3}|[A-Z]?\$|[€£¥₹])?\s*([\d.,]+)\s*(k|m|thousand|million)?\b(?: ?([A-Za-z]{3,7})\b)?/i.exec(String(text));
+  if (!match) return null;
+
+  const [, prefix, digits, scale, suffix] = match;
+  let amount = Number(digits.replace(/,/g, ''));
+  if (!Number.isFinite(amount)) return null;
+  if (scale) amount *= /^(k|thousand)$/i.test(scale) ? 1e3 : 1e6;
+
+  return { amount: roundMoney(amount), currency: currencyInText(prefix) || currencyInText(suffix) };
+}
+
+// ============================================================================
+// EXCHANGE-RATE TABLE
+// ============================================================================
+
+/**
+ * Add or replace the rate for a currency on an effective date (YYYY-MM-DD, or
+ * an ISO date-time cut to its date) - returns the new table
+ */
+export function upsertExchangeRate(rates = [], { currency, rate, effectiveDate, source = 'manual' }) {
+  const code = normalizeCurrency(currency);
+  if (!code) {
+    throw new CurrencyError(`"${currency}" is not an ISO currency code`);
+  }
+  if (typeof rate !== 'number' || !(rate > 0) || !Number.isFinite(rate)) {
+    throw new CurrencyError(`Exchange rate for ${code} must be a positive number`);
+  }
+  if (typeof effectiveDate !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(effectiveDate) || Number.isNaN(Date.parse(effectiveDate))) {
+    throw new CurrencyError(`Effective date for ${code} must be a date (YYYY-MM-DD)`);
+  }
+
+  const entry = {
+    currency: code,
+    rate: Math.round(rate * RATE_PRECISION) / RATE_PRECISION,
+    effectiveDate: effectiveDate.substring(0, 10),
+    source,
+    recordedAt: new Date().toISOString()
+  };
+
+  return [
+    ...rates.filter(existing => !(existing.currency === code && existing.effectiveDate === entry.effectiveDate)),
+    entry
+  ].sort((a, b) => a.currency.localeCompare(b.currency) || a.effectiveDate.localeCompare(b.effectiveDate));
+}
+
+/**
+ * Rate entry for a currency effective on a date, or null
+ */
+export function findExchangeRate(rates = [], currency, date) {
+  return rates
+    .filter(entry => entry.currency === currency && entry.effectiveDate <= date)
+    .sort((a, b) => b.effectiveDate.localeCompare(a.effectiveDate))[0] || null;
+}
+
+/**
+ * Convert an amount to the base currency as of a date
+ * Returns { amount, exchangeRate, rateDate, rateSource } - rateSource is
+ * 'base' (no conversion), 'table' or 'manual' (overrideRate given)
+ */
+export function convertToBase(amount, currency, date, { baseCurrency, rates = [], overrideRate = null }) {
+  const code = normalizeCurrency(currency) || baseCurrency;
+
+  if (code === baseCurrency) {
+    return { amount: roundMoney(amount), exchangeRate: 1, rateDate: null, rateSource: 'base' };
+  }
+  if (overrideRate) {
+    return { amount: roundMoney(amount * overrideRate), exchangeRate: overrideRate, rateDate: date, rateSource: 'manual' };
+  }
+
+  const entry = findExchangeRate(rates, code, date);
+  if (!entry) {
+    throw new CurrencyError(`No ${code} → ${baseCurrency} exchange rate effective on ${date} - add one to the rate table or give the rate`);
+  }
+  return { amount: roundMoney(amount * entry.rate), exchangeRate: entry.rate, rateDate: entry.effectiveDate, rateSource: 'table' };
+}
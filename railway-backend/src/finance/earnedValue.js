@@ -0,0 +1,150 @@
+// railway-backend/src/finance/earnedValue.js
+// Earned value management - planned value, earned value and actual cost from
+// the task plan, task cost allocations (budget.taskAllocations) and the
+// expense ledger, plus the derived indices and forecasts
+//
+// - PV: each task's budgeted cost × the share of its planned working days elapsed
+// - EV: each task's budgeted cost × its progress (completed = 100%, otherwise
+//   percentComplete, or 50% for in-progress tasks without one)
+// - AC: live expense ledger transactions on those same allocated tasks, in the
+//   base currency - other spend (no task, opening balances, tasks without an
+//   allocation) is reported separately as unlinkedCost
+// - CPI = EV / AC, SPI = EV / PV, EAC = BAC / CPI, ETC = EAC - AC
+
+import { createCalendar, addDays, today } from '../scheduling/calendar.js';
+import { taskDuration } from '../scheduling/schedule.js';
+import { roundMoney, formatMoney } from './money.js';
+
+// Progress credited to an in-progress task that has no percentComplete
+const IN_PROGRESS_CREDIT = 0.5;
+
+function roundIndex(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+// Share of a task's planned working days elapsed by the end of asOf
+function plannedShare(task, asOf, calendar) {
+  if (!task?.startDate || !task?.endDate) return 0;
+  if (asOf < task.startDate) return 0;
+  if (asOf >= task.endDate) return 1;
+  const elapsed = calendar.workingDaysBetween(task.startDate, addDays(asOf, 1));
+  return Math.min(1, elapsed / taskDuration(task, calendar));
+}
+
+// Share of a task's work done
+export function earnedShare(task) {
+  if (task.status === 'completed') return 1;
+  if (Number.isFinite(task.percentComplete)) return Math.min(100, Math.max(0, task.percentComplete)) / 100;
+  return task.status === 'in_progress' ? IN_PROGRESS_CREDIT : 0;
+}
+
+/**
+ * Budgeted cost per task from budget.taskAllocations: { [taskId]: amount }
+ */
+export function budgetedCostByTask(budget = {}) {
+  const costs = {};
+  for (const allocation of budget.taskAllocations || []) {
+    costs[allocation.taskId] = roundMoney((costs[allocation.taskId] || 0) + allocation.amount);
+  }
+  return costs;
+}
+
+/**
+ * Earned value metrics for a project as of a date (default today)
+ * `transactions` are the folded expense ledger; `baselineTasks` (the approved
+ * baseline's tasks) supply the planned dates - tasks not in the baseline, or
+ * no baseline at all, fall back to the current schedule
+ */
+export function computeEarnedValue(projectData, transactions = [], { asOf = today(), baselineTasks = null } = {}) {
+  const calendar = createCalendar(projectData.calendar);
+  const budget = projectData.budget || {};
+  const costs = budgetedCostByTask(budget);
+  const plannedById = new Map((baselineTasks || projectData.tasks || []).map(task => [task.id, task]));
+
+  const liveTransactions = transactions.filter(transaction => !transaction.voided);
+  const actualByTask = {};
+  for (const transaction of liveTransactions) {
+    if (transaction.taskId) {
+      actualByTask[transaction.taskId] = roundMoney((actualByTask[transaction.taskId] || 0) + transaction.amount);
+    }
+  }
+
+  const tasks = (projectData.tasks || [])
+    .filter(task => costs[task.id] > 0)
+    .map(task => {
+      const budgetedCost = costs[task.id];
+      const plannedPercent = plannedShare(plannedById.get(task.id) || task, asOf, calendar);
+      const earnedPercent = earnedShare(task);
+      return {
+        taskId: task.id,
+        title: task.title,
+        status: task.status,
+        budgetedCost,
+        plannedPercent: Math.round(plannedPercent * 100),
+        earnedPercent: Math.round(earnedPercent * 100),
+        plannedValue: roundMoney(budgetedCost * plannedPercent),
+        earnedValue: roundMoney(budgetedCost * earnedPercent),
+        actualCost: actualByTask[task.id] || 0
+      };
+    });
+
+  const budgetAtCompletion = roundMoney(tasks.reduce((sum, task) => sum + task.budgetedCost, 0));
+  const plannedValue = roundMoney(tasks.reduce((sum, task) => sum + task.plannedValue, 0));
+  const earnedValue = roundMoney(tasks.reduce((sum, task) => sum + task.earnedValue, 0));
+  const actualCost = roundMoney(tasks.reduce((sum, task) => sum + task.actualCost, 0));
+  const unlinkedCost = roundMoney(liveTransactions.reduce((sum, transaction) => sum + transaction.amount, 0) - actualCost);
+
+  const cpi = ratio(earnedValue, actualCost);
+  const spi = ratio(earnedValue, plannedValue);
+  const estimateAtCompletion = roundMoney(cpi ? budgetAtCompletion / cpi : budgetAtCompletion);
+
+  const notes = [];
+  if (budgetAtCompletion === 0) {
+    notes.push('No task cost allocations yet - allocate budget to tasks to measure earned value');
+  } else if ((projectData.tasks || []).some(task => !(costs[task.id] > 0))) {
+    notes.push(`${(projectData.tasks || []).filter(task => !(costs[task.id] > 0)).length} task(s) have no cost allocation and are left out`);
+  }
+  if (unlinkedCost !== 0) {
+    notes.push(`${formatMoney(unlinkedCost, budget.currency)} of spend isn't linked to a task with a cost allocation and is left out of AC`);
+  }
+  if (actualCost === 0) {
+    notes.push('No expenses recorded against allocated tasks - CPI and EAC assume costs are on budget');
+  }
+
+  return {
+    asOf,
+    currency: budget.currency,
+    budgetAtCompletion,
+    plannedValue,
+    earnedValue,
+    actualCost,
+    unlinkedCost,
+    costVariance: roundMoney(earnedValue - actualCost),
+    scheduleVariance: roundMoney(earnedValue - plannedValue),
+    cpi: roundIndex(cpi),
+    spi: roundIndex(spi),
+    estimateAtCompletion,
+    estimateToComplete: roundMoney(Math.max(0, estimateAtCompletion - actualCost)),
+    varianceAtCompletion: roundMoney(budgetAtCompletion - estimateAtCompletion),
+    percentComplete: budgetAtCompletion > 0 ? Math.round(earnedValue / budgetAtCompletion * 100) : null,
+    percentPlanned: budgetAtCompletion > 0 ? Math.round(plannedValue / budgetAtCompletion * 100) : null,
+    tasks,
+    notes
+  };
+}
+
+/**
+ * Completion by work rather than cost - each task weighted by its duration
+ * Used when no task has a cost allocation
+ */
+export function workPercentComplete(tasks = [], calendarConfig = {}) {
+  const calendar = createCalendar(calendarConfig);
+  const total = tasks.reduce((sum, task) => sum + taskDuration(task, calendar), 0);
+  if (total === 0) return 0;
+  const earned = tasks.reduce((sum, task) => sum + taskDuration(task, calendar) * earnedShare(task), 0);
+  return Math.round(earned / total * 100);
+}
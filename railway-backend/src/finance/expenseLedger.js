@@ -0,0 +1,208 @@
+// railway-backend/src/finance/expenseLedger.js
+// Append-only expense ledger - every expense, correction and void is its own
+// entry and nothing is ever rewritten. The current state of each transaction
+// (and so each line item's spent amount) is derived by folding the entries
+//
+// Entry kinds:
+// - expense:    { kind, transactionId, amount, currency, originalAmount, originalCurrency,
+//                 exchangeRate, rateDate, rateSource, lineItemId, category, taskId, date, vendor, description }
+// - correction: { kind, transactionId, changes: { ...fields }, reason }
+// - void:       { kind, transactionId, reason }
+// Every entry also carries recordedBy, recordedAt and sourceMessage. amount and
+// currency are always in the budget's base currency, converted when recorded;
+// originalAmount/originalCurrency are what was actually paid
+
+import { roundMoney, formatMoney } from './money.js';
+
+// Fields a correction may change
+export const CORRECTABLE_FIELDS = [
+  'amount', 'originalAmount', 'originalCurrency', 'exchangeRate', 'rateDate', 'rateSource',
+  'lineItemId', 'category', 'taskId', 'date', 'vendor', 'description'
+];
+
+/**
+ * Highest txn_<n> number among the entries (0 for an empty ledger)
+ */
+export function lastTransactionNumber(entries) {
+  return entries.reduce((highest, entry) => {
+    const match = /^txn_(\d+)$/.exec(entry.transactionId);
+    return match ? Math.max(highest, Number(match[1])) : highest;
+  }, 0);
+}
+
+function nextTransactionId(entries) {
+  return `txn_${lastTransactionNumber(entries) + 1}`;
+}
+
+function entryMeta({ recordedBy = null, sourceMessage = null } = {}) {
+  return { recordedBy, recordedAt: new Date().toISOString(), sourceMessage };
+}
+
+// ============================================================================
+// ENTRIES
+// ============================================================================
+
+/**
+ * New expense entry - expense is { amount, currency, lineItemId, category, taskId?, date?, vendor?, description? }
+ * plus, for foreign-currency expenses, { originalAmount, originalCurrency, exchangeRate, rateDate, rateSource }
+ * Stored entries take an ID reserved from the expense store; without one the
+ * next number after `entries` is used
+ */
+export function createExpenseEntry(entries, expense, meta, transactionId = nextTransactionId(entries)) {
+  return {
+    kind: 'expense',
+    transactionId,
+    amount: roundMoney(expense.amount),
+    currency: expense.currency,
+    originalAmount: roundMoney(expense.originalAmount ?? expense.amount),
+    originalCurrency: expense.originalCurrency || expense.currency,
+    exchangeRate: expense.exchangeRate ?? 1,
+    rateDate: expense.rateDate || null,
+    rateSource: expense.rateSource || 'base',
+    lineItemId: expense.lineItemId,
+    category: expense.category,
+    taskId: expense.taskId || null,
+    date: expense.date || new Date().toISOString().substring(0, 10),
+    vendor: expense.vendor || null,
+    description: expense.description || '',
+    ...entryMeta(meta)
+  };
+}
+
+export function createCorrectionEntry(transactionId, changes, reason, meta) {
+  const allowed = Object.fromEntries(Object.entries(changes)
+    .filter(([field, value]) => CORRECTABLE_FIELDS.includes(field) && value !== undefined)
+    .map(([field, value]) => [field, ['amount', 'originalAmount'].includes(field) ? roundMoney(value) : value]));
+
+  return { kind: 'correction', transactionId, changes: allowed, reason: reason || '', ...entryMeta(meta) };
+}
+
+export function createVoidEntry(transactionId, reason, meta) {
+  return { kind: 'void', transactionId, reason: reason || '', ...entryMeta(meta) };
+}
+
+/**
+ * Opening entries for a budget that has spending but no ledger yet (budgets
+ * from before the ledger existed) - one per line item with spent > 0
+ */
+export function openingBalanceEntries(budget = {}) {
+  const entries = [];
+  for (const item of budget.lineItems || []) {
+    if (!(item.spent > 0)) continue;
+    entries.push(createExpenseEntry(entries, {
+      amount: item.spent,
+      currency: budget.currency || 'USD',
+      lineItemId: item.id,
+      category: item.category,
+      description: 'Opening balance (spent before the expense ledger)'
+    }, { recordedBy: 'system' }));
+  }
+  return entries;
+}
+
+// ============================================================================
+// DERIVED STATE
+// ============================================================================
+
+/**
+ * Fold ledger entries into the current transactions, in recording order:
+ * [{ transactionId, amount, ..., voided, voidReason, corrected, history }]
+ */
+export function foldExpenses(entries = []) {
+  const transactions = new Map();
+
+  for (const entry of entries) {
+    if (entry.kind === 'expense') {
+      const { kind, ...fields } = entry;
+      transactions.set(entry.transactionId, {
+        // Entries from before multi-currency support were all in the base currency
+        originalAmount: entry.amount,
+        originalCurrency: entry.currency,
+        exchangeRate: 1,
+        rateSource: 'base',
+        ...fields,
+        voided: false,
+        voidReason: null,
+        corrected: false,
+        history: [entry]
+      });
+      continue;
+    }
+
+    const transaction = transactions.get(entry.transactionId);
+    if (!transaction) continue;
+
+    transaction.history.push(entry);
+    if (entry.kind === 'correction') {
+      Object.assign(transaction, entry.changes, { corrected: true });
+    } else if (entry.kind === 'void') {
+      transaction.voided = true;
+      transaction.voidReason = entry.reason;
+    }
+  }
+
+  return [...transactions.values()];
+}
+
+/**
+ * Spent per line item from the live (non-voided) transactions: { [lineItemId]: amount }
+ */
+export function spentByLineItem(transactions = []) {
+  const spent = {};
+  for (const transaction of transactions) {
+    if (transaction.voided) continue;
+    spent[transaction.lineItemId] = roundMoney((spent[transaction.lineItemId] || 0) + transaction.amount);
+  }
+  return spent;
+}
+
+/**
+ * Spent per line item broken down by the currency actually paid:
+ * { [lineItemId]: { [currency]: amount } }
+ */
+export function spentByCurrency(transactions = []) {
+  const spent = {};
+  for (const transaction of transactions) {
+    if (transaction.voided) continue;
+    const currency = transaction.originalCurrency || transaction.currency;
+    const byCurrency = spent[transaction.lineItemId] || (spent[transaction.lineItemId] = {});
+    byCurrency[currency] = roundMoney((byCurrency[currency] || 0) + (transaction.originalAmount ?? transaction.amount));
+  }
+  return spent;
+}
+
+/**
+ * Transactions matching a filter { lineItemId, taskId, includeVoided, limit } - newest first
+ */
+export function filterTransactions(transactions = [], { lineItemId, taskId, includeVoided = false, limit } = {}) {
+  const matching = transactions
+    .filter(transaction => includeVoided || !transaction.voided)
+    .filter(transaction => !lineItemId || transaction.lineItemId === lineItemId)
+    .filter(transaction => !taskId || transaction.taskId === taskId)
+    .reverse();
+
+  return limit ? matching.slice(0, limit) : matching;
+}
+
+// One line per transaction for prompts and chat replies - amounts in the base
+// currency (view 'base') or as paid (view 'original'), with the other alongside
+export function describeTransaction(transaction, view = 'base') {
+  const base = formatMoney(transaction.amount, transaction.currency);
+  const original = formatMoney(transaction.originalAmount ?? transaction.amount, transaction.originalCurrency || transaction.currency);
+  const foreign = (transaction.originalCurrency || transaction.currency) !== transaction.currency;
+
+  const parts = [
+    transaction.transactionId,
+    transaction.date,
+    !foreign ? base : view === 'original'
+      ? `${original} (${base} @ ${transaction.exchangeRate})`
+      : `${base} (${original} @ ${transaction.exchangeRate})`,
+    `"${transaction.category}"`
+  ];
+  if (transaction.vendor) parts.push(`vendor ${transaction.vendor}`);
+  if (transaction.taskId) parts.push(`task ${transaction.taskId}`);
+  if (transaction.description) parts.push(`- ${transaction.description}`);
+  if (transaction.corrected) parts.push('(corrected)');
+  if (transaction.voided) parts.push(`(void${transaction.voidReason ? `: ${transaction.voidReason}` : ''})`);
+  return parts.join(' ');
+}
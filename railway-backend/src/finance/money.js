@@ -0,0 +1,11 @@
+// railway-backend/src/finance/money.js
+// Money helpers shared by the budget and expense ledgers
+
+// Amounts are kept to the cent
+export function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+export function formatMoney(amount, currency = 'USD') {
+  return `${currency} ${roundMoney(amount).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+}
@@ -2,9 +2,20 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { runPMWorkflow } from './agents/graph.js';
-import { getRedisClient } from './data/projectData.js';
-import { createProjectData, saveProjectData, getProjectData } from './data/projectData.js';
+import { processMessageJob, processInitJob, processAnalyzeJob } from './jobs/processors.js';
+import { startJobWorker, stopJobWorker } from './jobs/worker.js';
+import {
+  storeJob,
+  getJob,
+  updateJobStatus,
+  saveJobResults,
+  getJobResults,
+  getQueuedJobs,
+  countQueuedJobs,
+  JobTransitionError
+} from './data/jobQueue.js';
 import streamingRoutes from './routes/streaming.js';
+import projectRoutes from './routes/projects.js';
 
 dotenv.config();
 
@@ -65,96 +76,25 @@ app.use('/api/*', authenticateApiKey);
 // Mount streaming routes
 app.use('/api', streamingRoutes);
 
-// In-memory job storage (should use Redis in production, but using memory for now)
-const jobs = new Map();
-const jobResults = new Map();
+// Mount project data routes (team roster, resource leveling, milestones, budget, exchange rates, expense ledger, earned value, health, version history, issue register, change control, baseline variance)
+app.use('/api', projectRoutes);
 
-// ============================================================================
-// HELPER FUNCTIONS
-// ============================================================================
-
-// Format AI response based on workflow results
-function formatAiResponse(result) {
-  let aiResponse = "I've analyzed your request and processed it.";
-  
-  console.log(`🔍 Formatting AI response from result:`, {
-    hasScopeData: !!result.scopeData,
-    hasScope: !!result.scopeData?.scope,
-    hasResponseText: !!result.scopeData?.responseText,
-    hasStages: !!result.scopeData?.stages,
-    hasAnalysis: !!result.analysis,
-    hasDirectAnswer: !!result.direct_answer,
-    hasMessages: !!result.messages
-  });
-  
-  if (result.scopeData) {
-    // Check if we have a complete scope or just stages created
-    if (result.scopeData.scope) {
-      // Format a comprehensive response when scope is fully defined
-      const scope = result.scopeData.scope;
-      aiResponse = `✅ **Project Scope Defined**\n\n`;
-      
-      if (scope?.description) {
-        aiResponse += `**Overview:** ${scope.description}\n\n`;
-      }
-      
-      if (scope?.objectives && scope.objectives.length > 0) {
-        aiResponse += `**Objectives:**\n${scope.objectives.map(obj => `• ${obj}`).join('\n')}\n\n`;
-      }
-      
-      if (scope?.deliverables && scope.deliverables.length > 0) {
-        aiResponse += `**Key Deliverables:**\n${scope.deliverables.map(del => `• ${del}`).join('\n')}\n\n`;
-      }
-      
-      if (scope?.budget) {
-        aiResponse += `**Budget:** ${scope.budget}\n\n`;
-      }
-      
-      if (scope?.timeline) {
-        aiResponse += `**Timeline:** ${scope.timeline.startDate} to ${scope.timeline.targetEndDate}\n\n`;
-      }
-      
-      if (result.scopeData.stages && result.scopeData.stages.length > 0) {
-        aiResponse += `**Project Stages:**\n${result.scopeData.stages.map((stage, idx) => 
-          `${idx + 1}. ${stage.name} (${stage.status})`
-        ).join('\n')}`;
-      }
-    } else if (result.scopeData.responseText) {
-      // Use the responseText when stages are created but scope not finalized
-      aiResponse = result.scopeData.responseText;
-    } else if (result.scopeData.stages && result.scopeData.stages.length > 0) {
-      // Fallback: format stages if no responseText
-      aiResponse = `**Project Stages Created:**\n${result.scopeData.stages.map((stage, idx) => 
-        `${idx + 1}. ${stage.name} (${stage.status})`
-      ).join('\n')}`;
-    }
-  } else if (result.analysis) {
-    aiResponse = result.analysis.summary || "Project analysis completed.";
-  } else if (result.direct_answer) {
-    aiResponse = result.direct_answer;
-  } else if (result.reasoning) {
-    aiResponse = result.reasoning;
-  } else if (result.messages && result.messages.length > 0) {
-    const lastMsg = result.messages[result.messages.length - 1];
-    if (lastMsg.role === 'assistant' && lastMsg.content) {
-      aiResponse = lastMsg.content;
-    }
+// Health check endpoint (public - no auth required)
+app.get('/health', async (req, res) => {
+  let jobsInQueue = null;
+  try {
+    jobsInQueue = await countQueuedJobs();
+  } catch (error) {
+    console.error('⚠️ Health check could not read job queue:', error.message);
   }
-  
-  console.log(`🎯 Final formatted aiResponse (${aiResponse.length} chars):`, aiResponse.substring(0, 100) + '...');
-  
-  return aiResponse;
-}
 
-// Health check endpoint (public - no auth required)
-app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     message: 'PMaaS Railway Backend with LangGraph is running',
     timestamp: new Date().toISOString(),
     langgraph: 'enabled',
     streaming: 'enabled',
-    jobsInQueue: jobs.size,
+    jobsInQueue: jobsInQueue,
     secured: !!API_KEY // Indicates if API key is configured
   });
 });
@@ -173,7 +113,7 @@ app.post('/api/store-job', async (req, res) => {
     }
 
     console.log(`📥 Storing job: ${job.id}`);
-    jobs.set(job.id, job);
+    await storeJob(job);
 
     res.json({ 
       success: true,
@@ -195,7 +135,7 @@ app.get('/api/get-job/:jobId', async (req, res) => {
   try {
     const { jobId } = req.params;
     
-    const job = jobs.get(jobId);
+    const job = await getJob(jobId);
     
     if (!job) {
       return res.status(404).json({ 
@@ -222,9 +162,21 @@ app.get('/api/get-job/:jobId', async (req, res) => {
 // Update job status
 app.post('/api/update-job-status', async (req, res) => {
   try {
-    const { jobId, status, progress, message } = req.body;
+    const { jobId, status, progress, message, expectedStatus } = req.body;
     
-    const job = jobs.get(jobId);
+    if (!jobId || !status) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'jobId and status are required'
+      });
+    }
+
+    const job = await updateJobStatus(jobId, status, {
+      progress,
+      message,
+      error: status === 'failed' ? message : undefined,
+      expectedStatus
+    });
     
     if (!job) {
       return res.status(404).json({ 
@@ -233,25 +185,22 @@ app.post('/api/update-job-status', async (req, res) => {
       });
     }
 
-    job.status = status;
-    job.progress = progress;
-    job.message = message;
-    job.updatedAt = new Date().toISOString();
-
-    if (status === 'completed') {
-      job.completedAt = new Date().toISOString();
-    }
-
-    jobs.set(jobId, job);
-
-    console.log(`📊 Job ${jobId} status updated: ${status} (${progress}%)`);
-
     res.json({ 
       success: true,
-      message: 'Job status updated'
+      message: 'Job status updated',
+      job: job
     });
 
   } catch (error) {
+    if (error instanceof JobTransitionError) {
+      console.warn(`⚠️ Rejected job status change: ${error.message}`);
+      return res.status(409).json({ 
+        success: false,
+        error: error.message,
+        currentStatus: error.currentStatus
+      });
+    }
+
     console.error('❌ Update job status failed:', error);
     res.status(500).json({ 
       success: false,
@@ -265,8 +214,15 @@ app.post('/api/save-job-results', async (req, res) => {
   try {
     const { jobId, results } = req.body;
     
+    if (!jobId) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'jobId is required'
+      });
+    }
+
     console.log(`💾 Saving results for job: ${jobId}`);
-    jobResults.set(jobId, results);
+    await saveJobResults(jobId, results);
 
     res.json({ 
       success: true,
@@ -287,7 +243,7 @@ app.get('/api/get-job-results/:jobId', async (req, res) => {
   try {
     const { jobId } = req.params;
     
-    const results = jobResults.get(jobId);
+    const results = await getJobResults(jobId);
     
     res.json({ 
       success: true,
@@ -308,9 +264,7 @@ app.get('/api/get-queued-jobs', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 5;
     
-    const queuedJobs = Array.from(jobs.values())
-      .filter(job => job.status === 'queued')
-      .slice(0, limit);
+    const queuedJobs = await getQueuedJobs(limit);
 
     res.json({ 
       success: true,
@@ -330,179 +284,33 @@ app.get('/api/get-queued-jobs', async (req, res) => {
 // JOB PROCESSING ENDPOINTS
 // ============================================================================
 
-// Process a message job
-app.post('/api/process-message-job', async (req, res) => {
+// Send a processor result, or the processor's error with its HTTP status
+async function runJobProcessor(res, processor, job, label) {
   try {
-    const { job } = req.body;
-    
-    console.log(`🤖 Processing message job: ${job.id}`);
-    console.log(`📝 Message: ${job.input.message}`);
-    
-    const { projectId, userId, input } = job;
-    
-    // Get or create project data
-    let projectData = await getProjectData(projectId);
-    if (!projectData) {
-      console.log(`📦 Creating new project: ${projectId}`);
-      projectData = await createProjectData(projectId, userId, {
-        name: 'New Project'
-      });
-      await saveProjectData(projectId, projectData);
-    }
-
-    // Run the LangGraph workflow
-    const result = await runPMWorkflow(input.message, projectId, userId);
-
-    console.log(`✅ Message job completed: ${job.id}`);
-
-    // Get the latest project data to ensure we have the most current name and email
-    const latestProjectData = await getProjectData(projectId);
-    const finalProjectData = result.projectData || latestProjectData || projectData;
-
-    // Log final response data being sent to Wix
-    const finalResponse = {
-      success: true,
-      result: {
-        aiResponse: formatAiResponse(result),
-        projectData: finalProjectData,
-        projectName: finalProjectData?.name || 'New Project',
-        projectEmail: finalProjectData?.email || '',
-        analysis: result.analysis,
-        scopeData: result.scopeData,
-        schedulerData: result.schedulerData,
-        updateData: result.updateData,
-        budgetData: result.budgetData
-      }
-    };
-
-    console.log(`📤 FINAL RESPONSE TO WIX (Message Job ${job.id}):`);
-    console.log(`📊 Project Data:`, JSON.stringify(finalProjectData, null, 2));
-    console.log(`🤖 AI Response:`, finalResponse.result.aiResponse);
-    console.log(`📋 Full Result Keys:`, Object.keys(finalResponse.result));
-    console.log(`📦 Response Size: ${JSON.stringify(finalResponse).length} characters`);
-
-    res.json(finalResponse);
-
+    res.json(await processor(job));
   } catch (error) {
-    console.error('❌ Process message job failed:', error);
-    res.status(500).json({ 
+    console.error(`❌ Process ${label} job failed:`, error);
+    res.status(error.statusCode || 500).json({ 
       success: false,
       error: error.message,
       result: null
     });
   }
+}
+
+// Process a message job
+app.post('/api/process-message-job', async (req, res) => {
+  await runJobProcessor(res, processMessageJob, req.body.job, 'message');
 });
 
 // Process an init job
 app.post('/api/process-init-job', async (req, res) => {
-  try {
-    const { job } = req.body;
-    
-    console.log(`🤖 Processing init job: ${job.id}`);
-    
-    const { projectId, userId, input } = job;
-    
-    // Create new project
-    const projectData = await createProjectData(projectId, userId, {
-      name: input.projectName || 'New Project'
-    });
-    await saveProjectData(projectId, projectData);
-
-    // Run the LangGraph workflow with initial message
-    const initialMessage = input.initialMessage || 'Initialize this project';
-    const result = await runPMWorkflow(initialMessage, projectId, userId);
-
-    console.log(`✅ Init job completed: ${job.id}`);
-
-    // Get the latest project data to ensure we have the most current name and email
-    const latestProjectData = await getProjectData(projectId);
-    const finalProjectData = result.projectData || latestProjectData || projectData;
-
-    // Log final response data being sent to Wix
-    const finalResponse = {
-      success: true,
-      result: {
-        message: formatAiResponse(result),
-        projectData: finalProjectData,
-        projectName: finalProjectData?.name || 'New Project',
-        projectEmail: finalProjectData?.email || '',
-        analysis: result.analysis
-      }
-    };
-
-    console.log(`📤 FINAL RESPONSE TO WIX (Init Job ${job.id}):`);
-    console.log(`📊 Project Data:`, JSON.stringify(finalProjectData, null, 2));
-    console.log(`🤖 AI Response:`, finalResponse.result.message);
-    console.log(`📋 Full Result Keys:`, Object.keys(finalResponse.result));
-    console.log(`📦 Response Size: ${JSON.stringify(finalResponse).length} characters`);
-
-    res.json(finalResponse);
-
-  } catch (error) {
-    console.error('❌ Process init job failed:', error);
-    res.status(500).json({ 
-      success: false,
-      error: error.message,
-      result: null
-    });
-  }
+  await runJobProcessor(res, processInitJob, req.body.job, 'init');
 });
 
 // Process an analyze job
 app.post('/api/process-analyze-job', async (req, res) => {
-  try {
-    const { job } = req.body;
-    
-    console.log(`🤖 Processing analyze job: ${job.id}`);
-    
-    const { projectId, userId } = job;
-    
-    // Get project data
-    let projectData = await getProjectData(projectId);
-    if (!projectData) {
-      return res.status(404).json({ 
-        success: false,
-        error: 'Project not found',
-        result: null
-      });
-    }
-
-    // Run the LangGraph workflow with analyze request
-    const result = await runPMWorkflow('Analyze this project for completeness and gaps', projectId, userId);
-
-    console.log(`✅ Analyze job completed: ${job.id}`);
-
-    const finalProjectData = result.projectData || projectData;
-
-    // Log final response data being sent to Wix
-    const finalResponse = {
-      success: true,
-      result: {
-        message: formatAiResponse(result),
-        analysis: result.analysis,
-        projectData: finalProjectData,
-        projectName: finalProjectData?.name || 'New Project',
-        projectEmail: finalProjectData?.email || ''
-      }
-    };
-
-    console.log(`📤 FINAL RESPONSE TO WIX (Analyze Job ${job.id}):`);
-    console.log(`📊 Project Data:`, JSON.stringify(finalProjectData, null, 2));
-    console.log(`🤖 AI Response:`, finalResponse.result.message);
-    console.log(`📊 Analysis:`, JSON.stringify(result.analysis, null, 2));
-    console.log(`📋 Full Result Keys:`, Object.keys(finalResponse.result));
-    console.log(`📦 Response Size: ${JSON.stringify(finalResponse).length} characters`);
-
-    res.json(finalResponse);
-
-  } catch (error) {
-    console.error('❌ Process analyze job failed:', error);
-    res.status(500).json({ 
-      success: false,
-      error: error.message,
-      result: null
-    });
-  }
+  await runJobProcessor(res, processAnalyzeJob, req.body.job, 'analyze');
 });
 
 // ============================================================================
@@ -568,8 +376,27 @@ app.get('/api/test', (req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 PMaaS Server running on port ${PORT}`);
   console.log(`🤖 LangGraph multi-agent system ready`);
-  console.log(`🌊 Streaming API enabled (SSE)`);
+  console.log(`🌊 Streaming API enabled (polling + SSE at /api/stream/:streamId)`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
   console.log(`💼 Job Queue API enabled`);
+  console.log(`👥 Team & resource leveling API enabled (/api/projects/:projectId/team)`);
+  console.log(`🚩 Milestones API enabled (/api/projects/:projectId/milestones)`);
+  console.log(`🧾 Budget, exchange-rate & expense ledger API enabled (/api/projects/:projectId/budget)`);
+  console.log(`📈 Earned value & health API enabled (/api/projects/:projectId/earned-value, /health)`);
+  console.log(`🕓 Version history API enabled (/api/projects/:projectId/versions, /as-of, /diff)`);
+  console.log(`🗂️ Risk & issue register API enabled (/api/projects/:projectId/issues)`);
+  console.log(`📝 Change control API enabled (/api/projects/:projectId/change-requests, /baseline, /variance)`);
   console.log(`🔒 API Security: ${API_KEY ? 'ENABLED ✅' : 'DISABLED ⚠️'}`);
+
+  // Drain queued jobs in the background unless explicitly disabled
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    startJobWorker();
+  }
+});
+
+// Let in-flight jobs finish before Railway stops the container on redeploy
+process.on('SIGTERM', async () => {
+  console.log('🛑 SIGTERM received, stopping job worker...');
+  await stopJobWorker();
+  process.exit(0);
 });
\ No newline at end of file
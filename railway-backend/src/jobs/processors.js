@@ -0,0 +1,163 @@
+// railway-backend/src/jobs/processors.js
+// Job processors - run the LangGraph workflow for each job type and build the result sent to Wix
+// Shared by the /api/process-*-job endpoints and the background job worker
+
+import { runPMWorkflow } from '../agents/graph.js';
+import { formatAiResponse } from '../agents/formatResponse.js';
+import { createProjectData, saveProjectData, getProjectData } from '../data/projectData.js';
+
+// Error with an HTTP status for the process endpoints (e.g. 404 when the project is missing)
+export class JobProcessingError extends Error {
+  constructor(message, statusCode = 500) {
+    super(message);
+    this.name = 'JobProcessingError';
+    this.statusCode = statusCode;
+  }
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+function logFinalResponse(label, job, finalResponse, aiResponse) {
+  console.log(`📤 FINAL RESPONSE TO WIX (${label} ${job.id}):`);
+  console.log(`📊 Project Data:`, JSON.stringify(finalResponse.result.projectData, null, 2));
+  console.log(`🤖 AI Response:`, aiResponse);
+  console.log(`📋 Full Result Keys:`, Object.keys(finalResponse.result));
+  console.log(`📦 Response Size: ${JSON.stringify(finalResponse).length} characters`);
+}
+
+// ============================================================================
+// JOB PROCESSORS
+// ============================================================================
+
+// Process a message job
+// options are passed through to runPMWorkflow (e.g. onNodeComplete for progress)
+export async function processMessageJob(job, options = {}) {
+  console.log(`🤖 Processing message job: ${job.id}`);
+  console.log(`📝 Message: ${job.input.message}`);
+  
+  const { projectId, userId, input } = job;
+  
+  // Get or create project data
+  let projectData = await getProjectData(projectId);
+  if (!projectData) {
+    console.log(`📦 Creating new project: ${projectId}`);
+    projectData = await createProjectData(projectId, userId, {
+      name: 'New Project'
+    });
+    await saveProjectData(projectId, projectData);
+  }
+
+  // Run the LangGraph workflow
+  const result = await runPMWorkflow(input.message, projectId, userId, options);
+
+  console.log(`✅ Message job completed: ${job.id}`);
+
+  // Get the latest project data to ensure we have the most current name and email
+  const latestProjectData = await getProjectData(projectId);
+  const finalProjectData = result.projectData || latestProjectData || projectData;
+
+  const finalResponse = {
+    success: true,
+    result: {
+      aiResponse: formatAiResponse(result),
+      projectData: finalProjectData,
+      projectName: finalProjectData?.name || 'New Project',
+      projectEmail: finalProjectData?.email || '',
+      analysis: result.analysis,
+      scopeData: result.scopeData,
+      schedulerData: result.schedulerData,
+      updateData: result.updateData,
+      budgetData: result.budgetData,
+      riskData: result.riskData,
+      changeRequestData: result.changeRequestData,
+      plan: result.plan
+    }
+  };
+
+  logFinalResponse('Message Job', job, finalResponse, finalResponse.result.aiResponse);
+
+  return finalResponse;
+}
+
+// Process an init job
+export async function processInitJob(job, options = {}) {
+  console.log(`🤖 Processing init job: ${job.id}`);
+  
+  const { projectId, userId, input } = job;
+  
+  // Create new project
+  const projectData = await createProjectData(projectId, userId, {
+    name: input.projectName || 'New Project'
+  });
+  await saveProjectData(projectId, projectData);
+
+  // Run the LangGraph workflow with initial message
+  const initialMessage = input.initialMessage || 'Initialize this project';
+  const result = await runPMWorkflow(initialMessage, projectId, userId, options);
+
+  console.log(`✅ Init job completed: ${job.id}`);
+
+  // Get the latest project data to ensure we have the most current name and email
+  const latestProjectData = await getProjectData(projectId);
+  const finalProjectData = result.projectData || latestProjectData || projectData;
+
+  const finalResponse = {
+    success: true,
+    result: {
+      message: formatAiResponse(result),
+      projectData: finalProjectData,
+      projectName: finalProjectData?.name || 'New Project',
+      projectEmail: finalProjectData?.email || '',
+      analysis: result.analysis
+    }
+  };
+
+  logFinalResponse('Init Job', job, finalResponse, finalResponse.result.message);
+
+  return finalResponse;
+}
+
+// Process an analyze job
+export async function processAnalyzeJob(job, options = {}) {
+  console.log(`🤖 Processing analyze job: ${job.id}`);
+  
+  const { projectId, userId } = job;
+  
+  // Get project data
+  const projectData = await getProjectData(projectId);
+  if (!projectData) {
+    throw new JobProcessingError('Project not found', 404);
+  }
+
+  // Run the LangGraph workflow with analyze request
+  const result = await runPMWorkflow('Analyze this project for completeness and gaps', projectId, userId, options);
+
+  console.log(`✅ Analyze job completed: ${job.id}`);
+
+  const finalProjectData = result.projectData || projectData;
+
+  const finalResponse = {
+    success: true,
+    result: {
+      message: formatAiResponse(result),
+      analysis: result.analysis,
+      projectData: finalProjectData,
+      projectName: finalProjectData?.name || 'New Project',
+      projectEmail: finalProjectData?.email || ''
+    }
+  };
+
+  logFinalResponse('Analyze Job', job, finalResponse, finalResponse.result.message);
+  console.log(`📊 Analysis:`, JSON.stringify(result.analysis, null, 2));
+
+  return finalResponse;
+}
+
+// Processors by job.type (matches the job types submitted from Wix)
+export const JOB_PROCESSORS = {
+  sendMessage: processMessageJob,
+  init: processInitJob,
+  analyze: processAnalyzeJob
+};
@@ -0,0 +1,142 @@
+// railway-backend/src/jobs/worker.js
+// Background job worker - claims queued jobs from Redis, runs them and stores results
+// The Wix side only submits jobs and polls /api/get-job + /api/get-job-results
+
+import os from 'os';
+import { JOB_PROCESSORS } from './processors.js';
+import {
+  getQueuedJobs,
+  claimJob,
+  updateJobStatus,
+  requeueStaleJobs,
+  JobTransitionError
+} from '../data/jobQueue.js';
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_WORKER_POLL_MS) || 1000;
+const CONCURRENCY = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 1;
+// A processing job with no progress update for this long is assumed orphaned
+const STALE_JOB_MS = parseInt(process.env.JOB_WORKER_STALE_MS) || 10 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Friendly progress messages as each graph node finishes
+const NODE_MESSAGES = {
+  supervisor: 'Request routed',
+  scope: 'Scope agent finished',
+  scheduler: 'Scheduler agent finished',
+  taskUpdater: 'Task updater finished',
+  budget: 'Budget agent finished',
+  analyzer: 'Analyzer agent finished',
+  end: 'Preparing results'
+};
+
+const activeJobs = new Set();
+let pollTimer = null;
+let running = false;
+
+// Run one claimed job through its processor, reporting progress per graph node.
+// Every update requires the job to still be processing under this worker's claim -
+// a job requeued as stale and claimed elsewhere is abandoned, not overwritten
+async function runJob(job) {
+  const claim = { expectedStatus: 'processing', ownedBy: WORKER_ID };
+  const processor = JOB_PROCESSORS[job.type];
+  let progress = job.progress || 10;
+
+  try {
+    if (!processor) {
+      throw new Error(`Unknown job type: ${job.type}`);
+    }
+
+    const onNodeComplete = async (nodeName) => {
+      // Step towards 90% - the last 10% is saving results
+      progress = Math.min(90, progress + 20);
+      await updateJobStatus(job.id, 'processing', {
+        ...claim,
+        progress,
+        message: NODE_MESSAGES[nodeName] || `${nodeName} finished`
+      });
+    };
+
+    const response = await processor(job, { onNodeComplete });
+
+    // Results are written with the claim-checked completion, never without it
+    await updateJobStatus(job.id, 'completed', {
+      ...claim,
+      progress: 100,
+      message: 'Processing complete',
+      results: response.result ?? null
+    });
+
+    console.log(`✅ Worker ${WORKER_ID} completed job ${job.id} (${job.type})`);
+
+  } catch (error) {
+    if (error instanceof JobTransitionError) {
+      console.warn(`⚠️ Worker ${WORKER_ID} lost job ${job.id} (now ${error.currentStatus}) - abandoning this run`);
+      return;
+    }
+
+    console.error(`❌ Worker ${WORKER_ID} failed job ${job.id}:`, error);
+
+    try {
+      await updateJobStatus(job.id, 'failed', {
+        ...claim,
+        progress: 0,
+        message: `Processing failed: ${error.message}`,
+        error: error.message
+      });
+    } catch (statusError) {
+      console.error(`❌ Could not mark job ${job.id} as failed:`, statusError);
+    }
+  }
+}
+
+// Claim as many queued jobs as there are free slots and start them
+async function pollOnce() {
+  const freeSlots = CONCURRENCY - activeJobs.size;
+  if (freeSlots <= 0) return;
+
+  await requeueStaleJobs(STALE_JOB_MS);
+
+  const queuedJobs = await getQueuedJobs(freeSlots);
+
+  for (const queuedJob of queuedJobs) {
+    // Another worker may claim the same job first - only the winner runs it
+    const job = await claimJob(queuedJob.id, WORKER_ID);
+    if (!job) continue;
+
+    console.log(`🛠️ Worker ${WORKER_ID} claimed job ${job.id} (${job.type})`);
+
+    const run = runJob(job).finally(() => activeJobs.delete(run));
+    activeJobs.add(run);
+  }
+}
+
+function scheduleNextPoll() {
+  if (!running) return;
+
+  pollTimer = setTimeout(async () => {
+    try {
+      await pollOnce();
+    } catch (error) {
+      console.error('❌ Job worker poll failed:', error);
+    }
+    scheduleNextPoll();
+  }, POLL_INTERVAL_MS);
+}
+
+// Start draining the queue (no-op if already running)
+export function startJobWorker() {
+  if (running) return;
+
+  running = true;
+  console.log(`🛠️ Job worker ${WORKER_ID} started (concurrency ${CONCURRENCY}, poll ${POLL_INTERVAL_MS}ms)`);
+  scheduleNextPoll();
+}
+
+// Stop claiming new jobs and wait for the ones in flight to finish
+export async function stopJobWorker() {
+  running = false;
+  clearTimeout(pollTimer);
+  await Promise.allSettled([...activeJobs]);
+  console.log(`🛑 Job worker ${WORKER_ID} stopped`);
+}
@@ -0,0 +1,815 @@
+// railway-backend/src/routes/projects.js
+// Project data endpoints that don't go through the agents - team roster,
+// resource leveling, milestones, budget report, exchange rates, the expense ledger, earned
+// value, health scores, version history, the risk/issue register, change control
+// and baseline variance
+
+import express from 'express';
+import { getProjectData, saveProjectData } from '../data/projectData.js';
+import { applySchedule, ScheduleError } from '../scheduling/schedule.js';
+import { levelResources } from '../scheduling/leveling.js';
+import { teamSchema } from '../scheduling/resources.js';
+import { milestonesSchema, alignMilestones, trackMilestones } from '../scheduling/milestones.js';
+import { getExpenseEntries } from '../data/expenseStore.js';
+import { foldExpenses, filterTransactions, spentByCurrency } from '../finance/expenseLedger.js';
+import { findLineItem, recalculateBudget } from '../finance/budgetLedger.js';
+import { upsertExchangeRate, normalizeCurrency, CurrencyError } from '../finance/currency.js';
+import { roundMoney } from '../finance/money.js';
+import { computeEarnedValue } from '../finance/earnedValue.js';
+import { scoreProjectHealth, healthTrend } from '../analysis/health.js';
+import { recordHealthScore, getHealthHistory, getLatestHealth } from '../data/healthStore.js';
+import { listSnapshots, getSnapshot, getSnapshotAsOf } from '../data/snapshotStore.js';
+import { diffProjects } from '../analysis/projectDiff.js';
+import { applyRegisterActions, filterRegister, normalizeRegister, summarizeRegister } from '../analysis/issueRegister.js';
+import { captureBaseline, baselineForReport } from '../analysis/baseline.js';
+import { computeVariance } from '../analysis/variance.js';
+import { proposeChangeRequest, decideChangeRequest, ChangeRequestError, CHANGE_REQUEST_STATUSES } from '../analysis/changeControl.js';
+import { changeSetSchema, registerChangesSchema } from '../agents/schemas.js';
+
+const router = express.Router();
+
+// Load a project or answer 404
+async function loadProject(req, res) {
+  const projectData = await getProjectData(req.params.projectId);
+  if (!projectData) {
+    res.status(404).json({ success: false, error: 'Project not found' });
+    return null;
+  }
+  return projectData;
+}
+
+// ============================================================================
+// TEAM & RESOURCES
+// ============================================================================
+
+/**
+ * Get the team roster and current over-allocations
+ */
+router.get('/projects/:projectId/team', async (req, res) => {
+  try {
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+
+    res.json({
+      success: true,
+      team: projectData.team || [],
+      overallocations: projectData.schedule?.overallocations || []
+    });
+
+  } catch (error) {
+    console.error('❌ Get team failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Replace the team roster
+ * Body: { team: [{ id?, name, role, capacity?, availability?: { startDate, endDate, daysOff } }] }
+ * Tasks are rescheduled so role assignments and over-allocation issues reflect the new roster
+ */
+router.put('/projects/:projectId/team', async (req, res) => {
+  try {
+    const parsed = teamSchema.safeParse(req.body.team);
+    if (!parsed.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid team',
+        issues: parsed.error.issues.map(issue => `${issue.path.join('.') || 'team'}: ${issue.message}`)
+      });
+    }
+
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+
+    projectData.team = parsed.data;
+    const schedule = applySchedule(projectData);
+    await saveProjectData(req.params.projectId, projectData);
+
+    console.log(`👥 Team updated for ${req.params.projectId}: ${projectData.team.length} member(s)`);
+
+    res.json({
+      success: true,
+      team: projectData.team,
+      assignments: schedule.assignments,
+      overallocations: schedule.overallocations
+    });
+
+  } catch (error) {
+    if (error instanceof ScheduleError) {
+      return res.status(409).json({ success: false, error: error.message, cycles: error.cycles });
+    }
+    console.error('❌ Update team failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Level the workload - delay non-critical tasks within their float
+ */
+router.post('/projects/:projectId/level-resources', async (req, res) => {
+  try {
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+
+    const { shiftedTasks, remaining } = levelResources(projectData);
+    await saveProjectData(req.params.projectId, projectData);
+
+    res.json({
+      success: true,
+      shiftedTasks,
+      overallocations: remaining,
+      schedule: projectData.schedule
+    });
+
+  } catch (error) {
+    if (error instanceof ScheduleError) {
+      return res.status(409).json({ success: false, error: error.message, cycles: error.cycles });
+    }
+    console.error('❌ Resource leveling failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// MILESTONES
+// ============================================================================
+
+/**
+ * Milestones with their gating tasks and forecast vs target
+ */
+router.get('/projects/:projectId/milestones', async (req, res) => {
+  try {
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+
+    const milestones = alignMilestones(projectData.timeline?.milestones || [], projectData.tasks || []);
+
+    res.json({
+      success: true,
+      milestones,
+      tracking: trackMilestones(milestones, projectData.tasks || [], projectData.calendar)
+    });
+
+  } catch (error) {
+    console.error('❌ Get milestones failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Replace the milestones
+ * Body: { milestones: [{ id?, name, targetDate, stageId?, gatingTaskIds?, description? }] }
+ * Tasks are rescheduled so forecasts and milestone_slip issues reflect the new targets
+ */
+router.put('/projects/:projectId/milestones', async (req, res) => {
+  try {
+    const parsed = milestonesSchema.safeParse(req.body.milestones);
+    if (!parsed.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid milestones',
+        issues: parsed.error.issues.map(issue => `${issue.path.join('.') || 'milestones'}: ${issue.message}`)
+      });
+    }
+
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+
+    const taskIds = new Set((projectData.tasks || []).map(task => task.id));
+    const unknown = parsed.data.flatMap(milestone => milestone.gatingTaskIds.filter(id => !taskIds.has(id)));
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, error: `Unknown gating task(s): ${unknown.join(', ')}` });
+    }
+
+    projectData.timeline = { ...projectData.timeline, milestones: parsed.data };
+    const schedule = applySchedule(projectData);
+    await saveProjectData(req.params.projectId, projectData);
+
+    console.log(`🚩 Milestones updated for ${req.params.projectId}: ${parsed.data.length} milestone(s)`);
+
+    res.json({ success: true, milestones: projectData.timeline.milestones, tracking: schedule.milestones });
+
+  } catch (error) {
+    if (error instanceof ScheduleError) {
+      return res.status(409).json({ success: false, error: error.message, cycles: error.cycles });
+    }
+    console.error('❌ Update milestones failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// BUDGET & EXCHANGE RATES
+// ============================================================================
+
+/**
+ * Budget report from the expense ledger
+ * Query: view=base (default) or view=original - original adds spending totals
+ * per currency actually paid
+ */
+router.get('/projects/:projectId/budget', async (req, res) => {
+  try {
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+
+    const transactions = foldExpenses(await getExpenseEntries(req.params.projectId, projectData.budget));
+    const budget = recalculateBudget(projectData.budget || {}, transactions);
+    const view = req.query.view === 'original' ? 'original' : 'base';
+
+    const response = { success: true, view, budget };
+    if (view === 'original') {
+      // Totals per currency across all line items
+      response.spentByCurrency = Object.values(spentByCurrency(transactions)).reduce((totals, byCurrency) => {
+        for (const [currency, amount] of Object.entries(byCurrency)) {
+          totals[currency] = roundMoney((totals[currency] || 0) + amount);
+        }
+        return totals;
+      }, {});
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('❌ Get budget failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Get the project's exchange-rate table
+ */
+router.get('/projects/:projectId/exchange-rates', async (req, res) => {
+  try {
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+
+    res.json({
+      success: true,
+      baseCurrency: projectData.budget?.currency,
+      exchangeRates: projectData.budget?.exchangeRates || []
+    });
+
+  } catch (error) {
+    console.error('❌ Get exchange rates failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Add or replace exchange rates
+ * Body: { rates: [{ currency, rate, effectiveDate }] } - rate is base units per 1 unit of currency
+ * Only affects expenses recorded from now on; recorded expenses keep their rate
+ */
+router.post('/projects/:projectId/exchange-rates', async (req, res) => {
+  try {
+    const { rates } = req.body;
+    if (!Array.isArray(rates) || rates.length === 0) {
+      return res.status(400).json({ success: false, error: 'rates array is required' });
+    }
+
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+
+    let exchangeRates = projectData.budget?.exchangeRates || [];
+    for (const rate of rates) {
+      if (!rate?.currency || rate.rate === undefined || !rate.effectiveDate) {
+        return res.status(400).json({ success: false, error: 'Each rate needs currency, rate and effectiveDate' });
+      }
+      if (normalizeCurrency(rate.currency) === projectData.budget?.currency) {
+        return res.status(400).json({ success: false, error: `${rate.currency} is the base currency` });
+      }
+      exchangeRates = upsertExchangeRate(exchangeRates, { ...rate, source: rate.source || 'manual' });
+    }
+
+    projectData.budget = { ...projectData.budget, exchangeRates };
+    await saveProjectData(req.params.projectId, projectData);
+
+    console.log(`💱 Exchange rates updated for ${req.params.projectId}: ${rates.length} rate(s)`);
+
+    res.json({ success: true, baseCurrency: projectData.budget.currency, exchangeRates });
+
+  } catch (error) {
+    if (error instanceof CurrencyError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('❌ Update exchange rates failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// EXPENSE LEDGER
+// ============================================================================
+
+/**
+ * List expense transactions, newest first, each with its correction/void history
+ * Query: category, taskId, includeVoided=true, limit
+ */
+router.get('/projects/:projectId/expenses', async (req, res) => {
+  try {
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+
+    const { category, taskId, includeVoided, limit } = req.query;
+    const lineItem = category ? findLineItem(projectData.budget || {}, category) : null;
+    if (category && !lineItem) {
+      return res.status(400).json({ success: false, error: `Unknown budget category "${category}"` });
+    }
+
+    const transactions = filterTransactions(foldExpenses(await getExpenseEntries(req.params.projectId, projectData.budget)), {
+      lineItemId: lineItem?.id,
+      taskId,
+      includeVoided: includeVoided === 'true',
+      limit: limit ? Number(limit) : undefined
+    });
+
+    res.json({ success: true, currency: projectData.budget?.currency || 'USD', transactions });
+
+  } catch (error) {
+    console.error('❌ List expenses failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// EARNED VALUE
+// ============================================================================
+
+/**
+ * Earned value metrics (PV, EV, AC, CPI, SPI, EAC, ETC) with per-task detail,
+ * planned against the approved baseline's task dates
+ * Query: asOf=YYYY-MM-DD (default today)
+ */
+router.get('/projects/:projectId/earned-value', async (req, res) => {
+  try {
+    const { asOf } = req.query;
+    if (asOf && !/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+      return res.status(400).json({ success: false, error: 'asOf must be YYYY-MM-DD' });
+    }
+
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+
+    const transactions = foldExpenses(await getExpenseEntries(req.params.projectId, projectData.budget));
+    const earnedValue = computeEarnedValue(projectData, transactions, {
+      ...(asOf ? { asOf } : {}),
+      baselineTasks: projectData.baseline?.tasks
+    });
+
+    res.json({ success: true, earnedValue });
+
+  } catch (error) {
+    console.error('❌ Earned value failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// HEALTH
+// ============================================================================
+
+/**
+ * Health score history, oldest first
+ * Query: from, to (ISO timestamps), limit (most recent N)
+ */
+router.get('/projects/:projectId/health', async (req, res) => {
+  try {
+    const { from, to, limit } = req.query;
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value !== undefined && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ success: false, error: `${name} must be an ISO date or date-time` });
+      }
+    }
+    if (limit !== undefined && !/^[1-9]\d*$/.test(limit)) {
+      return res.status(400).json({ success: false, error: 'limit must be a positive integer' });
+    }
+
+    const history = await getHealthHistory(req.params.projectId, {
+      from,
+      to,
+      limit: limit ? Number(limit) : undefined
+    });
+
+    res.json({ success: true, latest: history.at(-1) || null, history });
+
+  } catch (error) {
+    console.error('❌ Get health history failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Score the project's health now and store it (e.g. from a daily job)
+ */
+router.post('/projects/:projectId/health', async (req, res) => {
+  try {
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+
+    const transactions = foldExpenses(await getExpenseEntries(req.params.projectId, projectData.budget));
+    const health = scoreProjectHealth(projectData, transactions);
+    const trend = healthTrend(health, await getLatestHealth(req.params.projectId));
+    await recordHealthScore(req.params.projectId, health);
+
+    res.json({ success: true, health, trend });
+
+  } catch (error) {
+    console.error('❌ Health scoring failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// RISK & ISSUE REGISTER
+// ============================================================================
+
+/**
+ * Register entries, most severe first
+ * Query: kind (issue|risk), status, owner, overdue=true, includeClosed=true
+ */
+router.get('/projects/:projectId/issues', async (req, res) => {
+  try {
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+
+    const { kind, status, owner, overdue, includeClosed } = req.query;
+    const register = normalizeRegister(projectData.issues || []);
+    const issues = filterRegister(register, {
+      kind,
+      status,
+      owner,
+      overdue: overdue === 'true',
+      includeClosed: includeClosed === 'true'
+    });
+
+    res.json({ success: true, summary: summarizeRegister(register), issues });
+
+  } catch (error) {
+    console.error('❌ Get issues failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Update one register entry
+ * Body: { changes?: { owner, dueDate, mitigation, severity, probability, impactScore, ... },
+ *   status?: open|mitigating|resolved|accepted, note? }
+ */
+router.patch('/projects/:projectId/issues/:issueId', async (req, res) => {
+  try {
+    const { status, note } = req.body || {};
+    if (!req.body?.changes && !status) {
+      return res.status(400).json({ success: false, error: 'changes or status is required' });
+    }
+
+    const parsed = req.body.changes ? registerChangesSchema.safeParse(req.body.changes) : null;
+    if (parsed && !parsed.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid changes',
+        issues: parsed.error.issues.map(issue => `${issue.path.join('.') || 'changes'}: ${issue.message}`)
+      });
+    }
+    const changes = parsed?.data;
+
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+
+    const id = req.params.issueId;
+    const actions = [
+      ...(changes ? [{ type: 'update', id, changes, note }] : []),
+      ...(status ? [{ type: 'set_status', id, status, note }] : [])
+    ];
+    const result = applyRegisterActions(projectData.issues || [], actions, { by: req.body.updatedBy || 'api' });
+    if (result.rejected.length > 0) {
+      const notFound = result.rejected.some(entry => entry.reason.startsWith('No register entry'));
+      return res.status(notFound ? 404 : 409).json({ success: false, error: result.rejected.map(entry => entry.reason).join('; ') });
+    }
+
+    projectData.issues = result.issues;
+    await saveProjectData(req.params.projectId, projectData);
+
+    res.json({
+      success: true,
+      issue: result.issues.find(entry => entry.id === id),
+      applied: result.applied.map(entry => entry.summary)
+    });
+
+  } catch (error) {
+    console.error('❌ Update issue failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// VERSION HISTORY
+// ============================================================================
+
+// A stored version by number ("12") or as of an ISO timestamp - null when
+// there is none, undefined when the reference can't be parsed
+async function findVersion(projectId, ref) {
+  if (/^\d+$/.test(ref)) {
+    return getSnapshot(projectId, Number(ref));
+  }
+  if (Number.isNaN(Date.parse(ref))) {
+    return undefined;
+  }
+  return getSnapshotAsOf(projectId, ref);
+}
+
+/**
+ * Stored versions, newest first
+ * Query: limit (most recent N)
+ */
+router.get('/projects/:projectId/versions', async (req, res) => {
+  try {
+    const versions = await listSnapshots(req.params.projectId, {
+      limit: req.query.limit ? Number(req.query.limit) : undefined
+    });
+
+    res.json({ success: true, versions });
+
+  } catch (error) {
+    console.error('❌ List versions failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * One stored version of the project
+ */
+router.get('/projects/:projectId/versions/:version', async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.version)) {
+      return res.status(400).json({ success: false, error: 'version must be a number' });
+    }
+
+    const snapshot = await getSnapshot(req.params.projectId, Number(req.params.version));
+    if (!snapshot) {
+      return res.status(404).json({ success: false, error: `Version ${req.params.version} not found` });
+    }
+
+    res.json({ success: true, ...snapshot });
+
+  } catch (error) {
+    console.error('❌ Get version failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * The project as it was at a point in time
+ * Query: timestamp (ISO date or date-time)
+ */
+router.get('/projects/:projectId/as-of', async (req, res) => {
+  try {
+    const { timestamp } = req.query;
+    if (!timestamp || Number.isNaN(Date.parse(timestamp))) {
+      return res.status(400).json({ success: false, error: 'timestamp must be an ISO date or date-time' });
+    }
+
+    const snapshot = await getSnapshotAsOf(req.params.projectId, timestamp);
+    if (!snapshot) {
+      return res.status(404).json({ success: false, error: `No version saved on or before ${timestamp}` });
+    }
+
+    res.json({ success: true, ...snapshot });
+
+  } catch (error) {
+    console.error('❌ Get project as of failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Differences between two versions (scope, stages, tasks, budget, issues)
+ * Query: from, to - version numbers or ISO timestamps; to defaults to the current project
+ */
+router.get('/projects/:projectId/diff', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from) {
+      return res.status(400).json({ success: false, error: 'from is required (version number or ISO timestamp)' });
+    }
+
+    const before = await findVersion(req.params.projectId, from);
+    if (before === undefined) {
+      return res.status(400).json({ success: false, error: 'from must be a version number or ISO timestamp' });
+    }
+    if (!before) {
+      return res.status(404).json({ success: false, error: `No version found for ${from}` });
+    }
+
+    let after;
+    if (to) {
+      const snapshot = await findVersion(req.params.projectId, to);
+      if (snapshot === undefined) {
+        return res.status(400).json({ success: false, error: 'to must be a version number or ISO timestamp' });
+      }
+      if (!snapshot) {
+        return res.status(404).json({ success: false, error: `No version found for ${to}` });
+      }
+      after = snapshot.project;
+    } else {
+      after = await loadProject(req, res);
+      if (!after) return;
+    }
+
+    res.json({ success: true, diff: diffProjects(before.project, after) });
+
+  } catch (error) {
+    console.error('❌ Project diff failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// CHANGE CONTROL & BASELINE
+// ============================================================================
+
+// ChangeRequestError -> 404 for an unknown request, 409 for anything else
+function changeRequestErrorResponse(res, error) {
+  const status = error.message.startsWith('No change request') ? 404 : 409;
+  return res.status(status).json({ success: false, error: error.message, issues: error.errors });
+}
+
+/**
+ * The approved baseline (the current plan, unsaved, for projects approved
+ * before baselines existed)
+ */
+router.get('/projects/:projectId/baseline', async (req, res) => {
+  try {
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+
+    const baseline = baselineForReport(projectData);
+    if (!baseline) {
+      return res.status(404).json({ success: false, error: 'Scope not approved yet - there is no baseline' });
+    }
+
+    res.json({ success: true, baseline, changeLog: projectData.changeLog || [] });
+
+  } catch (error) {
+    console.error('❌ Get baseline failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Freeze the current plan as a new baseline, outside a change request
+ * Body: { reason?, approvedBy? }
+ */
+router.post('/projects/:projectId/baseline', async (req, res) => {
+  try {
+    const { reason, approvedBy } = req.body || {};
+
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+    if (!projectData.scope?.description) {
+      return res.status(409).json({ success: false, error: 'Scope not approved yet - there is no plan to baseline' });
+    }
+
+    const baseline = captureBaseline(projectData, { approvedBy: approvedBy || 'api', reason: reason || 'Re-baselined on request' });
+    await saveProjectData(req.params.projectId, projectData);
+
+    res.status(201).json({ success: true, baseline });
+
+  } catch (error) {
+    console.error('❌ Set baseline failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Variance of the current plan from the approved baseline - per task (start,
+ * finish, duration), per budget line item (allocation, spend) and per milestone
+ */
+router.get('/projects/:projectId/variance', async (req, res) => {
+  try {
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+
+    const baseline = baselineForReport(projectData);
+    if (!baseline) {
+      return res.status(404).json({ success: false, error: 'Scope not approved yet - there is no baseline' });
+    }
+
+    res.json({ success: true, variance: computeVariance({ ...projectData, baseline }) });
+
+  } catch (error) {
+    console.error('❌ Variance report failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Change requests, newest first
+ * Query: status (proposed|approved|rejected|withdrawn)
+ */
+router.get('/projects/:projectId/change-requests', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !CHANGE_REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${CHANGE_REQUEST_STATUSES.join(', ')}` });
+    }
+
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+
+    const changeRequests = (projectData.changeRequests || [])
+      .filter(request => !status || request.status === status)
+      .reverse();
+
+    res.json({ success: true, changeRequests, changeLog: projectData.changeLog || [] });
+
+  } catch (error) {
+    console.error('❌ Get change requests failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Propose a change to the approved plan - its impact is computed, nothing is applied
+ * Body: { title, description?, changes: { scope, targetEndDate, budgetTotal, lineItems,
+ *   addStages, removeStageIds, addTasks, removeTaskIds, taskChanges, addMilestones,
+ *   milestoneChanges }, requestedBy? }
+ */
+router.post('/projects/:projectId/change-requests', async (req, res) => {
+  try {
+    const { title, description, changes, requestedBy } = req.body || {};
+    if (!title) {
+      return res.status(400).json({ success: false, error: 'title is required' });
+    }
+    const parsed = changeSetSchema.safeParse(changes);
+    if (!parsed.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid changes',
+        issues: parsed.error.issues.map(issue => `${issue.path.join('.') || 'changes'}: ${issue.message}`)
+      });
+    }
+
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+    if (!projectData.scope?.description) {
+      return res.status(409).json({ success: false, error: 'Scope not approved yet - change it through the scope conversation' });
+    }
+
+    const entries = await getExpenseEntries(req.params.projectId, projectData.budget);
+    const changeRequest = proposeChangeRequest(projectData, { title, description, changes: parsed.data }, {
+      requestedBy: requestedBy || 'api',
+      entries
+    });
+    await saveProjectData(req.params.projectId, projectData);
+
+    res.status(201).json({ success: true, changeRequest });
+
+  } catch (error) {
+    if (error instanceof ChangeRequestError) {
+      return changeRequestErrorResponse(res, error);
+    }
+    console.error('❌ Propose change request failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Approve, reject or withdraw a proposed change request - approval applies it,
+ * logs it and makes the result the new baseline
+ * Body: { decision: approve|reject|withdraw, note?, decidedBy? }
+ */
+router.post('/projects/:projectId/change-requests/:changeRequestId/decision', async (req, res) => {
+  try {
+    const { decision, note, decidedBy } = req.body || {};
+    if (!['approve', 'reject', 'withdraw'].includes(decision)) {
+      return res.status(400).json({ success: false, error: 'decision must be approve, reject or withdraw' });
+    }
+
+    const projectData = await loadProject(req, res);
+    if (!projectData) return;
+
+    const entries = decision === 'approve' ? await getExpenseEntries(req.params.projectId, projectData.budget) : [];
+    const changeRequest = decideChangeRequest(projectData, req.params.changeRequestId, decision, {
+      decidedBy: decidedBy || 'api',
+      note,
+      entries
+    });
+    await saveProjectData(req.params.projectId, projectData);
+
+    res.json({
+      success: true,
+      changeRequest,
+      baseline: projectData.baseline,
+      changeLog: projectData.changeLog || []
+    });
+
+  } catch (error) {
+    if (error instanceof ChangeRequestError) {
+      return changeRequestErrorResponse(res, error);
+    }
+    console.error('❌ Change request decision failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
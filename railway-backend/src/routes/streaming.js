@@ -1,12 +1,25 @@
 // railway-backend/src/routes/streaming.js
-// Polling-based streaming endpoint with Redis storage
+// Streaming endpoints with Redis storage - polling (/stream-status) and SSE (/stream/:streamId)
 
 import express from 'express';
 import { runStreamingWorkflow } from '../agents/streaming.js';
-import { getRedisClient } from '../data/projectData.js';
+import { formatAiResponse } from '../agents/formatResponse.js';
+import { getRedisSubscriber, REDIS_KEYS } from '../data/projectData.js';
+import {
+  initStream,
+  appendStreamEvent,
+  completeStream,
+  getStreamMeta,
+  readStreamEvents,
+  countStreamEvents,
+  compareStreamIds
+} from '../data/streamStore.js';
 
 const router = express.Router();
 
+// SSE comment line sent periodically so proxies don't close idle connections
+const SSE_HEARTBEAT_MS = 15000;
+
 /**
  * Start a streaming workflow - stores progress in Redis
  * Uses provided streamId (jobId) for consistency
@@ -26,16 +39,8 @@ router.post('/start-stream', async (req, res) => {
   
   console.log('🌊 Starting polling-based stream:', finalStreamId);
 
-  // Initialize stream in Redis
-  const redis = await getRedisClient();
-  await redis.set(`stream:${finalStreamId}`, JSON.stringify({
-    events: [],
-    complete: false,
-    error: null,
-    startedAt: Date.now(),
-    projectId,
-    userId
-  }), 'EX', 600); // Expire after 10 minutes
+  // Initialize stream in Redis (expires 10 minutes after the last write)
+  await initStream(finalStreamId, { projectId, userId });
 
   // Start workflow in background
   processWorkflowWithRedis(finalStreamId, query, projectId, userId).catch(error => {
@@ -46,16 +51,17 @@ router.post('/start-stream', async (req, res) => {
   res.json({
     success: true,
     streamId: finalStreamId,
-    message: 'Stream started - poll /stream-status for updates'
+    message: 'Stream started - poll /stream-status or subscribe to /stream/:streamId for updates'
   });
 });
 
 /**
  * Poll for stream updates
- * Returns new events since lastEventIndex
+ * Returns events after the lastEventId cursor (a Redis Stream entry ID).
+ * lastEventIndex is still accepted from older clients.
  */
 router.post('/stream-status', async (req, res) => {
-  const { streamId, lastEventIndex = 0 } = req.body;
+  const { streamId, lastEventId = null, lastEventIndex = 0 } = req.body;
   
   if (!streamId) {
     return res.status(400).json({ 
@@ -65,10 +71,9 @@ router.post('/stream-status', async (req, res) => {
   }
 
   try {
-    const redis = await getRedisClient();
-    const streamData = await redis.get(`stream:${streamId}`);
+    const stream = await getStreamMeta(streamId);
     
-    if (!streamData) {
+    if (!stream) {
       return res.json({
         success: false,
         error: 'Stream not found or expired',
@@ -76,18 +81,21 @@ router.post('/stream-status', async (req, res) => {
       });
     }
 
-    const stream = JSON.parse(streamData);
+    let entries = await readStreamEvents(streamId, { afterId: lastEventId });
+    if (!lastEventId && lastEventIndex > 0) {
+      entries = entries.slice(lastEventIndex);
+    }
     
-    // Get new events since lastEventIndex
-    const newEvents = stream.events.slice(lastEventIndex);
+    const totalEvents = await countStreamEvents(streamId);
     
     res.json({
       success: true,
-      events: newEvents,
+      events: entries.map(entry => entry.event),
+      lastEventId: entries.length > 0 ? entries[entries.length - 1].id : lastEventId,
       complete: stream.complete,
       error: stream.error,
       finalResult: stream.finalResult,
-      totalEvents: stream.events.length
+      totalEvents: totalEvents
     });
 
   } catch (error) {
@@ -100,12 +108,121 @@ router.post('/stream-status', async (req, res) => {
   }
 });
 
+/**
+ * Server-Sent Events stream
+ * Replays stored events after Last-Event-ID (header or ?lastEventId=), then pushes
+ * new ones live via Redis pub/sub. Event ids are the Redis Stream entry IDs.
+ * The last message has type 'stream_complete' with finalResult/error.
+ */
+router.get('/stream/:streamId', async (req, res) => {
+  const { streamId } = req.params;
+  let lastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId ?? null;
+  if (lastEventId && !/^\d+-\d+$/.test(lastEventId)) {
+    lastEventId = null; // Not a stream entry ID - replay everything
+  }
+  let sentEvents = 0;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const channel = REDIS_KEYS.STREAM_CHANNEL(streamId);
+  const buffered = [];
+  let replaying = true;
+  let closed = false;
+  let subscriber = null;
+  let heartbeat = null;
+
+  const close = async () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    if (subscriber) {
+      await subscriber.unsubscribe(channel, onMessage).catch(() => {});
+    }
+    res.end();
+  };
+
+  const sendEvent = (id, event) => {
+    if (closed) return;
+    if (lastEventId && compareStreamIds(id, lastEventId) <= 0) return; // Already replayed
+    res.write(`id: ${id}\ndata: ${JSON.stringify(event)}\n\n`);
+    lastEventId = id;
+    sentEvents++;
+  };
+
+  const sendComplete = (stream) => {
+    res.write(`data: ${JSON.stringify({
+      type: 'stream_complete',
+      error: stream.error || null,
+      finalResult: stream.finalResult || null,
+      totalEvents: sentEvents
+    })}\n\n`);
+    close();
+  };
+
+  const deliver = (message) => {
+    if (closed) return;
+    if (message.kind === 'event') {
+      sendEvent(message.id, message.event);
+    } else if (message.kind === 'complete') {
+      sendComplete(message);
+    }
+  };
+
+  function onMessage(raw) {
+    const message = JSON.parse(raw);
+    if (replaying) {
+      buffered.push(message);
+    } else {
+      deliver(message);
+    }
+  }
+
+  req.on('close', close);
+
+  try {
+    // Subscribe before reading stored events so nothing published in between is lost
+    subscriber = await getRedisSubscriber();
+    await subscriber.subscribe(channel, onMessage);
+
+    const stream = await getStreamMeta(streamId);
+
+    if (!stream) {
+      res.write(`data: ${JSON.stringify({ type: 'stream_error', error: 'Stream not found or expired' })}\n\n`);
+      return close();
+    }
+
+    console.log(`📡 SSE client connected to ${streamId} (replaying after ${lastEventId || 'start'})`);
+
+    const entries = await readStreamEvents(streamId, { afterId: lastEventId });
+    entries.forEach(entry => sendEvent(entry.id, entry.event));
+
+    if (stream.complete) {
+      return sendComplete(stream);
+    }
+
+    replaying = false;
+    buffered.splice(0).forEach(deliver);
+
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+  } catch (error) {
+    console.error('❌ SSE stream error:', error);
+    res.write(`data: ${JSON.stringify({ type: 'stream_error', error: error.message })}\n\n`);
+    close();
+  }
+});
+
 /**
  * Process workflow and store events in Redis as they happen
  */
 async function processWorkflowWithRedis(streamId, query, projectId, userId) {
-  const redis = await getRedisClient();
-  
   try {
     console.log(`🔄 Processing workflow for stream: ${streamId}`);
     
@@ -122,176 +239,54 @@ async function processWorkflowWithRedis(streamId, query, projectId, userId) {
       await saveProjectData(projectId, projectData);
     }
     
-    // Use a lock to prevent race conditions when storing events
-    let isUpdating = false;
-    const pendingEvents = [];
-    
-    // Function to safely append event to Redis
-    const storeEvent = async (event) => {
-      pendingEvents.push(event);
-      
-      // If already updating, wait for next batch
-      if (isUpdating) return;
-      
-      isUpdating = true;
-      
-      try {
-        // Process all pending events
-        while (pendingEvents.length > 0) {
-          const eventsToStore = [...pendingEvents];
-          pendingEvents.length = 0; // Clear pending
-          
-          const streamData = await redis.get(`stream:${streamId}`);
-          if (streamData) {
-            const stream = JSON.parse(streamData);
-            stream.events.push(...eventsToStore);
-            await redis.set(`stream:${streamId}`, JSON.stringify(stream), 'EX', 600);
-            console.log(`📝 Stored ${eventsToStore.length} event(s) for ${streamId}, total now: ${stream.events.length}`);
-          }
-        }
-      } finally {
-        isUpdating = false;
-      }
-    };
-    
-    // Run workflow with event callback - store events as they happen
+    // Run workflow with event callback - each event is appended (XADD) as it happens
     const finalState = await runStreamingWorkflow(
       query,
       projectId,
       userId,
       async (event) => {
-        await storeEvent(event);
+        await appendStreamEvent(streamId, event);
       }
     );
     
-    // Wait for any pending events to be stored
-    while (isUpdating || pendingEvents.length > 0) {
-      await new Promise(resolve => setTimeout(resolve, 50));
-    }
-    
     // Now mark as complete and store final result
-    const streamData = await redis.get(`stream:${streamId}`);
-    if (streamData) {
-      const stream = JSON.parse(streamData);
-      stream.complete = true;
-      
-      console.log(`🔍 Checking finalState for aiResponse:`);
-      console.log(`   - Has scopeData: ${!!finalState.scopeData}`);
-      console.log(`   - Has analysis: ${!!finalState.analysis}`);
-      console.log(`   - Has direct_answer: ${!!finalState.direct_answer}`);
-      console.log(`   - Has messages: ${!!finalState.messages}, length: ${finalState.messages?.length || 0}`);
-      console.log(`   - finalState keys: ${Object.keys(finalState || {})}`);
-      
-      if (finalState.scopeData) {
-        console.log(`   - scopeData structure: ${JSON.stringify(Object.keys(finalState.scopeData))}`);
-      }
-      
-      // Create AI response from the workflow results
-      let aiResponse = "I've analyzed your project and created the initial structure.";
-      
-      if (finalState.scopeData) {
-        // CHECK: Is the agent asking for more info or is scope complete?
-        if (finalState.scopeData.needsMoreInfo === true && finalState.scopeData.responseText) {
-          // Agent is asking questions - use the responseText
-          aiResponse = finalState.scopeData.responseText;
-          console.log(`❓ Scope agent asking for info: ${aiResponse.substring(0, 100)}...`);
-        } else if (finalState.scopeData.scope) {
-          // Scope is complete - format a comprehensive response
-          const scope = finalState.scopeData.scope;
-          aiResponse = `✅ **Project Scope Defined**\n\n`;
-          
-          if (scope?.description) {
-            aiResponse += `**Overview:** ${scope.description}\n\n`;
-          }
-          
-          if (scope?.objectives && scope.objectives.length > 0) {
-            aiResponse += `**Objectives:**\n${scope.objectives.map(obj => `• ${obj}`).join('\n')}\n\n`;
-          }
-          
-          if (scope?.deliverables && scope.deliverables.length > 0) {
-            aiResponse += `**Key Deliverables:**\n${scope.deliverables.map(del => `• ${del}`).join('\n')}\n\n`;
-          }
-          
-          if (scope?.budget) {
-            aiResponse += `**Budget:** ${scope.budget}\n\n`;
-          }
-          
-          if (scope?.timeline) {
-            aiResponse += `**Timeline:** ${scope.timeline.startDate} to ${scope.timeline.targetEndDate}\n\n`;
-          }
-          
-          if (finalState.scopeData.stages && finalState.scopeData.stages.length > 0) {
-            aiResponse += `**Project Stages:**\n${finalState.scopeData.stages.map((stage, idx) => 
-              `${idx + 1}. ${stage.name} (${stage.status})`
-            ).join('\n')}`;
-          }
-          
-          console.log(`✅ Scope complete: ${aiResponse.substring(0, 100)}...`);
-        } else if (finalState.scopeData.responseText) {
-          // Agent provided responseText but no scope (stages created, waiting for approval)
-          aiResponse = finalState.scopeData.responseText;
-          console.log(`📋 Scope agent stages created: ${aiResponse.substring(0, 100)}...`);
-        } else {
-          // Fallback - shouldn't happen but just in case
-          console.warn(`⚠️ scopeData exists but no responseText or scope found`);
-        }
-      } else if (finalState.analysis) {
-        aiResponse = finalState.analysis.summary || "Project analysis completed.";
-      } else if (finalState.direct_answer) {
-        aiResponse = finalState.direct_answer;
-      } else if (finalState.messages && finalState.messages.length > 0) {
-        // Find the last assistant message
-        const assistantMessages = finalState.messages.filter(msg => msg.role === 'assistant');
-        const lastAssistantMsg = assistantMessages[assistantMessages.length - 1];
-        
-        if (lastAssistantMsg && lastAssistantMsg.content) {
-          aiResponse = lastAssistantMsg.content;
-          console.log(`📝 Using assistant message content as aiResponse: ${aiResponse.substring(0, 100)}...`);
-        } else {
-          console.warn(`⚠️ Last message exists but no assistant content found`);
-          console.warn(`⚠️ Messages: ${JSON.stringify(finalState.messages.map(m => ({ role: m.role, hasContent: !!m.content, contentPreview: m.content?.substring(0, 50) })), null, 2)}`);
-        }
-      } else {
-        console.warn(`⚠️ No scopeData, analysis, direct_answer, or messages found in finalState`);
-      }
-      
-      console.log(`🎯 Final aiResponse being sent: ${aiResponse.substring(0, 150)}...`);
-      
-      // Get the latest project data to include name and email
-      const updatedProjectData = await getProjectData(projectId);
-      
-      stream.finalResult = {
-        projectData: {
-          ...(finalState.projectData || updatedProjectData),
-          aiResponse: aiResponse  // Ensure AI response is included
-        },
-        projectName: (finalState.projectData || updatedProjectData)?.name || 'New Project',
-        projectEmail: (finalState.projectData || updatedProjectData)?.email || '',
-        scopeData: finalState.scopeData,
-        schedulerData: finalState.schedulerData,
-        updateData: finalState.updateData,
-        budgetData: finalState.budgetData,
-        analysis: finalState.analysis
-      };
-      
-      console.log(`💾 Storing finalResult with aiResponse (${aiResponse.length} chars)`);
-      console.log(`   Project: ${stream.finalResult.projectName}`);
-      console.log(`   Email: ${stream.finalResult.projectEmail}`);
-      
-      await redis.set(`stream:${streamId}`, JSON.stringify(stream), 'EX', 600);
-      console.log(`✅ Stream ${streamId} completed with ${stream.events.length} events`);
-    }
+    const aiResponse = formatAiResponse(finalState);
+    
+    // Get the latest project data to include name and email
+    const updatedProjectData = await getProjectData(projectId);
+    
+    const finalResult = {
+      projectData: {
+        ...(finalState.projectData || updatedProjectData),
+        aiResponse: aiResponse  // Ensure AI response is included
+      },
+      projectName: (finalState.projectData || updatedProjectData)?.name || 'New Project',
+      projectEmail: (finalState.projectData || updatedProjectData)?.email || '',
+      scopeData: finalState.scopeData,
+      schedulerData: finalState.schedulerData,
+      updateData: finalState.updateData,
+      budgetData: finalState.budgetData,
+      riskData: finalState.riskData,
+      changeRequestData: finalState.changeRequestData,
+      plan: finalState.plan,
+      analysis: finalState.analysis
+    };
+    
+    console.log(`💾 Storing finalResult with aiResponse (${aiResponse.length} chars)`);
+    console.log(`   Project: ${finalResult.projectName}`);
+    console.log(`   Email: ${finalResult.projectEmail}`);
+    
+    await completeStream(streamId, { finalResult });
+    console.log(`✅ Stream ${streamId} completed with ${await countStreamEvents(streamId)} events`);
 
   } catch (error) {
     console.error(`❌ Workflow error for ${streamId}:`, error);
     
     // Store error in Redis
-    const streamData = await redis.get(`stream:${streamId}`);
-    if (streamData) {
-      const stream = JSON.parse(streamData);
-      stream.complete = true;
-      stream.error = error.message;
-      await redis.set(`stream:${streamId}`, JSON.stringify(stream), 'EX', 600);
+    try {
+      await completeStream(streamId, { error: error.message });
+    } catch (storeError) {
+      console.error(`❌ Could not store error for ${streamId}:`, storeError);
     }
   }
 }
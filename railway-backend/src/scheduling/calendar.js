@@ -0,0 +1,95 @@
+// railway-backend/src/scheduling/calendar.js
+// Working-day calendar - dates are UTC calendar days ("YYYY-MM-DD"), task
+// durations and slips are counted in working days (weekends/holidays skipped)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Monday-Friday, no holidays - used when a project has no calendar of its own
+export const DEFAULT_CALENDAR = {
+  workingDays: [1, 2, 3, 4, 5], // 0 = Sunday ... 6 = Saturday
+  holidays: []
+};
+
+// ============================================================================
+// DATE HELPERS
+// ============================================================================
+
+export function parseDate(value) {
+  if (!value) return null;
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+  return match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+export function formatDate(ms) {
+  return new Date(ms).toISOString().substring(0, 10);
+}
+
+export function addDays(date, days) {
+  return formatDate(parseDate(date) + days * DAY_MS);
+}
+
+export function daysBetween(from, to) {
+  return Math.round((parseDate(to) - parseDate(from)) / DAY_MS);
+}
+
+export function today() {
+  return formatDate(Date.now());
+}
+
+// ============================================================================
+// WORKING-DAY CALENDAR
+// ============================================================================
+
+/**
+ * Build a calendar from a project's calendar settings
+ * { workingDays: [1..5], holidays: ["2025-12-25", ...] }
+ */
+export function createCalendar(config = {}) {
+  const workingDays = new Set(config.workingDays?.length ? config.workingDays : DEFAULT_CALENDAR.workingDays);
+  const holidays = new Set((config.holidays || []).map(date => String(date).substring(0, 10)));
+
+  const isWorkingDay = (date) =>
+    workingDays.has(new Date(parseDate(date)).getUTCDay()) && !holidays.has(date);
+
+  // The date itself if it's a working day, otherwise the next one
+  const nextWorkingDay = (date) => {
+    let current = date.substring(0, 10);
+    while (!isWorkingDay(current)) {
+      current = addDays(current, 1);
+    }
+    return current;
+  };
+
+  // Move a number of working days from a date (negative moves back)
+  const addWorkingDays = (date, count) => {
+    const step = count < 0 ? -1 : 1;
+    let current = nextWorkingDay(date);
+    let remaining = Math.abs(count);
+    while (remaining > 0) {
+      current = addDays(current, step);
+      if (isWorkingDay(current)) remaining--;
+    }
+    return current;
+  };
+
+  // Working days in [from, to) - negative when to is before from
+  const workingDaysBetween = (from, to) => {
+    if (parseDate(to) < parseDate(from)) {
+      return -workingDaysBetween(to, from);
+    }
+    let count = 0;
+    for (let current = from.substring(0, 10); parseDate(current) < parseDate(to); current = addDays(current, 1)) {
+      if (isWorkingDay(current)) count++;
+    }
+    return count;
+  };
+
+  return {
+    workingDays: [...workingDays].sort(),
+    holidays: [...holidays].sort(),
+    isWorkingDay,
+    nextWorkingDay,
+    addWorkingDays,
+    workingDaysBetween
+  };
+}
@@ -0,0 +1,166 @@
+// railway-backend/src/scheduling/cascade.js
+// Dependency cascade - applies task updates, lets the schedule engine push
+// every downstream task past a slipped predecessor (on the project's working-day
+// calendar), and records the computed impact on the project end date and
+// milestones as a `delay` issue
+
+import { applySchedule, computeSchedule, scheduleTimeline } from './schedule.js';
+import { createCalendar } from './calendar.js';
+import { alignMilestones, milestoneForecasts } from './milestones.js';
+import { addToRegister, closeEntry, isClosed } from '../analysis/issueRegister.js';
+
+// Merge one update into a task, keeping its duration consistent with the new dates
+function mergeTaskUpdate(task, update, calendar) {
+  const merged = { ...task, ...update };
+
+  // On a task that hasn't started, a new start date holds it back; any date
+  // change replaces an earlier constraint (e.g. one left by leveling)
+  const started = merged.status === 'in_progress' || merged.status === 'completed';
+  if (!started && (update.startDate || update.endDate || update.durationDays)) {
+    if (update.startDate) {
+      merged.startNoEarlierThan = update.startDate;
+    } else {
+      delete merged.startNoEarlierThan;
+    }
+  }
+
+  if (update.durationDays) {
+    return merged;
+  }
+
+  // A new end date changes the duration; a new start date alone keeps it and the end follows
+  if (update.endDate && merged.startDate) {
+    merged.durationDays = Math.max(1, calendar.workingDaysBetween(merged.startDate, update.endDate) + 1);
+  }
+
+  return merged;
+}
+
+function delayIssue(impact) {
+  const { slips, projectEndBefore, projectEndAfter, endSlipDays, milestoneSlips, shiftedTasks } = impact;
+
+  const lines = slips.map(slip =>
+    `"${slip.title}" slipped ${slip.slipDays} working day(s) (${slip.from} → ${slip.to}).`
+  );
+  if (endSlipDays > 0) {
+    lines.push(`Project end moves from ${projectEndBefore} to ${projectEndAfter} (+${endSlipDays} working day(s)).`);
+  }
+  for (const milestone of milestoneSlips) {
+    lines.push(`Milestone "${milestone.name}" moves from ${milestone.from} to ${milestone.to} (+${milestone.slipDays} working day(s)).`);
+  }
+  if (shiftedTasks.length > 0) {
+    lines.push(`Rescheduled: ${shiftedTasks.map(task => `"${task.title}" (+${task.shiftDays})`).join(', ')}.`);
+  }
+
+  const worstSlip = Math.max(endSlipDays, ...milestoneSlips.map(m => m.slipDays));
+
+  return {
+    type: 'delay',
+    severity: endSlipDays > 10 ? 'high' : 'medium',
+    title: endSlipDays > 0 ? 'Project end date delayed' : 'Milestone delayed',
+    description: lines.join(' '),
+    flaggedBy: 'schedule_engine',
+    flaggedAt: new Date().toISOString(),
+    resolved: false,
+    impact: endSlipDays > 0
+      ? `Project finishes ${endSlipDays} working day(s) later (${projectEndAfter})`
+      : `Milestones slip by up to ${worstSlip} working day(s); project end unchanged`,
+    // Project end before the delay - the issue closes once the plan is back there
+    plannedEnd: projectEndBefore
+  };
+}
+
+/**
+ * Apply task updates to a project and cascade date changes to dependent tasks
+ * Mutates projectData (tasks, schedule, timeline, issues) and returns the impact:
+ * { slips, shiftedTasks, projectEndBefore, projectEndAfter, endSlipDays,
+ *   milestoneSlips, delayIssue, unknownTaskIds }
+ * Throws ScheduleError if the updates introduce a dependency cycle
+ */
+export function applyTaskUpdates(projectData, updatedTasks = []) {
+  const calendar = createCalendar(projectData.calendar);
+  const timeline = scheduleTimeline(projectData);
+  const milestones = projectData.timeline?.milestones || [];
+
+  // Baseline for the comparison - the current plan as the engine sees it
+  const before = computeSchedule(projectData.tasks || [], timeline, projectData.calendar);
+  const beforeById = new Map(before.tasks.map(task => [task.id, task]));
+  const milestonesBefore = milestoneForecasts(alignMilestones(milestones, before.tasks), before.tasks);
+
+  const updatesById = new Map(updatedTasks.map(update => [update.id, update]));
+  const unknownTaskIds = updatedTasks.map(update => update.id).filter(id => !beforeById.has(id));
+
+  projectData.tasks = before.tasks.map(task => updatesById.has(task.id)
+    ? mergeTaskUpdate(task, updatesById.get(task.id), calendar)
+    : task);
+
+  const after = applySchedule(projectData);
+
+  const slips = [];
+  const shiftedTasks = [];
+  for (const task of after.tasks) {
+    const previous = beforeById.get(task.id);
+    if (!previous) continue;
+
+    if (updatesById.has(task.id) && task.endDate > previous.endDate) {
+      slips.push({
+        taskId: task.id,
+        title: task.title,
+        from: previous.endDate,
+        to: task.endDate,
+        slipDays: calendar.workingDaysBetween(previous.endDate, task.endDate)
+      });
+    } else if (!updatesById.has(task.id) && task.startDate !== previous.startDate) {
+      shiftedTasks.push({
+        taskId: task.id,
+        title: task.title,
+        from: previous.startDate,
+        to: task.startDate,
+        shiftDays: calendar.workingDaysBetween(previous.startDate, task.startDate)
+      });
+    }
+  }
+
+  const milestonesAfter = milestoneForecasts(projectData.timeline?.milestones || [], after.tasks);
+  const milestoneSlips = Object.entries(milestonesAfter)
+    .filter(([id, forecast]) => milestonesBefore[id] && forecast.date > milestonesBefore[id].date)
+    .map(([id, forecast]) => ({
+      milestoneId: id,
+      name: forecast.name,
+      from: milestonesBefore[id].date,
+      to: forecast.date,
+      slipDays: calendar.workingDaysBetween(milestonesBefore[id].date, forecast.date)
+    }));
+
+  const impact = {
+    slips,
+    shiftedTasks,
+    projectEndBefore: before.projectEnd,
+    projectEndAfter: after.projectEnd,
+    endSlipDays: Math.max(0, calendar.workingDaysBetween(before.projectEnd, after.projectEnd)),
+    milestoneSlips,
+    delayIssue: null,
+    unknownTaskIds
+  };
+
+  // Only a later project end or milestone is a delay worth flagging
+  if (impact.endSlipDays > 0 || milestoneSlips.length > 0) {
+    // A further slip while a delay is still open updates that delay issue
+    const register = addToRegister(projectData.issues || [], [delayIssue(impact)]);
+    projectData.issues = register.issues;
+    impact.delayIssue = register.added[0] || projectData.issues.find(issue => issue.id === register.duplicates[0].duplicateOf);
+    console.log(`⏰ Delay flagged (${impact.delayIssue.id}): ${impact.delayIssue.description}`);
+  } else if (after.projectEnd < before.projectEnd) {
+    // A slip was undone - close delays once the end is back where it was planned
+    projectData.issues = (projectData.issues || []).map(issue =>
+      issue.type === 'delay' && !isClosed(issue) && issue.plannedEnd && after.projectEnd <= issue.plannedEnd
+        ? closeEntry(issue, { by: 'schedule_engine', note: `Project end back to ${after.projectEnd}` })
+        : issue);
+  }
+
+  if (shiftedTasks.length > 0) {
+    console.log(`↪️ Cascade moved ${shiftedTasks.length} dependent task(s)`);
+  }
+
+  return impact;
+}
@@ -0,0 +1,105 @@
+// railway-backend/src/scheduling/leveling.js
+// Resource leveling - delays non-critical, not-started tasks within their total
+// float until nobody works on more tasks than their capacity. The project end
+// date never moves; over-allocations that can't be solved within float are left
+// for the user to reassign
+
+import { computeSchedule, applySchedule, scheduleTimeline } from './schedule.js';
+import { createCalendar } from './calendar.js';
+import { capacityOn, detectOverallocation, findMember, memberLoads, taskDays } from './resources.js';
+
+// Upper bound on task moves per leveling run
+const MAX_LEVELING_MOVES = 200;
+
+// Would the task fit its member's capacity if it started on startDate?
+function fitsCapacity(task, startDate, member, tasks, calendar) {
+  const others = tasks.filter(other => other.id !== task.id);
+  const load = memberLoads(others, [member], calendar)[member.id];
+  const moved = { ...task, startDate, endDate: calendar.addWorkingDays(startDate, task.durationDays - 1) };
+
+  return taskDays(moved, calendar).every(day => (load.get(day) || []).length + 1 <= capacityOn(member, day));
+}
+
+// First task delay (within float) that clears one of the conflicts
+function findLevelingMove(tasks, conflicts, team, calendar) {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+
+  for (const conflict of conflicts) {
+    const member = findMember(team, conflict.memberId);
+
+    // Most float first - those moves are least likely to matter
+    const candidates = conflict.taskIds
+      .map(id => byId.get(id))
+      .filter(task => task.status === 'not_started' && task.totalFloat > 0)
+      .sort((a, b) => b.totalFloat - a.totalFloat || a.id.localeCompare(b.id));
+
+    for (const task of candidates) {
+      for (let shift = 1; shift <= task.totalFloat; shift++) {
+        const startDate = calendar.addWorkingDays(task.startDate, shift);
+        if (fitsCapacity(task, startDate, member, tasks, calendar)) {
+          return { taskId: task.id, startDate };
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Level a project's workload. Mutates projectData (through applySchedule) and
+ * returns { shiftedTasks, remaining, schedule } - every task whose start moved,
+ * the over-allocations still left, and the final schedule
+ * Throws ScheduleError on dependency cycles
+ */
+export function levelResources(projectData) {
+  const calendar = createCalendar(projectData.calendar);
+  const team = projectData.team || [];
+  const timeline = scheduleTimeline(projectData);
+
+  let schedule = computeSchedule(projectData.tasks || [], timeline, projectData.calendar);
+  const startsBefore = new Map(schedule.tasks.map(task => [task.id, task.startDate]));
+
+  for (let moves = 0; moves < MAX_LEVELING_MOVES; moves++) {
+    const conflicts = detectOverallocation(schedule.tasks, team, projectData.calendar);
+    const move = findLevelingMove(schedule.tasks, conflicts, team, calendar);
+    if (!move) break;
+
+    // The move is kept as a constraint - a later date change on the task clears it
+    const tasks = schedule.tasks.map(task => task.id === move.taskId ? { ...task, startNoEarlierThan: move.startDate } : task);
+    schedule = computeSchedule(tasks, timeline, projectData.calendar);
+  }
+
+  projectData.tasks = schedule.tasks;
+  const leveled = applySchedule(projectData);
+
+  const shiftedTasks = leveled.tasks
+    .filter(task => startsBefore.has(task.id) && task.startDate !== startsBefore.get(task.id))
+    .map(task => ({
+      taskId: task.id,
+      title: task.title,
+      from: startsBefore.get(task.id),
+      to: task.startDate,
+      shiftDays: calendar.workingDaysBetween(startsBefore.get(task.id), task.startDate)
+    }));
+
+  console.log(`⚖️ Leveling moved ${shiftedTasks.length} task(s), ${leveled.overallocations.length} over-allocation(s) left`);
+
+  return { shiftedTasks, remaining: leveled.overallocations, schedule: leveled };
+}
+
+/**
+ * Short summary of a leveling run for the chat reply
+ */
+export function describeLeveling({ shiftedTasks, remaining }) {
+  const lines = [];
+  if (shiftedTasks.length > 0) {
+    lines.push(`Leveled: ${shiftedTasks.map(task => `"${task.title}" (+${task.shiftDays})`).join(', ')}`);
+  } else {
+    lines.push('Leveling: no tasks needed to move');
+  }
+  if (remaining.length > 0) {
+    lines.push(`Still over-allocated (no float left): ${[...new Set(remaining.map(entry => entry.name))].join(', ')}`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,206 @@
+// railway-backend/src/scheduling/milestones.js
+// Milestones - named target dates in projectData.timeline.milestones, each
+// gated by the tasks that must finish for it to be reached
+//
+// Gating tasks are the tasks tagged with the milestone's id (task.milestoneId);
+// a milestone without tagged tasks keeps the gatingTaskIds it was given, or
+// falls back to every task of its stage. The forecast date is the latest end
+// date among the gating tasks, and a forecast past the target date raises a
+// milestone_slip issue
+
+import { z } from 'zod';
+import { createCalendar, today } from './calendar.js';
+import { closeEntry, syncEngineEntry } from '../analysis/issueRegister.js';
+
+// Working days of slack at or below which a milestone is at risk
+export const MILESTONE_AT_RISK_DAYS = 2;
+
+export const milestoneSchema = z.object({
+  id: z.string().min(1).optional(),
+  name: z.string().min(1),
+  targetDate: z.string().regex(/^\d{4}-\d{2}-\d{2}/, 'must be an ISO date (YYYY-MM-DD)'),
+  stageId: z.string().nullable().optional().describe('Stage the milestone closes'),
+  description: z.string().optional(),
+  gatingTaskIds: z.array(z.string()).default([])
+}).passthrough();
+
+// Milestones without an id get the next free "milestone_N"
+export const milestonesSchema = z.array(milestoneSchema).superRefine((milestones, ctx) => {
+  const ids = new Set();
+  milestones.forEach((milestone, index) => {
+    if (milestone.id && ids.has(milestone.id)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [index, 'id'], message: `duplicate milestone id ${milestone.id}` });
+    }
+    ids.add(milestone.id);
+  });
+}).transform(milestones => {
+  let next = milestones.reduce((max, milestone) => {
+    const match = /^milestone_(\d+)$/.exec(milestone.id || '');
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+  return milestones.map(milestone => ({
+    ...milestone,
+    id: milestone.id || `milestone_${++next}`,
+    targetDate: milestone.targetDate.substring(0, 10)
+  }));
+});
+
+/**
+ * Milestones for a newly approved scope - the ones given, or a single
+ * completion milestone on the target end date when there are none
+ */
+export function initialMilestones(milestones = [], stages = [], timeline = {}) {
+  if (milestones.length > 0) {
+    return milestonesSchema.parse(milestones);
+  }
+  if (!timeline.targetEndDate) {
+    return [];
+  }
+  const lastStage = [...stages].sort((a, b) => a.order - b.order).at(-1);
+  return milestonesSchema.parse([{
+    name: 'Project complete',
+    targetDate: timeline.targetEndDate,
+    stageId: lastStage?.id ?? null
+  }]);
+}
+
+/**
+ * Recompute each milestone's gating tasks from the current task list
+ * (tagged tasks, else the existing links that still exist, else its stage's tasks)
+ */
+export function alignMilestones(milestones = [], tasks = []) {
+  const taskIds = new Set(tasks.map(task => task.id));
+  return milestones.map(milestone => {
+    const tagged = tasks.filter(task => task.milestoneId === milestone.id).map(task => task.id);
+    const linked = (milestone.gatingTaskIds || []).filter(id => taskIds.has(id));
+    const stageTasks = milestone.stageId ? tasks.filter(task => task.stageId === milestone.stageId).map(task => task.id) : [];
+    const gatingTaskIds = tagged.length > 0 ? tagged : linked.length > 0 ? linked : stageTasks;
+    return { ...milestone, gatingTaskIds };
+  });
+}
+
+/**
+ * Forecast date of each milestone that has gating tasks - the latest end date
+ * among them. Returns { [milestoneId]: { name, date } }
+ */
+export function milestoneForecasts(milestones = [], tasks = []) {
+  const endDates = new Map(tasks.map(task => [task.id, task.endDate]));
+  const forecasts = {};
+
+  for (const milestone of milestones) {
+    const dates = (milestone.gatingTaskIds || []).map(id => endDates.get(id)).filter(Boolean);
+    if (dates.length > 0) {
+      forecasts[milestone.id] = { name: milestone.name, date: dates.sort().at(-1) };
+    }
+  }
+
+  return forecasts;
+}
+
+/**
+ * Track every milestone against its target date
+ * Returns [{ milestoneId, name, targetDate, forecastDate, slipDays, status,
+ *   gatingTaskIds, openTaskIds }] - status is achieved, on_track, at_risk, late
+ *   or unplanned (no scheduled gating tasks); slipDays > 0 means late
+ */
+export function trackMilestones(milestones = [], tasks = [], calendarConfig = {}, { asOf = today() } = {}) {
+  const calendar = createCalendar(calendarConfig);
+  const tasksById = new Map(tasks.map(task => [task.id, task]));
+  const forecasts = milestoneForecasts(milestones, tasks);
+
+  return milestones.map(milestone => {
+    const gating = (milestone.gatingTaskIds || []).map(id => tasksById.get(id)).filter(Boolean);
+    const open = gating.filter(task => task.status !== 'completed');
+    const forecastDate = forecasts[milestone.id]?.date || null;
+    const slipDays = forecastDate ? calendar.workingDaysBetween(milestone.targetDate, forecastDate) : 0;
+
+    let status;
+    if (gating.length > 0 && open.length === 0) {
+      status = 'achieved';
+    } else if (!forecastDate) {
+      status = 'unplanned';
+    } else if (slipDays > 0 || milestone.targetDate < asOf) {
+      status = 'late';
+    } else if (-slipDays <= MILESTONE_AT_RISK_DAYS || open.some(task => task.status === 'blocked')) {
+      status = 'at_risk';
+    } else {
+      status = 'on_track';
+    }
+
+    return {
+      milestoneId: milestone.id,
+      name: milestone.name,
+      targetDate: milestone.targetDate,
+      forecastDate,
+      slipDays: Math.max(0, slipDays),
+      status,
+      gatingTaskIds: milestone.gatingTaskIds || [],
+      openTaskIds: open.map(task => task.id)
+    };
+  });
+}
+
+// ============================================================================
+// SLIP ISSUES
+// ============================================================================
+
+function slipIssue(tracking, tasksById) {
+  const lateTasks = tracking.openTaskIds
+    .map(id => tasksById.get(id))
+    .filter(task => task?.endDate > tracking.targetDate)
+    .map(task => `"${task.title}" (ends ${task.endDate})`);
+
+  return {
+    type: 'milestone_slip',
+    severity: tracking.slipDays > 10 ? 'high' : 'medium',
+    title: `Milestone "${tracking.name}" will miss its target`,
+    description: tracking.slipDays > 0
+      ? `Forecast ${tracking.forecastDate} is ${tracking.slipDays} working day(s) after the target ${tracking.targetDate}.${lateTasks.length ? ` Late gating tasks: ${lateTasks.join(', ')}` : ''}`
+      : `Target date ${tracking.targetDate} has passed with ${tracking.openTaskIds.length} gating task(s) still open`,
+    flaggedBy: 'schedule_engine',
+    flaggedAt: new Date().toISOString(),
+    resolved: false,
+    impact: `Milestone reached ${tracking.slipDays > 0 ? `${tracking.slipDays} working day(s) late` : 'late'} unless its gating tasks are brought forward`,
+    milestoneId: tracking.milestoneId
+  };
+}
+
+/**
+ * Keep one open milestone_slip issue per late milestone in sync with the
+ * latest tracking, resolving the ones that are back on track or achieved
+ */
+export function syncMilestoneIssues(issues = [], tracking = [], tasks = []) {
+  const tasksById = new Map(tasks.map(task => [task.id, task]));
+  const late = new Map(tracking.filter(entry => entry.status === 'late').map(entry => [entry.milestoneId, entry]));
+
+  let updated = issues.map(issue => {
+    if (issue.type !== 'milestone_slip' || issue.resolved || late.has(issue.milestoneId)) {
+      return issue;
+    }
+    return closeEntry(issue, { by: 'schedule_engine', note: 'Milestone back on track' });
+  });
+
+  for (const [milestoneId, entry] of late) {
+    const issue = slipIssue(entry, tasksById);
+    const result = syncEngineEntry(updated, issue,
+      existing => existing.type === 'milestone_slip' && existing.milestoneId === milestoneId,
+      { by: 'schedule_engine' });
+    updated = result.issues;
+    if (result.raised) {
+      console.log(`🚩 Milestone slip: ${issue.description}`);
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Short status line per milestone for prompts and replies
+ */
+export function describeMilestones(tracking = []) {
+  return tracking.map(entry => {
+    const forecast = entry.forecastDate ? `forecast ${entry.forecastDate}` : 'no gating tasks scheduled';
+    const slip = entry.slipDays > 0 ? `, ${entry.slipDays} working day(s) late` : '';
+    return `${entry.milestoneId} "${entry.name}": target ${entry.targetDate}, ${forecast} - ${entry.status.replace('_', ' ')}${slip}`;
+  }).join('\n');
+}
@@ -0,0 +1,224 @@
+// railway-backend/src/scheduling/resources.js
+// Team roster, role-based task assignment and over-allocation detection
+//
+// A member's capacity is how many tasks they can work on the same working day;
+// on days outside their availability window or in daysOff it is zero
+
+import { z } from 'zod';
+import { createCalendar, parseDate } from './calendar.js';
+import { closeEntry, syncEngineEntry } from '../analysis/issueRegister.js';
+
+export const teamMemberSchema = z.object({
+  id: z.string().min(1).optional(),
+  name: z.string().min(1),
+  role: z.string().min(1),
+  capacity: z.number().int().positive().default(1),
+  availability: z.object({
+    startDate: z.string().nullable().default(null),
+    endDate: z.string().nullable().default(null),
+    daysOff: z.array(z.string()).default([])
+  }).default({})
+}).passthrough();
+
+// Members without an id get the next free "member_N"
+export const teamSchema = z.array(teamMemberSchema).superRefine((team, ctx) => {
+  const ids = new Set();
+  team.forEach((member, index) => {
+    if (member.id && ids.has(member.id)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [index, 'id'], message: `duplicate member id ${member.id}` });
+    }
+    ids.add(member.id);
+  });
+}).transform(team => {
+  let next = team.reduce((max, member) => {
+    const match = /^member_(\d+)$/.exec(member.id || '');
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+  return team.map(member => member.id ? member : { ...member, id: `member_${++next}` });
+});
+
+// Find a team member by id or (case-insensitive) name
+export function findMember(team = [], reference) {
+  if (!reference) return null;
+  const wanted = String(reference).toLowerCase();
+  return team.find(member => member.id === reference || member.name.toLowerCase() === wanted) || null;
+}
+
+// How many tasks a member can take on a given date
+export function capacityOn(member, date) {
+  const { startDate, endDate, daysOff = [] } = member.availability || {};
+  if (startDate && date < startDate) return 0;
+  if (endDate && date > endDate) return 0;
+  if (daysOff.includes(date)) return 0;
+  return member.capacity ?? 1;
+}
+
+// Working days a task occupies
+export function taskDays(task, calendar) {
+  if (parseDate(task.startDate) === null || parseDate(task.endDate) === null) return [];
+  const days = [];
+  for (let day = calendar.nextWorkingDay(task.startDate); day <= task.endDate; day = calendar.addWorkingDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
+
+// Tasks still needing someone's time
+function isActive(task) {
+  return task.status !== 'completed';
+}
+
+/**
+ * Per-member daily load: { [memberId]: Map(date -> [taskId, ...]) }
+ */
+export function memberLoads(tasks, team, calendar) {
+  const loads = Object.fromEntries(team.map(member => [member.id, new Map()]));
+
+  for (const task of tasks) {
+    const member = findMember(team, task.assignedTo);
+    if (!member || !isActive(task)) continue;
+
+    for (const day of taskDays(task, calendar)) {
+      const load = loads[member.id];
+      load.set(day, [...(load.get(day) || []), task.id]);
+    }
+  }
+
+  return loads;
+}
+
+/**
+ * Assign unassigned, not-started tasks that name a role to the member with that
+ * role who has the least clash over the task's dates (unavailable days first,
+ * then existing load). Mutates the tasks and returns [{ taskId, memberId, name }]
+ */
+export function assignTasksByRole(tasks, team = [], calendarConfig = {}) {
+  const calendar = createCalendar(calendarConfig);
+  const assignments = [];
+  if (team.length === 0) return assignments;
+
+  const loads = memberLoads(tasks, team, calendar);
+
+  for (const task of tasks) {
+    if (task.assignedTo || !task.role || task.status !== 'not_started') continue;
+
+    const candidates = team.filter(member => member.role.toLowerCase() === task.role.toLowerCase());
+    if (candidates.length === 0) continue;
+
+    const days = taskDays(task, calendar);
+    const score = (member) => {
+      let unavailable = 0;
+      let overlap = 0;
+      for (const day of days) {
+        if (capacityOn(member, day) === 0) unavailable++;
+        overlap += (loads[member.id].get(day) || []).length;
+      }
+      return [unavailable, overlap];
+    };
+
+    const [best] = candidates
+      .map(member => ({ member, score: score(member) }))
+      .sort((a, b) => a.score[0] - b.score[0] || a.score[1] - b.score[1] || a.member.id.localeCompare(b.member.id));
+
+    task.assignedTo = best.member.name;
+    for (const day of days) {
+      loads[best.member.id].set(day, [...(loads[best.member.id].get(day) || []), task.id]);
+    }
+    assignments.push({ taskId: task.id, memberId: best.member.id, name: best.member.name });
+  }
+
+  if (assignments.length > 0) {
+    console.log(`👥 Assigned ${assignments.length} task(s) by role`);
+  }
+
+  return assignments;
+}
+
+/**
+ * Find days where members have more active tasks than their capacity
+ * Returns one entry per member per run of consecutive over-allocated working days:
+ * [{ memberId, name, capacity, from, to, peakLoad, taskIds, unavailableDays }]
+ * unavailableDays are the days in the run the member isn't available at all
+ */
+export function detectOverallocation(tasks, team = [], calendarConfig = {}) {
+  const calendar = createCalendar(calendarConfig);
+  const loads = memberLoads(tasks, team, calendar);
+  const overallocations = [];
+
+  for (const member of team) {
+    const days = [...loads[member.id].entries()]
+      .filter(([day, taskIds]) => taskIds.length > capacityOn(member, day))
+      .sort(([a], [b]) => a.localeCompare(b));
+
+    let current = null;
+    for (const [day, taskIds] of days) {
+      if (!current || calendar.addWorkingDays(current.to, 1) !== day) {
+        current = {
+          memberId: member.id,
+          name: member.name,
+          capacity: member.capacity ?? 1,
+          from: day,
+          to: day,
+          peakLoad: 0,
+          taskIds: [],
+          unavailableDays: []
+        };
+        overallocations.push(current);
+      }
+      current.to = day;
+      current.peakLoad = Math.max(current.peakLoad, taskIds.length);
+      current.taskIds = [...new Set([...current.taskIds, ...taskIds])];
+      if (capacityOn(member, day) === 0) current.unavailableDays.push(day);
+    }
+  }
+
+  return overallocations;
+}
+
+/**
+ * Keep one open resource_overallocation issue per over-allocated member in
+ * sync with the latest detection, resolving the ones that no longer apply
+ */
+export function syncOverallocationIssues(issues = [], overallocations = []) {
+  const now = new Date().toISOString();
+  const byMember = new Map();
+  for (const entry of overallocations) {
+    byMember.set(entry.memberId, [...(byMember.get(entry.memberId) || []), entry]);
+  }
+
+  let updated = issues.map(issue => {
+    if (issue.type !== 'resource_overallocation' || issue.resolved || byMember.has(issue.memberId)) {
+      return issue;
+    }
+    return closeEntry(issue, { by: 'resource_engine', note: 'No longer over-allocated' });
+  });
+
+  for (const [memberId, entries] of byMember) {
+    const periods = entries.map(entry => entry.from === entry.to ? entry.from : `${entry.from} → ${entry.to}`);
+    const taskIds = [...new Set(entries.flatMap(entry => entry.taskIds))];
+    const peak = Math.max(...entries.map(entry => entry.peakLoad));
+    const unavailableDays = entries.flatMap(entry => entry.unavailableDays);
+    const details = [`up to ${peak} task(s) at once (capacity ${entries[0].capacity}) on ${periods.join(', ')}`];
+    if (unavailableDays.length > 0) {
+      details.push(`work scheduled while unavailable on ${unavailableDays.join(', ')}`);
+    }
+
+    const issue = {
+      type: 'resource_overallocation',
+      severity: peak > entries[0].capacity + 1 ? 'high' : 'medium',
+      title: `${entries[0].name} is over-allocated`,
+      description: `${entries[0].name} has ${details.join('; ')}. Tasks: ${taskIds.join(', ')}`,
+      flaggedBy: 'resource_engine',
+      flaggedAt: now,
+      resolved: false,
+      impact: 'Work on these tasks may slip unless it is reassigned or leveled',
+      memberId
+    };
+
+    updated = syncEngineEntry(updated, issue,
+      existing => existing.type === 'resource_overallocation' && existing.memberId === memberId,
+      { by: 'resource_engine' }).issues;
+  }
+
+  return updated;
+}
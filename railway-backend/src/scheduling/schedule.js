@@ -0,0 +1,277 @@
+// railway-backend/src/scheduling/schedule.js
+// Deterministic scheduling engine - builds the task dependency graph, checks it
+// for cycles and dangling dependency IDs, and computes early/late dates, float
+// and the critical path (finish-to-start, counted in working days)
+
+import graphlib from 'graphlib';
+import { createCalendar, parseDate, today } from './calendar.js';
+import { assignTasksByRole, detectOverallocation, syncOverallocationIssues } from './resources.js';
+import { alignMilestones, trackMilestones, syncMilestoneIssues } from './milestones.js';
+import { closeEntry, syncEngineEntry } from '../analysis/issueRegister.js';
+
+const { Graph, alg } = graphlib;
+
+/**
+ * Thrown when tasks can't be scheduled at all (dependency cycles)
+ * cycles is a list of task ID lists, one per cycle
+ */
+export class ScheduleError extends Error {
+  constructor(message, cycles = []) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.cycles = cycles;
+  }
+}
+
+// Task length in working days - explicit durationDays, else its current date span, else 1
+export function taskDuration(task, calendar = createCalendar()) {
+  if (Number.isInteger(task.durationDays) && task.durationDays > 0) {
+    return task.durationDays;
+  }
+  if (parseDate(task.startDate) !== null && parseDate(task.endDate) !== null) {
+    return Math.max(1, calendar.workingDaysBetween(task.startDate, task.endDate) + 1);
+  }
+  return 1;
+}
+
+// Earliest date a task may start regardless of its dependencies - the actual
+// start of a started task, or an explicit startNoEarlierThan constraint (set by
+// leveling or a user's date change). Other recorded dates are recomputed, so
+// the plan moves earlier again once a slip is undone
+function startFloor(task) {
+  const started = task.status === 'in_progress' || task.status === 'completed';
+  const floors = [started ? task.startDate : null, task.startNoEarlierThan]
+    .filter(date => parseDate(date) !== null)
+    .map(date => date.substring(0, 10));
+  return floors.length > 0 ? floors.sort().at(-1) : null;
+}
+
+/**
+ * The scope timeline to schedule against, falling back to the recorded project
+ * start so a plan without a start date isn't re-dated to today on every recompute
+ */
+export function scheduleTimeline(projectData) {
+  const timeline = projectData.scope?.timeline || {};
+  if (parseDate(timeline.startDate) !== null) {
+    return timeline;
+  }
+  return { ...timeline, startDate: projectData.schedule?.projectStart || null };
+}
+
+// ============================================================================
+// DEPENDENCY GRAPH
+// ============================================================================
+
+/**
+ * Build the dependency graph (edge dependency -> dependent task)
+ * Dependencies on IDs that aren't in the task list are left out and reported
+ */
+export function buildDependencyGraph(tasks) {
+  const graph = new Graph({ directed: true });
+  const danglingDependencies = [];
+
+  for (const task of tasks) {
+    graph.setNode(task.id, task);
+  }
+
+  for (const task of tasks) {
+    for (const dependencyId of task.dependencies || []) {
+      if (!graph.hasNode(dependencyId)) {
+        danglingDependencies.push({ taskId: task.id, dependencyId });
+        continue;
+      }
+      graph.setEdge(dependencyId, task.id);
+    }
+  }
+
+  return { graph, danglingDependencies };
+}
+
+/**
+ * Check a task list's dependencies without scheduling it
+ * Returns { cycles, danglingDependencies } - both empty when the plan is sound
+ */
+export function findDependencyProblems(tasks) {
+  const { graph, danglingDependencies } = buildDependencyGraph(tasks);
+
+  // Includes tasks that depend on themselves
+  const cycles = alg.findCycles(graph);
+
+  return { cycles, danglingDependencies };
+}
+
+// ============================================================================
+// CRITICAL PATH
+// ============================================================================
+
+/**
+ * Compute the schedule for a task list on a working-day calendar
+ *
+ * - Tasks start as early as their dependencies allow, never before
+ *   timeline.startDate; started tasks keep their actual start and
+ *   startNoEarlierThan holds a task back, every other date is recomputed
+ * - Late dates are measured back from the end of the plan, so zero-float tasks
+ *   form the critical path
+ * - When timeline.targetEndDate is set, overrunDays says how many working days
+ *   the plan runs past it
+ *
+ * Throws ScheduleError on dependency cycles; dangling dependencies are ignored
+ * and reported in problems
+ */
+export function computeSchedule(tasks, timeline = {}, calendarConfig = {}) {
+  const calendar = createCalendar(calendarConfig);
+  const { graph, danglingDependencies } = buildDependencyGraph(tasks);
+  const cycles = alg.findCycles(graph);
+
+  if (cycles.length > 0) {
+    throw new ScheduleError(
+      `Task dependencies contain ${cycles.length} cycle(s): ${cycles.map(c => c.join(' → ')).join('; ')}`,
+      cycles
+    );
+  }
+
+  const projectStart = calendar.nextWorkingDay(parseDate(timeline.startDate) !== null ? timeline.startDate : today());
+  const order = alg.topsort(graph);
+  const timing = new Map(); // id -> { duration, es, ef, ls, lf } in working-day offsets from projectStart
+  const dateAt = (offset) => calendar.addWorkingDays(projectStart, offset);
+
+  // Forward pass - earliest start/finish (finish is exclusive)
+  for (const id of order) {
+    const task = graph.node(id);
+    const duration = taskDuration(task, calendar);
+
+    let es = 0;
+    const floor = startFloor(task);
+    if (floor) {
+      es = Math.max(0, calendar.workingDaysBetween(projectStart, calendar.nextWorkingDay(floor)));
+    }
+    for (const dependencyId of graph.predecessors(id)) {
+      es = Math.max(es, timing.get(dependencyId).ef);
+    }
+
+    timing.set(id, { duration, es, ef: es + duration });
+  }
+
+  const projectLength = Math.max(0, ...[...timing.values()].map(t => t.ef));
+
+  // Backward pass - latest start/finish without moving the end of the plan
+  for (const id of [...order].reverse()) {
+    const entry = timing.get(id);
+    const successors = graph.successors(id);
+    entry.lf = successors.length > 0
+      ? Math.min(...successors.map(successorId => timing.get(successorId).ls))
+      : projectLength;
+    entry.ls = entry.lf - entry.duration;
+  }
+
+  const scheduledTasks = tasks.map(task => {
+    const { duration, es, ef, ls } = timing.get(task.id);
+    const totalFloat = ls - es;
+
+    return {
+      ...task,
+      durationDays: duration,
+      startDate: dateAt(es),
+      endDate: dateAt(ef - 1),
+      lateStartDate: dateAt(ls),
+      totalFloat,
+      isCritical: totalFloat === 0
+    };
+  });
+
+  const criticalPath = order.filter(id => timing.get(id).ls - timing.get(id).es === 0);
+  const projectEnd = dateAt(Math.max(projectLength, 1) - 1);
+  const targetEndDate = parseDate(timeline.targetEndDate) !== null ? timeline.targetEndDate.substring(0, 10) : null;
+  const overrunDays = targetEndDate ? Math.max(0, calendar.workingDaysBetween(targetEndDate, projectEnd)) : 0;
+
+  return {
+    tasks: scheduledTasks,
+    criticalPath,
+    projectStart,
+    projectEnd,
+    durationDays: projectLength,
+    targetEndDate,
+    fitsTimeline: overrunDays === 0,
+    overrunDays,
+    problems: { danglingDependencies }
+  };
+}
+
+/**
+ * Issue to flag when a computed plan runs past the scope's target end date
+ */
+export function scheduleOverrunIssue(schedule) {
+  return {
+    type: 'schedule_overrun',
+    severity: schedule.overrunDays > 14 ? 'high' : 'medium',
+    title: 'Plan does not fit the project timeline',
+    description: `The task plan ends on ${schedule.projectEnd}, ${schedule.overrunDays} working day(s) after the target end date ${schedule.targetEndDate}. Critical path: ${schedule.criticalPath.join(' → ')}`,
+    flaggedBy: 'schedule_engine',
+    flaggedAt: new Date().toISOString(),
+    resolved: false,
+    impact: `Project finishes ${schedule.overrunDays} working day(s) late unless critical tasks are shortened or the timeline is extended`
+  };
+}
+
+/**
+ * Recompute the schedule for a project's tasks against scope.timeline and
+ * the project's working-day calendar, and write it back: task dates/float, projectData.schedule, projectData.timeline
+ * dates, and an open schedule_overrun issue while the plan doesn't fit
+ * With a team roster, unassigned tasks that name a role are assigned and
+ * over-allocated members are flagged (resource_overallocation issues)
+ * Milestones are re-linked to their gating tasks and tracked; late ones get a
+ * milestone_slip issue
+ * Returns the computed schedule (throws ScheduleError on dependency cycles)
+ */
+export function applySchedule(projectData) {
+  const schedule = computeSchedule(projectData.tasks || [], scheduleTimeline(projectData), projectData.calendar);
+  const team = projectData.team || [];
+  const assignments = assignTasksByRole(schedule.tasks, team, projectData.calendar);
+  const overallocations = detectOverallocation(schedule.tasks, team, projectData.calendar);
+
+  projectData.tasks = schedule.tasks;
+  projectData.schedule = {
+    criticalPath: schedule.criticalPath,
+    projectStart: schedule.projectStart,
+    projectEnd: schedule.projectEnd,
+    durationDays: schedule.durationDays,
+    targetEndDate: schedule.targetEndDate,
+    fitsTimeline: schedule.fitsTimeline,
+    overrunDays: schedule.overrunDays,
+    danglingDependencies: schedule.problems.danglingDependencies,
+    overallocations,
+    computedAt: new Date().toISOString()
+  };
+  projectData.timeline = {
+    ...projectData.timeline,
+    startDate: schedule.projectStart,
+    endDate: schedule.projectEnd,
+    milestones: alignMilestones(projectData.timeline?.milestones || [], schedule.tasks)
+  };
+  const milestones = trackMilestones(projectData.timeline.milestones, schedule.tasks, projectData.calendar);
+  projectData.schedule.milestones = milestones;
+
+  // Keep a single overrun issue, updated on every recompute
+  const issues = projectData.issues || [];
+  const openOverrun = issues.find(issue => issue.type === 'schedule_overrun' && !issue.resolved);
+
+  if (!schedule.fitsTimeline) {
+    projectData.issues = syncEngineEntry(issues, scheduleOverrunIssue(schedule),
+      existing => existing.type === 'schedule_overrun',
+      { by: 'schedule_engine' }).issues;
+  } else if (openOverrun) {
+    projectData.issues = issues.map(existing => existing === openOverrun
+      ? closeEntry(existing, { by: 'schedule_engine', note: 'Plan fits the timeline again' })
+      : existing);
+  }
+
+  if (team.length > 0 || overallocations.length > 0) {
+    projectData.issues = syncOverallocationIssues(projectData.issues || [], overallocations);
+  }
+
+  projectData.issues = syncMilestoneIssues(projectData.issues || [], milestones, schedule.tasks);
+
+  console.log(`📐 Schedule computed: ${schedule.projectStart} → ${schedule.projectEnd}, critical path ${schedule.criticalPath.join(' → ') || '(none)'}${schedule.fitsTimeline ? '' : `, ${schedule.overrunDays} working day(s) over`}`);
+
+  return { ...schedule, assignments, overallocations, milestones };
+}
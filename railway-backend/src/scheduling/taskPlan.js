@@ -0,0 +1,127 @@
+// railway-backend/src/scheduling/taskPlan.js
+// Merges scheduler output into the existing task list instead of replacing it
+//
+// Modes:
+// - append: add the new tasks, leave every existing task alone
+// - stage:  (re)generate one stage - its not-started tasks are replaced by the output
+// - full:   (re)generate every stage the same way
+// Completed and in-progress tasks are always preserved as they are. Output tasks
+// with an existing ID update that task; any other ID marks a new task, which gets
+// the next free "task_N" ID (dependencies on it are rewritten to match)
+
+export const PLAN_MODES = ['append', 'stage', 'full'];
+
+// Fields compared when reporting a task as changed (dates come from the schedule engine)
+const PLANNED_FIELDS = ['stageId', 'title', 'description', 'status', 'durationDays', 'dependencies', 'assignedTo', 'role', 'milestoneId'];
+
+// Filled in for new tasks only - an existing task keeps whatever the output leaves out
+const NEW_TASK_DEFAULTS = { description: '', dependencies: [], assignedTo: null, completedAt: null };
+
+// The fields the output actually sent
+function sentFields(task) {
+  return Object.fromEntries(Object.entries(task).filter(([, value]) => value !== undefined));
+}
+
+function isStarted(task) {
+  return task.status === 'in_progress' || task.status === 'completed';
+}
+
+// Highest N among "task_N" IDs
+function maxTaskNumber(tasks) {
+  return tasks.reduce((max, task) => {
+    const match = /^task_(\d+)$/.exec(task.id);
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+}
+
+function changedFields(before, after) {
+  return PLANNED_FIELDS.filter(field =>
+    after[field] !== undefined && JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)
+  );
+}
+
+/**
+ * Merge a scheduler output { mode, stageId, tasks } into existing tasks
+ * Returns { tasks, added, changed, removed, newIds } - the merged list (not yet
+ * scheduled), what happened to each affected task, and temporary ID -> real ID
+ */
+export function mergeTaskPlan(existingTasks, { mode = 'append', stageId = null, tasks: outputTasks = [] }) {
+  const existingById = new Map(existingTasks.map(task => [task.id, task]));
+
+  // New tasks get IDs continuing from the current maximum
+  let nextNumber = maxTaskNumber(existingTasks);
+  const newIds = new Map();
+  for (const task of outputTasks) {
+    if (!existingById.has(task.id) && !newIds.has(task.id)) {
+      newIds.set(task.id, `task_${++nextNumber}`);
+    }
+  }
+  const resolveId = (id) => newIds.get(id) || id;
+
+  const outputById = new Map(outputTasks
+    .filter(task => existingById.has(task.id))
+    .map(task => [task.id, task]));
+
+  // Which existing tasks the output replaces
+  const inRegeneratedScope = (task) =>
+    mode === 'full' || (mode === 'stage' && task.stageId === stageId);
+
+  const added = [];
+  const changed = [];
+  const removed = [];
+  const merged = [];
+
+  for (const task of existingTasks) {
+    const update = outputById.get(task.id);
+
+    if (isStarted(task)) {
+      merged.push(task);
+    } else if (update) {
+      const sent = sentFields(update);
+      const next = { ...task, ...sent, id: task.id, dependencies: (sent.dependencies ?? task.dependencies ?? []).map(resolveId) };
+      const fields = changedFields(task, next);
+      if (fields.length > 0) {
+        changed.push({ id: task.id, title: next.title, fields });
+      }
+      merged.push(next);
+    } else if (inRegeneratedScope(task)) {
+      removed.push({ id: task.id, title: task.title, stageId: task.stageId });
+    } else {
+      merged.push(task);
+    }
+  }
+
+  for (const task of outputTasks) {
+    if (existingById.has(task.id)) continue;
+
+    const id = newIds.get(task.id);
+    if (merged.some(existing => existing.id === id)) continue; // duplicate temporary ID
+
+    merged.push({
+      ...NEW_TASK_DEFAULTS,
+      ...sentFields(task),
+      id,
+      dependencies: (task.dependencies || []).map(resolveId)
+    });
+    added.push({ id, title: task.title, stageId: task.stageId });
+  }
+
+  return { tasks: merged, added, changed, removed, newIds: Object.fromEntries(newIds) };
+}
+
+/**
+ * One-line-per-change summary for the chat reply
+ */
+export function describeTaskChanges({ added, changed, removed }) {
+  const lines = [];
+  if (added.length > 0) {
+    lines.push(`Added: ${added.map(task => `${task.id} "${task.title}"`).join(', ')}`);
+  }
+  if (changed.length > 0) {
+    lines.push(`Changed: ${changed.map(task => `${task.id} "${task.title}" (${task.fields.join(', ')})`).join(', ')}`);
+  }
+  if (removed.length > 0) {
+    lines.push(`Removed: ${removed.map(task => `${task.id} "${task.title}"`).join(', ')}`);
+  }
+  return lines.length > 0 ? lines.join('\n') : 'No tasks were added, changed or removed.';
+}
@@ -0,0 +1,78 @@
+// railway-backend/test/budgetLedger.test.js
+// Budget ledger - applying intents, rejecting the ones that can't apply and
+// raising overrun issues from the numbers
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyBudgetIntents, findBudgetOverruns, syncBudgetIssues } from '../src/finance/budgetLedger.js';
+
+function budget() {
+  return {
+    total: 10000,
+    currency: 'USD',
+    lineItems: [
+      { id: 'budget_1', category: 'Development', allocated: 6000 },
+      { id: 'budget_2', category: 'Marketing', allocated: 2000 }
+    ],
+    taskAllocations: [{ taskId: 'task_1', lineItemId: 'budget_1', amount: 4000 }]
+  };
+}
+
+test('expenses are summed per line item and a bad intent is rejected on its own', () => {
+  const ledger = applyBudgetIntents(budget(), [
+    { type: 'record_expense', category: 'development', amount: 1200.5 },
+    { type: 'record_expense', category: 'Travel', amount: 300 },
+    { type: 'record_expense', category: 'Development', amount: 799.5 }
+  ]);
+
+  assert.equal(ledger.applied.length, 2);
+  assert.equal(ledger.rejected.length, 1);
+  assert.match(ledger.rejected[0].reason, /Unknown budget category "Travel"/);
+  assert.deepEqual(ledger.newEntries.map(entry => entry.transactionId), ['txn_1', 'txn_2']);
+  assert.equal(ledger.budget.lineItems[0].spent, 2000);
+  assert.equal(ledger.budget.lineItems[0].remaining, 4000);
+  assert.equal(ledger.budget.spent, 2000);
+  assert.equal(ledger.budget.remaining, 8000);
+});
+
+test('allocations cannot drop below what is allocated to tasks', () => {
+  const ledger = applyBudgetIntents(budget(), [
+    { type: 'set_allocation', category: 'Development', allocated: 3000 },
+    { type: 'reallocate', fromCategory: 'Development', toCategory: 'Marketing', amount: 2500 },
+    { type: 'reallocate', fromCategory: 'Development', toCategory: 'Marketing', amount: 2000 },
+    { type: 'allocate_task_cost', category: 'Development', taskId: 'task_2', amount: 500 }
+  ]);
+
+  assert.deepEqual(ledger.rejected.map(entry => entry.intent.type), ['set_allocation', 'reallocate', 'allocate_task_cost']);
+  assert.equal(ledger.budget.lineItems[0].allocated, 4000);
+  assert.equal(ledger.budget.lineItems[1].allocated, 4000);
+});
+
+test('overruns are medium from 90% of an allocation, high past it and critical past the total', () => {
+  const spend = (amounts) => applyBudgetIntents(budget(), Object.entries(amounts)
+    .map(([category, amount]) => ({ type: 'record_expense', category, amount }))).budget;
+
+  assert.deepEqual(findBudgetOverruns(spend({ Development: 5399 })), []);
+  assert.deepEqual(findBudgetOverruns(spend({ Development: 5400 })).map(overrun => overrun.severity), ['medium']);
+  assert.deepEqual(findBudgetOverruns(spend({ Development: 6001 })).map(overrun => overrun.severity), ['high']);
+  assert.deepEqual(
+    findBudgetOverruns(spend({ Development: 9000, Marketing: 1500 })).map(overrun => [overrun.key, overrun.severity]),
+    [['budget_1', 'high'], ['total', 'critical']]
+  );
+});
+
+test('overrun issues are raised once and resolved when spending is back within the allocation', () => {
+  const over = applyBudgetIntents(budget(), [{ type: 'record_expense', category: 'Marketing', amount: 2500 }]);
+  let issues = syncBudgetIssues([], over.budget);
+  issues = syncBudgetIssues(issues, over.budget);
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].budgetKey, 'budget_2');
+  assert.equal(issues[0].severity, 'high');
+
+  const voided = applyBudgetIntents(over.budget, [{ type: 'void_expense', transactionId: 'txn_1', reason: 'Duplicate' }], {
+    entries: over.newEntries
+  });
+  issues = syncBudgetIssues(issues, voided.budget);
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].resolved, true);
+});
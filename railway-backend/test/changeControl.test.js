@@ -0,0 +1,109 @@
+// railway-backend/test/changeControl.test.js
+// Change control - proposing and approving changes to an approved plan
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { proposeChangeRequest, decideChangeRequest, ChangeRequestError } from '../src/analysis/changeControl.js';
+import { openingBalanceEntries } from '../src/finance/expenseLedger.js';
+import { applySchedule } from '../src/scheduling/schedule.js';
+import { applyTaskUpdates } from '../src/scheduling/cascade.js';
+import { changeSetSchema } from '../src/agents/schemas.js';
+
+function project() {
+  return {
+    name: 'Store',
+    scope: { description: 'Online store', timeline: { startDate: '2027-01-04' } },
+    calendar: { workingDays: [1, 2, 3, 4, 5], holidays: [] },
+    stages: [{ id: 'stage_1', name: 'Build', order: 1, status: 'not_started' }],
+    tasks: [{ id: 'task_1', stageId: 'stage_1', title: 'Build', status: 'not_started', durationDays: 5, dependencies: [] }],
+    budget: {
+      total: 10000,
+      currency: 'USD',
+      lineItems: [
+        { id: 'li_1', category: 'Development', allocated: 6000, spent: 2500 },
+        { id: 'li_2', category: 'Marketing', allocated: 2000, spent: 0 }
+      ]
+    },
+    timeline: { milestones: [] },
+    issues: [],
+    changeRequests: [],
+    changeLog: []
+  };
+}
+
+test('approving a budget change keeps spending recorded before the expense ledger', () => {
+  const projectData = project();
+  // What the expense store reads for a budget with spending and no ledger yet
+  const entries = openingBalanceEntries(projectData.budget);
+
+  const request = proposeChangeRequest(projectData, {
+    title: 'More marketing',
+    changes: { budgetTotal: 12000, lineItems: [{ category: 'Marketing', allocated: 4000 }] }
+  }, { entries });
+  decideChangeRequest(projectData, request.id, 'approve', { decidedBy: 'owner', entries });
+
+  const development = projectData.budget.lineItems.find(item => item.category === 'Development');
+  const marketing = projectData.budget.lineItems.find(item => item.category === 'Marketing');
+  assert.equal(development.spent, 2500);
+  assert.equal(marketing.allocated, 4000);
+  assert.equal(projectData.budget.spent, 2500);
+  assert.equal(projectData.budget.total, 12000);
+});
+
+function scheduled() {
+  const projectData = project();
+  projectData.tasks.push({ id: 'task_2', stageId: 'stage_1', title: 'Test', status: 'not_started', durationDays: 3, dependencies: ['task_1'] });
+  applySchedule(projectData);
+  return projectData;
+}
+
+const propose = (projectData, title, changes) =>
+  proposeChangeRequest(projectData, { title, changes: changeSetSchema.parse(changes) });
+const baselineTask = (projectData, id) => projectData.baseline.tasks.find(task => task.id === id);
+
+test('an approved change moves the baseline by that change only, not by unapproved slips', () => {
+  const projectData = scheduled();
+  const request = propose(projectData, 'Add QA', {
+    addTasks: [{ stageId: 'stage_1', title: 'QA', durationDays: 2, dependencies: ['task_2'] }]
+  });
+  assert.equal(projectData.baseline.number, 1);
+  assert.equal(baselineTask(projectData, 'task_2').endDate, '2027-01-13');
+
+  // A slip nobody approved
+  applyTaskUpdates(projectData, [{ id: 'task_1', durationDays: 8 }]);
+  decideChangeRequest(projectData, request.id, 'approve', { decidedBy: 'owner' });
+
+  assert.equal(projectData.tasks.length, 3);
+  assert.equal(projectData.tasks.find(task => task.id === 'task_2').endDate, '2027-01-18');
+  assert.equal(projectData.baseline.number, 2);
+  assert.equal(projectData.baseline.changeRequestId, request.id);
+  assert.equal(baselineTask(projectData, 'task_2').endDate, '2027-01-13');
+  assert.deepEqual([baselineTask(projectData, 'task_3').startDate, baselineTask(projectData, 'task_3').endDate], ['2027-01-14', '2027-01-15']);
+  assert.equal(projectData.changeLog.at(-1).baselineSource, 'baseline');
+});
+
+test('a change that only fits the current plan is baselined from it, with a warning', () => {
+  const projectData = scheduled();
+  propose(projectData, 'Baseline first', { targetEndDate: '2027-02-26' });
+  projectData.tasks.push({ id: 'task_3', stageId: 'stage_1', title: 'Docs', status: 'not_started', durationDays: 2, dependencies: [] });
+  applySchedule(projectData);
+
+  const request = propose(projectData, 'Longer docs', { taskChanges: [{ id: 'task_3', durationDays: 4 }] });
+  decideChangeRequest(projectData, request.id, 'approve');
+
+  const logged = projectData.changeLog.at(-1);
+  assert.equal(logged.baselineSource, 'current_plan');
+  assert.match(logged.summary, /including changes made since baseline #1 without a change request/);
+  assert.equal(baselineTask(projectData, 'task_3').durationDays, 4);
+});
+
+test('a request is decided once and a change that cannot apply is refused', () => {
+  const projectData = scheduled();
+  const request = propose(projectData, 'Cut testing', { removeTaskIds: ['task_2'] });
+
+  assert.equal(decideChangeRequest(projectData, request.id, 'reject', { note: 'Testing stays' }).status, 'rejected');
+  assert.equal(projectData.tasks.length, 2);
+  assert.throws(() => decideChangeRequest(projectData, request.id, 'approve'), /already rejected/);
+  assert.throws(() => decideChangeRequest(projectData, 'cr_9', 'approve'), ChangeRequestError);
+  assert.throws(() => propose(projectData, 'Ghost', { taskChanges: [{ id: 'task_9', durationDays: 1 }] }), ChangeRequestError);
+});
@@ -0,0 +1,49 @@
+// railway-backend/test/currency.test.js
+// Currencies - reading amounts from text and converting them to the base currency
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMoneyText, normalizeCurrency, upsertExchangeRate, convertToBase, CurrencyError } from '../src/finance/currency.js';
+
+test('amounts are read with the currency written next to them', () => {
+  assert.deepEqual(parseMoneyText('USD 40,000'), { amount: 40000, currency: 'USD' });
+  assert.deepEqual(parseMoneyText('$30k for design'), { amount: 30000, currency: 'USD' });
+  assert.deepEqual(parseMoneyText('€1.2m'), { amount: 1200000, currency: 'EUR' });
+  assert.deepEqual(parseMoneyText('40000 EUR'), { amount: 40000, currency: 'EUR' });
+  assert.deepEqual(parseMoneyText(2500), { amount: 2500, currency: null });
+});
+
+test('words next to an amount are not taken for currency codes', () => {
+  assert.deepEqual(parseMoneyText('40,000 for everything'), { amount: 40000, currency: null });
+  assert.deepEqual(parseMoneyText('try 500 all in'), { amount: 500, currency: null });
+  assert.equal(normalizeCurrency('XYZ'), null);
+  assert.equal(normalizeCurrency(' gbp '), 'GBP');
+});
+
+test('conversion uses the rate effective on the expense date', () => {
+  let rates = upsertExchangeRate([], { currency: 'EUR', rate: 1.1, effectiveDate: '2027-01-01' });
+  rates = upsertExchangeRate(rates, { currency: 'eur', rate: 1.2, effectiveDate: '2027-02-01' });
+  rates = upsertExchangeRate(rates, { currency: 'EUR', rate: 1.15, effectiveDate: '2027-02-01' });
+  assert.equal(rates.length, 2);
+
+  const options = { baseCurrency: 'USD', rates };
+  assert.deepEqual(convertToBase(100, 'EUR', '2027-01-31', options),
+    { amount: 110, exchangeRate: 1.1, rateDate: '2027-01-01', rateSource: 'table' });
+  assert.deepEqual(convertToBase(100, 'EUR', '2027-03-15', options),
+    { amount: 115, exchangeRate: 1.15, rateDate: '2027-02-01', rateSource: 'table' });
+  assert.throws(() => convertToBase(100, 'EUR', '2026-12-31', options), CurrencyError);
+});
+
+test('a given rate overrides the table and base amounts are not converted', () => {
+  const options = { baseCurrency: 'USD', rates: [], overrideRate: 0.8 };
+  assert.deepEqual(convertToBase(100, 'GBP', '2027-01-10', options),
+    { amount: 80, exchangeRate: 0.8, rateDate: '2027-01-10', rateSource: 'manual' });
+  assert.deepEqual(convertToBase(99.999, 'usd', '2027-01-10', options),
+    { amount: 100, exchangeRate: 1, rateDate: null, rateSource: 'base' });
+});
+
+test('rates need a positive number and a real effective date', () => {
+  assert.throws(() => upsertExchangeRate([], { currency: 'EUR', rate: '1.1', effectiveDate: '2027-01-01' }), CurrencyError);
+  assert.throws(() => upsertExchangeRate([], { currency: 'EUR', rate: 1.1, effectiveDate: 'tomorrow' }), CurrencyError);
+  assert.throws(() => upsertExchangeRate([], { currency: 'Euros!', rate: 1.1, effectiveDate: '2027-01-01' }), CurrencyError);
+});
@@ -0,0 +1,71 @@
+// railway-backend/test/earnedValue.test.js
+// Earned value - planned and earned value from task allocations, actual cost
+// from the expense ledger
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeEarnedValue, workPercentComplete } from '../src/finance/earnedValue.js';
+
+function project() {
+  const task = (id, startDate, endDate, fields) =>
+    ({ id, stageId: 'stage_1', title: id, durationDays: 5, dependencies: [], startDate, endDate, ...fields });
+
+  return {
+    calendar: { workingDays: [1, 2, 3, 4, 5], holidays: [] },
+    tasks: [
+      task('task_1', '2027-01-04', '2027-01-08', { status: 'completed' }),
+      task('task_2', '2027-01-11', '2027-01-15', { status: 'in_progress', percentComplete: 40 }),
+      task('task_3', '2027-01-18', '2027-01-22', { status: 'not_started' })
+    ],
+    budget: {
+      currency: 'USD',
+      taskAllocations: [
+        { taskId: 'task_1', lineItemId: 'budget_1', amount: 1000 },
+        { taskId: 'task_2', lineItemId: 'budget_1', amount: 2000 }
+      ]
+    }
+  };
+}
+
+const transactions = [
+  { transactionId: 'txn_1', taskId: 'task_1', amount: 900, voided: false },
+  { transactionId: 'txn_2', taskId: 'task_2', amount: 1000, voided: false },
+  { transactionId: 'txn_3', taskId: 'task_3', amount: 300, voided: false },
+  { transactionId: 'txn_4', taskId: null, amount: 200, voided: false },
+  { transactionId: 'txn_5', taskId: 'task_1', amount: 500, voided: true }
+];
+
+test('PV, EV and AC are measured over the tasks with a cost allocation', () => {
+  const earnedValue = computeEarnedValue(project(), transactions, { asOf: '2027-01-12' });
+
+  assert.equal(earnedValue.budgetAtCompletion, 3000);
+  assert.equal(earnedValue.plannedValue, 1800);
+  assert.equal(earnedValue.earnedValue, 1800);
+  assert.equal(earnedValue.actualCost, 1900);
+  assert.equal(earnedValue.unlinkedCost, 500);
+  assert.equal(earnedValue.cpi, 0.95);
+  assert.equal(earnedValue.spi, 1);
+  assert.equal(earnedValue.estimateAtCompletion, 3166.67);
+  assert.equal(earnedValue.percentComplete, 60);
+  assert.equal(earnedValue.tasks.length, 2);
+  assert.ok(earnedValue.notes.some(note => /500.* isn't linked to a task/.test(note)));
+});
+
+test('planned value follows the baseline dates rather than the slipped schedule', () => {
+  const baselineTasks = project().tasks.map(task => task.id === 'task_2'
+    ? { ...task, startDate: '2027-01-04', endDate: '2027-01-08' }
+    : task);
+  const earnedValue = computeEarnedValue(project(), transactions, { asOf: '2027-01-12', baselineTasks });
+
+  assert.equal(earnedValue.plannedValue, 3000);
+  assert.equal(earnedValue.spi, 0.6);
+});
+
+test('without allocations completion falls back to work done', () => {
+  const projectData = { ...project(), budget: { currency: 'USD' } };
+  const earnedValue = computeEarnedValue(projectData, [], { asOf: '2027-01-12' });
+
+  assert.equal(earnedValue.percentComplete, null);
+  assert.equal(earnedValue.cpi, null);
+  assert.equal(workPercentComplete(projectData.tasks, projectData.calendar), 47);
+});
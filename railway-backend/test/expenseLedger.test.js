@@ -0,0 +1,70 @@
+// railway-backend/test/expenseLedger.test.js
+// Expense ledger - folding expenses, corrections and voids into transactions
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createExpenseEntry,
+  createCorrectionEntry,
+  createVoidEntry,
+  openingBalanceEntries,
+  foldExpenses,
+  spentByLineItem,
+  filterTransactions,
+  describeTransaction
+} from '../src/finance/expenseLedger.js';
+
+function ledger() {
+  const entries = [];
+  const expense = (fields) => entries.push(createExpenseEntry(entries, { currency: 'USD', lineItemId: 'budget_1', category: 'Development', ...fields }));
+  expense({ amount: 1000, vendor: 'Acme' });
+  expense({ amount: 250, taskId: 'task_2' });
+  expense({ amount: 400, lineItemId: 'budget_2', category: 'Marketing' });
+  return entries;
+}
+
+test('corrections change a transaction and voids take it out of spending', () => {
+  const entries = [
+    ...ledger(),
+    createCorrectionEntry('txn_1', { amount: 1100.456, vendor: 'Acme Ltd', transactionId: 'txn_9' }, 'Invoice total'),
+    createVoidEntry('txn_3', 'Charged twice')
+  ];
+  const transactions = foldExpenses(entries);
+
+  const corrected = transactions.find(transaction => transaction.transactionId === 'txn_1');
+  assert.equal(corrected.amount, 1100.46);
+  assert.equal(corrected.vendor, 'Acme Ltd');
+  assert.equal(corrected.corrected, true);
+  assert.equal(corrected.history.length, 2);
+
+  const voided = transactions.find(transaction => transaction.transactionId === 'txn_3');
+  assert.equal(voided.voided, true);
+  assert.equal(voided.voidReason, 'Charged twice');
+  assert.deepEqual(spentByLineItem(transactions), { budget_1: 1350.46 });
+  assert.match(describeTransaction(voided), /\(void: Charged twice\)$/);
+});
+
+test('corrections and voids of unknown transactions are ignored', () => {
+  const transactions = foldExpenses([...ledger(), createVoidEntry('txn_7', 'typo')]);
+  assert.equal(transactions.length, 3);
+  assert.ok(transactions.every(transaction => !transaction.voided));
+});
+
+test('filtering lists live transactions newest first', () => {
+  const transactions = foldExpenses([...ledger(), createVoidEntry('txn_2', 'Refunded')]);
+
+  assert.deepEqual(filterTransactions(transactions).map(transaction => transaction.transactionId), ['txn_3', 'txn_1']);
+  assert.deepEqual(filterTransactions(transactions, { lineItemId: 'budget_1', includeVoided: true })
+    .map(transaction => transaction.transactionId), ['txn_2', 'txn_1']);
+  assert.deepEqual(filterTransactions(transactions, { taskId: 'task_2' }), []);
+});
+
+test('opening balances carry spending from before the ledger', () => {
+  const entries = openingBalanceEntries({
+    currency: 'EUR',
+    lineItems: [{ id: 'budget_1', category: 'Development', spent: 1500 }, { id: 'budget_2', category: 'Marketing', spent: 0 }]
+  });
+
+  assert.deepEqual(entries.map(entry => [entry.transactionId, entry.lineItemId, entry.amount, entry.currency]), [['txn_1', 'budget_1', 1500, 'EUR']]);
+  assert.deepEqual(spentByLineItem(foldExpenses(entries)), { budget_1: 1500 });
+});
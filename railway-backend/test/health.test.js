@@ -0,0 +1,70 @@
+// railway-backend/test/health.test.js
+// Project health - rule-based scores per dimension and their trend
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreProjectHealth, healthTrend } from '../src/analysis/health.js';
+
+function project() {
+  return {
+    scope: {
+      description: 'Online store',
+      objectives: ['Sell online'],
+      deliverables: ['Store'],
+      successCriteria: ['100 orders'],
+      outOfScope: ['Mobile app'],
+      timeline: { startDate: '2027-01-04', targetEndDate: '2027-03-31' }
+    },
+    calendar: { workingDays: [1, 2, 3, 4, 5], holidays: [] },
+    stages: [{ id: 'stage_1', name: 'Build', order: 1 }],
+    tasks: [{ id: 'task_1', stageId: 'stage_1', title: 'Build', status: 'not_started', durationDays: 5, startDate: '2027-02-01', endDate: '2027-02-05' }],
+    budget: { total: 1000, currency: 'USD', lineItems: [{ id: 'budget_1', category: 'Development', allocated: 800, spent: 0 }] },
+    issues: [
+      { id: 'issue_1', severity: 'high', resolved: false },
+      { id: 'issue_2', severity: 'critical', resolved: true }
+    ]
+  };
+}
+
+test('an empty project scores only what can be scored', () => {
+  const health = scoreProjectHealth({ scope: {}, issues: [] }, [], { asOf: '2027-01-10' });
+
+  assert.equal(health.dimensions.scope.score, 0);
+  assert.equal(health.dimensions.schedule.score, null);
+  assert.equal(health.dimensions.budget.score, null);
+  assert.equal(health.dimensions.budget.rating, 'unknown');
+  assert.equal(health.dimensions.issues.score, 100);
+  assert.equal(health.overall, 50);
+  assert.equal(health.readiness, 'medium');
+});
+
+test('budget health is scored from the ledger and open issues cost points by severity', () => {
+  const transactions = [{ transactionId: 'txn_1', lineItemId: 'budget_1', amount: 900, voided: false }];
+  const health = scoreProjectHealth(project(), transactions, { asOf: '2027-01-10' });
+
+  assert.equal(health.dimensions.scope.score, 100);
+  assert.equal(health.dimensions.schedule.score, 100);
+  assert.equal(health.dimensions.budget.score, 85);
+  assert.deepEqual(health.dimensions.budget.findings, ['Over budget: Development']);
+  assert.equal(health.dimensions.issues.score, 85);
+  assert.deepEqual(health.dimensions.issues.bySeverity, { critical: 0, high: 1, medium: 0, low: 0 });
+  assert.equal(health.overall, 93);
+  assert.equal(health.rating, 'good');
+});
+
+test('overdue tasks lower the schedule score and the trend shows the change', () => {
+  const before = scoreProjectHealth(project(), [], { asOf: '2027-01-10' });
+  const after = scoreProjectHealth(project(), [], { asOf: '2027-02-10' });
+
+  assert.equal(after.dimensions.schedule.score, 95);
+  assert.match(after.dimensions.schedule.findings[0], /1 task\(s\) past their end date: task_1/);
+  assert.deepEqual(healthTrend(after, before), {
+    since: before.computedAt,
+    overall: after.overall - before.overall,
+    scope: 0,
+    schedule: -5,
+    budget: 0,
+    issues: 0
+  });
+  assert.equal(healthTrend(after, null), null);
+});
@@ -0,0 +1,87 @@
+// railway-backend/test/issueRegister.test.js
+// Risk and issue register - status workflow, risk scoring, duplicates and
+// engine-raised entries
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyRegisterActions, addToRegister, normalizeRegister, syncEngineEntry } from '../src/analysis/issueRegister.js';
+
+const byId = (issues, id) => issues.find(entry => entry.id === id);
+
+test('entries move through the status workflow and bad moves are rejected', () => {
+  const { issues, rejected } = applyRegisterActions([], [
+    { type: 'add', kind: 'risk', entryType: 'vendor', title: 'Payment provider delay', probability: 3, impactScore: 4 },
+    { type: 'set_status', id: 'risk_1', status: 'mitigating', note: 'Backup provider lined up' },
+    { type: 'set_status', id: 'risk_1', status: 'accepted' },
+    { type: 'set_status', id: 'risk_1', status: 'resolved' },
+    { type: 'set_status', id: 'risk_9', status: 'open' }
+  ], { by: 'pm' });
+
+  const risk = byId(issues, 'risk_1');
+  assert.equal(risk.riskScore, 12);
+  assert.equal(risk.severity, 'high');
+  assert.equal(risk.status, 'accepted');
+  assert.equal(risk.resolved, true);
+  assert.deepEqual(risk.history.map(entry => entry.action), ['opened', 'mitigating', 'accepted']);
+  assert.deepEqual(rejected.map(entry => entry.reason), [
+    "risk_1 can't move from accepted to resolved",
+    'No register entry risk_9'
+  ]);
+});
+
+test('updating probability or impact rescores a risk', () => {
+  const added = applyRegisterActions([], [{ type: 'add', kind: 'risk', title: 'Key developer leaves', probability: 2, impactScore: 2 }]);
+  assert.equal(byId(added.issues, 'risk_1').severity, 'low');
+
+  const { issues, rejected } = applyRegisterActions(added.issues, [
+    { type: 'update', id: 'risk_1', changes: { probability: 4, impactScore: 5, owner: 'Sam' } },
+    { type: 'escalate', id: 'risk_1' }
+  ]);
+  const risk = byId(issues, 'risk_1');
+  assert.equal(risk.riskScore, 20);
+  assert.equal(risk.severity, 'critical');
+  assert.equal(risk.owner, 'Sam');
+  assert.deepEqual(rejected.map(entry => entry.reason), ['risk_1 is already critical']);
+});
+
+test('a re-flagged problem updates the open entry instead of adding a duplicate', () => {
+  const first = addToRegister([], [{ type: 'technical', title: 'Checkout API is unstable', severity: 'medium' }], { by: 'risk_agent' });
+  const second = addToRegister(first.issues, [
+    { type: 'technical', title: 'Unstable checkout API', severity: 'high', description: 'Timeouts again' },
+    { type: 'technical', title: 'Search is slow', severity: 'low' }
+  ], { by: 'analyzer' });
+
+  assert.equal(second.issues.length, 2);
+  assert.deepEqual(second.duplicates, [{ entry: second.duplicates[0].entry, duplicateOf: 'issue_1' }]);
+  const issue = byId(second.issues, 'issue_1');
+  assert.equal(issue.severity, 'high');
+  assert.equal(issue.occurrences, 2);
+  assert.equal(issue.description, 'Timeouts again');
+});
+
+test('colliding IDs from older registers are renumbered', () => {
+  const issues = normalizeRegister([
+    { id: 'issue_1', title: 'A', resolved: false },
+    { id: 'issue_1', title: 'B', resolved: true }
+  ]);
+  assert.deepEqual(issues.map(entry => [entry.id, entry.status]), [['issue_1', 'open'], ['issue_2', 'resolved']]);
+});
+
+test('an accepted engine entry stays closed until its severity rises', () => {
+  const matches = entry => entry.budgetKey === 'budget_1';
+  const raise = (issues, severity) => syncEngineEntry(issues, { type: 'budget_overrun', title: 'Development over budget', severity, budgetKey: 'budget_1' }, matches, { by: 'budget_ledger' });
+
+  const raised = raise([], 'medium');
+  const accepted = applyRegisterActions(raised.issues, [{ type: 'set_status', id: 'issue_1', status: 'accepted' }]).issues;
+
+  const again = raise(accepted, 'medium');
+  assert.equal(again.raised, null);
+  assert.equal(again.issues.length, 1);
+  assert.equal(again.issues[0].status, 'accepted');
+
+  const worse = raise(again.issues, 'high');
+  assert.equal(worse.issues.length, 1);
+  assert.equal(worse.raised.status, 'open');
+  assert.equal(worse.raised.severity, 'high');
+  assert.equal(worse.raised.history.at(-1).action, 'reopened');
+});
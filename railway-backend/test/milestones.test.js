@@ -0,0 +1,74 @@
+// railway-backend/test/milestones.test.js
+// Milestones - gating tasks, forecasts against target dates and slip issues
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { alignMilestones, trackMilestones, syncMilestoneIssues, initialMilestones } from '../src/scheduling/milestones.js';
+
+const calendar = { workingDays: [1, 2, 3, 4, 5], holidays: [] };
+
+function tasks() {
+  const task = (id, stageId, endDate, fields = {}) => ({ id, stageId, title: id, status: 'not_started', endDate, ...fields });
+  return [
+    task('task_1', 'stage_1', '2027-01-08', { status: 'completed' }),
+    task('task_2', 'stage_2', '2027-01-15', { milestoneId: 'milestone_2' }),
+    task('task_3', 'stage_2', '2027-01-22')
+  ];
+}
+
+function milestones() {
+  return alignMilestones([
+    { id: 'milestone_1', name: 'Design done', targetDate: '2027-01-08', stageId: 'stage_1' },
+    { id: 'milestone_2', name: 'Beta', targetDate: '2027-01-29', stageId: 'stage_2' },
+    { id: 'milestone_3', name: 'Launch', targetDate: '2027-01-20', gatingTaskIds: ['task_3'] },
+    { id: 'milestone_4', name: 'Demo', targetDate: '2027-01-18', gatingTaskIds: ['task_2'] },
+    { id: 'milestone_5', name: 'Handover', targetDate: '2027-02-26', gatingTaskIds: ['task_9'] }
+  ], tasks());
+}
+
+test('gating tasks come from tags, then existing links, then the stage', () => {
+  assert.deepEqual(milestones().map(milestone => milestone.gatingTaskIds), [
+    ['task_1'], ['task_2'], ['task_3'], ['task_2'], []
+  ]);
+});
+
+test('each milestone is tracked against the latest end of its gating tasks', () => {
+  const tracking = trackMilestones(milestones(), tasks(), calendar, { asOf: '2027-01-10' });
+
+  assert.deepEqual(tracking.map(entry => [entry.milestoneId, entry.status, entry.forecastDate, entry.slipDays]), [
+    ['milestone_1', 'achieved', '2027-01-08', 0],
+    ['milestone_2', 'on_track', '2027-01-15', 0],
+    ['milestone_3', 'late', '2027-01-22', 2],
+    ['milestone_4', 'at_risk', '2027-01-15', 0],
+    ['milestone_5', 'unplanned', null, 0]
+  ]);
+  assert.deepEqual(tracking[2].openTaskIds, ['task_3']);
+});
+
+test('a passed target with open gating tasks is late', () => {
+  const [, beta] = trackMilestones(milestones(), tasks(), calendar, { asOf: '2027-02-01' });
+  assert.equal(beta.status, 'late');
+  assert.equal(beta.slipDays, 0);
+});
+
+test('slip issues are raised for late milestones and resolved once back on track', () => {
+  const late = trackMilestones(milestones(), tasks(), calendar, { asOf: '2027-01-10' });
+  let issues = syncMilestoneIssues([], late, tasks());
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].milestoneId, 'milestone_3');
+  assert.equal(issues[0].severity, 'medium');
+  assert.match(issues[0].description, /2 working day\(s\) after the target 2027-01-20/);
+
+  const moved = tasks().map(task => task.id === 'task_3' ? { ...task, endDate: '2027-01-19' } : task);
+  issues = syncMilestoneIssues(issues, trackMilestones(milestones(), moved, calendar, { asOf: '2027-01-10' }), moved);
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].resolved, true);
+});
+
+test('an approved scope without milestones gets one on the target end date', () => {
+  const stages = [{ id: 'stage_1', order: 1 }, { id: 'stage_2', order: 2 }];
+  assert.deepEqual(initialMilestones([], stages, { targetEndDate: '2027-03-31T00:00:00Z' }), [
+    { id: 'milestone_1', name: 'Project complete', targetDate: '2027-03-31', stageId: 'stage_2', gatingTaskIds: [] }
+  ]);
+  assert.deepEqual(initialMilestones([], stages, {}), []);
+});
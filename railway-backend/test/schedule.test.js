@@ -0,0 +1,67 @@
+// railway-backend/test/schedule.test.js
+// Schedule engine - recomputing after a slip is undone
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applySchedule } from '../src/scheduling/schedule.js';
+import { applyTaskUpdates } from '../src/scheduling/cascade.js';
+
+function project() {
+  const task = (id, durationDays, dependencies = []) =>
+    ({ id, stageId: 'stage_1', title: id, status: 'not_started', durationDays, dependencies });
+
+  return {
+    scope: { timeline: { startDate: '2027-01-04' } },
+    calendar: { workingDays: [1, 2, 3, 4, 5], holidays: [] },
+    stages: [{ id: 'stage_1', name: 'Build', order: 1, status: 'not_started' }],
+    // A(3) → B(2) → D(2), C(1) → D
+    tasks: [task('task_1', 3), task('task_2', 2, ['task_1']), task('task_3', 1), task('task_4', 2, ['task_2', 'task_3'])],
+    issues: []
+  };
+}
+
+const byId = (projectData, id) => projectData.tasks.find(task => task.id === id);
+
+test('undoing a slip moves dependent tasks back and closes the delay', () => {
+  const projectData = project();
+  applySchedule(projectData);
+  assert.equal(byId(projectData, 'task_4').startDate, '2027-01-11');
+
+  const slipped = applyTaskUpdates(projectData, [{ id: 'task_2', endDate: '2027-01-15' }]);
+  assert.equal(byId(projectData, 'task_4').startDate, '2027-01-18');
+  assert.ok(slipped.delayIssue);
+
+  applyTaskUpdates(projectData, [{ id: 'task_2', durationDays: 2 }]);
+  assert.equal(byId(projectData, 'task_2').endDate, '2027-01-08');
+  assert.equal(byId(projectData, 'task_4').startDate, '2027-01-11');
+  assert.equal(byId(projectData, 'task_4').endDate, '2027-01-12');
+  assert.deepEqual(projectData.schedule.criticalPath, ['task_1', 'task_2', 'task_4']);
+
+  const delay = projectData.issues.find(issue => issue.type === 'delay');
+  assert.equal(delay.resolved, true);
+});
+
+test('a recompute keeps the recorded project start when the scope has none', () => {
+  const projectData = project();
+  applySchedule(projectData);
+  delete projectData.scope.timeline.startDate;
+
+  applySchedule(projectData);
+  assert.equal(projectData.schedule.projectStart, '2027-01-04');
+  assert.equal(byId(projectData, 'task_1').startDate, '2027-01-04');
+});
+
+test('started tasks keep their actual start and constraints hold tasks back', () => {
+  const projectData = project();
+  applySchedule(projectData);
+
+  applyTaskUpdates(projectData, [{ id: 'task_3', startDate: '2027-01-13' }]);
+  assert.equal(byId(projectData, 'task_3').startDate, '2027-01-13');
+  assert.equal(byId(projectData, 'task_4').startDate, '2027-01-14');
+
+  projectData.tasks = projectData.tasks.map(task => task.id === 'task_1'
+    ? { ...task, status: 'in_progress', startDate: '2027-01-05' }
+    : task);
+  applySchedule(projectData);
+  assert.equal(byId(projectData, 'task_1').startDate, '2027-01-05');
+});
@@ -0,0 +1,110 @@
+// railway-backend/test/variance.test.js
+// Baseline variance - the current plan against the approved baseline
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeVariance, describeVariance } from '../src/analysis/variance.js';
+import { captureBaseline, baselineForReport } from '../src/analysis/baseline.js';
+import { applySchedule } from '../src/scheduling/schedule.js';
+import { applyTaskUpdates } from '../src/scheduling/cascade.js';
+
+function project() {
+  const task = (id, durationDays, dependencies = []) =>
+    ({ id, stageId: 'stage_1', title: id, status: 'not_started', durationDays, dependencies });
+
+  const projectData = {
+    scope: { description: 'Online store', timeline: { startDate: '2027-01-04', targetEndDate: '2027-02-26' } },
+    calendar: { workingDays: [1, 2, 3, 4, 5], holidays: [] },
+    stages: [{ id: 'stage_1', name: 'Build', order: 1, status: 'not_started' }],
+    tasks: [task('task_1', 5), task('task_2', 3, ['task_1']), task('task_3', 2, ['task_2'])],
+    budget: {
+      total: 10000,
+      currency: 'USD',
+      lineItems: [
+        { id: 'budget_1', category: 'Development', allocated: 6000, spent: 0 },
+        { id: 'budget_2', category: 'Marketing', allocated: 2000, spent: 0 }
+      ]
+    },
+    timeline: { milestones: [{ id: 'milestone_1', name: 'Launch', targetDate: '2027-01-15', gatingTaskIds: ['task_3'] }] },
+    issues: []
+  };
+  applySchedule(projectData);
+  return projectData;
+}
+
+test('no baseline means no variance', () => {
+  assert.equal(computeVariance(project()), null);
+  assert.deepEqual(describeVariance(null), ['No approved baseline yet']);
+});
+
+test('an unchanged plan has no variance', () => {
+  const projectData = project();
+  captureBaseline(projectData, { approvedBy: 'owner' });
+  const { summary, tasks } = computeVariance(projectData);
+
+  assert.equal(summary.projectEndVarianceDays, 0);
+  assert.equal(summary.budgetTotalVariance, 0);
+  assert.ok(tasks.every(task => task.change === 'unchanged'));
+});
+
+test('slips, added and removed tasks, budget changes and late milestones are reported', () => {
+  const projectData = project();
+  captureBaseline(projectData, { approvedBy: 'owner' });
+
+  applyTaskUpdates(projectData, [{ id: 'task_1', durationDays: 7 }]);
+  projectData.tasks = [
+    ...projectData.tasks.filter(task => task.id !== 'task_3'),
+    { id: 'task_4', stageId: 'stage_1', title: 'Docs', status: 'not_started', durationDays: 1, dependencies: [] }
+  ];
+  projectData.timeline.milestones[0].gatingTaskIds = ['task_2'];
+  applySchedule(projectData);
+  projectData.budget = {
+    ...projectData.budget,
+    total: 12000,
+    lineItems: [
+      { id: 'budget_1', category: 'Development', allocated: 6000, spent: 6500 },
+      { id: 'budget_9', category: 'marketing', allocated: 3000, spent: 0 },
+      { id: 'budget_3', category: 'Travel', allocated: 500, spent: 0 }
+    ]
+  };
+
+  const variance = computeVariance(projectData);
+  const row = (id) => variance.tasks.find(task => task.taskId === id);
+
+  assert.deepEqual([row('task_1').finishVarianceDays, row('task_1').durationVarianceDays, row('task_1').change], [2, 2, 'changed']);
+  assert.equal(row('task_2').startVarianceDays, 2);
+  assert.equal(row('task_3').change, 'removed');
+  assert.equal(row('task_4').change, 'added');
+
+  assert.deepEqual(variance.lineItems.map(item => [item.category, item.change, item.allocationVariance, item.spentVsBaseline]), [
+    ['Development', 'unchanged', 0, 500],
+    ['marketing', 'changed', 1000, -2000],
+    ['Travel', 'added', 500, 0]
+  ]);
+
+  assert.deepEqual(variance.summary, {
+    projectEndBaseline: '2027-01-15',
+    projectEndCurrent: '2027-01-15',
+    projectEndVarianceDays: 0,
+    budgetTotalBaseline: 10000,
+    budgetTotalCurrent: 12000,
+    budgetTotalVariance: 2000,
+    tasksLate: 2,
+    tasksEarly: 0,
+    tasksAdded: 1,
+    tasksRemoved: 1,
+    lineItemsOverBaseline: 1,
+    milestonesLate: 0
+  });
+  assert.ok(describeVariance(variance).includes('- Development: spent USD 6500 against a baseline allocation of USD 6000'));
+});
+
+test('reports on a project without a stored baseline use the current plan without saving it', () => {
+  const projectData = project();
+  const baseline = baselineForReport(projectData);
+
+  assert.equal(baseline.number, 1);
+  assert.equal(projectData.baseline, undefined);
+  assert.equal(computeVariance({ ...projectData, baseline }).summary.tasksLate, 0);
+  assert.equal(baselineForReport({ scope: {} }), null);
+});
@@ -74,32 +74,6 @@ async function getJobFromRailway(jobId) {
     return data.job || null;
 }
 
-async function updateJobStatusInRailway(jobId, status, progress, message) {
-    const headers = await getAuthenticatedHeaders();
-    const response = await fetch(
-        'https://linkifico-v5-production.up.railway.app/api/update-job-status',
-        {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify({ jobId, status, progress, message })
-        }
-    );
-    return response.json();
-}
-
-async function saveJobResultsInRailway(jobId, results) {
-    const headers = await getAuthenticatedHeaders();
-    const response = await fetch(
-        'https://linkifico-v5-production.up.railway.app/api/save-job-results',
-        {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify({ jobId, results })
-        }
-    );
-    return response.json();
-}
-
 async function getJobResultsFromRailway(jobId) {
     const headers = await getAuthenticatedHeaders();
     const response = await fetch(
@@ -113,92 +87,6 @@ async function getJobResultsFromRailway(jobId) {
     return data.results || null;
 }
 
-async function getQueuedJobsFromRailway(limit) {
-    const headers = await getAuthenticatedHeaders();
-    const response = await fetch(
-        `https://linkifico-v5-production.up.railway.app/api/get-queued-jobs?limit=${limit}`,
-        { 
-            method: 'GET',
-            headers: headers
-        }
-    );
-    const data = await response.json();
-    return data.jobs || [];
-}
-
-// Job processing functions that call Railway backend
-async function processJobMessageViaRailway(job) {
-    try {
-        Logger.info('entrypoint', 'railway_process_message_start', { jobId: job.id });
-        
-        const headers = await getAuthenticatedHeaders();
-        const response = await fetch(
-            'https://linkifico-v5-production.up.railway.app/api/process-message-job',
-            {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify({ job })
-            }
-        );
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            const errorMsg = `HTTP ${response.status}: ${response.statusText}`;
-            Logger.error('entrypoint', 'railway_process_message_error', new Error(errorMsg), { 
-                jobId: job.id, 
-                status: response.status,
-                statusText: response.statusText,
-                errorBody: errorText
-            });
-            return null;
-        }
-        
-        const data = await response.json();
-        
-        Logger.info('entrypoint', 'railway_process_message_complete', { 
-            jobId: job.id,
-            hasResult: !!data.result,
-            success: data.success,
-            dataKeys: Object.keys(data)
-        });
-        
-        return data.result || null;
-    } catch (error) {
-        Logger.error('entrypoint', 'railway_process_message_exception', error, { 
-            jobId: job.id
-        });
-        return null;
-    }
-}
-
-async function processJobInitViaRailway(job) {
-    const headers = await getAuthenticatedHeaders();
-    const response = await fetch(
-        'https://linkifico-v5-production.up.railway.app/api/process-init-job',
-        {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify({ job })
-        }
-    );
-    const data = await response.json();
-    return data.result || null;
-}
-
-async function processJobAnalyzeViaRailway(job) {
-    const headers = await getAuthenticatedHeaders();
-    const response = await fetch(
-        'https://linkifico-v5-production.up.railway.app/api/process-analyze-job',
-        {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify({ job })
-        }
-    );
-    const data = await response.json();
-    return data.result || null;
-}
-
 // Simple test function to verify backend is working
 export const testBackend = webMethod(Permissions.Anyone, async () => {
     Logger.info('entrypoint', 'testBackend_called', { timestamp: Date.now() });
@@ -255,6 +143,7 @@ export const analyzeProject = webMethod(
 );
 
 // Main job queue function - all operations go through job queue to prevent Wix timeouts
+// Wix only submits and polls; the Railway worker claims and runs queued jobs
 // VERSION: 2025-01-03-15:35 - Modified to use Railway backend instead of local Redis
 export const processUserRequest = webMethod(Permissions.Anyone, async (requestData) => {
     const { op, projectId, userId, sessionId, payload = {} } = requestData || {};
@@ -294,7 +183,8 @@ export const processUserRequest = webMethod(Permissions.Anyone, async (requestDa
         return await getJobResults(payload?.jobId);
     }
     if (op === 'processJobs') {
-        return await processQueuedJobs(payload?.limit || 5);
+        // Jobs are drained by the Railway background worker - nothing to do here
+        return { success: true, message: 'Jobs are processed automatically by the Railway worker', processed: 0 };
     }
     
     // Portfolio operations - temporarily disabled until portfolio controller is reimplemented
@@ -429,28 +319,6 @@ async function getJobResults(jobId) {
             progress: job.progress || 0 
         });
         
-        // If job is queued, process it now (on-demand processing)
-        if (job.status === 'queued') {
-            Logger.info('entrypoint', 'getJobResults_processingQueued', { jobId });
-            await processJob(jobId);
-            // Refresh job data after processing
-            const updatedJob = await getJobFromRailway(jobId);
-            if (updatedJob.status !== 'completed') {
-                Logger.info('entrypoint', 'getJobResults_processingInProgress', { 
-                    jobId, 
-                    status: updatedJob.status, 
-                    progress: updatedJob.progress || 0 
-                });
-                return {
-                    success: true,
-                    jobId: jobId,
-                    status: updatedJob.status,
-                    progress: updatedJob.progress || 0,
-                    message: updatedJob.status === 'failed' ? updatedJob.error : 'Job processing...'
-                };
-            }
-        }
-        
         // Only return results if job is 100% complete
         if (job.status !== 'completed') {
             Logger.info('entrypoint', 'getJobResults_notComplete', { 
@@ -463,7 +331,7 @@ async function getJobResults(jobId) {
                 jobId: jobId,
                 status: job.status,
                 progress: job.progress || 0,
-                message: job.status === 'failed' ? job.error : 'Job not yet complete'
+                message: job.status === 'failed' ? job.error : (job.message || 'Job not yet complete')
             };
         }
         
@@ -493,125 +361,3 @@ async function getJobResults(jobId) {
         };
     }
 }
-
-// Process a single job - calls Railway backend for actual processing
-export async function processJob(jobId) {
-    try {
-        Logger.info('entrypoint', 'processJob_start', { jobId });
-        
-        const job = await getJobFromRailway(jobId);
-        
-        if (!job) {
-            Logger.error('entrypoint', 'processJob_jobNotFound', new Error('Job not found'), { jobId });
-            return;
-        }
-        
-        Logger.info('entrypoint', 'processJob_jobDetails', { 
-            jobId, 
-            jobType: job.type, 
-            projectId: job.projectId, 
-            userId: job.userId 
-        });
-        
-        // Mark job as processing in Railway backend
-        await updateJobStatusInRailway(jobId, 'processing', 10, 'Starting processing...');
-        
-        let result;
-        
-        // Route to appropriate processor - all processing now done by Railway
-        switch (job.type) {
-            case 'sendMessage':
-                Logger.info('entrypoint', 'processJob_processingMessage', { jobId });
-                result = await processJobMessageViaRailway(job);
-                break;
-            case 'init':
-                Logger.info('entrypoint', 'processJob_processingInit', { jobId });
-                result = await processJobInitViaRailway(job);
-                break;
-            case 'analyze':
-                Logger.info('entrypoint', 'processJob_processingAnalyze', { jobId });
-                result = await processJobAnalyzeViaRailway(job);
-                break;
-            default:
-                throw new Error(`Unknown job type: ${job.type}`);
-        }
-        
-        Logger.info('entrypoint', 'processJob_processingComplete', { 
-            jobId, 
-            hasResult: !!result,
-            resultKeys: result ? Object.keys(result) : []
-        });
-        
-        // Save complete results in Railway backend
-        await saveJobResultsInRailway(jobId, result);
-        
-        // Mark job as completed in Railway backend
-        await updateJobStatusInRailway(jobId, 'completed', 100, 'Processing complete');
-        
-        Logger.info('entrypoint', 'job_completed', { 
-            jobId, 
-            jobType: job.type,
-            completedAt: new Date().toISOString()
-        });
-        
-    } catch (error) {
-        Logger.error('entrypoint', 'processJob_error', error, { 
-            jobId
-        });
-        
-        // Mark job as failed in Railway backend
-        await updateJobStatusInRailway(jobId, 'failed', 0, `Processing failed: ${error.message}`);
-    }
-}
-
-// Process queued jobs in batch
-async function processQueuedJobs(limit = 5) {
-    try {
-        // Get queued jobs from Railway backend
-        const queuedJobs = await getQueuedJobsFromRailway(limit);
-        
-        if (queuedJobs.length === 0) {
-            return {
-                success: true,
-                message: 'No queued jobs to process',
-                processed: 0
-            };
-        }
-        
-        Logger.info('entrypoint', 'processQueuedJobs_start', { 
-            jobCount: queuedJobs.length,
-            jobIds: queuedJobs.map(j => j.id)
-        });
-        
-        // Process jobs in parallel
-        const results = await Promise.allSettled(
-            queuedJobs.map(job => processJob(job.id))
-        );
-        
-        const successful = results.filter(r => r.status === 'fulfilled').length;
-        const failed = results.filter(r => r.status === 'rejected').length;
-        
-        Logger.info('entrypoint', 'processQueuedJobs_complete', { 
-            total: queuedJobs.length,
-            successful,
-            failed,
-            jobIds: queuedJobs.map(j => j.id)
-        });
-        
-        return {
-            success: true,
-            message: `Processed ${queuedJobs.length} jobs`,
-            processed: queuedJobs.length,
-            successful,
-            failed
-        };
-        
-    } catch (error) {
-        Logger.error('entrypoint', 'processQueuedJobs_error', error);
-        return {
-            success: false,
-            message: 'Failed to process queued jobs',
-            error: error.message
-        };
-    }
-}
\ No newline at end of file
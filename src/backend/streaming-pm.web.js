@@ -10,6 +10,29 @@ import { Logger } from './utils/logger.js';
 // No in-memory cache needed - Railway backend stores everything in Redis
 // Frontend polls Railway directly via this Wix backend proxy
 
+/**
+ * Merge consecutive agent_token events from the same model run into one
+ * so the page posts one update per poll instead of one per token batch
+ */
+function coalesceTokenEvents(events) {
+  const coalesced = [];
+
+  for (const event of events) {
+    const previous = coalesced[coalesced.length - 1];
+    if (event.type === 'agent_token' && previous?.type === 'agent_token' && previous.runId === event.runId) {
+      coalesced[coalesced.length - 1] = {
+        ...previous,
+        token: previous.token + event.token,
+        timestamp: event.timestamp
+      };
+    } else {
+      coalesced.push(event);
+    }
+  }
+
+  return coalesced;
+}
+
 /**
  * Start a streaming workflow using jobId as streamId
  * Returns jobId that frontend can poll for updates
@@ -75,15 +98,16 @@ export const startStreamingWorkflow = webMethod(
 
 /**
  * Poll for streaming events using jobId - frontend calls this repeatedly
- * Returns new events since last poll
+ * Returns new events after the lastEventId cursor (agent_token runs merged per model run)
+ * Pass back the returned lastEventId on the next poll; null starts from the beginning
  */
 export const pollStreamEvents = webMethod(
   Permissions.Anyone,
-  async (jobId, lastEventIndex = 0) => {
+  async (jobId, lastEventId = null) => {
     try {
       Logger.info('streaming-pm', 'pollStreamEvents_called', { 
         jobId, 
-        lastEventIndex
+        lastEventId
       });
       
       // Poll Railway directly instead of using in-memory cache
@@ -100,7 +124,7 @@ export const pollStreamEvents = webMethod(
           },
           body: JSON.stringify({
             streamId: jobId,
-            lastEventIndex: lastEventIndex
+            lastEventId: lastEventId
           })
         }
       );
@@ -121,7 +145,8 @@ export const pollStreamEvents = webMethod(
       
       return {
         success: pollResult.success,
-        events: pollResult.events || [],
+        events: coalesceTokenEvents(pollResult.events || []),
+        lastEventId: pollResult.lastEventId || lastEventId,
         complete: pollResult.complete,
         error: pollResult.error,
         finalResult: pollResult.finalResult,
@@ -161,7 +161,7 @@ $w.onReady(async function () {
     async function pollForStreamingEvents(jobId) {
         const maxAttempts = 120; // 120 attempts = 60 seconds max (with 0.5s intervals)
         let attempts = 0;
-        let lastEventIndex = 0;
+        let lastEventId = null; // Redis Stream cursor returned by each poll
         const startedAt = Date.now();
         const intervalMs = 500; // Poll every 0.5 seconds for near-real-time updates
         const timeoutMs = 120000; // 2 minutes max
@@ -172,7 +172,7 @@ $w.onReady(async function () {
             attempts++;
             
             try {
-                const pollResult = await pollStreamEvents(jobId, lastEventIndex);
+                const pollResult = await pollStreamEvents(jobId, lastEventId);
                 
                 if (!pollResult.success) {
                     logHandshake('streaming_poll_error', { jobId, error: pollResult.error });
@@ -200,8 +200,8 @@ $w.onReady(async function () {
                 for (const event of pollResult.events) {
                     processStreamEvent(event);
                 }
-                lastEventIndex = pollResult.totalEvents;
             }
+            lastEventId = pollResult.lastEventId || lastEventId;
 
             // Check if complete
             if (pollResult.complete) {
@@ -247,7 +247,9 @@ $w.onReady(async function () {
 
     // Process individual stream event
     function processStreamEvent(event) {
-        logHandshake('stream_event', { type: event.type, agent: event.agent });
+        if (event.type !== 'agent_token') {
+            logHandshake('stream_event', { type: event.type, agent: event.agent });
+        }
 
         switch (event.type) {
             case 'connected':
@@ -267,7 +269,20 @@ $w.onReady(async function () {
                 });
                 break;
 
+            case 'agent_token':
+                // Partial reply text - the chat appends it to a live assistant bubble
+                chatEl.postMessage({
+                    action: 'streamToken',
+                    agent: event.agent,
+                    runId: event.runId,
+                    token: event.token,
+                    timestamp: event.timestamp
+                });
+                break;
+
             case 'workflow_error':
+                // A half-streamed reply never became a real one - drop it
+                chatEl.postMessage({ action: 'clearStream' });
                 chatEl.postMessage({
                     action: 'displayMessage',
                     type: 'system',